@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/**
+ * Command-line entry point: see scripts/cli.js, or run with --help
+ */
+
+import { fileURLToPath } from 'node:url';
+import { main } from '../scripts/cli.js';
+
+const rootDir = fileURLToPath(new URL('..', import.meta.url));
+
+process.exitCode = await main(process.argv.slice(2), { rootDir });
@@ -0,0 +1,84 @@
+/**
+ * Bucket Strategy - Runway buckets refilled on a schedule for plan.bucket_strategy
+ * Each bucket is an asset holding a target number of months of spending (cash first,
+ * then e.g. bonds). At the start of each plan year the buckets are topped back up to
+ * their runway from the source assets in priority order.
+ */
+
+export const BUCKET_REFILL_RULES = ['annual', 'positive_years'];
+
+export class BucketStrategy {
+  /**
+   * @param {Object} config - plan.bucket_strategy
+   * @param {Array<Object>} config.buckets - [{ name?, asset, runway_months? }], spent first to last;
+   *   a bucket without runway_months is never refilled (e.g. the growth bucket)
+   * @param {string} config.refill - annual, or positive_years to refill only from sources
+   *   that grew over the year just ended (default: annual)
+   * @param {Array<string>} config.source_priority - Assets to refill from, first choice first
+   *   (default: the later buckets, last bucket first)
+   */
+  constructor(config = {}) {
+    this.refill = config.refill || 'annual';
+    if (!BUCKET_REFILL_RULES.includes(this.refill)) {
+      throw new Error(`Unknown bucket refill rule: ${this.refill}`);
+    }
+
+    this.buckets = (config.buckets || []).map((bucket, index) => ({
+      name: bucket.name || bucket.asset,
+      asset: bucket.asset,
+      index,
+      runwayMonths: bucket.runway_months || 0
+    }));
+    this.sourcePriority = config.source_priority || null;
+  }
+
+  /**
+   * Refills run at the start of every plan year after the first
+   * @param {number} month - 0-based month
+   */
+  isRefillMonth(month) {
+    return month > 0 && month % 12 === 0;
+  }
+
+  /**
+   * Source assets for a bucket in priority order, never the bucket itself or one spent before it
+   */
+  getSources(bucket) {
+    const earlier = new Set(this.buckets.slice(0, bucket.index + 1).map(b => b.asset));
+    const priority = this.sourcePriority ||
+      this.buckets.slice(bucket.index + 1).map(b => b.asset).reverse();
+    return priority.filter(name => !earlier.has(name));
+  }
+
+  /**
+   * Top each bucket up to its runway, moving money with the engine's transfer
+   * @param {Object} assetMap - Active assets by name
+   * @param {number} monthlyNeed - Spending the runway is measured in (expenses less income)
+   * @param {Object} lastYearGrowth - Growth of each asset over the plan year just ended
+   * @param {Function} transfer - (from, to, amount) => { amount, received, ... }, where amount is
+   *   what should arrive in the bucket; sources that are taxed send more to cover the tax
+   * @returns {Array<Object>} Transfer records, each labelled with its bucket
+   */
+  refillBuckets(assetMap, monthlyNeed, lastYearGrowth, transfer) {
+    const refills = [];
+
+    for (const bucket of this.buckets) {
+      const target = assetMap[bucket.asset];
+      if (!target || bucket.runwayMonths <= 0) continue;
+
+      let deficit = bucket.runwayMonths * Math.max(0, monthlyNeed) - Math.max(0, target.balance);
+      for (const sourceName of this.getSources(bucket)) {
+        if (deficit <= 0.005) break;
+        const source = assetMap[sourceName];
+        if (!source || source.balance - (source.min_balance || 0) <= 0.005) continue;
+        if (this.refill === 'positive_years' && !((lastYearGrowth[sourceName] || 0) > 0)) continue;
+
+        const record = transfer(sourceName, bucket.asset, deficit);
+        refills.push({ bucket: bucket.name, ...record });
+        deficit -= record.received;
+      }
+    }
+
+    return refills;
+  }
+}
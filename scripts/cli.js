@@ -0,0 +1,615 @@
+/**
+ * Scenario CLI - Runs scenarios and Monte Carlo analyses from the terminal
+ * Loads a scenario JSON file or a bundled scenario key, then writes the engine CSV,
+ * a JSON summary, Monte Carlo percentile tables, a claiming-age comparison or a
+ * recommended withdrawal order to stdout or a file, so batch runs can be scripted and their results diffed in git. Node only; bin/ holds the entry point.
+ */
+
+import { readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { EventBus } from './core/EventBus.js';
+import { MonteCarloService } from './services/MonteCarloService.js';
+import { ClaimingAgeService } from './services/ClaimingAgeService.js';
+import { WithdrawalOrderService, WITHDRAWAL_ORDER_OBJECTIVES } from './services/WithdrawalOrderService.js';
+import { RETURN_MODELS } from './services/ReturnModelService.js';
+import { simulateScenarioAdvanced } from './timeaware-engine.js';
+import { INFLATION_MODELS } from './inflation-models.js';
+import { LONGEVITY_MODELS } from './longevity.js';
+
+export const SCENARIO_DIR = join('data', 'scenarios');
+export const OUTPUT_FORMATS = ['csv', 'json'];
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+// Shares rather than dollars or months, kept to basis points
+const RATE_METRICS = ['maxDrawdown', 'averageInflation', 'probabilityOfOutlivingAssets'];
+
+// Printed in place of time-to-depletion percentiles when every path kept money to the end
+export const NEVER_DEPLETED = 'never depleted';
+
+// Analyses that replace the single engine run; at most one per invocation
+const ANALYSIS_FLAGS = {
+  monteCarlo: '--monte-carlo',
+  compareClaiming: '--compare-claiming',
+  optimizeWithdrawals: '--optimize-withdrawals'
+};
+
+const CLAIMING_COLUMNS = ['claimingAge', 'initialBenefit', 'totalBenefits', 'breakEvenMonth', 'breakEvenAge',
+  'balanceBreakEvenMonth', 'finalBalance', 'finalBalanceDifference', 'firstShortfallMonth'];
+
+const ORDER_COLUMNS = ['account', 'order', 'weight', 'start_month', 'stop_month'];
+
+export const USAGE = `Usage: retirement-explorer [scenario.json] [options]
+
+Scenario:
+  <file>                  Scenario JSON file: one scenario, or a map of them (pick with --scenario)
+  --scenario <key>        Scenario key, looked up in <file> or in ${SCENARIO_DIR}/*.json
+  --list                  List the bundled scenario keys and exit
+
+Run:
+  --monte-carlo           Run a Monte Carlo analysis instead of a single engine run
+  --iterations <n>        Monte Carlo iterations (default: 1000)
+  --seed <n>              Monte Carlo random seed (default: random, reported in the output)
+  --return-model <name>   ${Object.keys(RETURN_MODELS).join(', ')} (default: simple-random)
+  --inflation-model <name>
+                          ${INFLATION_MODELS.join(', ')} (default: return-model; ar1 draws
+                          mean-reverting random inflation)
+  --longevity-model <name>
+                          ${LONGEVITY_MODELS.join(', ')} (default: fixed; life-table draws a
+                          lifespan for each person in plan.household)
+  --target-years <n>      Years a path must last to succeed (default: the plan's duration)
+  --start-date <YYYY-MM>  Start month for a plan without plan.start_date; without it the CSV
+                          Date column is blank and birth_year ages count from January
+                          this year
+
+Claiming ages:
+  --compare-claiming      Rerun the scenario for each Social Security claiming age and print
+                          benefits, break-even months and final balances against the earliest
+  --claiming-ages <list>  Comma-separated ages to compare (default: 62 through 70)
+  --claiming-income <name>
+                          social_security income entry to vary (default: the first)
+
+Withdrawal order:
+  --optimize-withdrawals  Search withdrawal orders and print the recommended order[] next to
+                          the current one, with after-tax wealth, lifetime tax, ending
+                          balance and shortfall for each
+  --objective <name>      ${WITHDRAWAL_ORDER_OBJECTIVES.join(', ')} (default: after_tax_wealth)
+  --phases <list>         Comma-separated months at which a phase with its own order starts
+
+Output:
+  --format <csv|json>     Engine CSV, percentile or comparison table (csv), or a summary (json);
+                          default csv
+  --output <file>         Write to a file instead of stdout
+  --verbose               Send engine logs to stderr
+  --help                  Show this help`;
+
+// Flags that take a value, and the option each one sets
+const VALUE_FLAGS = {
+  '--scenario': 'scenario',
+  '--iterations': 'iterations',
+  '--seed': 'seed',
+  '--return-model': 'returnModel',
+  '--inflation-model': 'inflationModel',
+  '--longevity-model': 'longevityModel',
+  '--target-years': 'targetYears',
+  '--start-date': 'startDate',
+  '--claiming-ages': 'claimingAges',
+  '--claiming-income': 'claimingIncome',
+  '--objective': 'objective',
+  '--phases': 'phases',
+  '--format': 'format',
+  '--output': 'output'
+};
+
+const BOOLEAN_FLAGS = {
+  '--list': 'list',
+  '--monte-carlo': 'monteCarlo',
+  '--compare-claiming': 'compareClaiming',
+  '--optimize-withdrawals': 'optimizeWithdrawals',
+  '--verbose': 'verbose',
+  '--help': 'help',
+  '-h': 'help'
+};
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options: file, scenario, list, monteCarlo, iterations, seed,
+ *   returnModel, inflationModel, longevityModel, targetYears, startDate, compareClaiming,
+ *   claimingAges, claimingIncome, optimizeWithdrawals, objective, phases, format, output,
+ *   verbose, help
+ */
+export function parseArgs(argv) {
+  const options = {
+    format: 'csv',
+    iterations: 1000,
+    returnModel: 'simple-random',
+    inflationModel: 'return-model',
+    longevityModel: 'fixed'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+      ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+      : [arg, undefined];
+
+    if (VALUE_FLAGS[flag]) {
+      const value = inlineValue ?? argv[++i];
+      if (value === undefined) {
+        throw new Error(`${flag} needs a value`);
+      }
+      options[VALUE_FLAGS[flag]] = value;
+    } else if (BOOLEAN_FLAGS[flag]) {
+      options[BOOLEAN_FLAGS[flag]] = true;
+    } else if (flag.startsWith('-')) {
+      throw new Error(`Unknown option: ${flag}`);
+    } else if (options.file) {
+      throw new Error(`Unexpected argument: ${arg}`);
+    } else {
+      options.file = arg;
+    }
+  }
+
+  options.iterations = parseNumber(options.iterations, '--iterations');
+  if (options.seed !== undefined) options.seed = parseNumber(options.seed, '--seed');
+  if (options.targetYears !== undefined) options.targetYears = parseNumber(options.targetYears, '--target-years');
+  if (options.claimingAges !== undefined) {
+    options.claimingAges = options.claimingAges.split(',').map(age => parseNumber(age.trim(), '--claiming-ages'));
+  }
+  if (options.phases !== undefined) {
+    options.phases = options.phases.split(',').map(month => parseNumber(month.trim(), '--phases'));
+  }
+
+  const analyses = Object.keys(ANALYSIS_FLAGS).filter(option => options[option]);
+  if (analyses.length > 1) {
+    throw new Error(`Pick one of ${analyses.map(option => ANALYSIS_FLAGS[option]).join(' and ')}`);
+  }
+
+  if (options.startDate !== undefined && !/^\d{4}-(0[1-9]|1[0-2])$/.test(options.startDate)) {
+    throw new Error(`--start-date must be YYYY-MM, got ${options.startDate}`);
+  }
+  if (!OUTPUT_FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format: ${options.format} (expected ${OUTPUT_FORMATS.join(' or ')})`);
+  }
+  if (options.objective !== undefined && !WITHDRAWAL_ORDER_OBJECTIVES.includes(options.objective)) {
+    throw new Error(`Unknown objective: ${options.objective} (expected ${WITHDRAWAL_ORDER_OBJECTIVES.join(' or ')})`);
+  }
+  if (!RETURN_MODELS[options.returnModel]) {
+    throw new Error(`Unknown return model: ${options.returnModel}`);
+  }
+  if (!INFLATION_MODELS.includes(options.inflationModel)) {
+    throw new Error(`Unknown inflation model: ${options.inflationModel}`);
+  }
+  if (!LONGEVITY_MODELS.includes(options.longevityModel)) {
+    throw new Error(`Unknown longevity model: ${options.longevityModel}`);
+  }
+
+  return options;
+}
+
+function parseNumber(value, flag) {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number) || number < 0) {
+    throw new Error(`${flag} must be a non-negative number, got ${value}`);
+  }
+  return number;
+}
+
+// A scenario has a plan or assets; anything else in a scenario file is a map of them
+// (bundled files also carry a $schema string)
+function isScenario(value) {
+  return Boolean(value && typeof value === 'object' && (value.plan || value.assets));
+}
+
+function getTitle(scenario, key) {
+  return scenario.title || scenario.metadata?.title || scenario.name || key;
+}
+
+function getScenarioEntries(collection) {
+  return Object.entries(collection).filter(([, value]) => isScenario(value));
+}
+
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * List the scenarios bundled in data/scenarios
+ * @param {string} rootDir - Repository root
+ * @returns {Array<Object>} { key, title, file } for each scenario, file by file
+ */
+export function listScenarios(rootDir) {
+  const dir = join(rootDir, SCENARIO_DIR);
+  return readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .flatMap(file => getScenarioEntries(readJson(join(dir, file)))
+      .map(([key, scenario]) => ({ key, title: getTitle(scenario, key), file })));
+}
+
+/**
+ * Load the scenario named by the options
+ * @param {Object} options - Parsed options (file and/or scenario)
+ * @param {string} rootDir - Repository root, for bundled scenario keys
+ * @returns {Object} { key, scenario }
+ */
+export function loadScenario(options, rootDir) {
+  if (options.file) {
+    const data = readJson(options.file);
+    if (isScenario(data)) {
+      return { key: options.scenario || data.name || options.file, scenario: data };
+    }
+
+    const entries = getScenarioEntries(data);
+    if (options.scenario) {
+      const match = entries.find(([key]) => key === options.scenario);
+      if (!match) {
+        throw new Error(`Scenario ${options.scenario} not found in ${options.file}`);
+      }
+      return { key: match[0], scenario: match[1] };
+    }
+    if (entries.length === 1) {
+      return { key: entries[0][0], scenario: entries[0][1] };
+    }
+    throw new Error(`${options.file} holds ${entries.length} scenarios; pick one with --scenario (${entries.map(([key]) => key).join(', ')})`);
+  }
+
+  if (!options.scenario) {
+    throw new Error('No scenario given: pass a scenario file or --scenario <key> (see --list)');
+  }
+
+  const dir = join(rootDir, SCENARIO_DIR);
+  for (const file of readdirSync(dir).filter(name => name.endsWith('.json')).sort()) {
+    const match = getScenarioEntries(readJson(join(dir, file))).find(([key]) => key === options.scenario);
+    if (match) {
+      return { key: match[0], scenario: match[1] };
+    }
+  }
+  throw new Error(`Unknown scenario: ${options.scenario} (see --list)`);
+}
+
+/**
+ * Run the engine once
+ * @param {Object} scenario - Scenario data
+ * @param {Object} options - Parsed options (format)
+ * @param {string} key - Scenario key for the summary
+ * @returns {string} The engine CSV, or a JSON summary
+ */
+export function runScenario(scenario, options, key) {
+  const simulation = simulateScenarioAdvanced(scenario);
+  if (options.format === 'csv') {
+    return simulation.csvText;
+  }
+  return JSON.stringify(summarizeRun(simulation, scenario, key), null, 2);
+}
+
+/**
+ * Summarize an engine run for diffing: final balances and totals over the run
+ * @param {Object} simulation - simulateScenarioAdvanced() result
+ * @param {Object} scenario - Scenario data
+ * @param {string} key - Scenario key
+ */
+export function summarizeRun(simulation, scenario, key) {
+  const { results, balanceHistory, actualDuration } = simulation;
+  const finalBalances = Object.fromEntries(Object.entries(balanceHistory)
+    .map(([name, history]) => [name, round(history[history.length - 1] || 0)]));
+  const sum = (pick) => round(results.reduce((total, month) => total + (pick(month) || 0), 0));
+  const shortfalls = results.filter(month => month.shortfall > 0.01);
+
+  return {
+    scenario: key,
+    title: getTitle(scenario, key),
+    months: actualDuration,
+    finalBalances,
+    totalFinalBalance: round(Object.values(finalBalances).reduce((total, balance) => total + balance, 0)),
+    totalIncome: sum(month => month.income),
+    totalExpenses: sum(month => month.expenses),
+    totalWithdrawals: sum(month => month.withdrawals.reduce((total, w) => total + (w.grossAmount || 0), 0)),
+    totalTaxes: sum(month => month.taxPaid),
+    shortfallMonths: shortfalls.length,
+    totalShortfall: sum(month => month.shortfall),
+    firstShortfallMonth: shortfalls.length > 0 ? shortfalls[0].month + 1 : null,
+    ...(Object.keys(simulation.costBasis).length > 0 && { costBasis: mapValues(simulation.costBasis, round) }),
+    ...(simulation.taxYears && { taxYears: simulation.taxYears })
+  };
+}
+
+/**
+ * Run a Monte Carlo analysis through MonteCarloService. Node has no Web Workers, so
+ * the service runs the iterations in this thread.
+ * @param {Object} scenario - Scenario data
+ * @param {Object} options - Parsed options (iterations, seed, returnModel, inflationModel,
+ *   longevityModel, targetYears, format)
+ * @param {string} key - Scenario key for the summary
+ * @param {Function} warn - Receives a message when every path came out the same
+ * @returns {Promise<string>} Percentile table as CSV, or a JSON summary
+ */
+export async function runMonteCarlo(scenario, options, key, warn = () => {}) {
+  const eventBus = new EventBus();
+  const service = new MonteCarloService(eventBus);
+  const targetMonths = options.targetYears !== undefined
+    ? Math.round(options.targetYears * 12)
+    : scenario.plan?.duration_months;
+
+  const finished = new Promise((resolve, reject) => {
+    eventBus.once('montecarlo:completed', resolve);
+    eventBus.once('montecarlo:error', ({ error }) => reject(new Error(error)));
+  });
+
+  eventBus.emit('montecarlo:run', {
+    scenarioData: scenario,
+    config: {
+      iterations: options.iterations,
+      confidenceIntervals: PERCENTILES,
+      randomSeed: options.seed,
+      maxIterations: Math.max(service.defaultConfig.maxIterations, options.iterations),
+      targetSurvivalMonths: targetMonths,
+      returnModel: options.returnModel,
+      inflationModel: options.inflationModel,
+      longevityModel: options.longevityModel
+    },
+    variableRanges: {},
+    context: { analysisType: 'retirement_scenario', requestedBy: 'cli' }
+  });
+
+  const { analysis, results } = await finished;
+
+  // Only market_dependent assets draw returns, so a plan without them (and without random
+  // inflation or lifespans) repeats one run and every percentile is the same number
+  const [first] = results;
+  if (results.length > 1 && results.every(result =>
+    result.finalBalance === first.finalBalance && result.survivalTime === first.survivalTime)) {
+    warn(`Every Monte Carlo path of ${key} came out the same: it has no market_dependent assets and the models add no randomness, so the percentiles describe a single run. Mark assets market_dependent, or use --inflation-model ar1 or --longevity-model life-table.`);
+  }
+
+  const summary = summarizeAnalysis(analysis, {
+    key,
+    returnModel: options.returnModel,
+    inflationModel: options.inflationModel,
+    longevityModel: options.longevityModel
+  });
+  return options.format === 'csv' ? formatPercentileTable(summary) : JSON.stringify(summary, null, 2);
+}
+
+/**
+ * Compare Social Security claiming ages through ClaimingAgeService
+ * @param {Object} scenario - Scenario data with a social_security income entry
+ * @param {Object} options - Parsed options (claimingAges, claimingIncome, format)
+ * @param {string} key - Scenario key for the summary
+ * @returns {Promise<string>} One row per claiming age as CSV, or a JSON summary
+ */
+export async function runClaimingComparison(scenario, options, key) {
+  const eventBus = new EventBus();
+  new ClaimingAgeService(eventBus);
+
+  const finished = new Promise((resolve, reject) => {
+    eventBus.once('claiming:completed', resolve);
+    eventBus.once('claiming:error', ({ error }) => reject(new Error(error)));
+  });
+
+  eventBus.emit('claiming:compare', {
+    scenarioData: scenario,
+    config: { ages: options.claimingAges, incomeName: options.claimingIncome }
+  });
+
+  const comparison = await finished;
+  const summary = {
+    scenario: key,
+    incomeName: comparison.incomeName,
+    baselineAge: comparison.baselineAge,
+    comparisons: comparison.comparisons.map(row => mapValues(row, round))
+  };
+  return options.format === 'csv' ? formatClaimingTable(summary) : JSON.stringify(summary, null, 2);
+}
+
+/**
+ * One row per claiming age; break-even columns are blank for the baseline and for ages
+ * that never catch up with it
+ * @param {Object} summary - runClaimingComparison() summary
+ */
+export function formatClaimingTable(summary) {
+  const rows = [
+    CLAIMING_COLUMNS,
+    ...summary.comparisons.map(row => CLAIMING_COLUMNS.map(column => row[column] ?? ''))
+  ];
+  return rows.map(row => row.join(',')).join('\n');
+}
+
+/**
+ * Search withdrawal orders through WithdrawalOrderService
+ * @param {Object} scenario - Scenario data
+ * @param {Object} options - Parsed options (objective, phases, format)
+ * @param {string} key - Scenario key for the summary
+ * @returns {Promise<string>} The current and recommended order[] and their metrics as CSV,
+ *   or a JSON summary whose recommended.order can replace the scenario's order as is
+ */
+export async function runWithdrawalOptimization(scenario, options, key) {
+  const eventBus = new EventBus();
+  new WithdrawalOrderService(eventBus);
+
+  const finished = new Promise((resolve, reject) => {
+    eventBus.once('withdrawal-order:completed', resolve);
+    eventBus.once('withdrawal-order:error', ({ error }) => reject(new Error(error)));
+  });
+
+  eventBus.emit('withdrawal-order:optimize', {
+    scenarioData: scenario,
+    config: { objective: options.objective, phases: options.phases }
+  });
+
+  const optimization = await finished;
+  const describe = ({ order, ...metrics }) => ({ order, ...mapValues(metrics, round) });
+  const summary = {
+    scenario: key,
+    objective: optimization.objective,
+    evaluations: optimization.evaluations,
+    changed: optimization.best !== optimization.current,
+    current: describe(optimization.current),
+    recommended: describe(optimization.best),
+    comparison: optimization.comparison.map(row => ({
+      metric: row.metric,
+      current: round(row.current),
+      recommended: round(row.best),
+      change: round(row.change)
+    }))
+  };
+  return options.format === 'csv' ? formatWithdrawalTables(summary) : JSON.stringify(summary, null, 2);
+}
+
+/**
+ * Two tables separated by a blank line: each plan's order[] entries, then one row per
+ * metric with the current value, the recommended value and the change
+ * @param {Object} summary - runWithdrawalOptimization() summary
+ */
+export function formatWithdrawalTables(summary) {
+  const orderRows = (plan, entries) => entries.map(entry => [plan, ...ORDER_COLUMNS.map(column => entry[column] ?? '')]);
+  const rows = [
+    ['plan', ...ORDER_COLUMNS],
+    ...orderRows('current', summary.current.order),
+    ...orderRows('recommended', summary.recommended.order),
+    [],
+    ['metric', 'current', 'recommended', 'change'],
+    ...summary.comparison.map(row => [row.metric, row.current, row.recommended, row.change])
+  ];
+  return rows.map(row => row.join(',')).join('\n');
+}
+
+/**
+ * Pull the success rate and percentile tables out of a Monte Carlo analysis
+ * @param {Object} analysis - MonteCarloService analysis
+ * @param {Object} run - { key, returnModel, inflationModel, longevityModel }
+ */
+export function summarizeAnalysis(analysis, { key, returnModel, inflationModel, longevityModel }) {
+  const describe = (stats, metric) => {
+    // Paths that never ran out have no depletion month, which would read as a mean of 0
+    if (metric === 'timeToDepletion' && (stats.max === null || stats.max === undefined)) {
+      return NEVER_DEPLETED;
+    }
+    const places = RATE_METRICS.includes(metric) ? 4 : 2;
+    return {
+      mean: round(stats.mean, places),
+      min: round(stats.min, places),
+      ...Object.fromEntries(PERCENTILES.map(p => [`p${p}`, round(stats.percentiles?.[p] ?? stats[`p${p}`] ?? stats.median, places)])),
+      max: round(stats.max, places)
+    };
+  };
+
+  const summary = {
+    scenario: key,
+    iterations: analysis.metadata.iterations,
+    seed: analysis.metadata.randomSeed,
+    startDate: analysis.metadata.startDate,
+    returnModel,
+    inflationModel,
+    longevityModel,
+    targetMonths: analysis.successRateData.targetMonths,
+    successRate: round(analysis.successRate, 4),
+    percentiles: {
+      survivalMonths: describe(analysis.survivalStatistics),
+      ...Object.fromEntries(Object.entries(analysis.statistics).map(([metric, stats]) => [metric, describe(stats, metric)]))
+    }
+  };
+
+  // Life-table runs succeed by outlasting the household, drawn per path
+  if (analysis.longevity) {
+    summary.longevity = Object.fromEntries(Object.entries(analysis.longevity)
+      .map(([metric, value]) => [metric, round(value, RATE_METRICS.includes(metric) ? 4 : 2)]));
+  }
+
+  return summary;
+}
+
+/**
+ * One row per metric; the success rate (and, for life-table runs, the probability of
+ * outliving assets) is the mean of the per-path flags
+ * @param {Object} summary - summarizeAnalysis() result
+ */
+export function formatPercentileTable(summary) {
+  const columns = ['mean', 'min', ...PERCENTILES.map(p => `p${p}`), 'max'];
+  const rows = [
+    ['metric', ...columns],
+    ['successRate', summary.successRate, ...columns.slice(1).map(() => '')],
+    ...(summary.longevity
+      ? [['probabilityOfOutlivingAssets', summary.longevity.probabilityOfOutlivingAssets, ...columns.slice(1).map(() => '')]]
+      : []),
+    ...Object.entries(summary.percentiles).map(([metric, stats]) => stats === NEVER_DEPLETED
+      ? [metric, stats, ...columns.slice(1).map(() => '')]
+      : [metric, ...columns.map(column => stats[column])])
+  ];
+  return rows.map(row => row.join(',')).join('\n');
+}
+
+function round(value, places = 2) {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} io - { rootDir, stdout, stderr }; defaults to the working directory and
+ *   the process streams
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv, io = {}) {
+  const rootDir = io.rootDir || process.cwd();
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+
+  // The engine logs every month it simulates; keep it off stdout so output can be piped
+  const originalLog = console.log;
+
+  try {
+    const options = parseArgs(argv);
+    if (options.help) {
+      stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+    if (options.list) {
+      stdout.write(listScenarios(rootDir).map(({ key, title, file }) => `${key}\t${title}\t${file}`).join('\n') + '\n');
+      return 0;
+    }
+
+    const { key, scenario: loaded } = loadScenario(options, rootDir);
+    const scenario = options.startDate && !loaded.plan?.start_date
+      ? { ...loaded, plan: { ...loaded.plan, start_date: options.startDate } }
+      : loaded;
+    console.log = options.verbose
+      ? (...args) => stderr.write(`${args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg)).join(' ')}\n`)
+      : () => {};
+
+    let output;
+    if (options.monteCarlo) {
+      output = await runMonteCarlo(scenario, options, key, message => stderr.write(`⚠️ ${message}\n`));
+    } else if (options.compareClaiming) {
+      output = await runClaimingComparison(scenario, options, key);
+    } else if (options.optimizeWithdrawals) {
+      output = await runWithdrawalOptimization(scenario, options, key);
+    } else {
+      output = runScenario(scenario, options, key);
+    }
+
+    if (options.output) {
+      writeFileSync(options.output, `${output}\n`);
+      stderr.write(`✅ Wrote ${options.output}\n`);
+    } else {
+      stdout.write(`${output}\n`);
+    }
+    return 0;
+  } catch (error) {
+    stderr.write(`❌ ${error.message}\n`);
+    return 1;
+  } finally {
+    console.log = originalLog;
+  }
+}
@@ -59,7 +59,9 @@ export class MonteCarloChart {
     console.log('📊 Scenario data:', scenarioData ? 'present' : 'missing');
     
     // Display trajectory overlay in the dedicated Monte Carlo chart container
-    this.displayTrajectoryOverlay(results, scenarioData, 'monte-carlo-chart-area');
+    this.displayTrajectoryOverlay(results, scenarioData, 'monte-carlo-chart-area', {
+      labels: data.trajectoryLabels
+    });
   }
 
   /**
@@ -326,8 +328,9 @@ export class MonteCarloChart {
 
   /**
    * Display trajectory overlay in dedicated container
+   * @param {Object} options - { labels } optional hover label per result (e.g. backtest start years)
    */
-  displayTrajectoryOverlay(results, scenarioData, containerId) {
+  displayTrajectoryOverlay(results, scenarioData, containerId, options = {}) {
     const container = document.getElementById(containerId);
     if (!container) {
       console.warn('⚠️ Monte Carlo trajectory container not found:', containerId);
@@ -383,7 +386,7 @@ export class MonteCarloChart {
       console.log(`📊 Drawing ${trajectories.length} individual trajectories`);
 
       // Convert to Plotly instead of Canvas
-      this.createPlotlyChart(trajectories, chartArea);
+      this.createPlotlyChart(trajectories, chartArea, options);
 
     } catch (error) {
       console.error('⚡ Error rendering trajectory overlay:', error);
@@ -394,7 +397,7 @@ export class MonteCarloChart {
   /**
    * Create interactive Plotly chart for Monte Carlo trajectories
    */
-  createPlotlyChart(trajectories, container) {
+  createPlotlyChart(trajectories, container, options = {}) {
     console.log('📊 Creating Plotly chart with', trajectories.length, 'trajectories');
     
     const traces = [];
@@ -431,7 +434,7 @@ export class MonteCarloChart {
           smoothing: 1.3
         },
         showlegend: false,
-        hovertemplate: `Scenario ${index + 1}<br>Year: %{x:.1f}<br>Balance: $%{y:.0f}K<extra></extra>`
+        hovertemplate: `${options.labels?.[index] || `Scenario ${index + 1}`}<br>Year: %{x:.1f}<br>Balance: $%{y:.0f}K<extra></extra>`
       });
     });
 
@@ -692,7 +695,8 @@ export class MonteCarloChart {
     
     const trajectories = [];
 
-    results.forEach((monteCarloResult, index) => {
+    // Only the sampled paths keep their monthly balances
+    results.filter(monteCarloResult => monteCarloResult.result).forEach((monteCarloResult, index) => {
       console.log(`🔍 Processing result ${index}:`, {
         hasResult: !!monteCarloResult.result,
         resultKeys: monteCarloResult.result ? Object.keys(monteCarloResult.result) : 'none',
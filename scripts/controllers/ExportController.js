@@ -499,6 +499,7 @@ export class ExportController {
 
     // Extract return sequences from results
     const returnData = [];
+    let periodLabel = 'Year';
     
     results.results.forEach((resultItem, index) => {
       if (index < 3) {
@@ -516,6 +517,14 @@ export class ExportController {
       if (returnSequence) {
         console.log(`📊 Found return sequence for iteration ${index}:`, Object.keys(returnSequence));
         
+        // Per-month variable-range paths are exported one row per month. They hold annual
+        // rates, of which the engine credits a twelfth each month, so export that month's return.
+        const period = resultItem.returnSequencePeriod || resultItem.result?.returnSequencePeriod;
+        const periodsPerYear = period === 'monthly' ? 12 : 1;
+        if (period === 'monthly') {
+          periodLabel = 'Month';
+        }
+        
         const assetTypes = Object.keys(returnSequence);
         
         // Get the length of return sequences (should be consistent across assets)
@@ -532,7 +541,7 @@ export class ExportController {
           assetTypes.forEach(assetType => {
             const returns = returnSequence[assetType];
             if (returns && returns[year] !== undefined) {
-              yearData.assets[assetType] = returns[year];
+              yearData.assets[assetType] = returns[year] / periodsPerYear;
             }
           });
           
@@ -553,7 +562,7 @@ export class ExportController {
     });
     
     const assetColumns = Array.from(allAssets).sort();
-    const headers = ['Scenario', 'Year', ...assetColumns];
+    const headers = ['Scenario', periodLabel, ...assetColumns];
     const rows = [headers.join(',')];
 
     // Generate CSV rows
@@ -152,6 +152,65 @@ export class MonteCarloController {
       console.log('🎲 MonteCarloController: Export requested', data);
       this.exportResults(data.format || 'csv');
     });
+
+    // Historical cohort backtest shares the Monte Carlo panel and chart
+    this.eventBus.on('ui:backtest-start-requested', (config) => {
+      this.startBacktest(config);
+    });
+
+    this.eventBus.on('backtest:started', (data) => {
+      this.isAnalysisRunning = true;
+      this.currentAnalysis = {
+        status: 'running',
+        startTime: Date.now(),
+        config: data.config,
+        scenarioData: data.scenarioData
+      };
+      this.updateUI();
+      this.eventBus.emit('montecarlo:analysis-started');
+    });
+
+    this.eventBus.on('backtest:progress', (data) => {
+      this.analysisProgress = data;
+      this.updateUI();
+    });
+
+    this.eventBus.on('backtest:completed', (data) => {
+      this.isAnalysisRunning = false;
+      this.currentAnalysis = {
+        status: 'completed',
+        type: 'backtest',
+        startTime: this.currentAnalysis?.startTime || Date.now(),
+        endTime: Date.now(),
+        results: data.results,
+        analysis: data.analysis,
+        config: data.config,
+        scenarioData: data.scenarioData,
+        duration: data.duration
+      };
+      this.updateUI();
+      this.displayBacktestResults();
+    });
+
+    this.eventBus.on('backtest:error', (data) => {
+      this.isAnalysisRunning = false;
+      this.currentAnalysis = {
+        status: 'error',
+        error: data.error,
+        endTime: Date.now()
+      };
+      this.updateUI();
+      this.displayError(data.error);
+    });
+
+    this.eventBus.on('backtest:cancelled', () => {
+      this.isAnalysisRunning = false;
+      this.currentAnalysis = {
+        status: 'cancelled',
+        endTime: Date.now()
+      };
+      this.updateUI();
+    });
   }
 
   /**
@@ -183,7 +242,11 @@ export class MonteCarloController {
     const defaultVariableRanges = this.getDefaultVariableRanges();
     
     // Merge with user-provided ranges
-    const variableRanges = { ...defaultVariableRanges, ...(config.variableRanges || {}) };
+    const resampleFrequency = config.resampleFrequency || 'once';
+    const variableRanges = this.leaveMarketAssetsToReturnModel(
+      { ...defaultVariableRanges, ...(config.variableRanges || {}) },
+      resampleFrequency
+    );
 
     console.log('🎲 MonteCarloController: Starting Monte Carlo analysis');
     
@@ -201,11 +264,17 @@ export class MonteCarloController {
       config: {
         iterations: config.iterations || 1000,
         confidenceIntervals: config.confidenceIntervals || [10, 25, 50, 75, 90],
-        randomSeed: config.randomSeed || null,
-        parallelBatches: config.parallelBatches || 4,
+        randomSeed: config.randomSeed ?? null,
+        startDate: config.startDate ?? null,
         progressUpdateInterval: config.progressUpdateInterval || 50,
         targetSurvivalMonths: config.targetSurvivalMonths,
-        returnModel: config.returnModel || 'simple-random'
+        returnModel: config.returnModel || 'simple-random',
+        returnModelConfig: config.returnModelConfig || {},
+        inflationModel: config.inflationModel || 'return-model',
+        inflationModelConfig: config.inflationModelConfig || {},
+        longevityModel: config.longevityModel || 'fixed',
+        resampleFrequency,
+        autocorrelation: config.autocorrelation || 0
       },
       variableRanges,
       context: {
@@ -216,6 +285,35 @@ export class MonteCarloController {
     });
   }
 
+  /**
+   * Start a historical cohort backtest of the current scenario
+   * @param {Object} config - { targetSurvivalMonths }
+   */
+  startBacktest(config = {}) {
+    if (!this.currentScenarioData) {
+      this.tryGetCurrentScenario();
+    }
+
+    if (!this.currentScenarioData) {
+      this.displayError('Please select a scenario first before running a historical backtest.');
+      return;
+    }
+
+    if (this.isAnalysisRunning) {
+      this.displayError('An analysis is already running. Please wait for it to complete or cancel it first.');
+      return;
+    }
+
+    console.log('📜 MonteCarloController: Starting historical backtest for scenario:', this.currentScenarioData.name);
+
+    this.eventBus.emit('backtest:run', {
+      scenarioData: this.currentScenarioData,
+      config: {
+        targetSurvivalMonths: config.targetSurvivalMonths
+      }
+    });
+  }
+
   /**
    * Cancel running analysis
    */
@@ -223,6 +321,7 @@ export class MonteCarloController {
     if (this.isAnalysisRunning) {
       console.log('🛑 MonteCarloController: Cancelling analysis');
       this.eventBus.emit('montecarlo:cancel');
+      this.eventBus.emit('backtest:cancel');
     }
   }
 
@@ -266,6 +365,31 @@ export class MonteCarloController {
   }
 
 
+  /**
+   * Drop the default ranges on market_dependent assets' schedules when they are drawn once
+   * per path. A range takes precedence over the return model for the assets that follow its
+   * schedule, and one draw per path would replace the model's year-by-year returns; resampled
+   * per period, the ranges are the point of the run and stay.
+   * @param {Object} variableRanges - Default and form ranges keyed by scenario path
+   * @param {string} resampleFrequency - 'once', 'annual' or 'monthly'
+   * @returns {Object} Ranges to run with
+   */
+  leaveMarketAssetsToReturnModel(variableRanges, resampleFrequency) {
+    if (resampleFrequency !== 'once') {
+      return variableRanges;
+    }
+
+    const marketSchedules = (this.currentScenarioData?.assets || [])
+      .filter(asset => asset.market_dependent === true && asset.return_schedule)
+      .map(asset => `rate_schedules.${asset.return_schedule}.rate`);
+
+    return Object.fromEntries(Object.entries(variableRanges).filter(([path]) => {
+      if (!marketSchedules.includes(path)) return true;
+      console.log(`🎲 MonteCarloController: Leaving ${path} to the return model`);
+      return false;
+    }));
+  }
+
   /**
    * Get appropriate volatility for an asset based on its type
    */
@@ -364,6 +488,11 @@ export class MonteCarloController {
       runButton.textContent = this.isAnalysisRunning ? '🎲 Running Analysis...' : '🎲 Run Monte Carlo Analysis';
     }
     
+    const backtestButton = document.getElementById('run-backtest-btn');
+    if (backtestButton) {
+      backtestButton.disabled = this.isAnalysisRunning || !this.currentScenarioData;
+    }
+    
     if (cancelButton) {
       cancelButton.disabled = !this.isAnalysisRunning;
       cancelButton.style.display = this.isAnalysisRunning ? 'inline-block' : 'none';
@@ -458,6 +587,59 @@ export class MonteCarloController {
     }, 100);
   }
 
+  /**
+   * Display historical backtest results: cohort summary plus one trajectory per start year
+   */
+  displayBacktestResults() {
+    if (!this.currentAnalysis || this.currentAnalysis.type !== 'backtest') {
+      return;
+    }
+
+    const { analysis, results, scenarioData } = this.currentAnalysis;
+    const container = document.getElementById('monte-carlo-summary');
+
+    if (container && analysis) {
+      const worst = analysis.worstCohort;
+      const worstText = worst.survivalMonths < analysis.targetSurvivalMonths
+        ? `ran out after ${(worst.survivalMonths / 12).toFixed(1)} years`
+        : `ended with $${Math.round(worst.finalBalance).toLocaleString()}`;
+
+      container.innerHTML = `
+      <div class="analysis-summary-card">
+        <span class="metric-value">${(analysis.successRate * 100).toFixed(1)}%</span>
+        <span class="metric-label">Historical Success Rate</span>
+      </div>
+      <div class="analysis-summary-card">
+        <span class="metric-value">${analysis.failedCohorts.length} of ${analysis.totalCohorts}</span>
+        <span class="metric-label">Cohorts Failed</span>
+      </div>
+      <div class="analysis-summary-card">
+        <span class="metric-value">${analysis.worstStartYear}</span>
+        <span class="metric-label">Worst Start Year (${worstText})</span>
+      </div>
+      <div class="analysis-summary-card">
+        <span class="metric-value">${analysis.firstStartYear}-${analysis.lastStartYear}</span>
+        <span class="metric-label">Start Years Tested</span>
+      </div>`;
+    }
+
+    const insightsList = document.getElementById('monte-carlo-insights-list');
+    if (insightsList && analysis) {
+      insightsList.innerHTML = analysis.failedCohorts.length > 0
+        ? analysis.failedCohorts.map(cohort =>
+            `<li>📉 Retiring in ${cohort.startYear}: money ran out after ${(cohort.survivalMonths / 12).toFixed(1)} years</li>`
+          ).join('')
+        : `<li>✅ Every start year from ${analysis.firstStartYear} to ${analysis.lastStartYear} lasted the full target period</li>`;
+    }
+
+    this.eventBus.emit('montecarlo:display-monte-carlo-charts', {
+      analysis,
+      results,
+      scenarioData,
+      trajectoryLabels: results.map(cohort => `Start ${cohort.startYear}`)
+    });
+  }
+
   /**
    * Display summary statistics in compact format
    */
@@ -471,11 +653,12 @@ export class MonteCarloController {
     const successRateData = analysis.successRateData || { rate: analysis.successRate, targetYears: '20.0' };
     const successRate = (successRateData.rate * 100).toFixed(1);
     const medianYears = (survivalStats.median / 12).toFixed(1);
+    const successLabel = analysis.longevity ? 'Money Outlasts the Household' : `${successRateData.targetYears}-Year Success Rate`;
     
     container.innerHTML = `
       <div class="analysis-summary-card">
         <span class="metric-value">${successRate}%</span>
-        <span class="metric-label">${successRateData.targetYears}-Year Success Rate</span>
+        <span class="metric-label">${successLabel}</span>
       </div>
       <div class="analysis-summary-card">
         <span class="metric-value">${medianYears} years</span>
@@ -488,6 +671,56 @@ export class MonteCarloController {
       <div class="analysis-summary-card">
         <span class="metric-value">${analysis.metadata.iterations.toLocaleString()}</span>
         <span class="metric-label">Simulations Run</span>
+      </div>
+      ${this.buildLongevityCards(analysis)}
+      ${this.buildBalancePercentileTable(analysis)}`;
+  }
+
+  /**
+   * Longevity risk cards for analyses with drawn household lifespans
+   * @returns {string} Card markup, or '' without lifespans
+   */
+  buildLongevityCards(analysis) {
+    const longevity = analysis.longevity;
+    if (!longevity) return '';
+    
+    return `
+      <div class="analysis-summary-card">
+        <span class="metric-value">${(longevity.probabilityOfOutlivingAssets * 100).toFixed(1)}%</span>
+        <span class="metric-label">Probability of Outliving Assets</span>
+      </div>
+      <div class="analysis-summary-card">
+        <span class="metric-value">${longevity.expectedShortfallYears.toFixed(1)} years</span>
+        <span class="metric-label">Expected Years of Shortfall</span>
+      </div>`;
+  }
+
+  /**
+   * Final balance percentiles side by side in nominal and today's (plan-start) dollars
+   * @returns {string} Table markup, or '' for analyses without real figures
+   */
+  buildBalancePercentileTable(analysis) {
+    const nominal = analysis.statistics?.finalBalance;
+    const real = analysis.statistics?.realFinalBalance;
+    if (!nominal || !real) return '';
+    
+    const formatDollars = (value) => `$${Math.round(value || 0).toLocaleString()}`;
+    const rows = Object.keys(nominal.percentiles).map(p => `
+          <tr>
+            <td>${p}th</td>
+            <td>${formatDollars(nominal.percentiles[p])}</td>
+            <td>${formatDollars(real.percentiles[p])}</td>
+          </tr>`).join('');
+    
+    return `
+      <div class="analysis-percentile-table">
+        <table>
+          <thead>
+            <tr><th>Final Balance Percentile</th><th>Nominal</th><th>Today's Dollars</th></tr>
+          </thead>
+          <tbody>${rows}
+          </tbody>
+        </table>
       </div>`;
   }
 
@@ -809,7 +1042,8 @@ export class MonteCarloController {
     if (analysis.metadata) {
       const metadata = analysis.metadata;
       rows.push(['Target Survival Time', `${(metadata.targetSurvivalMonths / 12).toFixed(1)} years (${metadata.targetSurvivalMonths} months)`, 'Required survival time for success']);
-      rows.push(['Random Seed', metadata.randomSeed || 'Not specified', 'Seed used for reproducible results']);
+      rows.push(['Random Seed', metadata.randomSeed ?? 'Not specified', 'Seed used for reproducible results']);
+      rows.push(['Start Date', metadata.startDate ?? 'Not specified', 'Plan start month the run was pinned to']);
       rows.push(['Analysis Date', metadata.timestamp ? new Date(metadata.timestamp).toISOString() : 'Unknown', 'When the analysis was performed']);
     }
     
@@ -823,6 +1057,12 @@ export class MonteCarloController {
       if (config.returnModel) {
         rows.push(['Return Model', config.returnModel, 'Return generation model used']);
       }
+      if (config.inflationModel) {
+        rows.push(['Inflation Model', config.inflationModel, 'How inflation varied across paths']);
+      }
+      if (config.longevityModel) {
+        rows.push(['Longevity Model', config.longevityModel, 'How long each path had to last']);
+      }
     }
     
     // Add variable ranges configuration
@@ -864,14 +1104,25 @@ export class MonteCarloController {
       rows.push(['90th Percentile (Years)', (survival.p90 / 12).toFixed(1), '90% of portfolios lasted this long or less']);
     }
     
-    // Add portfolio value percentiles if available
-    if (analysis.portfolioValuePercentiles) {
-      const portfolios = analysis.portfolioValuePercentiles;
-      rows.push(['Portfolio Value P10', `$${portfolios.p10?.toLocaleString() || 'N/A'}`, '10th percentile final portfolio value']);
-      rows.push(['Portfolio Value P25', `$${portfolios.p25?.toLocaleString() || 'N/A'}`, '25th percentile final portfolio value']);
-      rows.push(['Portfolio Value P50', `$${portfolios.p50?.toLocaleString() || 'N/A'}`, 'Median final portfolio value']);
-      rows.push(['Portfolio Value P75', `$${portfolios.p75?.toLocaleString() || 'N/A'}`, '75th percentile final portfolio value']);
-      rows.push(['Portfolio Value P90', `$${portfolios.p90?.toLocaleString() || 'N/A'}`, '90th percentile final portfolio value']);
+    // Add longevity risk when lifespans were drawn
+    if (analysis.longevity) {
+      const longevity = analysis.longevity;
+      rows.push(['Probability of Outliving Assets', `${(longevity.probabilityOfOutlivingAssets * 100).toFixed(1)}%`, 'Share of paths where the money ran out while someone in the household was alive']);
+      rows.push(['Expected Years of Shortfall', longevity.expectedShortfallYears.toFixed(1), 'Years alive without money, averaged over all paths']);
+      rows.push(['Shortfall Years When Outlived', longevity.expectedShortfallYearsWhenOutlived.toFixed(1), 'Years alive without money, averaged over paths that ran out']);
+      rows.push(['Median Household Lifespan (Years)', longevity.medianLifespanYears.toFixed(1), 'Years until the last of the household died on the median path']);
+    }
+    
+    // Add final balance percentiles, nominal and in plan-start dollars
+    const nominalBalances = analysis.statistics?.finalBalance;
+    const realBalances = analysis.statistics?.realFinalBalance;
+    if (nominalBalances?.percentiles) {
+      Object.entries(nominalBalances.percentiles).forEach(([p, value]) => {
+        rows.push([`Final Balance P${p}`, Math.round(value), `${p}th percentile final portfolio value (nominal)`]);
+        if (realBalances?.percentiles) {
+          rows.push([`Final Balance P${p} (Real)`, Math.round(realBalances.percentiles[p]), `${p}th percentile final portfolio value in today's dollars`]);
+        }
+      });
     }
     
     // Add insights if available
@@ -907,12 +1158,17 @@ export class MonteCarloController {
       if (firstScenario && firstScenario.returnSequence) {
         const assetTypes = Object.keys(firstScenario.returnSequence);
         
+        // Return model and annual resampled paths hold one annual return per year; monthly
+        // resampled paths hold annual rates, of which the engine credits a twelfth each month
+        const monthly = firstScenario.returnSequencePeriod === 'monthly';
+        const periodsPerYear = monthly ? 12 : 1;
+        
         for (const assetType of assetTypes) {
           rows.push(['', '', '']); // Empty row separator
-          rows.push([`${assetType.toUpperCase()} Returns`, '', '']);
+          rows.push([`${assetType.toUpperCase()} ${monthly ? 'Monthly' : 'Annual'} Returns`, '', '']);
           
           // Create header row with scenario labels
-          const headerRow = ['Month'];
+          const headerRow = [monthly ? 'Month' : 'Year'];
           const scenarioLabels = Object.keys(analysis.keyScenarios);
           headerRow.push(...scenarioLabels.map(label => label.toUpperCase()));
           rows.push(headerRow);
@@ -924,15 +1180,15 @@ export class MonteCarloController {
             )
           );
           
-          // Add return data for each month
-          for (let month = 0; month < maxLength; month++) {
-            const row = [month + 1]; // Month number (1-based)
+          // Add return data for each period
+          for (let period = 0; period < maxLength; period++) {
+            const row = [period + 1]; // Year or month number (1-based)
             
             for (const label of scenarioLabels) {
               const scenario = analysis.keyScenarios[label];
               const returns = scenario.returnSequence[assetType];
-              const returnValue = returns && returns[month] !== undefined 
-                ? (returns[month] * 100).toFixed(2) + '%' 
+              const returnValue = returns && returns[period] !== undefined 
+                ? (returns[period] / periodsPerYear * 100).toFixed(2) + '%' 
                 : 'N/A';
               row.push(returnValue);
             }
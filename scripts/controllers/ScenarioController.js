@@ -2,6 +2,8 @@
  * Scenario Controller - Manages scenario operations and simulation orchestration
  * Handles scenario selection, validation, simulation execution, and results processing
  */
+import { resolveInflationAdjustment } from '../utils.js';
+
 export class ScenarioController {
   constructor(contentService, simulationService, validationService, eventBus) {
     this.contentService = contentService;
@@ -274,6 +276,24 @@ export class ScenarioController {
     if (scenario.plan?.monthly_expenses) {
       synopsis.plan.push(`Monthly expenses: $${scenario.plan.monthly_expenses.toLocaleString()}`);
     }
+    if (scenario.plan?.spending_strategy?.type) {
+      synopsis.plan.push(`Spending strategy: ${scenario.plan.spending_strategy.type}`);
+    }
+    if (scenario.plan?.rebalancing?.targets) {
+      const { frequency = 'annual', tolerance, targets } = scenario.plan.rebalancing;
+      const weights = targets
+        .map(target => `${(target.assets || [target.asset]).join(' + ')} ${(target.weight * 100).toFixed(0)}%`)
+        .join(', ');
+      const band = tolerance ? ` (±${(tolerance * 100).toFixed(0)}% band)` : '';
+      synopsis.plan.push(`Rebalancing ${frequency}${band}: ${weights}`);
+    }
+    if (scenario.plan?.bucket_strategy?.buckets) {
+      const { refill = 'annual', buckets } = scenario.plan.bucket_strategy;
+      const runways = buckets
+        .map(bucket => (bucket.runway_months ? `${bucket.name || bucket.asset} ${bucket.runway_months} months` : bucket.name || bucket.asset))
+        .join(', ');
+      synopsis.plan.push(`Buckets (${refill.replace('_', ' ')} refills): ${runways}`);
+    }
 
     // Assets Overview
     if (scenario.assets && scenario.assets.length > 0) {
@@ -285,7 +305,13 @@ export class ScenarioController {
         details.push(`$${(asset.balance || 0).toLocaleString()}`);
         if (asset.type) details.push(asset.type);
         if (asset.return_schedule) details.push(`${asset.return_schedule} returns`);
+        if (asset.glidepath) details.push(typeof asset.glidepath === 'string' ? `${asset.glidepath} glidepath` : 'glidepath');
+        if (typeof asset.cost_basis === 'number') details.push(`basis: $${asset.cost_basis.toLocaleString()}`);
+        if (Array.isArray(asset.cost_basis)) details.push(`${asset.cost_basis.length} tax lots`);
+        if (asset.basis_method === 'fifo') details.push('FIFO');
         if (asset.min_balance) details.push(`min: $${asset.min_balance.toLocaleString()}`);
+        if (asset.fee_rate_annual) details.push(`${(asset.fee_rate_annual * 100).toFixed(2)}% annual fee`);
+        if (asset.fee_monthly) details.push(`$${asset.fee_monthly.toLocaleString()}/month fee`);
         synopsis.assets.push(`${asset.name}: ${details.join(', ')}`);
       });
     }
@@ -294,10 +320,17 @@ export class ScenarioController {
     if (scenario.income && scenario.income.length > 0) {
       scenario.income.forEach(income => {
         const details = [];
-        details.push(`$${(income.amount || 0).toLocaleString()}/month`);
+        if (income.type === 'social_security') {
+          details.push(`PIA $${(income.pia || 0).toLocaleString()}/month`, `claiming at ${income.claiming_age}`);
+        } else {
+          details.push(`$${(income.amount || 0).toLocaleString()}/month`);
+        }
         if (income.start_month) details.push(`starts month ${income.start_month}`);
         if (income.stop_month) details.push(`ends month ${income.stop_month}`);
-        if (income.inflation_schedule) details.push(`${income.inflation_schedule} inflation`);
+        const adjustment = resolveInflationAdjustment(income);
+        if (adjustment.type === 'plan') details.push('inflation-indexed');
+        if (adjustment.type === 'cola') details.push(`${(adjustment.rate * 100).toFixed(1)}% COLA`);
+        if (adjustment.type === 'schedule') details.push(`${adjustment.schedule} inflation`);
         synopsis.income.push(`${income.name}: ${details.join(', ')}`);
       });
     }
@@ -319,7 +352,12 @@ export class ScenarioController {
     if (scenario.order && scenario.order.length > 0) {
       synopsis.order = scenario.order
         .sort((a, b) => a.order - b.order)
-        .map(item => `${item.order}. ${item.account}`);
+        .map(item => {
+          const phase = item.start_month || item.stop_month
+            ? ` (months ${item.start_month || 1}-${item.stop_month || 'end'})`
+            : '';
+          return `${item.order}. ${item.account}${phase}`;
+        });
     }
     
     return synopsis;
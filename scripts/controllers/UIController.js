@@ -3,6 +3,9 @@
  * No legacy dependencies - implements UI functionality directly
  */
 
+import { resolveInflationAdjustment, resolveScenarioDates } from '../utils.js';
+import { expandIncomeSources } from '../social-security.js';
+
 export class UIController {
   constructor(eventBus) {
     this.eventBus = eventBus;
@@ -451,6 +454,11 @@ export class UIController {
       monteCarloBtn.textContent = '🎲 Run Monte Carlo Analysis';
     }
     
+    const backtestBtn = document.getElementById('run-backtest-btn');
+    if (backtestBtn) {
+      backtestBtn.disabled = false;
+    }
+    
     // Update step 3 status message
     const step3Status = document.getElementById('monte-carlo-analysis-status');
     if (step3Status) {
@@ -864,7 +872,10 @@ export class UIController {
         details.push(`$${(asset.balance || 0).toLocaleString()}`);
         if (asset.type) details.push(asset.type);
         if (asset.return_schedule) details.push(`${asset.return_schedule} returns`);
+        if (asset.glidepath) details.push(typeof asset.glidepath === 'string' ? `${asset.glidepath} glidepath` : 'glidepath');
         if (asset.min_balance) details.push(`min: $${asset.min_balance.toLocaleString()}`);
+        if (asset.fee_rate_annual) details.push(`${(asset.fee_rate_annual * 100).toFixed(2)}% annual fee`);
+        if (asset.fee_monthly) details.push(`$${asset.fee_monthly.toLocaleString()}/month fee`);
         synopsis.assets.push(`${asset.name}: ${details.join(', ')}`);
       });
     }
@@ -873,10 +884,17 @@ export class UIController {
     if (scenario.income && scenario.income.length > 0) {
       scenario.income.forEach(income => {
         const details = [];
-        details.push(`$${(income.amount || 0).toLocaleString()}/month`);
+        if (income.type === 'social_security') {
+          details.push(`PIA $${(income.pia || 0).toLocaleString()}/month`, `claiming at ${income.claiming_age}`);
+        } else {
+          details.push(`$${(income.amount || 0).toLocaleString()}/month`);
+        }
         if (income.start_month) details.push(`starts month ${income.start_month}`);
         if (income.stop_month) details.push(`ends month ${income.stop_month}`);
-        if (income.inflation_schedule) details.push(`${income.inflation_schedule} inflation`);
+        const adjustment = resolveInflationAdjustment(income);
+        if (adjustment.type === 'plan') details.push('inflation-indexed');
+        if (adjustment.type === 'cola') details.push(`${(adjustment.rate * 100).toFixed(1)}% COLA`);
+        if (adjustment.type === 'schedule') details.push(`${adjustment.schedule} inflation`);
         synopsis.income.push(`${income.name}: ${details.join(', ')}`);
       });
     }
@@ -1368,9 +1386,12 @@ export class UIController {
     console.log('🔍 Chart data - Results length:', results.length, 'months');
     console.log('🔍 Chart data - Final result:', results[results.length - 1]);
 
-    // Create MM-YY formatted dates starting from current date
+    // Create MM-YY formatted dates from plan.start_date (each month's date), else the current date
     const startDate = new Date();
-    const months = results.map((_, index) => {
+    const months = results.map((result, index) => {
+      if (result.date) {
+        return `${result.date.slice(5, 7)}-${result.date.slice(2, 4)}`;
+      }
       const date = new Date(startDate);
       date.setMonth(date.getMonth() + index);
       const month = String(date.getMonth() + 1).padStart(2, '0');
@@ -1381,7 +1402,9 @@ export class UIController {
     const traces = [];
     
     // Extract scenario data for income events
-    const incomeEvents = scenario?.income || [];
+    const incomeEvents = scenario?.income
+      ? expandIncomeSources(resolveScenarioDates(scenario).income, scenario.plan)
+      : [];
     console.log('🔍 Scenario passed to chart:', !!scenario);
     console.log('🔍 Income events from scenario:', incomeEvents);
     
@@ -1758,9 +1781,10 @@ export class UIController {
         if (monthTotals.gross > 0) {
           totalGrossWithdrawals += monthTotals.gross;
           totalNetWithdrawals += monthTotals.net;
-          totalTaxesPaid += monthTotals.tax;
           monthsWithWithdrawals++;
         }
+        // Annual tax accounting pays the bill in a settlement month rather than per withdrawal
+        totalTaxesPaid += typeof result.taxPaid === 'number' ? result.taxPaid : monthTotals.tax;
       }
     });
 
@@ -1833,6 +1857,9 @@ export class UIController {
       if (result.withdrawals && Array.isArray(result.withdrawals) && result.withdrawals.length > 0) {
         const monthDate = new Date();
         monthDate.setMonth(monthDate.getMonth() + monthIndex);
+        if (result.date) {
+          monthDate.setFullYear(Number(result.date.slice(0, 4)), Number(result.date.slice(5, 7)) - 1, 1);
+        }
         
         withdrawalHtml += `
           <div class="withdrawal-month">
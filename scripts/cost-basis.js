@@ -0,0 +1,151 @@
+/**
+ * Cost Basis - What was paid for a taxable asset, so that only gains are taxed
+ * Contributions add basis; a sale realizes the gain on the lots it sells, pro rata
+ * across the holding (average cost) or oldest lot first (FIFO). Lot values follow the
+ * asset's balance, so growth and fees change the gain without touching the basis.
+ */
+
+export const BASIS_METHODS = ['average', 'fifo'];
+
+export class CostBasis {
+  /**
+   * @param {Object} asset - Engine asset; its balance is read before each purchase or sale
+   * @param {number|Array<Object>} asset.cost_basis - Total basis of the opening balance, or
+   *   [{ value, basis }] lots oldest first
+   * @param {string} asset.basis_method - average or fifo (default: average)
+   */
+  constructor(asset) {
+    this.asset = asset;
+    this.method = asset.basis_method || 'average';
+    if (!BASIS_METHODS.includes(this.method)) {
+      throw new Error(`Unknown basis method: ${this.method}`);
+    }
+
+    const lots = Array.isArray(asset.cost_basis)
+      ? asset.cost_basis.map(lot => ({ value: lot.value, basis: lot.basis }))
+      : [{ value: Math.max(0, asset.balance || 0), basis: asset.cost_basis }];
+    this.lots = this.method === 'average'
+      ? [lots.reduce((pool, lot) => ({ value: pool.value + lot.value, basis: pool.basis + lot.basis }), { value: 0, basis: 0 })]
+      : lots;
+    this.markToMarket();
+  }
+
+  /**
+   * Scale lot values to the asset's balance: whatever moved it since the last purchase
+   * or sale was growth or fees
+   */
+  markToMarket() {
+    const balance = Math.max(0, this.asset.balance || 0);
+    const trackedValue = this.lots.reduce((sum, lot) => sum + lot.value, 0);
+    if (trackedValue > 0) {
+      this.lots.forEach(lot => { lot.value *= balance / trackedValue; });
+    } else if (balance > 0) {
+      this.lots = [{ value: balance, basis: balance }];
+    }
+  }
+
+  /**
+   * Total basis still held
+   */
+  getBasis() {
+    return this.lots.reduce((sum, lot) => sum + lot.basis, 0);
+  }
+
+  /**
+   * Gain a sale would realize, without selling. A lot below its basis realizes no gain
+   * (losses are not carried forward).
+   * @param {number} amount - Sale amount
+   */
+  previewGain(amount) {
+    this.markToMarket();
+    let gain = 0;
+    this.walkLots(amount, (lot, sold) => { gain += sold * getGainShare(lot); });
+    return gain;
+  }
+
+  /**
+   * Sale amount that nets `netAmount` after tax at `rate` on its realized gain
+   * @param {number} netAmount - Proceeds needed after tax
+   * @param {number} rate - Tax rate on gains
+   */
+  grossForNet(netAmount, rate) {
+    this.markToMarket();
+    let remainingNet = netAmount;
+    let gross = 0;
+
+    for (const lot of this.lots) {
+      if (remainingNet <= 0) break;
+      const netShare = 1 - getGainShare(lot) * rate;
+      if (remainingNet <= lot.value * netShare) {
+        return gross + remainingNet / netShare;
+      }
+      gross += lot.value;
+      remainingNet -= lot.value * netShare;
+    }
+
+    // Past the tracked lots the balance is spent; sell at face value
+    return gross + Math.max(0, remainingNet);
+  }
+
+  /**
+   * Sell from the lots, call before the asset's balance is reduced
+   * @param {number} amount - Sale amount
+   * @returns {number} Realized gain
+   */
+  recordSale(amount) {
+    this.markToMarket();
+    let gain = 0;
+    this.walkLots(amount, (lot, sold) => {
+      gain += sold * getGainShare(lot);
+      lot.basis -= lot.basis * sold / lot.value;
+      lot.value -= sold;
+    });
+    this.lots = this.lots.filter(lot => lot.value > 0.000001);
+    if (this.lots.length === 0) {
+      this.lots = [{ value: 0, basis: 0 }];
+    }
+    return gain;
+  }
+
+  /**
+   * Add a contribution at cost, call before the asset's balance is increased
+   * @param {number} amount - Amount contributed
+   */
+  recordPurchase(amount) {
+    if (!(amount > 0)) return;
+    this.markToMarket();
+    const lastLot = this.lots[this.lots.length - 1];
+    if (this.method === 'average' || lastLot.value <= 0) {
+      lastLot.value += amount;
+      lastLot.basis += amount;
+    } else {
+      this.lots.push({ value: amount, basis: amount });
+    }
+  }
+
+  // Visit lots in sale order with the amount sold from each: oldest first, or the one
+  // pooled lot for average cost
+  walkLots(amount, visit) {
+    let remaining = amount;
+    for (const lot of this.lots) {
+      if (remaining <= 0) break;
+      const sold = Math.min(remaining, lot.value);
+      if (sold > 0) {
+        visit(lot, sold);
+        remaining -= sold;
+      }
+    }
+  }
+}
+
+// Share of a lot's value that is gain
+function getGainShare(lot) {
+  return lot.value > 0 ? Math.max(0, 1 - lot.basis / lot.value) : 0;
+}
+
+/**
+ * Whether an asset tracks its cost basis: taxable assets that give cost_basis
+ */
+export function tracksCostBasis(asset) {
+  return (asset.type || 'taxable') === 'taxable' && asset.cost_basis !== undefined && asset.cost_basis !== null;
+}
@@ -0,0 +1,106 @@
+/**
+ * Glidepath - Equity share that changes with plan year or age
+ * A glidepath asset holds a stock/bond mix reset to the glidepath's equity share
+ * every plan year; its return is the mix's blend of the two asset-class returns.
+ */
+
+import { getAgeInPlanYear } from './utils.js';
+
+export const GLIDEPATH_INTERPOLATIONS = ['linear', 'step'];
+
+// Asset classes a glidepath blends, as named by ReturnModelService
+export const GLIDEPATH_ASSET_CLASSES = ['stock', 'bond'];
+
+export class Glidepath {
+  /**
+   * @param {Object} config - Glidepath definition
+   * @param {Array<Object>} config.points - [{ year | age, equity }], equity as a decimal share
+   * @param {string} config.interpolation - linear or step (default: linear)
+   * @param {number|string} config.equity_return - Annual stock return, or a rate schedule name
+   * @param {number|string} config.bond_return - Annual bond return, or a rate schedule name
+   * @param {Object} plan - Scenario plan (birth_year or start_age for points by age)
+   */
+  constructor(config = {}, plan = {}) {
+    const points = config.points || [];
+    if (points.length === 0) {
+      throw new Error('Glidepath needs at least one point');
+    }
+
+    this.by = points[0].age !== undefined ? 'age' : 'year';
+    this.points = points
+      .map(point => ({ at: point[this.by], equity: point.equity }))
+      .sort((a, b) => a.at - b.at);
+    if (this.points.some(point => !Number.isFinite(point.at))) {
+      throw new Error(`Glidepath points must all give a ${this.by}`);
+    }
+
+    this.interpolation = config.interpolation || 'linear';
+    if (!GLIDEPATH_INTERPOLATIONS.includes(this.interpolation)) {
+      throw new Error(`Unknown glidepath interpolation: ${this.interpolation}`);
+    }
+    if (this.by === 'age' && getAgeInPlanYear(plan, 0) === null) {
+      throw new Error('A glidepath by age needs plan.birth_year or plan.start_age');
+    }
+
+    this.plan = plan;
+    this.equityReturn = config.equity_return ?? 0.08;
+    this.bondReturn = config.bond_return ?? 0.04;
+  }
+
+  /**
+   * Equity share held during a month; it changes once per plan year
+   * @param {number} month - 0-based month
+   * @returns {number} Share between 0 and 1
+   */
+  getEquityShare(month) {
+    const at = this.by === 'age' ? getAgeInPlanYear(this.plan, month) : Math.floor(month / 12);
+    return this.getEquityShareAt(at);
+  }
+
+  /**
+   * Equity share at a plan year or age: flat before the first point and after the last
+   */
+  getEquityShareAt(at) {
+    const points = this.points;
+    if (at <= points[0].at) return points[0].equity;
+    if (at >= points[points.length - 1].at) return points[points.length - 1].equity;
+
+    const nextIndex = points.findIndex(point => point.at > at);
+    const previous = points[nextIndex - 1];
+    if (this.interpolation === 'step') return previous.equity;
+
+    const next = points[nextIndex];
+    return previous.equity + (next.equity - previous.equity) * (at - previous.at) / (next.at - previous.at);
+  }
+
+  /**
+   * Return of the year's mix from its stock and bond returns
+   */
+  blendReturns(month, equityReturn, bondReturn) {
+    const share = this.getEquityShare(month);
+    return share * equityReturn + (1 - share) * bondReturn;
+  }
+}
+
+/**
+ * Glidepath for an asset: a name in scenario.glidepaths or an inline definition
+ * @returns {Object|null} Glidepath config, or null if the asset has none
+ */
+export function resolveAssetGlidepath(asset, glidepaths = {}) {
+  if (!asset.glidepath) return null;
+  if (typeof asset.glidepath === 'object') return asset.glidepath;
+
+  const config = glidepaths[asset.glidepath];
+  if (!config) {
+    throw new Error(`Glidepath '${asset.glidepath}' not found for asset "${asset.name}"`);
+  }
+  return config;
+}
+
+/**
+ * Whether any asset in the scenario follows a glidepath, so Monte Carlo needs
+ * stock and bond returns as well as the asset types
+ */
+export function hasGlidepathAssets(scenario) {
+  return (scenario?.assets || []).some(asset => asset.glidepath);
+}
@@ -0,0 +1,120 @@
+/**
+ * Historical Returns - US annual asset returns and inflation, 1926-2023
+ * Shipped as a module rather than JSON so every browser that runs the app can load it,
+ * without JSON import attributes, and the return models stay synchronous.
+ */
+
+export const HISTORICAL_RETURNS = {
+  metadata: {
+    title: 'US annual asset returns and inflation, 1926-2023',
+    description: 'Calendar-year total returns for large-cap US stocks (S&P 500 with dividends), 10-year US Treasury bonds and 3-month Treasury bills, aligned with December-to-December CPI-U inflation. All values are decimals (0.05 = 5%).',
+    sources: [
+      'Stocks, bonds and bills 1928-2023: Aswath Damodaran, Historical Returns on Stocks, Bonds and Bills (NYU Stern)',
+      'Stocks, bonds and bills 1926-1927: Ibbotson SBBI (large-cap stocks, long-term government bonds, Treasury bills)',
+      'Inflation: US Bureau of Labor Statistics CPI-U, December to December'
+    ],
+    first_year: 1926,
+    last_year: 2023,
+    notes: 'Rounded to four decimal places. Intended for planning illustrations, not as an authoritative data source.'
+  },
+  years: [
+    { year: 1926, stocks: 0.1162, bonds: 0.0777, bills: 0.0327, inflation: -0.011 },
+    { year: 1927, stocks: 0.3749, bonds: 0.0893, bills: 0.0312, inflation: -0.023 },
+    { year: 1928, stocks: 0.4381, bonds: 0.0084, bills: 0.0308, inflation: -0.012 },
+    { year: 1929, stocks: -0.083, bonds: 0.042, bills: 0.0316, inflation: 0.006 },
+    { year: 1930, stocks: -0.2512, bonds: 0.0454, bills: 0.0455, inflation: -0.064 },
+    { year: 1931, stocks: -0.4384, bonds: -0.0256, bills: 0.0231, inflation: -0.093 },
+    { year: 1932, stocks: -0.0864, bonds: 0.0879, bills: 0.0107, inflation: -0.103 },
+    { year: 1933, stocks: 0.4998, bonds: 0.0186, bills: 0.0096, inflation: 0.008 },
+    { year: 1934, stocks: -0.0119, bonds: 0.0796, bills: 0.0028, inflation: 0.015 },
+    { year: 1935, stocks: 0.4674, bonds: 0.0447, bills: 0.0017, inflation: 0.03 },
+    { year: 1936, stocks: 0.3194, bonds: 0.0502, bills: 0.0017, inflation: 0.014 },
+    { year: 1937, stocks: -0.3534, bonds: 0.0138, bills: 0.0028, inflation: 0.029 },
+    { year: 1938, stocks: 0.2928, bonds: 0.0421, bills: 0.0007, inflation: -0.028 },
+    { year: 1939, stocks: -0.011, bonds: 0.0441, bills: 0.0005, inflation: 0.0 },
+    { year: 1940, stocks: -0.1067, bonds: 0.054, bills: 0.0004, inflation: 0.007 },
+    { year: 1941, stocks: -0.1277, bonds: -0.0202, bills: 0.0013, inflation: 0.099 },
+    { year: 1942, stocks: 0.1917, bonds: 0.0229, bills: 0.0034, inflation: 0.09 },
+    { year: 1943, stocks: 0.2506, bonds: 0.0249, bills: 0.0038, inflation: 0.03 },
+    { year: 1944, stocks: 0.1903, bonds: 0.0258, bills: 0.0038, inflation: 0.023 },
+    { year: 1945, stocks: 0.3582, bonds: 0.038, bills: 0.0038, inflation: 0.022 },
+    { year: 1946, stocks: -0.0843, bonds: 0.0313, bills: 0.0038, inflation: 0.181 },
+    { year: 1947, stocks: 0.052, bonds: 0.0092, bills: 0.0057, inflation: 0.088 },
+    { year: 1948, stocks: 0.057, bonds: 0.0195, bills: 0.0102, inflation: 0.03 },
+    { year: 1949, stocks: 0.183, bonds: 0.0466, bills: 0.011, inflation: -0.021 },
+    { year: 1950, stocks: 0.3081, bonds: 0.0043, bills: 0.0117, inflation: 0.059 },
+    { year: 1951, stocks: 0.2368, bonds: -0.003, bills: 0.0148, inflation: 0.06 },
+    { year: 1952, stocks: 0.1815, bonds: 0.0227, bills: 0.0167, inflation: 0.008 },
+    { year: 1953, stocks: -0.0121, bonds: 0.0414, bills: 0.0189, inflation: 0.007 },
+    { year: 1954, stocks: 0.5256, bonds: 0.0329, bills: 0.0096, inflation: -0.007 },
+    { year: 1955, stocks: 0.326, bonds: -0.0134, bills: 0.0166, inflation: 0.004 },
+    { year: 1956, stocks: 0.0744, bonds: -0.0226, bills: 0.0256, inflation: 0.03 },
+    { year: 1957, stocks: -0.1046, bonds: 0.068, bills: 0.0323, inflation: 0.029 },
+    { year: 1958, stocks: 0.4372, bonds: -0.021, bills: 0.0178, inflation: 0.018 },
+    { year: 1959, stocks: 0.1206, bonds: -0.0265, bills: 0.0326, inflation: 0.017 },
+    { year: 1960, stocks: 0.0034, bonds: 0.1164, bills: 0.0305, inflation: 0.014 },
+    { year: 1961, stocks: 0.2664, bonds: 0.0206, bills: 0.0227, inflation: 0.007 },
+    { year: 1962, stocks: -0.0881, bonds: 0.0569, bills: 0.0278, inflation: 0.013 },
+    { year: 1963, stocks: 0.2261, bonds: 0.0168, bills: 0.0311, inflation: 0.016 },
+    { year: 1964, stocks: 0.1642, bonds: 0.0373, bills: 0.0351, inflation: 0.01 },
+    { year: 1965, stocks: 0.124, bonds: 0.0072, bills: 0.039, inflation: 0.019 },
+    { year: 1966, stocks: -0.0997, bonds: 0.0291, bills: 0.0484, inflation: 0.035 },
+    { year: 1967, stocks: 0.238, bonds: -0.0158, bills: 0.0433, inflation: 0.03 },
+    { year: 1968, stocks: 0.1081, bonds: 0.0327, bills: 0.0526, inflation: 0.047 },
+    { year: 1969, stocks: -0.0824, bonds: -0.0501, bills: 0.0656, inflation: 0.062 },
+    { year: 1970, stocks: 0.0356, bonds: 0.1675, bills: 0.0669, inflation: 0.056 },
+    { year: 1971, stocks: 0.1422, bonds: 0.0979, bills: 0.0454, inflation: 0.033 },
+    { year: 1972, stocks: 0.1876, bonds: 0.0282, bills: 0.0395, inflation: 0.034 },
+    { year: 1973, stocks: -0.1431, bonds: 0.0366, bills: 0.0673, inflation: 0.087 },
+    { year: 1974, stocks: -0.259, bonds: 0.0199, bills: 0.0778, inflation: 0.123 },
+    { year: 1975, stocks: 0.37, bonds: 0.0361, bills: 0.0599, inflation: 0.069 },
+    { year: 1976, stocks: 0.2383, bonds: 0.1598, bills: 0.0497, inflation: 0.049 },
+    { year: 1977, stocks: -0.0698, bonds: 0.0129, bills: 0.0513, inflation: 0.067 },
+    { year: 1978, stocks: 0.0651, bonds: -0.0078, bills: 0.0693, inflation: 0.09 },
+    { year: 1979, stocks: 0.1852, bonds: 0.0067, bills: 0.0994, inflation: 0.133 },
+    { year: 1980, stocks: 0.3174, bonds: -0.0299, bills: 0.1122, inflation: 0.125 },
+    { year: 1981, stocks: -0.047, bonds: 0.082, bills: 0.143, inflation: 0.089 },
+    { year: 1982, stocks: 0.2042, bonds: 0.3281, bills: 0.1101, inflation: 0.038 },
+    { year: 1983, stocks: 0.2234, bonds: 0.032, bills: 0.0845, inflation: 0.038 },
+    { year: 1984, stocks: 0.0615, bonds: 0.1373, bills: 0.0961, inflation: 0.039 },
+    { year: 1985, stocks: 0.3124, bonds: 0.2571, bills: 0.0749, inflation: 0.038 },
+    { year: 1986, stocks: 0.1849, bonds: 0.2428, bills: 0.0604, inflation: 0.011 },
+    { year: 1987, stocks: 0.0581, bonds: -0.0496, bills: 0.0572, inflation: 0.044 },
+    { year: 1988, stocks: 0.1654, bonds: 0.0822, bills: 0.0645, inflation: 0.044 },
+    { year: 1989, stocks: 0.3148, bonds: 0.1769, bills: 0.0811, inflation: 0.046 },
+    { year: 1990, stocks: -0.0306, bonds: 0.0624, bills: 0.0755, inflation: 0.061 },
+    { year: 1991, stocks: 0.3023, bonds: 0.15, bills: 0.0561, inflation: 0.031 },
+    { year: 1992, stocks: 0.0749, bonds: 0.0936, bills: 0.0341, inflation: 0.029 },
+    { year: 1993, stocks: 0.0997, bonds: 0.1421, bills: 0.0298, inflation: 0.027 },
+    { year: 1994, stocks: 0.0133, bonds: -0.0804, bills: 0.0399, inflation: 0.027 },
+    { year: 1995, stocks: 0.372, bonds: 0.2348, bills: 0.0552, inflation: 0.025 },
+    { year: 1996, stocks: 0.2268, bonds: 0.0143, bills: 0.0502, inflation: 0.033 },
+    { year: 1997, stocks: 0.331, bonds: 0.0994, bills: 0.0505, inflation: 0.017 },
+    { year: 1998, stocks: 0.2834, bonds: 0.1492, bills: 0.0473, inflation: 0.016 },
+    { year: 1999, stocks: 0.2089, bonds: -0.0825, bills: 0.0451, inflation: 0.027 },
+    { year: 2000, stocks: -0.0903, bonds: 0.1666, bills: 0.0576, inflation: 0.034 },
+    { year: 2001, stocks: -0.1185, bonds: 0.0557, bills: 0.0367, inflation: 0.016 },
+    { year: 2002, stocks: -0.2197, bonds: 0.1512, bills: 0.0166, inflation: 0.024 },
+    { year: 2003, stocks: 0.2836, bonds: 0.0038, bills: 0.0103, inflation: 0.019 },
+    { year: 2004, stocks: 0.1074, bonds: 0.0449, bills: 0.0123, inflation: 0.033 },
+    { year: 2005, stocks: 0.0483, bonds: 0.0287, bills: 0.0301, inflation: 0.034 },
+    { year: 2006, stocks: 0.1561, bonds: 0.0196, bills: 0.0468, inflation: 0.025 },
+    { year: 2007, stocks: 0.0548, bonds: 0.1021, bills: 0.0464, inflation: 0.041 },
+    { year: 2008, stocks: -0.3655, bonds: 0.201, bills: 0.0159, inflation: 0.001 },
+    { year: 2009, stocks: 0.2594, bonds: -0.1112, bills: 0.0014, inflation: 0.027 },
+    { year: 2010, stocks: 0.1482, bonds: 0.0846, bills: 0.0013, inflation: 0.015 },
+    { year: 2011, stocks: 0.021, bonds: 0.1604, bills: 0.0003, inflation: 0.03 },
+    { year: 2012, stocks: 0.1589, bonds: 0.0297, bills: 0.0005, inflation: 0.017 },
+    { year: 2013, stocks: 0.3215, bonds: -0.091, bills: 0.0007, inflation: 0.015 },
+    { year: 2014, stocks: 0.1352, bonds: 0.1075, bills: 0.0005, inflation: 0.008 },
+    { year: 2015, stocks: 0.0138, bonds: 0.0128, bills: 0.0021, inflation: 0.007 },
+    { year: 2016, stocks: 0.1177, bonds: 0.0069, bills: 0.0051, inflation: 0.021 },
+    { year: 2017, stocks: 0.2161, bonds: 0.028, bills: 0.0139, inflation: 0.021 },
+    { year: 2018, stocks: -0.0423, bonds: -0.0002, bills: 0.0237, inflation: 0.019 },
+    { year: 2019, stocks: 0.3121, bonds: 0.0964, bills: 0.0155, inflation: 0.023 },
+    { year: 2020, stocks: 0.1802, bonds: 0.1133, bills: 0.0009, inflation: 0.014 },
+    { year: 2021, stocks: 0.2847, bonds: -0.0442, bills: 0.0006, inflation: 0.07 },
+    { year: 2022, stocks: -0.1804, bonds: -0.1783, bills: 0.0202, inflation: 0.065 },
+    { year: 2023, stocks: 0.2606, bonds: 0.0388, bills: 0.0507, inflation: 0.034 }
+  ]
+};
@@ -0,0 +1,60 @@
+/**
+ * Inflation Models - How inflation varies across Monte Carlo paths
+ * 'return-model' keeps the return model's inflation where it draws one (the historical
+ * models take each year's inflation with its returns) and the plan's inflation otherwise;
+ * 'plan' always uses plan.inflation_schedule or plan.inflation_rate; 'ar1' draws a
+ * mean-reverting path, so runs of high-inflation years show up as a failure mode.
+ */
+
+export const INFLATION_MODELS = ['return-model', 'plan', 'ar1'];
+
+// Fitted to the bundled 1926-2023 CPI series (scripts/historical-returns.js)
+export const AR1_DEFAULTS = {
+  mean: 0.03,
+  persistence: 0.6,
+  volatility: 0.03
+};
+
+/**
+ * Annual inflation path from a mean-reverting AR(1) process:
+ * rate = mean + persistence * (last rate - mean) + volatility * shock
+ * @param {Object} config - { mean, persistence, volatility, initial }; mean defaults to
+ *   plan.inflation_rate (else 3%), initial (the year before the plan) to the mean
+ * @param {Object} plan - Scenario plan
+ * @param {number} years - Years to draw
+ * @param {Function} rng - Random number generator returning [0, 1)
+ * @returns {Array<number>} Annual inflation rate for each plan year
+ */
+export function generateAR1InflationPath(config = {}, plan = {}, years, rng) {
+  const mean = config.mean ?? (typeof plan.inflation_rate === 'number' ? plan.inflation_rate : AR1_DEFAULTS.mean);
+  const persistence = config.persistence ?? AR1_DEFAULTS.persistence;
+  const volatility = config.volatility ?? AR1_DEFAULTS.volatility;
+  if (!(persistence >= 0 && persistence < 1)) {
+    throw new Error(`Inflation persistence must be at least 0 and below 1, got ${persistence}`);
+  }
+
+  const path = [];
+  let rate = config.initial ?? mean;
+  for (let year = 0; year < years; year++) {
+    // Box-Muller: 1 - rng() keeps the log argument above 0
+    const shock = Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+    rate = mean + persistence * (rate - mean) + volatility * shock;
+    path.push(rate);
+  }
+  return path;
+}
+
+/**
+ * Average annual inflation over a run, from its price levels. Measured over whole plan
+ * years, since a plain inflation_rate raises prices once a year.
+ * @param {Array<number>} priceLevels - Price level per month relative to the start, with
+ *   the level at the end of the run last
+ */
+export function getAverageInflation(priceLevels = []) {
+  const months = priceLevels.length - 1;
+  const span = months >= 12 ? months - (months % 12) : months;
+  if (span < 1 || !(priceLevels[span] > 0)) {
+    return 0;
+  }
+  return Math.pow(priceLevels[span], 12 / span) - 1;
+}
@@ -0,0 +1,129 @@
+/**
+ * Longevity - How long the household lives on each Monte Carlo path
+ * 'fixed' judges every path against targetSurvivalMonths; 'life-table' draws a lifespan
+ * for each person in plan.household from a bundled period life table, runs the plan until
+ * the last of them dies, and counts a path a success when the money lasted that long.
+ */
+
+export const LONGEVITY_MODELS = ['fixed', 'life-table'];
+
+export const SEXES = ['female', 'male'];
+
+// Nobody in the table lives past this age
+export const MAX_AGE = 120;
+
+// Probability of dying within the year, q(x), at five-year ages, rounded from the Social
+// Security Administration's 2019 period life table; ages between are interpolated
+const LIFE_TABLE_ANCHORS = {
+  female: {
+    0: 0.00492, 1: 0.00033, 5: 0.00010, 10: 0.00009, 15: 0.00023, 20: 0.00047, 25: 0.00066,
+    30: 0.00088, 35: 0.00118, 40: 0.00155, 45: 0.00218, 50: 0.00316, 55: 0.00464, 60: 0.00671,
+    65: 0.00986, 70: 0.01540, 75: 0.02478, 80: 0.04111, 85: 0.06996, 90: 0.12134, 95: 0.20180,
+    100: 0.30037, 105: 0.42, 110: 0.55, 115: 0.68, 119: 0.83
+  },
+  male: {
+    0: 0.00586, 1: 0.00040, 5: 0.00013, 10: 0.00011, 15: 0.00046, 20: 0.00131, 25: 0.00163,
+    30: 0.00180, 35: 0.00214, 40: 0.00257, 45: 0.00345, 50: 0.00512, 55: 0.00762, 60: 0.01113,
+    65: 0.01556, 70: 0.02278, 75: 0.03557, 80: 0.05707, 85: 0.09563, 90: 0.16140, 95: 0.25623,
+    100: 0.36119, 105: 0.47016, 110: 0.59, 115: 0.72, 119: 0.86
+  }
+};
+
+// Death probability for every age 0 to MAX_AGE - 1, interpolated log-linearly between anchors
+export const PERIOD_LIFE_TABLE = Object.fromEntries(Object.entries(LIFE_TABLE_ANCHORS).map(([sex, anchors]) => {
+  const ages = Object.keys(anchors).map(Number);
+  const rates = Array.from({ length: MAX_AGE }, (_, age) => {
+    const lower = Math.max(...ages.filter(anchor => anchor <= age));
+    const upper = Math.min(...ages.filter(anchor => anchor >= age));
+    if (lower === upper) return anchors[lower];
+    const weight = (age - lower) / (upper - lower);
+    return Math.exp(Math.log(anchors[lower]) * (1 - weight) + Math.log(anchors[upper]) * weight);
+  });
+  return [sex, rates];
+}));
+
+/**
+ * Probability of dying within the year at an age
+ * @param {number} age - Age in whole years
+ * @param {string} sex - 'female' or 'male'
+ * @returns {number} q(x), 1 from MAX_AGE on
+ */
+export function getDeathProbability(age, sex) {
+  const rates = PERIOD_LIFE_TABLE[sex];
+  if (!rates) {
+    throw new Error(`Unknown sex: ${sex} (expected one of: ${SEXES.join(', ')})`);
+  }
+  return age >= MAX_AGE ? 1 : rates[Math.max(0, Math.floor(age))];
+}
+
+/**
+ * Remaining life expectancy from the table, assuming deaths fall mid-year
+ * @param {number} age - Age in whole years
+ * @param {string} sex - 'female' or 'male'
+ * @returns {number} Expected further years of life
+ */
+export function getLifeExpectancy(age, sex) {
+  let alive = 1;
+  let years = 0;
+  for (let year = age; year < MAX_AGE; year++) {
+    const deaths = alive * getDeathProbability(year, sex);
+    years += alive - deaths / 2;
+    alive -= deaths;
+  }
+  return years;
+}
+
+/**
+ * Draw how many plan months a person lives through
+ * @param {Object} person - { birth_year, sex }
+ * @param {number} startYear - Calendar year the plan starts in
+ * @param {Function} rng - Random number generator returning [0, 1)
+ * @returns {number} Months alive from the plan start, counting the month of death (at least 1)
+ */
+export function drawLifespanMonths(person, startYear, rng) {
+  let months = 0;
+  for (let age = startYear - person.birth_year; age < MAX_AGE; age++) {
+    if (rng() < getDeathProbability(age, person.sex)) {
+      return months + Math.floor(rng() * 12) + 1;
+    }
+    months += 12;
+  }
+  return Math.max(1, months);
+}
+
+/**
+ * Draw a lifespan for each person in the household
+ * @param {Array<Object>} household - plan.household: one or two { birth_year, sex }
+ * @param {number} startYear - Calendar year the plan starts in
+ * @param {Function} rng - Random number generator returning [0, 1)
+ * @returns {Object} { months, people } - months until the last death, and each person's months
+ */
+export function drawHouseholdLifespan(household, startYear, rng) {
+  const people = household.map(person => drawLifespanMonths(person, startYear, rng));
+  return { months: Math.max(...people), people };
+}
+
+/**
+ * Check plan.household for the life-table model
+ * @param {*} household - plan.household
+ * @param {number} startYear - Calendar year the plan starts in
+ * @returns {Array<string>} Problems found, empty when usable
+ */
+export function getHouseholdErrors(household, startYear) {
+  if (!Array.isArray(household) || household.length < 1 || household.length > 2) {
+    return ['Household must list one or two people'];
+  }
+  return household.flatMap((person, index) => {
+    const prefix = `Household person ${index + 1}`;
+    const errors = [];
+    if (!Number.isInteger(person?.birth_year)) {
+      errors.push(`${prefix}: birth_year must be a whole year`);
+    } else if (startYear - person.birth_year < 0 || startYear - person.birth_year >= MAX_AGE) {
+      errors.push(`${prefix}: birth_year ${person.birth_year} gives an age outside 0-${MAX_AGE - 1} at the plan start`);
+    }
+    if (!SEXES.includes(person?.sex)) {
+      errors.push(`${prefix}: sex must be one of: ${SEXES.join(', ')}`);
+    }
+    return errors;
+  });
+}
@@ -9,6 +9,9 @@ import { SimulationService } from './services/SimulationService.js';
 import { ValidationService } from './services/ValidationService.js';
 import { MonteCarloService } from './services/MonteCarloService.js';
 import { ReturnModelService } from './services/ReturnModelService.js';
+import { HistoricalBacktestService } from './services/HistoricalBacktestService.js';
+import { ClaimingAgeService } from './services/ClaimingAgeService.js';
+import { WithdrawalOrderService } from './services/WithdrawalOrderService.js';
 import { StoryEngineService } from './services/StoryEngineService.js';
 import { ExamplesService } from './services/ExamplesService.js';
 import { ScenarioBuilderService } from './services/ScenarioBuilderService.js';
@@ -50,6 +53,9 @@ class RetirementScenarioApp {
     this.validationService = new ValidationService(this.eventBus);
     this.returnModelService = new ReturnModelService(this.eventBus);
     this.monteCarloService = new MonteCarloService(this.eventBus);
+    this.historicalBacktestService = new HistoricalBacktestService(this.eventBus);
+    this.claimingAgeService = new ClaimingAgeService(this.eventBus);
+    this.withdrawalOrderService = new WithdrawalOrderService(this.eventBus);
     this.storyEngineService = new StoryEngineService(this.eventBus);
     this.examplesService = new ExamplesService(this.eventBus);
     this.scenarioBuilderService = new ScenarioBuilderService(this.eventBus);
@@ -0,0 +1,457 @@
+/**
+ * Monte Carlo Runner - Runs Monte Carlo iterations straight through the time-aware engine
+ * Used by the Monte Carlo worker pool and by MonteCarloService's in-thread fallback.
+ * Each iteration draws its household lifespan, scenario variation, return sequence and rate
+ * schedule noise from its own seeded generator, simulates it, and keeps a summary rather than the full monthly log, so
+ * tens of thousands of paths fit in memory.
+ */
+
+import { simulateScenarioAdvanced } from './timeaware-engine.js';
+import { RETURN_MODELS } from './services/ReturnModelService.js';
+import { hasGlidepathAssets, GLIDEPATH_ASSET_CLASSES } from './glidepath.js';
+import { INFLATION_MODELS, generateAR1InflationPath, getAverageInflation } from './inflation-models.js';
+import { LONGEVITY_MODELS, drawHouseholdLifespan, getHouseholdErrors } from './longevity.js';
+import { getPlanStartYear } from './utils.js';
+
+/**
+ * Build a function that runs one Monte Carlo iteration by index
+ * @param {Object} job - Analysis inputs, as posted to a worker
+ * @param {Object} job.scenarioData - Base scenario
+ * @param {Object} job.variableRanges - Distributions keyed by scenario path
+ * @param {Object} job.config - Monte Carlo configuration (iterations, returnModel,
+ *   returnModelConfig, inflationModel, inflationModelConfig, longevityModel, resampleFrequency,
+ *   autocorrelation, targetSurvivalMonths, trajectorySamples)
+ * @param {number} job.baseSeed - Seed every iteration's generator is derived from
+ * @returns {Function} (iteration) => iteration summary
+ */
+export function createIterationRunner({ scenarioData, variableRanges = {}, config = {}, baseSeed = 0 }) {
+  const modelType = config.returnModel || 'simple-random';
+  const ReturnModel = RETURN_MODELS[modelType];
+  if (!ReturnModel) {
+    throw new Error(`Unknown return model: ${modelType}`);
+  }
+  const returnModel = new ReturnModel(config.returnModelConfig || {});
+  const inflationModel = config.inflationModel || 'return-model';
+  if (!INFLATION_MODELS.includes(inflationModel)) {
+    throw new Error(`Unknown inflation model: ${inflationModel}`);
+  }
+  const longevityModel = config.longevityModel || 'fixed';
+  if (!LONGEVITY_MODELS.includes(longevityModel)) {
+    throw new Error(`Unknown longevity model: ${longevityModel}`);
+  }
+  const startYear = getPlanStartYear(scenarioData.plan);
+  if (longevityModel === 'life-table') {
+    const [householdError] = getHouseholdErrors(scenarioData.plan?.household, startYear);
+    if (householdError) {
+      throw new Error(`The life-table longevity model needs plan.household: ${householdError}`);
+    }
+  }
+  const trajectoryStep = Math.max(1, Math.ceil((config.iterations || 1) / (config.trajectorySamples || 1)));
+  const rangedSchedules = Object.keys(variableRanges).map(getRateScheduleName).filter(Boolean);
+
+  return (iteration) => {
+    const rng = createRandomGenerator(getIterationSeed(baseSeed, iteration));
+
+    // With a drawn lifespan the plan runs until the last of the household dies
+    let baseScenario = scenarioData;
+    let lifespan = null;
+    if (longevityModel === 'life-table') {
+      const lifespanRng = createRandomGenerator(Math.floor(rng() * 4294967296));
+      lifespan = drawHouseholdLifespan(scenarioData.plan.household, startYear, lifespanRng);
+      baseScenario = { ...scenarioData, plan: { ...scenarioData.plan, duration_months: lifespan.months } };
+    }
+
+    const scenario = generateRandomScenario(baseScenario, variableRanges, rng, config);
+    const variablePaths = scenario._variablePaths;
+
+    // A range on a rate schedule drives the market_dependent assets that follow it (drawn
+    // once or resampled); the return model drives the rest and supplies inflation
+    const modelReturns = returnModel.generateReturns({
+      assetTypes: getReturnAssetTypes(scenario),
+      duration: Math.ceil((scenario.plan?.duration_months || 300) / 12),
+      seed: Math.floor(rng() * 4294967296),
+      config: {}
+    });
+    const engineOptions = buildEngineOptions(scenario, modelReturns, rangedSchedules);
+    // A resampled path records the drawn schedules rather than the model's returns
+    let returnSequence = variablePaths ? variablePaths.paths : modelReturns;
+    // Noisy rate schedules draw from the same stream, so a seed fixes the whole path
+    engineOptions.random = createRandomGenerator(Math.floor(rng() * 4294967296));
+
+    if (inflationModel === 'plan') {
+      delete engineOptions.inflationPath;
+      if (!variablePaths) {
+        const { inflation, ...returns } = returnSequence;
+        returnSequence = returns;
+      }
+    } else if (inflationModel === 'ar1') {
+      const years = Math.ceil((scenario.plan?.duration_months || 300) / 12);
+      const inflationRng = createRandomGenerator(Math.floor(rng() * 4294967296));
+      engineOptions.inflationPath = generateAR1InflationPath(config.inflationModelConfig, scenario.plan, years, inflationRng);
+      // Exported alongside the returns, as the historical models do
+      if (!variablePaths) {
+        returnSequence = { ...returnSequence, inflation: engineOptions.inflationPath };
+      }
+    }
+
+    const simulation = simulateScenarioAdvanced(scenario, engineOptions);
+    const summary = {
+      iteration,
+      ...summarizeSimulation(simulation, scenario, config, lifespan),
+      returnSequence
+    };
+    if (variablePaths) {
+      summary.returnSequencePeriod = variablePaths.period;
+    }
+
+    // A sample of paths keeps its monthly balances for the trajectory chart and exports
+    if (iteration % trajectoryStep === 0) {
+      summary.result = {
+        results: {
+          results: simulation.results,
+          balanceHistory: simulation.balanceHistory
+        }
+      };
+    }
+
+    return summary;
+  };
+}
+
+/**
+ * Reduce an engine run to the figures the Monte Carlo analysis uses
+ * @param {Object} simulation - simulateScenarioAdvanced() result
+ * @param {Object} scenario - Scenario that was simulated (for min_balance requirements)
+ * @param {Object} config - Monte Carlo configuration (targetSurvivalMonths)
+ * @param {Object|null} lifespan - Household lifespan drawn for the run ({ months, people }),
+ *   which replaces targetSurvivalMonths as the success target
+ * @returns {Object} { success, survivalTime, finalBalance, maxDrawdown, timeToDepletion,
+ *   shortfallMonths, totalWithdrawals, realFinalBalance, realTotalWithdrawals, averageInflation }
+ *   (real figures are in plan-start dollars, deflated by the run's price levels), plus
+ *   { lifespanMonths, shortfallYears, outlivedAssets } with a lifespan
+ */
+export function summarizeSimulation(simulation, scenario, config = {}, lifespan = null) {
+  const months = simulation.results || [];
+  const balanceHistory = simulation.balanceHistory || {};
+  const totals = getTotalBalances(balanceHistory, months.length);
+
+  const depletionMonth = totals.findIndex(total => total <= 0);
+  const finalBalances = Object.fromEntries(Object.entries(balanceHistory)
+    .map(([name, history]) => [name, Number(history[history.length - 1]) || 0]));
+
+  // Years someone in the household was alive after the money first ran short
+  const firstShortfall = months.findIndex(isShortfallMonth);
+  const fundedMonths = firstShortfall === -1 ? months.length : firstShortfall;
+  const shortfallYears = lifespan ? Math.max(0, lifespan.months - fundedMonths) / 12 : 0;
+
+  // Success: the plan ran to the target (or through the household's last month) without a
+  // shortfall stop and kept each min_balance
+  const targetMonths = lifespan ? lifespan.months : config.targetSurvivalMonths ?? 300;
+  const priceLevels = simulation.priceLevels || [];
+  const priceLevel = (month) => priceLevels[month] || 1;
+  const finalBalance = Object.values(finalBalances).reduce((sum, balance) => sum + balance, 0);
+  const monthlyWithdrawals = months.map(month =>
+    (month.withdrawals || []).reduce((total, withdrawal) => total + (withdrawal.grossAmount || 0), 0));
+  const success = months.length > 0 && months.length >= targetMonths && shortfallYears === 0 &&
+    (scenario.assets || []).every(asset => !(asset.min_balance > 0) ||
+      (finalBalances[asset.name] ?? 0) >= asset.min_balance);
+
+  const summary = {
+    success,
+    survivalTime: depletionMonth === -1 ? months.length : depletionMonth, // in months
+    finalBalance,
+    maxDrawdown: getMaxDrawdown(totals),
+    timeToDepletion: depletionMonth === -1 ? null : depletionMonth,
+    shortfallMonths: months.filter(isShortfallMonth).length,
+    totalWithdrawals: monthlyWithdrawals.reduce((sum, amount) => sum + amount, 0),
+    realFinalBalance: finalBalance / priceLevel(months.length),
+    realTotalWithdrawals: monthlyWithdrawals.reduce((sum, amount, month) => sum + amount / priceLevel(month), 0),
+    averageInflation: getAverageInflation(priceLevels)
+  };
+
+  if (lifespan) {
+    summary.lifespanMonths = lifespan.months;
+    summary.shortfallYears = shortfallYears;
+    summary.outlivedAssets = shortfallYears > 0;
+  }
+
+  return summary;
+}
+
+// The engine stops withdrawing once less than a cent is missing, so smaller shortfalls are
+// float residue rather than unfunded spending (same threshold as the historical backtest)
+function isShortfallMonth(month) {
+  return (month.shortfall || 0) > 0.01;
+}
+
+// Total balance across assets for each month of the run
+function getTotalBalances(balanceHistory, monthCount) {
+  const histories = Object.values(balanceHistory).filter(Array.isArray);
+  return Array.from({ length: monthCount }, (_, month) =>
+    histories.reduce((sum, history) => sum + (Number(history[month]) || 0), 0));
+}
+
+// Largest fall from a running peak, as a share of the peak
+function getMaxDrawdown(totals) {
+  let peak = totals[0] || 0;
+  let maxDrawdown = 0;
+
+  totals.forEach(total => {
+    peak = Math.max(peak, total);
+    const drawdown = peak > 0 ? (peak - total) / peak : 0;
+    maxDrawdown = Math.max(maxDrawdown, drawdown);
+  });
+
+  return maxDrawdown;
+}
+
+/**
+ * Asset types to request from a return model: each asset's type, plus the stock and
+ * bond classes when glidepath assets blend them
+ */
+export function getReturnAssetTypes(scenarioData) {
+  const assetTypes = scenarioData.assets ? scenarioData.assets.map(asset => asset.type || 'investment') : ['investment'];
+  if (hasGlidepathAssets(scenarioData)) {
+    assetTypes.push(...GLIDEPATH_ASSET_CLASSES.filter(assetClass => !assetTypes.includes(assetClass)));
+  }
+  return assetTypes;
+}
+
+/**
+ * Engine options that drive a run with a generated return sequence
+ * @param {Object} scenarioData - Scenario configuration
+ * @param {Object} returnSequence - Annual returns keyed by asset type (and `inflation`)
+ * @param {Array<string>} rangedSchedules - Rate schedules a variable range drives instead
+ * @returns {Object} { returnPaths, assetClassPaths?, inflationPath? }
+ */
+export function buildEngineOptions(scenarioData, returnSequence, rangedSchedules = []) {
+  const engineOptions = {
+    returnPaths: buildReturnPaths(scenarioData, returnSequence, rangedSchedules)
+  };
+
+  // Glidepath assets blend the stock and bond series by each year's equity share
+  if (hasGlidepathAssets(scenarioData)) {
+    engineOptions.assetClassPaths = {
+      stock: returnSequence.stock,
+      bond: returnSequence.bond
+    };
+  }
+
+  // Historical models draw inflation from the same years as the returns
+  if (Array.isArray(returnSequence.inflation)) {
+    engineOptions.inflationPath = returnSequence.inflation;
+  }
+
+  return engineOptions;
+}
+
+/**
+ * Map asset-type return sequences onto the scenario's market-dependent assets
+ * Same rule as MonteCarloController.getDefaultVariableRanges(): only assets flagged
+ * market_dependent vary; savings and other stable assets keep their scheduled rate.
+ * Glidepath assets are left out: they blend the stock and bond series instead, and so
+ * are assets whose return_schedule a Monte Carlo variable range varies.
+ * @param {Object} scenarioData - Scenario configuration
+ * @param {Object} returnSequence - Annual returns keyed by asset type
+ * @param {Array<string>} rangedSchedules - Rate schedules a variable range drives instead
+ * @returns {Object} Annual returns keyed by asset name
+ */
+export function buildReturnPaths(scenarioData, returnSequence, rangedSchedules = []) {
+  const returnPaths = {};
+
+  (scenarioData.assets || []).forEach(asset => {
+    const returns = returnSequence[asset.type || 'investment'];
+    if (asset.market_dependent === true && !asset.glidepath && Array.isArray(returns) &&
+      !rangedSchedules.includes(asset.return_schedule)) {
+      returnPaths[asset.name] = returns;
+    }
+  });
+
+  return returnPaths;
+}
+
+/**
+ * Generate a random scenario variation based on variable ranges
+ */
+export function generateRandomScenario(baseScenario, variableRanges, rng, config = {}) {
+  const randomScenario = JSON.parse(JSON.stringify(baseScenario)); // Deep clone
+  const paths = {};
+  let period = null;
+
+  // Apply random variations based on variable ranges
+  for (const [path, range] of Object.entries(variableRanges)) {
+    const frequency = range.resample || config.resampleFrequency || 'once';
+    const scheduleName = getRateScheduleName(path);
+
+    if (frequency !== 'once' && scheduleName) {
+      // Resample every period: replace the schedule with the drawn sequence
+      const durationMonths = randomScenario.plan?.duration_months || 300;
+      const periodsPerYear = frequency === 'monthly' ? 12 : 1;
+      const periods = frequency === 'monthly' ? durationMonths : Math.ceil(durationMonths / 12);
+      const autocorrelation = range.autocorrelation ?? config.autocorrelation ?? 0;
+      const values = generateRandomPath(range, rng, periods, periodsPerYear, autocorrelation);
+
+      randomScenario.rate_schedules = randomScenario.rate_schedules || {};
+      randomScenario.rate_schedules[scheduleName] = {
+        type: 'sequence',
+        period: frequency === 'monthly' ? 'month' : 'year',
+        values
+      };
+      paths[scheduleName] = values;
+      period = frequency;
+    } else {
+      const value = generateRandomValue(range, rng);
+      setNestedProperty(randomScenario, path, value);
+    }
+  }
+
+  if (period) {
+    randomScenario._variablePaths = { period, paths };
+  }
+
+  return randomScenario;
+}
+
+/**
+ * Get the rate schedule name from a 'rate_schedules.<name>.rate' variable path
+ * @returns {string|null} Schedule name, or null for any other path
+ */
+export function getRateScheduleName(path) {
+  const match = /^rate_schedules\.([^.]+)\.rate$/.exec(path);
+  return match ? match[1] : null;
+}
+
+/**
+ * Generate a per-period path of annual rates for a variable range
+ * Each period's deviation from the distribution mean is scaled by sqrt(periodsPerYear),
+ * so monthly draws compound to the same annual volatility as annual draws. With
+ * autocorrelation (AR(1) on the deviation), good and bad periods tend to cluster.
+ * @param {Object} range - Distribution specification
+ * @param {Function} rng - Random number generator
+ * @param {number} periods - Number of periods to draw
+ * @param {number} periodsPerYear - 1 for annual draws, 12 for monthly
+ * @param {number} autocorrelation - Correlation between consecutive periods (0 to <1)
+ * @returns {Array<number>} Annual rate for each period
+ */
+export function generateRandomPath(range, rng, periods, periodsPerYear = 1, autocorrelation = 0) {
+  const center = getDistributionMean(range);
+  const scale = Math.sqrt(periodsPerYear);
+  const innovationWeight = Math.sqrt(1 - autocorrelation * autocorrelation);
+  const values = [];
+  let deviation = null;
+
+  for (let period = 0; period < periods; period++) {
+    const shock = (generateRandomValue(range, rng) - center) * scale;
+    deviation = deviation === null ? shock : autocorrelation * deviation + innovationWeight * shock;
+    values.push(center + deviation);
+  }
+
+  return values;
+}
+
+/**
+ * Get the mean of a distribution specification
+ */
+export function getDistributionMean(range) {
+  switch (range.type) {
+    case 'normal':
+    case 'lognormal':
+      return range.mean;
+    case 'uniform':
+      return (range.min + range.max) / 2;
+    case 'triangular':
+      return (range.min + range.mode + range.max) / 3;
+    default:
+      throw new Error(`Unknown distribution type: ${range.type}`);
+  }
+}
+
+/**
+ * Generate a random value based on distribution specification
+ */
+export function generateRandomValue(range, rng) {
+  const { type, ...params } = range;
+
+  switch (type) {
+    case 'normal':
+      return normalRandom(params.mean, params.stdDev, rng);
+    case 'uniform':
+      return uniformRandom(params.min, params.max, rng);
+    case 'lognormal':
+      return lognormalRandom(params.mean, params.stdDev, rng);
+    case 'triangular':
+      return triangularRandom(params.min, params.mode, params.max, rng);
+    default:
+      throw new Error(`Unknown distribution type: ${type}`);
+  }
+}
+
+/**
+ * Create a seeded random number generator for reproducible results
+ */
+export function createRandomGenerator(seed) {
+  if (seed === null || seed === undefined) {
+    return Math.random;
+  }
+
+  // Simple seeded PRNG (Mulberry32)
+  let state = seed;
+  return function() {
+    let t = state += 0x6D2B79F5;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return ((t ^ t >>> 14) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Seed for one iteration's generator, so an iteration draws the same path whichever
+ * worker runs it
+ */
+export function getIterationSeed(baseSeed, iteration) {
+  const rng = createRandomGenerator((baseSeed ^ Math.imul(iteration + 1, 0x9E3779B1)) >>> 0);
+  return Math.floor(rng() * 4294967296);
+}
+
+// Normal random number using the Box-Muller transform
+function normalRandom(mean, stdDev, rng) {
+  const u1 = rng();
+  const u2 = rng();
+  const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  return mean + stdDev * z0;
+}
+
+function uniformRandom(min, max, rng) {
+  return min + (max - min) * rng();
+}
+
+function lognormalRandom(mean, stdDev, rng) {
+  const normal = normalRandom(Math.log(mean) - 0.5 * stdDev * stdDev, stdDev, rng);
+  return Math.exp(normal);
+}
+
+function triangularRandom(min, mode, max, rng) {
+  const u = rng();
+  const c = (mode - min) / (max - min);
+
+  if (u < c) {
+    return min + Math.sqrt(u * (max - min) * (mode - min));
+  } else {
+    return max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+  }
+}
+
+// Set a nested property using a dot notation path
+function setNestedProperty(obj, path, value) {
+  const keys = path.split('.');
+  let current = obj;
+
+  for (let i = 0; i < keys.length - 1; i++) {
+    if (!(keys[i] in current)) {
+      current[keys[i]] = {};
+    }
+    current = current[keys[i]];
+  }
+
+  current[keys[keys.length - 1]] = value;
+}
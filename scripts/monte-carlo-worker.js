@@ -0,0 +1,34 @@
+/**
+ * Monte Carlo Worker - Runs a range of Monte Carlo iterations off the main thread
+ * MonteCarloService posts { job, start, end }; the worker streams back
+ * { type: 'results', results } batches, then { type: 'done', results } for the rest
+ * of the range, or { type: 'error', error }.
+ */
+
+import { createIterationRunner } from './monte-carlo-runner.js';
+
+// The engine logs every month it simulates; across thousands of paths that would
+// swamp the console. Warnings and errors still come through.
+console.log = () => {};
+
+self.onmessage = ({ data }) => {
+  const { job, start, end } = data;
+  const batchSize = Math.max(1, job.config.progressUpdateInterval || 10);
+
+  try {
+    const runIteration = createIterationRunner(job);
+    let batch = [];
+
+    for (let iteration = start; iteration < end; iteration++) {
+      batch.push(runIteration(iteration));
+      if (batch.length >= batchSize && iteration < end - 1) {
+        self.postMessage({ type: 'results', results: batch });
+        batch = [];
+      }
+    }
+
+    self.postMessage({ type: 'done', results: batch });
+  } catch (error) {
+    self.postMessage({ type: 'error', error: error.message });
+  }
+};
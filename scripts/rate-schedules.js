@@ -4,13 +4,15 @@
  */
 
 export class RateScheduleManager {
-  constructor() {
+  // random: source for add_noise steps, e.g. a seeded generator for a Monte Carlo path
+  constructor(random = Math.random) {
     this.schedules = new Map();
+    this.random = random;
   }
 
   // Register a rate schedule
   addSchedule(name, schedule) {
-    this.schedules.set(name, new RateSchedule(schedule));
+    this.schedules.set(name, new RateSchedule(schedule, this.random));
   }
 
   // Get rate for specific month
@@ -31,8 +33,9 @@ export class RateScheduleManager {
 }
 
 export class RateSchedule {
-  constructor(config) {
+  constructor(config, random = Math.random) {
     this.config = config;
+    this.random = random;
     this.cache = new Map(); // Cache calculated rates for performance
   }
 
@@ -75,8 +78,10 @@ export class RateSchedule {
   }
 
   calculateSequenceRate(month) {
+    // Values are annual by default; period: 'month' gives one value per month
+    const periodMonths = this.config.period === 'month' ? 1 : 12;
     const startYear = this.config.start_year || 0;
-    const currentYear = Math.floor(month / 12);
+    const currentYear = Math.floor(month / periodMonths);
     const yearIndex = currentYear - startYear;
     
     if (yearIndex < 0 || yearIndex >= this.config.values.length) {
@@ -124,8 +129,8 @@ export class RateSchedule {
         return currentRate * params;
         
       case 'add_noise':
-        // Simple noise - in real version would use proper random generation
-        const noise = (Math.random() - 0.5) * 2 * params.std_dev;
+        // Uniform noise within ±std_dev, drawn once per month (rates are cached)
+        const noise = (this.random() - 0.5) * 2 * params.std_dev;
         return currentRate + noise;
         
       case 'add_trend':
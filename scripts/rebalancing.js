@@ -0,0 +1,166 @@
+/**
+ * Rebalancing - Scheduled target allocation for plan.rebalancing
+ * Moves money between assets so each target (one asset or a group of assets)
+ * returns to its weight when it has drifted outside its tolerance band.
+ */
+
+export const REBALANCING_FREQUENCIES = ['monthly', 'quarterly', 'annual'];
+
+// Sheltered accounts sell first when rebalancing is tax-aware
+const SHELTERED_TYPES = ['tax_free', 'tax_deferred'];
+
+export class Rebalancer {
+  /**
+   * @param {Object} config - plan.rebalancing
+   * @param {Array<Object>} config.targets - [{ asset | assets, weight, tolerance? }]
+   * @param {string} config.frequency - monthly, quarterly or annual (default: annual)
+   * @param {number} config.tolerance - Allowed drift in weight before trading (default: 0)
+   * @param {boolean} config.tax_aware - Sell sheltered assets first and sell taxable assets
+   *   only back to the edge of their band (default: true)
+   */
+  constructor(config = {}) {
+    this.frequency = config.frequency || 'annual';
+    if (!REBALANCING_FREQUENCIES.includes(this.frequency)) {
+      throw new Error(`Unknown rebalancing frequency: ${this.frequency}`);
+    }
+
+    this.tolerance = config.tolerance || 0;
+    this.taxAware = config.tax_aware !== false;
+    this.targets = (config.targets || []).map(target => ({
+      assets: target.assets || [target.asset],
+      weight: target.weight,
+      tolerance: target.tolerance ?? this.tolerance
+    }));
+  }
+
+  /**
+   * Rebalancing runs in the last month of each period of the plan year
+   * @param {number} month - 0-based month
+   */
+  isDue(month) {
+    if (this.frequency === 'quarterly') return month % 3 === 2;
+    if (this.frequency === 'annual') return month % 12 === 11;
+    return true;
+  }
+
+  /**
+   * Trades that bring drifted targets back to their weights. Targets without an
+   * active asset are left out and the remaining weights rescaled.
+   * @param {Object} assetMap - Active assets by name
+   * @returns {Array<Object>} [{ from, to, amount }], empty when every target is within its band
+   */
+  planTrades(assetMap) {
+    const groups = this.targets
+      .map(target => {
+        const members = target.assets.map(name => assetMap[name]).filter(Boolean);
+        const value = members.reduce((sum, asset) => sum + Math.max(0, asset.balance), 0);
+        return { ...target, members, value };
+      })
+      .filter(group => group.members.length > 0);
+
+    const total = groups.reduce((sum, group) => sum + group.value, 0);
+    const totalWeight = groups.reduce((sum, group) => sum + group.weight, 0);
+    if (total <= 0 || totalWeight <= 0) return [];
+
+    for (const group of groups) {
+      group.targetWeight = group.weight / totalWeight;
+      group.drift = group.value / total - group.targetWeight;
+    }
+    if (!groups.some(group => Math.abs(group.drift) > group.tolerance + 1e-9)) {
+      return [];
+    }
+
+    const sellers = [];
+    const buyers = [];
+    for (const group of groups) {
+      const change = group.targetWeight * total - group.value;
+      if (change < 0) {
+        sellers.push(...this.allocateSales(group, -change, total));
+      } else if (change > 0) {
+        buyers.push(...this.allocatePurchases(group, change));
+      }
+    }
+
+    // Purchases shrink to what the sales raise when taxable sales stop at the band edge
+    const sold = sellers.reduce((sum, seller) => sum + seller.amount, 0);
+    const wanted = buyers.reduce((sum, buyer) => sum + buyer.amount, 0);
+    if (wanted > sold) {
+      buyers.forEach(buyer => { buyer.amount *= sold / wanted; });
+    }
+
+    return this.matchTrades(sellers, buyers);
+  }
+
+  /**
+   * Split an overweight group's sale across its members, never below min_balance
+   */
+  allocateSales(group, amount, total) {
+    const members = group.members
+      .map(asset => ({ asset, available: Math.max(0, asset.balance - (asset.min_balance || 0)) }))
+      .filter(member => member.available > 0);
+
+    if (!this.taxAware) {
+      return this.splitSales(members, amount);
+    }
+
+    // Sheltered members sell first; taxable members only down to the top of the band
+    const sheltered = members.filter(member => SHELTERED_TYPES.includes(member.asset.type));
+    const taxable = members.filter(member => !SHELTERED_TYPES.includes(member.asset.type));
+    const shelteredSales = this.splitSales(sheltered, amount);
+    const shelteredSold = shelteredSales.reduce((sum, sale) => sum + sale.amount, 0);
+    const bandEdgeSale = Math.max(0, group.value - (group.targetWeight + group.tolerance) * total);
+    const taxableSale = Math.min(amount, bandEdgeSale) - shelteredSold;
+
+    return taxableSale > 0.005
+      ? [...shelteredSales, ...this.splitSales(taxable, taxableSale)]
+      : shelteredSales;
+  }
+
+  /**
+   * Split a sale across members by what each can sell
+   */
+  splitSales(members, amount) {
+    const available = members.reduce((sum, member) => sum + member.available, 0);
+    const sale = Math.min(amount, available);
+    if (sale <= 0.005) return [];
+    return members.map(member => ({ asset: member.asset, amount: sale * member.available / available }));
+  }
+
+  /**
+   * Split an underweight group's purchase across its members by balance
+   */
+  allocatePurchases(group, amount) {
+    const total = group.members.reduce((sum, asset) => sum + Math.max(0, asset.balance), 0);
+    return group.members.map(asset => ({
+      asset,
+      amount: total > 0 ? amount * Math.max(0, asset.balance) / total : amount / group.members.length
+    }));
+  }
+
+  /**
+   * Pair sales with purchases; tax-aware rebalancing pairs assets of the same
+   * account type first so tax_deferred money stays tax_deferred
+   */
+  matchTrades(sellers, buyers) {
+    const trades = [];
+    const pair = (sameTypeOnly) => {
+      for (const seller of sellers) {
+        for (const buyer of buyers) {
+          if (seller.amount <= 0.005) break;
+          if (buyer.amount <= 0.005) continue;
+          if (sameTypeOnly && (seller.asset.type || 'taxable') !== (buyer.asset.type || 'taxable')) continue;
+          const amount = Math.min(seller.amount, buyer.amount);
+          trades.push({ from: seller.asset.name, to: buyer.asset.name, amount });
+          seller.amount -= amount;
+          buyer.amount -= amount;
+        }
+      }
+    };
+
+    if (this.taxAware) {
+      pair(true);
+    }
+    pair(false);
+    return trades;
+  }
+}
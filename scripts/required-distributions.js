@@ -0,0 +1,46 @@
+/**
+ * Required Minimum Distributions - IRS rules for tax_deferred assets
+ * Uniform Lifetime table (2022 onward) and the SECURE 2.0 starting ages.
+ */
+
+// Distribution period by age attained in the year (age 120 and over: 2.0)
+export const UNIFORM_LIFETIME_TABLE = {
+  72: 27.4, 73: 26.5, 74: 25.5, 75: 24.6, 76: 23.7, 77: 22.9, 78: 22.0, 79: 21.1,
+  80: 20.2, 81: 19.4, 82: 18.5, 83: 17.7, 84: 16.8, 85: 16.0, 86: 15.2, 87: 14.4,
+  88: 13.7, 89: 12.9, 90: 12.2, 91: 11.5, 92: 10.8, 93: 10.1, 94: 9.5, 95: 8.9,
+  96: 8.4, 97: 7.8, 98: 7.3, 99: 6.8, 100: 6.4, 101: 6.0, 102: 5.6, 103: 5.2,
+  104: 4.9, 105: 4.6, 106: 4.3, 107: 4.1, 108: 3.9, 109: 3.7, 110: 3.5, 111: 3.4,
+  112: 3.3, 113: 3.1, 114: 3.0, 115: 2.9, 116: 2.8, 117: 2.7, 118: 2.5, 119: 2.3,
+  120: 2.0
+};
+
+/**
+ * Age RMDs begin: 75 for those born in 1960 or later, otherwise 73
+ * @param {number|undefined} birthYear - Birth year, if known
+ * @returns {number}
+ */
+export function getRmdStartAge(birthYear) {
+  return Number.isFinite(birthYear) && birthYear >= 1960 ? 75 : 73;
+}
+
+/**
+ * Uniform Lifetime distribution period for an age
+ * @param {number} age - Age attained in the distribution year
+ * @returns {number|null} Divisor, or null below the table's first age
+ */
+export function getUniformLifetimeDivisor(age) {
+  if (age < 72) return null;
+  return UNIFORM_LIFETIME_TABLE[Math.min(age, 120)];
+}
+
+/**
+ * Required distribution for a year
+ * @param {number} priorYearEndBalance - Account balance at the end of the previous year
+ * @param {number} age - Age attained in the distribution year
+ * @returns {number} Amount that must be withdrawn during the year
+ */
+export function calculateRequiredDistribution(priorYearEndBalance, age) {
+  const divisor = getUniformLifetimeDivisor(age);
+  if (!divisor || priorYearEndBalance <= 0) return 0;
+  return priorYearEndBalance / divisor;
+}
@@ -0,0 +1,146 @@
+/**
+ * Claiming Age Service - Compares Social Security claiming ages for a scenario
+ * Re-runs the scenario once per claiming age and reports, against the earliest
+ * age, when the later claim's benefits and portfolio break even and how much the
+ * ending balance changes
+ */
+import { simulateScenarioAdvanced } from '../timeaware-engine.js';
+import { expandSocialSecurityIncome, MIN_CLAIMING_AGE, MAX_CLAIMING_AGE } from '../social-security.js';
+import { getPlanStartMonthIndex, parseYearMonth } from '../utils.js';
+
+export class ClaimingAgeService {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners for comparison requests
+   */
+  setupEventListeners() {
+    this.eventBus.on('claiming:compare', (data) => {
+      console.log('🏛️ ClaimingAgeService: Received claiming:compare event');
+      try {
+        const comparison = this.compareClaimingAges(data.scenarioData, data.config);
+        this.eventBus.emit('claiming:completed', comparison);
+      } catch (error) {
+        console.error('❌ ClaimingAgeService: Comparison failed:', error);
+        this.eventBus.emit('claiming:error', { error: error.message, data });
+      }
+    });
+  }
+
+  /**
+   * Run the scenario once per claiming age of a social_security income entry
+   * @param {Object} scenarioData - Scenario with a social_security income entry
+   * @param {Object} config - Comparison options
+   * @param {string} config.incomeName - Entry to vary (default: the first social_security entry)
+   * @param {Array<number>} config.ages - Claiming ages to compare (default: 62 through 70)
+   * @param {Object} config.simulationOptions - Options passed to simulateScenarioAdvanced()
+   * @returns {Object} { incomeName, baselineAge, comparisons: [...] }, one comparison per age
+   */
+  compareClaimingAges(scenarioData, config = {}) {
+    const income = scenarioData.income || [];
+    const index = income.findIndex(source =>
+      source.type === 'social_security' && (!config.incomeName || source.name === config.incomeName));
+    if (index === -1) {
+      throw new Error(config.incomeName
+        ? `No social_security income named "${config.incomeName}"`
+        : 'Scenario has no social_security income to compare');
+    }
+
+    const ages = [...(config.ages || this.getDefaultAges())].sort((a, b) => a - b);
+    const runs = ages.map(age => this.runClaimingAge(scenarioData, index, age, config.simulationOptions));
+    const baseline = runs[0];
+    const source = income[index];
+
+    return {
+      incomeName: source.name,
+      baselineAge: baseline.claimingAge,
+      comparisons: runs.map(run => {
+        const breakEvenMonth = this.findBreakEvenMonth(run.cumulativeBenefits, baseline.cumulativeBenefits);
+        return {
+          claimingAge: run.claimingAge,
+          initialBenefit: run.initialBenefit,
+          totalBenefits: run.cumulativeBenefits[run.cumulativeBenefits.length - 1] || 0,
+          finalBalance: run.finalBalance,
+          finalBalanceDifference: run.finalBalance - baseline.finalBalance,
+          breakEvenMonth,
+          breakEvenAge: breakEvenMonth !== null
+            ? this.getAgeAtMonth(source.birth_date, scenarioData.plan, breakEvenMonth)
+            : null,
+          balanceBreakEvenMonth: this.findBreakEvenMonth(run.balances, baseline.balances),
+          firstShortfallMonth: run.firstShortfallMonth
+        };
+      })
+    };
+  }
+
+  getDefaultAges() {
+    const ages = [];
+    for (let age = MIN_CLAIMING_AGE; age <= MAX_CLAIMING_AGE; age++) {
+      ages.push(age);
+    }
+    return ages;
+  }
+
+  /**
+   * Simulate the scenario with one claiming age and collect its monthly series
+   */
+  runClaimingAge(scenarioData, index, claimingAge, simulationOptions = {}) {
+    const source = { ...scenarioData.income[index], claiming_age: claimingAge };
+    const scenario = {
+      ...scenarioData,
+      income: scenarioData.income.map((entry, i) => (i === index ? source : entry))
+    };
+    const streams = expandSocialSecurityIncome(source, scenarioData.plan);
+    const streamNames = new Set(streams.map(stream => stream.name));
+    const simulation = simulateScenarioAdvanced(scenario, simulationOptions);
+
+    let benefitsToDate = 0;
+    const cumulativeBenefits = simulation.results.map(month => {
+      benefitsToDate += (month.incomeSources || [])
+        .filter(entry => streamNames.has(entry.name))
+        .reduce((sum, entry) => sum + entry.amount, 0);
+      return benefitsToDate;
+    });
+    const balances = simulation.results.map((month, i) =>
+      Object.values(simulation.balanceHistory).reduce((sum, history) => sum + (history[i] || 0), 0));
+    const shortfallIndex = simulation.results.findIndex(month => month.shortfall > 0);
+
+    return {
+      claimingAge,
+      initialBenefit: streams.find(stream => stream.name === source.name)?.amount || 0,
+      cumulativeBenefits,
+      balances,
+      finalBalance: balances[balances.length - 1] || 0,
+      firstShortfallMonth: shortfallIndex === -1 ? null : shortfallIndex + 1
+    };
+  }
+
+  /**
+   * First 1-based month from which a series stays at or above the baseline
+   * @returns {number|null} null if the series is never behind, or still behind at the end
+   */
+  findBreakEvenMonth(series, baseline) {
+    const months = Math.min(series.length, baseline.length);
+    let lastBehind = -1;
+    for (let month = 0; month < months; month++) {
+      if (series[month] < baseline[month] - 0.005) {
+        lastBehind = month;
+      }
+    }
+    if (lastBehind === -1 || lastBehind === months - 1) return null;
+    return lastBehind + 2;
+  }
+
+  /**
+   * Age in years (with months as a fraction) during a 1-based plan month
+   */
+  getAgeAtMonth(birthDate, plan, month) {
+    const birth = parseYearMonth(birthDate);
+    const ageMonths = getPlanStartMonthIndex(plan) + month - 1 - (birth.year * 12 + birth.month - 1);
+    return ageMonths / 12;
+  }
+}
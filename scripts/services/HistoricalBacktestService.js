@@ -0,0 +1,213 @@
+/**
+ * Historical Backtest Service - Rolling historical-cohort analysis for retirement scenarios
+ * Replays the scenario once per historical start year using the returns and inflation
+ * that actually followed (the Trinity study / cFIREsim view), as a deterministic
+ * companion to Monte Carlo
+ */
+import { HistoricalSequenceModel } from './ReturnModelService.js';
+import { hasGlidepathAssets, GLIDEPATH_ASSET_CLASSES } from '../glidepath.js';
+
+export class HistoricalBacktestService {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.isRunning = false;
+    this.historicalModel = new HistoricalSequenceModel();
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners for backtest requests
+   */
+  setupEventListeners() {
+    this.eventBus.on('backtest:run', async (data) => {
+      console.log('📜 HistoricalBacktestService: Received backtest:run event');
+      try {
+        await this.runBacktest(data);
+      } catch (error) {
+        console.error('❌ HistoricalBacktestService: Backtest failed:', error);
+        this.eventBus.emit('backtest:error', { error: error.message, data });
+      }
+    });
+
+    this.eventBus.on('backtest:cancel', () => {
+      this.isRunning = false;
+    });
+  }
+
+  /**
+   * Run the scenario for every historical start year with a complete sequence
+   * @param {Object} data - Backtest request
+   * @param {Object} data.scenarioData - Scenario to replay
+   * @param {Object} data.config - { targetSurvivalMonths } (defaults to the scenario duration)
+   * @returns {Promise<Object|null>} { results, analysis }, or null if cancelled
+   */
+  async runBacktest(data) {
+    const { scenarioData, config = {} } = data;
+    const durationMonths = scenarioData.plan?.duration_months || 300;
+    const durationYears = Math.ceil(durationMonths / 12);
+    const targetSurvivalMonths = config.targetSurvivalMonths ?? durationMonths;
+    const startYears = this.historicalModel.getCohortStartYears(durationYears);
+
+    if (startYears.length === 0) {
+      throw new Error(`Scenario duration of ${durationYears} years is longer than the available historical data`);
+    }
+
+    const assetTypes = (scenarioData.assets || []).map(asset => asset.type || 'investment');
+    if (hasGlidepathAssets(scenarioData)) {
+      assetTypes.push(...GLIDEPATH_ASSET_CLASSES.filter(assetClass => !assetTypes.includes(assetClass)));
+    }
+    const startTime = Date.now();
+    this.isRunning = true;
+
+    this.eventBus.emit('backtest:started', {
+      scenarioData,
+      config: { ...config, targetSurvivalMonths },
+      cohorts: startYears.length
+    });
+
+    try {
+      const results = [];
+
+      for (let i = 0; i < startYears.length && this.isRunning; i++) {
+        const cohort = this.historicalModel.getHistoricalWindow(startYears[i], durationYears, assetTypes);
+        const result = await this.runCohortSimulation(scenarioData, cohort, i);
+
+        results.push({
+          iteration: i,
+          startYear: cohort.startYear,
+          endYear: cohort.endYear,
+          result,
+          ...this.evaluateCohort(result, targetSurvivalMonths)
+        });
+
+        this.eventBus.emit('backtest:progress', {
+          completed: results.length,
+          total: startYears.length,
+          percentage: Math.round((results.length / startYears.length) * 100)
+        });
+      }
+
+      if (!this.isRunning) {
+        this.eventBus.emit('backtest:cancelled', {});
+        return null;
+      }
+
+      const analysis = this.analyzeCohorts(results, targetSurvivalMonths);
+      console.log(`✅ HistoricalBacktestService: ${results.length} cohorts, success rate ${(analysis.successRate * 100).toFixed(1)}%`);
+
+      this.eventBus.emit('backtest:completed', {
+        results,
+        analysis,
+        scenarioData,
+        config: { ...config, targetSurvivalMonths },
+        duration: Date.now() - startTime
+      });
+
+      return { results, analysis };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Run one cohort through the simulation service with its historical sequence
+   * Follows the same unique-ID event pattern as MonteCarloService.runSingleSimulation()
+   */
+  runCohortSimulation(scenarioData, cohort, index) {
+    return new Promise((resolve, reject) => {
+      const simulationId = `backtest-${cohort.startYear}-${index}-${Date.now()}`;
+      const completeEvent = `simulation:completed:${simulationId}`;
+      const errorEvent = `simulation:error:${simulationId}`;
+
+      const cleanup = () => {
+        this.eventBus.off(completeEvent, handleComplete);
+        this.eventBus.off(errorEvent, handleError);
+      };
+      const handleComplete = (data) => {
+        cleanup();
+        resolve(data);
+      };
+      const handleError = (data) => {
+        cleanup();
+        reject(new Error(`Cohort ${cohort.startYear} failed: ${data.error?.message || data.error}`));
+      };
+
+      this.eventBus.on(completeEvent, handleComplete);
+      this.eventBus.on(errorEvent, handleError);
+
+      this.eventBus.emit('simulation:run', {
+        ...scenarioData,
+        _simulationId: simulationId,
+        _context: { isBacktest: true, startYear: cohort.startYear, returnSequence: cohort.returns }
+      });
+    });
+  }
+
+  /**
+   * Survival, success and final balance for one cohort
+   * A cohort fails in the first month expenses could not be fully covered.
+   */
+  evaluateCohort(result, targetSurvivalMonths) {
+    const engineOutput = result?.results || {};
+    const months = Array.isArray(engineOutput.results) ? engineOutput.results : [];
+    const failureIndex = months.findIndex(month => (month.shortfall || 0) > 0.01);
+    const survivalMonths = failureIndex === -1 ? months.length : failureIndex;
+
+    let finalBalance = 0;
+    for (const history of Object.values(engineOutput.balanceHistory || {})) {
+      if (Array.isArray(history) && history.length > 0) {
+        finalBalance += Number(history[history.length - 1]) || 0;
+      }
+    }
+
+    return {
+      success: survivalMonths >= targetSurvivalMonths,
+      survivalTime: survivalMonths,
+      finalBalance
+    };
+  }
+
+  /**
+   * Summarize cohorts: success rate, failed cohorts and the worst start year
+   * The worst cohort is the one that ran out soonest, or with the lowest final
+   * balance when every cohort succeeded.
+   */
+  analyzeCohorts(results, targetSurvivalMonths) {
+    const failedCohorts = results
+      .filter(cohort => !cohort.success)
+      .map(cohort => ({
+        startYear: cohort.startYear,
+        survivalMonths: cohort.survivalTime,
+        finalBalance: cohort.finalBalance
+      }));
+
+    const worst = results.reduce((current, cohort) => {
+      if (!current) return cohort;
+      if (cohort.survivalTime !== current.survivalTime) {
+        return cohort.survivalTime < current.survivalTime ? cohort : current;
+      }
+      return cohort.finalBalance < current.finalBalance ? cohort : current;
+    }, null);
+
+    const best = results.reduce((current, cohort) =>
+      !current || cohort.finalBalance > current.finalBalance ? cohort : current, null);
+
+    return {
+      totalCohorts: results.length,
+      successfulCohorts: results.length - failedCohorts.length,
+      successRate: results.length > 0 ? (results.length - failedCohorts.length) / results.length : 0,
+      failedCohorts,
+      worstStartYear: worst ? worst.startYear : null,
+      worstCohort: worst ? {
+        startYear: worst.startYear,
+        survivalMonths: worst.survivalTime,
+        finalBalance: worst.finalBalance
+      } : null,
+      bestStartYear: best ? best.startYear : null,
+      firstStartYear: results[0]?.startYear ?? null,
+      lastStartYear: results[results.length - 1]?.startYear ?? null,
+      targetSurvivalMonths
+    };
+  }
+}
@@ -1,23 +1,47 @@
 /**
  * Monte Carlo Service - Statistical analysis for retirement scenarios
  * Provides probabilistic modeling and risk analysis capabilities
+ * Iterations run on a pool of Web Workers that call the time-aware engine directly,
+ * or in this thread, in small batches, where workers are unavailable.
  */
+import {
+  createIterationRunner,
+  createRandomGenerator,
+  generateRandomScenario,
+  generateRandomPath,
+  generateRandomValue,
+  getDistributionMean,
+  getRateScheduleName
+} from '../monte-carlo-runner.js';
+import { resolvePlanStartDate } from '../utils.js';
+
 export class MonteCarloService {
   constructor(eventBus) {
     this.eventBus = eventBus;
     this.isRunning = false;
     this.currentAnalysis = null;
-    this.returnSequences = new Map(); // Store return sequences by simulation ID
+    this.workers = []; // Worker pool of the running analysis
+    this.stopWorkers = null; // Settles the running worker pool early (cancellation)
     
     // Configuration defaults
     this.defaultConfig = {
-      iterations: 100, // Reduced default for better performance
+      iterations: 100,
       confidenceIntervals: [10, 25, 50, 75, 90], // Percentiles to calculate
       randomSeed: null, // For reproducible results
-      parallelBatches: 2, // Reduced for better performance
-      progressUpdateInterval: 10, // More frequent updates
-      maxIterations: 1000, // Hard limit to prevent browser overload
-      simulationDelay: 10 // Delay between simulations (ms) to prevent browser freeze
+      startDate: null, // Start month ("YYYY-MM") for plans without plan.start_date (default: January this year)
+      workers: null, // Worker pool size (default: one per spare CPU core, at most 8; 0 runs in this thread)
+      workerUrl: 'scripts/monte-carlo-worker.js', // Module worker script, relative to the page
+      chunkSize: 250, // Iterations handed to a worker at a time
+      progressUpdateInterval: 10, // Iterations per progress update
+      maxIterations: 50000, // Hard limit to keep results within browser memory
+      trajectorySamples: 100, // Paths that keep their monthly balances for charts and exports
+      returnModel: 'simple-random', // ReturnModelService model that draws each path's returns
+      returnModelConfig: {},
+      inflationModel: 'return-model', // 'return-model', 'plan' or 'ar1' (see inflation-models.js)
+      inflationModelConfig: {}, // ar1: { mean, persistence, volatility, initial }
+      longevityModel: 'fixed', // 'fixed' target, or 'life-table' lifespans for plan.household (see longevity.js)
+      resampleFrequency: 'once', // 'once' per path, or 'annual'/'monthly' for rate_schedules ranges
+      autocorrelation: 0 // AR(1) coefficient between consecutive resampled periods
     };
     
     this.setupEventListeners();
@@ -67,7 +91,18 @@ export class MonteCarloService {
       analysisConfig.iterations = analysisConfig.maxIterations;
     }
     
-    console.log(`🎲 MonteCarloService: Starting analysis with ${analysisConfig.iterations} iterations`);
+    // An unseeded run picks its seed here and reports it, so any analysis can be repeated
+    analysisConfig.randomSeed ??= Math.floor(Math.random() * 4294967296);
+    
+    // Likewise the start month: birth_year ages (RMDs, Social Security, lifespans) would
+    // otherwise move with the calendar. plan.start_date wins over config.startDate.
+    analysisConfig.startDate = scenarioData.plan?.start_date ?? analysisConfig.startDate ??
+      resolvePlanStartDate(scenarioData.plan);
+    const datedScenario = scenarioData.plan
+      ? { ...scenarioData, plan: { ...scenarioData.plan, start_date: analysisConfig.startDate } }
+      : scenarioData;
+    
+    console.log(`🎲 MonteCarloService: Starting analysis with ${analysisConfig.iterations} iterations (seed ${analysisConfig.randomSeed})`);
     
     this.isRunning = true;
     this.currentAnalysis = {
@@ -86,42 +121,38 @@ export class MonteCarloService {
     });
 
     try {
-      // Initialize random number generator
-      const rng = this.createRandomGenerator(analysisConfig.randomSeed);
-      
-      // Run simulations in batches for better performance and progress updates
-      const batchSize = Math.ceil(analysisConfig.iterations / analysisConfig.parallelBatches);
+      // Every iteration seeds its own generator from the base seed, so a seeded
+      // analysis draws the same paths however the iterations are split up
+      const job = {
+        scenarioData: datedScenario,
+        variableRanges,
+        config: analysisConfig,
+        baseSeed: analysisConfig.randomSeed
+      };
       const results = [];
       
-      for (let batch = 0; batch < analysisConfig.parallelBatches && this.isRunning; batch++) {
-        const batchStart = batch * batchSize;
-        const batchEnd = Math.min(batchStart + batchSize, analysisConfig.iterations);
-        
-        console.log(`🎲 MonteCarloService: Processing batch ${batch + 1}/${analysisConfig.parallelBatches} (iterations ${batchStart}-${batchEnd})`);
-        
-        const batchResults = await this.runSimulationBatch(
-          scenarioData,
-          variableRanges,
-          batchStart,
-          batchEnd,
-          rng,
-          analysisConfig
-        );
-        
-        console.log(`🔍 MonteCarloService: Batch ${batch + 1} completed with ${batchResults.length} results`);
-        console.log(`🔍 MonteCarloService: Sample batch result:`, batchResults[0]);
-        
-        results.push(...batchResults);
+      const collectResults = (batch) => {
+        results.push(...batch);
         this.currentAnalysis.completed = results.length;
         
-        console.log(`🔍 MonteCarloService: Total results so far: ${results.length}`);
-        
-        // Emit progress update
         this.eventBus.emit('montecarlo:progress', {
-          completed: this.currentAnalysis.completed,
+          completed: results.length,
           total: analysisConfig.iterations,
-          percentage: Math.round((this.currentAnalysis.completed / analysisConfig.iterations) * 100)
+          percentage: Math.round((results.length / analysisConfig.iterations) * 100)
         });
+      };
+      
+      const pool = this.createWorkerPool(analysisConfig);
+      if (pool.length > 0) {
+        console.log(`🎲 MonteCarloService: Running on ${pool.length} worker(s)`);
+        const finished = await this.runInWorkers(pool, job, collectResults);
+        if (!finished && this.isRunning) {
+          console.warn('⚠️ MonteCarloService: Monte Carlo workers failed to load, finishing in this thread');
+          await this.runInThread(job, collectResults, new Set(results.map(result => result.iteration)));
+        }
+      } else {
+        console.log('🎲 MonteCarloService: Web Workers unavailable, running in this thread');
+        await this.runInThread(job, collectResults);
       }
 
       if (!this.isRunning) {
@@ -129,6 +160,9 @@ export class MonteCarloService {
         return;
       }
 
+      // Workers finish chunks out of order
+      results.sort((a, b) => a.iteration - b.iteration);
+
       // Analyze results
       console.log('🎲 MonteCarloService: Analyzing results...');
       const analysis = this.analyzeResults(results, analysisConfig, scenarioData, context);
@@ -152,161 +186,169 @@ export class MonteCarloService {
       
     } finally {
       this.isRunning = false;
+      this.terminateWorkers();
     }
   }
 
   /**
-   * Run a batch of simulations
+   * Start the worker pool for an analysis
+   * @param {Object} config - Analysis configuration (workers, workerUrl, iterations)
+   * @returns {Array<Worker>} Started workers; empty when workers are off or cannot start
+   *   (no Worker support, or a page opened from file://)
    */
-  async runSimulationBatch(scenarioData, variableRanges, startIndex, endIndex, rng, config) {
-    const results = [];
+  createWorkerPool(config) {
+    if (typeof Worker === 'undefined' || config.workers === 0) {
+      return [];
+    }
     
-    for (let i = startIndex; i < endIndex && this.isRunning; i++) {
-      // Generate random scenario variation
-      const randomScenario = this.generateRandomScenario(scenarioData, variableRanges, rng, config);
-      
-      // Run single simulation via event bus
-      const result = await this.runSingleSimulation(randomScenario, i);
-      
-      if (result) {
-        // Calculate metrics for this individual simulation
-        const success = this.calculateIndividualSuccess(result, randomScenario, config);
-        const survivalTime = this.calculateIndividualSurvivalTime(result);
-        const finalBalance = this.calculateIndividualFinalBalance(result);
-        
-        results.push({
-          iteration: i,
-          scenario: randomScenario,
-          result: result,
-          success: success,
-          survivalTime: survivalTime, // in months
-          finalBalance: finalBalance,
-          timestamp: Date.now()
-        });
-      }
-      
-      // Add delay to prevent browser freeze
-      if (config.simulationDelay > 0) {
-        await new Promise(resolve => setTimeout(resolve, config.simulationDelay));
-      }
-      
-      // Progress update
-      if (i % config.progressUpdateInterval === 0) {
-        this.eventBus.emit('montecarlo:progress', {
-          completed: results.length + startIndex,
-          total: config.iterations,
-          percentage: Math.round(((results.length + startIndex) / config.iterations) * 100)
-        });
+    const spareCores = (globalThis.navigator?.hardwareConcurrency || 2) - 1;
+    const size = Math.min(config.workers || Math.max(1, Math.min(8, spareCores)), config.iterations);
+    
+    try {
+      for (let i = 0; i < size; i++) {
+        this.workers.push(new Worker(config.workerUrl, { type: 'module' }));
       }
+    } catch (error) {
+      console.warn('⚠️ MonteCarloService: Could not start Monte Carlo workers:', error.message);
+      this.terminateWorkers();
     }
     
-    return results;
+    return this.workers;
   }
 
   /**
-   * Run a single simulation using the proper event bus architecture
-   * MUST follow architectural rule: all data flows through event bus
-   * FIXED: Uses unique simulation IDs to prevent event listener collision
+   * Run the iterations on a worker pool, handing out chunks as workers free up
+   * @param {Array<Worker>} pool - Started workers
+   * @param {Object} job - { scenarioData, variableRanges, config, baseSeed }
+   * @param {Function} onResults - Receives each batch of iteration summaries
+   * @returns {Promise<boolean>} true when every chunk is done or the analysis is cancelled;
+   *   false when a worker failed to load (no module workers, a 404 or a CSP block), leaving
+   *   the remaining iterations to runInThread(). Rejects when an iteration throws.
    */
-  async runSingleSimulation(scenarioData, iteration) {
+  runInWorkers(pool, job, onResults) {
+    const { iterations } = job.config;
+    const chunkSize = Math.max(1, Math.min(job.config.chunkSize, Math.ceil(iterations / pool.length)));
+    let nextStart = 0;
+    let busy = 0;
+    
     return new Promise((resolve, reject) => {
-      // Create unique simulation ID to avoid event collision
-      const simulationId = `mc-${iteration}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      let settled = false;
+      const settle = (error, finished = true) => {
+        if (settled) return;
+        settled = true;
+        this.stopWorkers = null;
+        this.terminateWorkers();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(finished);
+        }
+      };
+      this.stopWorkers = () => settle();
       
-      const timeout = setTimeout(() => {
-        reject(new Error(`Monte Carlo simulation ${iteration} timed out`));
-      }, 30000);
-
-      console.log(`🔍 MonteCarloService: Running simulation ${iteration} with ID ${simulationId}`);
-
-      // Listen for return sequences generated for this simulation
-      const returnSequenceHandler = (data) => {
-        if (data.simulationId === simulationId) {
-          this.returnSequences.set(simulationId, data.returns);
-          console.log(`📈 MonteCarloService: Captured return sequence for simulation ${iteration}`);
+      const dispatch = (worker) => {
+        if (nextStart >= iterations) {
+          if (busy === 0) settle();
+          return;
         }
+        const start = nextStart;
+        nextStart = Math.min(iterations, start + chunkSize);
+        busy++;
+        worker.postMessage({ job, start, end: nextStart });
       };
-      this.eventBus.on('returnmodel:returns-generated', returnSequenceHandler);
-
-      // Use unique event names to avoid collision
-      const completeEvent = `simulation:completed:${simulationId}`;
-      const errorEvent = `simulation:error:${simulationId}`;
+      
+      pool.forEach(worker => {
+        worker.onmessage = ({ data }) => {
+          if (settled) return;
+          if (data.type === 'error') {
+            settle(new Error(data.error));
+            return;
+          }
+          onResults(data.results);
+          if (data.type === 'done') {
+            busy--;
+            dispatch(worker);
+          }
+        };
+        worker.onerror = (event) => {
+          event.preventDefault?.();
+          console.warn(`⚠️ MonteCarloService: Monte Carlo worker failed: ${event.message || 'could not load worker script'}`);
+          settle(null, false);
+        };
+      });
+      
+      [...pool].forEach(dispatch);
+    });
+  }
 
-      const handleComplete = (data) => {
-        clearTimeout(timeout);
-        this.eventBus.off(completeEvent, handleComplete);
-        this.eventBus.off(errorEvent, handleError);
-        this.eventBus.off('returnmodel:returns-generated', returnSequenceHandler);
-        
-        console.log(`🔍 MonteCarloService: Simulation ${iteration} completed via event bus:`, {
-          hasResults: !!(data && data.results),
-          resultsLength: (data && data.results) ? data.results.length : 0,
-          hasReturnSequence: this.returnSequences.has(simulationId)
-        });
-        
-        // Attach return sequence to result if available
-        if (this.returnSequences.has(simulationId)) {
-          data.returnSequence = this.returnSequences.get(simulationId);
+  /**
+   * Run the iterations in this thread, yielding between batches so progress can
+   * render and a cancel request can land
+   * @param {Object} job - { scenarioData, variableRanges, config, baseSeed }
+   * @param {Function} onResults - Receives each batch of iteration summaries
+   * @param {Set<number>} completed - Iterations already run (by workers that then failed)
+   */
+  async runInThread(job, onResults, completed = new Set()) {
+    const { iterations } = job.config;
+    const batchSize = Math.max(1, job.config.progressUpdateInterval);
+    const runIteration = createIterationRunner(job);
+    
+    for (let start = 0; start < iterations && this.isRunning; start += batchSize) {
+      const batch = [];
+      for (let iteration = start; iteration < Math.min(start + batchSize, iterations); iteration++) {
+        if (!completed.has(iteration)) {
+          batch.push(runIteration(iteration));
         }
-        
-        resolve(data);
-      };
+      }
+      if (batch.length === 0) continue;
+      onResults(batch);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
 
-      const handleError = (data) => {
-        clearTimeout(timeout);
-        this.eventBus.off(completeEvent, handleComplete);
-        this.eventBus.off(errorEvent, handleError);
-        this.eventBus.off('returnmodel:returns-generated', returnSequenceHandler);
-        reject(new Error(`Simulation ${iteration} failed: ${data.error}`));
-      };
+  /**
+   * Stop and forget the worker pool
+   */
+  terminateWorkers() {
+    this.workers.forEach(worker => worker.terminate());
+    this.workers = [];
+  }
+
+  /**
+   * Generate a random scenario variation based on variable ranges
+   */
+  generateRandomScenario(baseScenario, variableRanges, rng, config = {}) {
+    return generateRandomScenario(baseScenario, variableRanges, rng, config);
+  }
 
-      // Set up listeners for unique events
-      this.eventBus.on(completeEvent, handleComplete);
-      this.eventBus.on(errorEvent, handleError);
+  /**
+   * Get the rate schedule name from a 'rate_schedules.<name>.rate' variable path
+   * @returns {string|null} Schedule name, or null for any other path
+   */
+  getRateScheduleName(path) {
+    return getRateScheduleName(path);
+  }
 
-      // Include simulation ID and Monte Carlo context in the scenario data
-      this.eventBus.emit('simulation:run', { 
-        ...scenarioData, 
-        _simulationId: simulationId,
-        _context: { isMonteCarlo: true }
-      });
-    });
+  /**
+   * Generate a per-period path of annual rates for a variable range
+   * See generateRandomPath() in monte-carlo-runner.js
+   */
+  generateRandomPath(range, rng, periods, periodsPerYear = 1, autocorrelation = 0) {
+    return generateRandomPath(range, rng, periods, periodsPerYear, autocorrelation);
   }
 
   /**
-   * Generate a random scenario variation based on variable ranges
+   * Get the mean of a distribution specification
    */
-  generateRandomScenario(baseScenario, variableRanges, rng, config) {
-    const randomScenario = JSON.parse(JSON.stringify(baseScenario)); // Deep clone
-    
-    // Apply random variations based on variable ranges
-    for (const [path, range] of Object.entries(variableRanges)) {
-      const value = this.generateRandomValue(range, rng);
-      this.setNestedProperty(randomScenario, path, value);
-    }
-    
-    
-    return randomScenario;
+  getDistributionMean(range) {
+    return getDistributionMean(range);
   }
 
   /**
    * Generate a random value based on distribution specification
    */
   generateRandomValue(range, rng) {
-    const { type, ...params } = range;
-    
-    switch (type) {
-      case 'normal':
-        return this.normalRandom(params.mean, params.stdDev, rng);
-      case 'uniform':
-        return this.uniformRandom(params.min, params.max, rng);
-      case 'lognormal':
-        return this.lognormalRandom(params.mean, params.stdDev, rng);
-      case 'triangular':
-        return this.triangularRandom(params.min, params.mode, params.max, rng);
-      default:
-        throw new Error(`Unknown distribution type: ${type}`);
-    }
+    return generateRandomValue(range, rng);
   }
 
   /**
@@ -333,6 +375,7 @@ export class MonteCarloService {
     const insights = this.generateInsights(statistics, results, scenarioData, config);
     
     const survivalStats = this.calculateSurvivalStatistics(results);
+    const longevity = this.calculateLongevityRisk(results);
     
     // Identify key percentile scenarios and their return sequences
     const keyScenarios = this.identifyKeyPercentileScenarios(results, metrics);
@@ -344,13 +387,17 @@ export class MonteCarloService {
       successRate: successRateData.rate,
       successRateData: successRateData, // Include full success rate info
       survivalStatistics: survivalStats,
+      longevity, // null unless lifespans were drawn
       riskMetrics: this.calculateRiskMetrics(results),
       keyScenarios: keyScenarios, // Include key percentile scenarios with return sequences
       metadata: {
         iterations: results.length,
         timestamp: Date.now(),
         scenarioId: scenarioData.metadata?.title || 'Unknown',
-        targetSurvivalMonths: targetMonths
+        targetSurvivalMonths: targetMonths,
+        longevityModel: config.longevityModel || 'fixed',
+        randomSeed: config.randomSeed ?? null,
+        startDate: config.startDate ?? null
       }
     };
   }
@@ -373,7 +420,8 @@ export class MonteCarloService {
       index,
       result,
       finalBalance: finalBalances[index] || 0,
-      returnSequence: result.returnSequence
+      returnSequence: result.returnSequence,
+      returnSequencePeriod: result.returnSequencePeriod
     })).filter(item => item.returnSequence); // Only include results with return sequences
     
     if (resultsWithBalances.length === 0) {
@@ -412,6 +460,7 @@ export class MonteCarloService {
           finalBalance: scenario.finalBalance,
           simulationIndex: scenario.index,
           returnSequence: scenario.returnSequence,
+          returnSequencePeriod: scenario.returnSequencePeriod,
           description: this.getPercentileDescription(label, percentile)
         };
         
@@ -440,49 +489,27 @@ export class MonteCarloService {
   }
 
   /**
-   * Extract key metrics from simulation results
+   * Extract key metrics from the iteration summaries
    */
   extractMetrics(results) {
     console.log('🔍 MonteCarloService: Extracting metrics from', results.length, 'results');
     
     const metrics = {
-      finalBalance: [],
-      shortfallMonths: [],
-      maxDrawdown: [],
-      timeToDepletion: [],
-      totalWithdrawals: []
+      finalBalance: results.map(result => result.finalBalance),
+      shortfallMonths: results.map(result => result.shortfallMonths || 0),
+      maxDrawdown: results.map(result => result.maxDrawdown || 0),
+      timeToDepletion: results.map(result => result.timeToDepletion ?? null),
+      totalWithdrawals: results.map(result => result.totalWithdrawals || 0),
+      realFinalBalance: results.map(result => result.realFinalBalance ?? result.finalBalance),
+      realTotalWithdrawals: results.map(result => result.realTotalWithdrawals ?? result.totalWithdrawals ?? 0),
+      averageInflation: results.map(result => result.averageInflation || 0)
     };
     
-    results.forEach(({ result }, index) => {
-      if (index < 3) { // Only log first 3 results to avoid console spam
-        console.log(`🔍 MonteCarloService: Processing result ${index}`);
-      }
-      
-      if (result && result.results) {
-        // The SimulationService wraps timeaware engine results in result.results
-        // The actual monthly array is in result.results.results (from timeaware engine)
-        const timeawareResults = result.results.results; // This is the monthly array
-        
-        // Calculate total balance from all assets at the end
-        let finalBalance = 0;
-        if (timeawareResults && Array.isArray(timeawareResults)) {
-          const lastMonth = timeawareResults[timeawareResults.length - 1];
-          if (lastMonth && lastMonth.assets) {
-            finalBalance = Object.values(lastMonth.assets).reduce((sum, balance) => sum + balance, 0);
-          }
-        }
-        
-        // Extract other metrics from the simulation wrapper
-        const shortfallMonths = result.results.shortfallMonths || 0;
-        const totalWithdrawals = result.results.totalWithdrawals || 0;
-        
-        metrics.finalBalance.push(finalBalance);
-        metrics.shortfallMonths.push(shortfallMonths);
-        metrics.maxDrawdown.push(this.calculateMaxDrawdownFromResults(timeawareResults));
-        metrics.timeToDepletion.push(this.calculateTimeToDepletionFromResults(timeawareResults));
-        metrics.totalWithdrawals.push(totalWithdrawals);
-      }
-    });
+    // Life-table runs also measure how long the household lived and outlived the money
+    if (results.some(result => result.lifespanMonths !== undefined)) {
+      metrics.lifespanYears = results.map(result => (result.lifespanMonths || 0) / 12);
+      metrics.shortfallYears = results.map(result => result.shortfallYears || 0);
+    }
     
     return metrics;
   }
@@ -554,13 +581,26 @@ export class MonteCarloService {
     console.log(`🎲 MonteCarloService: RECEIVED CONFIG:`, JSON.stringify(config, null, 2));
     console.log(`🎲 MonteCarloService: Using target months: ${targetMonths} (${(targetMonths/12).toFixed(1)} years)`);
     const successRateData = this.calculateSuccessRate(results, targetMonths);
+    const longevity = this.calculateLongevityRisk(results);
     insights.push({
       type: 'target_success_rate',
-      title: `${successRateData.targetYears}-Year Success Rate`,
+      title: longevity ? 'Money Outlasts the Household' : `${successRateData.targetYears}-Year Success Rate`,
       value: successRateData.rate,
-      description: `${(successRateData.rate * 100).toFixed(1)}% of scenarios lasted at least ${successRateData.targetYears} years`,
+      description: longevity
+        ? `${(successRateData.rate * 100).toFixed(1)}% of scenarios had money for as long as the household lived`
+        : `${(successRateData.rate * 100).toFixed(1)}% of scenarios lasted at least ${successRateData.targetYears} years`,
       severity: successRateData.rate > 0.8 ? 'good' : successRateData.rate > 0.6 ? 'warning' : 'critical'
     });
+    
+    if (longevity) {
+      insights.push({
+        type: 'longevity_risk',
+        title: 'Outliving Your Money',
+        value: longevity,
+        description: `In ${(longevity.probabilityOfOutlivingAssets * 100).toFixed(1)}% of scenarios the money ran out while someone in the household was alive, for ${longevity.expectedShortfallYears.toFixed(1)} years of shortfall on average (${longevity.expectedShortfallYearsWhenOutlived.toFixed(1)} years in those scenarios). The household lived ${longevity.medianLifespanYears.toFixed(1)} years on the median path`,
+        severity: longevity.probabilityOfOutlivingAssets < 0.1 ? 'good' : longevity.probabilityOfOutlivingAssets < 0.25 ? 'warning' : 'critical'
+      });
+    }
 
     // Target success rate insight - show how long money lasts at user's desired confidence level
     const targetSuccessRate = config.targetSuccessRate ?? 0.80;
@@ -579,22 +619,9 @@ export class MonteCarloService {
     // Final balance insights
     const finalBalanceStats = statistics.finalBalance;
     if (finalBalanceStats) {
-      // Get final balances from all results
       const validFinalBalances = results
-        .map(result => {
-          if (!result || !result.result || !result.result.results) return null;
-          const timeawareResults = result.result.results.results;
-          if (!timeawareResults || !Array.isArray(timeawareResults) || timeawareResults.length === 0) return null;
-          
-          const lastMonth = timeawareResults[timeawareResults.length - 1];
-          let finalBalance = 0;
-          if (lastMonth && lastMonth.assets) {
-            finalBalance = Object.values(lastMonth.assets).reduce((sum, balance) => sum + balance, 0);
-          }
-          
-          return finalBalance;
-        })
-        .filter(balance => balance !== null);
+        .map(result => result.finalBalance)
+        .filter(balance => Number.isFinite(balance));
       
       console.log(`🔍 Final Balance Filter: validFinalBalances.length=${validFinalBalances.length}, total results=${results.length}`);
       console.log(`🔍 Sample valid final balances:`, validFinalBalances.slice(0, 5));
@@ -615,163 +642,102 @@ export class MonteCarloService {
       }
     }
     
+    if (statistics.realFinalBalance) {
+      const real = statistics.realFinalBalance;
+      insights.push({
+        type: 'final_balance_real',
+        title: "Final Balance in Today's Dollars",
+        value: {
+          median: real.median,
+          range: [real.percentiles[10], real.percentiles[90]]
+        },
+        description: `After inflation, the median path ends with $${(real.median / 1000).toFixed(0)}K of today's purchasing power, with 80% between $${(real.percentiles[10] / 1000).toFixed(0)}K and $${(real.percentiles[90] / 1000).toFixed(0)}K`,
+        severity: real.percentiles[10] > 0 ? 'good' : 'warning'
+      });
+    }
+    
+    const inflationRisk = this.calculateInflationRisk(results);
+    if (inflationRisk) {
+      const gap = inflationRisk.lowInflation.successRate - inflationRisk.highInflation.successRate;
+      insights.push({
+        type: 'inflation_risk',
+        title: 'High-Inflation Paths',
+        value: inflationRisk,
+        description: `In the highest-inflation quarter of paths (${(inflationRisk.highInflation.averageInflation * 100).toFixed(1)}% a year on average), ${(inflationRisk.highInflation.successRate * 100).toFixed(1)}% succeeded, against ${(inflationRisk.lowInflation.successRate * 100).toFixed(1)}% in the lowest quarter (${(inflationRisk.lowInflation.averageInflation * 100).toFixed(1)}% a year)`,
+        severity: gap > 0.2 ? 'critical' : gap > 0.05 ? 'warning' : 'good'
+      });
+    }
+    
     return insights;
   }
 
   /**
-   * Calculate survival time statistics for retirement planning
+   * Compare the success of the highest- and lowest-inflation quarters of the paths
+   * @returns {Object|null} { highInflation, lowInflation }, each { averageInflation, successRate };
+   *   null when inflation does not vary across paths
    */
-  calculateSurvivalStatistics(results) {
-    const survivalTimes = results.map(({ result }) => {
-      if (!result || !result.results) return 0;
-      
-      const simulationResults = result.results.results || result.results;
-      if (!simulationResults || !Array.isArray(simulationResults)) return 0;
-      
-      // Find when shortfall occurs (total balance goes to zero or negative)
-      for (let monthIndex = 0; monthIndex < simulationResults.length; monthIndex++) {
-        const month = simulationResults[monthIndex];
-        if (month && month.assets) {
-          const totalBalance = Object.values(month.assets).reduce((sum, balance) => sum + balance, 0);
-          if (totalBalance <= 0) {
-            return monthIndex; // Shortfall occurred at this month
-          }
-        }
-      }
-      
-      // If we made it through all months without shortfall
-      return simulationResults.length;
-    });
+  calculateInflationRisk(results) {
+    const byInflation = [...results].sort((a, b) => (a.averageInflation || 0) - (b.averageInflation || 0));
+    const quarter = Math.floor(byInflation.length / 4);
+    const spread = (byInflation[byInflation.length - 1]?.averageInflation || 0) - (byInflation[0]?.averageInflation || 0);
+    if (quarter === 0 || spread < 1e-6) {
+      return null;
+    }
     
-    // Sort survival times for percentile calculations
-    const sortedTimes = [...survivalTimes].sort((a, b) => a - b);
+    const describe = (group) => ({
+      averageInflation: group.reduce((sum, result) => sum + (result.averageInflation || 0), 0) / group.length,
+      successRate: group.filter(result => result.success === true).length / group.length
+    });
     
     return {
-      survivalTimes,
-      median: this.percentile(sortedTimes, 50),
-      p25: this.percentile(sortedTimes, 25),
-      p75: this.percentile(sortedTimes, 75),
-      p10: this.percentile(sortedTimes, 10),
-      p90: this.percentile(sortedTimes, 90),
-      min: Math.min(...survivalTimes),
-      max: Math.max(...survivalTimes),
-      mean: survivalTimes.reduce((sum, time) => sum + time, 0) / survivalTimes.length
+      highInflation: describe(byInflation.slice(-quarter)),
+      lowInflation: describe(byInflation.slice(0, quarter))
     };
   }
 
   /**
-   * Calculate success for an individual simulation result
+   * Longevity risk across paths with a drawn household lifespan
+   * @returns {Object|null} { probabilityOfOutlivingAssets, expectedShortfallYears,
+   *   expectedShortfallYearsWhenOutlived, medianLifespanYears }; null without lifespans
    */
-  calculateIndividualSuccess(result, scenarioData, config) {
-    if (!result || !result.results) return false;
-    
-    const timeawareResults = result.results.results;
-    if (!timeawareResults || !Array.isArray(timeawareResults) || timeawareResults.length === 0) return false;
-    
-    const targetMonths = config.targetSurvivalMonths ?? 300;
-    const survivalTime = timeawareResults.length;
-    
-    // Check if scenario meets target survival time
-    if (survivalTime < targetMonths) return false;
-    
-    // Get scenario data to check min_balance requirements
-    if (!scenarioData || !scenarioData.assets) return true; // No min_balance requirements
-    
-    // Check asset-level min_balance requirements using balanceHistory (more reliable)
-    if (result.results.balanceHistory) {
-      for (const assetConfig of scenarioData.assets) {
-        if (assetConfig.min_balance !== undefined && assetConfig.min_balance > 0) {
-          const assetHistory = result.results.balanceHistory[assetConfig.name];
-          if (!assetHistory || !Array.isArray(assetHistory) || assetHistory.length === 0) {
-            console.log(`❌ FAILED - No balance history for ${assetConfig.name}`);
-            return false;
-          }
-          
-          const finalBalance = assetHistory[assetHistory.length - 1];
-          const numBalance = typeof finalBalance === 'string' ? parseFloat(finalBalance) : finalBalance;
-          const actualBalance = isNaN(numBalance) ? 0 : numBalance;
-          
-          console.log(`🔍 Success check - Asset: ${assetConfig.name}, Final: ${actualBalance}, Required: ${assetConfig.min_balance}, Meets: ${actualBalance >= assetConfig.min_balance}`);
-          if (actualBalance < assetConfig.min_balance) {
-            console.log(`❌ FAILED min_balance requirement for ${assetConfig.name}`);
-            return false;
-          }
-        }
-      }
-      console.log(`✅ SUCCESS - All requirements met`);
-      return true;
+  calculateLongevityRisk(results) {
+    const withLifespan = results.filter(result => result.lifespanMonths !== undefined);
+    if (withLifespan.length === 0) {
+      return null;
     }
     
-    // Fallback to timeaware results (less reliable)
-    const lastMonth = timeawareResults[timeawareResults.length - 1];
-    if (!lastMonth || !lastMonth.assets) return false;
-    
-    for (const assetConfig of scenarioData.assets) {
-      if (assetConfig.min_balance !== undefined && assetConfig.min_balance > 0) {
-        const finalBalance = lastMonth.assets[assetConfig.name] || 0;
-        console.log(`🔍 Success check - Asset: ${assetConfig.name}, Final: ${finalBalance}, Required: ${assetConfig.min_balance}, Meets: ${finalBalance >= assetConfig.min_balance}`);
-        if (finalBalance < assetConfig.min_balance) {
-          console.log(`❌ FAILED min_balance requirement for ${assetConfig.name}`);
-          return false;
-        }
-      }
-    }
-    
-    console.log(`✅ SUCCESS - All requirements met`);
-    return true;
-  }
-
-  /**
-   * Calculate survival time for an individual simulation result
-   */
-  calculateIndividualSurvivalTime(result) {
-    if (!result || !result.results) return 0;
-    
-    const timeawareResults = result.results.results;
-    if (!timeawareResults || !Array.isArray(timeawareResults)) return 0;
+    const outlived = withLifespan.filter(result => result.outlivedAssets);
+    const totalShortfallYears = outlived.reduce((sum, result) => sum + result.shortfallYears, 0);
+    const lifespans = withLifespan.map(result => result.lifespanMonths / 12).sort((a, b) => a - b);
     
-    // Find when shortfall occurs (total balance goes to zero or negative)
-    const depletionMonth = timeawareResults.findIndex(month => {
-      if (month && month.assets) {
-        const totalBalance = Object.values(month.assets).reduce((sum, balance) => sum + balance, 0);
-        return totalBalance <= 0;
-      }
-      return false;
-    });
-    
-    return depletionMonth === -1 ? timeawareResults.length : depletionMonth;
+    return {
+      probabilityOfOutlivingAssets: outlived.length / withLifespan.length,
+      expectedShortfallYears: totalShortfallYears / withLifespan.length,
+      expectedShortfallYearsWhenOutlived: outlived.length > 0 ? totalShortfallYears / outlived.length : 0,
+      medianLifespanYears: this.percentile(lifespans, 50)
+    };
   }
 
   /**
-   * Calculate final balance for an individual simulation result
+   * Calculate survival time statistics for retirement planning
    */
-  calculateIndividualFinalBalance(result) {
-    if (!result || !result.results) return 0;
-    
-    // Try to get final balance from balanceHistory (more reliable)
-    if (result.results.balanceHistory) {
-      let finalBalance = 0;
-      for (const [assetName, history] of Object.entries(result.results.balanceHistory)) {
-        if (Array.isArray(history) && history.length > 0) {
-          const lastBalance = history[history.length - 1];
-          const numBalance = typeof lastBalance === 'string' ? parseFloat(lastBalance) : lastBalance;
-          finalBalance += isNaN(numBalance) ? 0 : numBalance;
-        }
-      }
-      return finalBalance;
-    }
-    
-    // Fallback to timeaware results (less reliable due to missing assets property)
-    const timeawareResults = result.results.results;
-    if (!timeawareResults || !Array.isArray(timeawareResults) || timeawareResults.length === 0) return 0;
+  calculateSurvivalStatistics(results) {
+    const survivalTimes = results.map(result => result.survivalTime || 0);
     
-    const lastMonth = timeawareResults[timeawareResults.length - 1];
-    if (!lastMonth || !lastMonth.assets) return 0;
+    // Sort survival times for percentile calculations
+    const sortedTimes = [...survivalTimes].sort((a, b) => a - b);
     
-    return Object.values(lastMonth.assets).reduce((sum, balance) => {
-      const numBalance = typeof balance === 'string' ? parseFloat(balance) : balance;
-      return sum + (isNaN(numBalance) ? 0 : numBalance);
-    }, 0);
+    return {
+      survivalTimes,
+      median: this.percentile(sortedTimes, 50),
+      p25: this.percentile(sortedTimes, 25),
+      p75: this.percentile(sortedTimes, 75),
+      p10: this.percentile(sortedTimes, 10),
+      p90: this.percentile(sortedTimes, 90),
+      min: sortedTimes[0],
+      max: sortedTimes[sortedTimes.length - 1],
+      mean: survivalTimes.reduce((sum, time) => sum + time, 0) / survivalTimes.length
+    };
   }
 
   /**
@@ -800,151 +766,11 @@ export class MonteCarloService {
     };
   }
 
-  /**
-   * Calculate maximum drawdown for a balance history
-   */
-  calculateMaxDrawdown(balanceHistory) {
-    if (!balanceHistory || balanceHistory.length === 0) return 0;
-    
-    let maxBalance = balanceHistory[0].totalBalance;
-    let maxDrawdown = 0;
-    
-    balanceHistory.forEach(month => {
-      maxBalance = Math.max(maxBalance, month.totalBalance);
-      const drawdown = (maxBalance - month.totalBalance) / maxBalance;
-      maxDrawdown = Math.max(maxDrawdown, drawdown);
-    });
-    
-    return maxDrawdown;
-  }
-
-  /**
-   * Calculate maximum drawdown from simulation results array
-   */
-  calculateMaxDrawdownFromResults(simulationResults) {
-    if (!simulationResults || !Array.isArray(simulationResults)) return 0;
-    
-    // Calculate total balance for each month
-    const totalBalances = simulationResults.map(month => {
-      if (month && month.assets) {
-        return Object.values(month.assets).reduce((sum, balance) => sum + balance, 0);
-      }
-      return 0;
-    });
-    
-    if (totalBalances.length === 0) return 0;
-    
-    let maxBalance = totalBalances[0];
-    let maxDrawdown = 0;
-    
-    totalBalances.forEach(balance => {
-      maxBalance = Math.max(maxBalance, balance);
-      const drawdown = maxBalance > 0 ? (maxBalance - balance) / maxBalance : 0;
-      maxDrawdown = Math.max(maxDrawdown, drawdown);
-    });
-    
-    return maxDrawdown;
-  }
-
-  /**
-   * Calculate time to depletion
-   */
-  calculateTimeToDepletion(balanceHistory) {
-    if (!balanceHistory || balanceHistory.length === 0) return null;
-    
-    const depletionMonth = balanceHistory.findIndex(month => month.totalBalance <= 0);
-    return depletionMonth === -1 ? null : depletionMonth;
-  }
-
-  /**
-   * Calculate time to depletion from simulation results array
-   */
-  calculateTimeToDepletionFromResults(simulationResults) {
-    if (!simulationResults || !Array.isArray(simulationResults)) return null;
-    
-    const depletionMonth = simulationResults.findIndex(month => {
-      if (month && month.assets) {
-        const totalBalance = Object.values(month.assets).reduce((sum, balance) => sum + balance, 0);
-        return totalBalance <= 0;
-      }
-      return false;
-    });
-    
-    return depletionMonth === -1 ? null : depletionMonth;
-  }
-
   /**
    * Create a seeded random number generator for reproducible results
    */
   createRandomGenerator(seed) {
-    if (seed === null || seed === undefined) {
-      return Math.random;
-    }
-    
-    // Simple seeded PRNG (Mulberry32)
-    let state = seed;
-    return function() {
-      let t = state += 0x6D2B79F5;
-      t = Math.imul(t ^ t >>> 15, t | 1);
-      t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-      return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    };
-  }
-
-  /**
-   * Generate normal random number using Box-Muller transform
-   */
-  normalRandom(mean, stdDev, rng) {
-    const u1 = rng();
-    const u2 = rng();
-    const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-    return mean + stdDev * z0;
-  }
-
-  /**
-   * Generate uniform random number
-   */
-  uniformRandom(min, max, rng) {
-    return min + (max - min) * rng();
-  }
-
-  /**
-   * Generate lognormal random number
-   */
-  lognormalRandom(mean, stdDev, rng) {
-    const normal = this.normalRandom(Math.log(mean) - 0.5 * stdDev * stdDev, stdDev, rng);
-    return Math.exp(normal);
-  }
-
-  /**
-   * Generate triangular random number
-   */
-  triangularRandom(min, mode, max, rng) {
-    const u = rng();
-    const c = (mode - min) / (max - min);
-    
-    if (u < c) {
-      return min + Math.sqrt(u * (max - min) * (mode - min));
-    } else {
-      return max - Math.sqrt((1 - u) * (max - min) * (max - mode));
-    }
-  }
-
-  /**
-   * Set nested property using dot notation path
-   */
-  setNestedProperty(obj, path, value) {
-    const keys = path.split('.');
-    let current = obj;
-    
-    for (let i = 0; i < keys.length - 1; i++) {
-      if (!(keys[i] in current)) {
-        current[keys[i]] = {};
-      }
-      current = current[keys[i]];
-    }
-    
-    current[keys[keys.length - 1]] = value;
+    return createRandomGenerator(seed);
   }
 
   /**
@@ -954,6 +780,7 @@ export class MonteCarloService {
     if (this.isRunning) {
       console.log('🛑 MonteCarloService: Cancelling analysis...');
       this.isRunning = false;
+      this.stopWorkers?.();
     }
   }
 
@@ -970,57 +797,21 @@ export class MonteCarloService {
   // Additional helper methods for risk calculations
   calculateVaR(results, confidenceLevel = 0.05) {
     // Value at Risk calculation
-    const finalBalances = results.map(r => {
-      if (!r.result || !r.result.results) return 0;
-      
-      const simulationResults = r.result.results.results || r.result.results;
-      if (!Array.isArray(simulationResults) || simulationResults.length === 0) return 0;
-      
-      // Get final month's total balance
-      const finalMonth = simulationResults[simulationResults.length - 1];
-      if (finalMonth && finalMonth.assets) {
-        return Object.values(finalMonth.assets).reduce((sum, balance) => sum + balance, 0);
-      }
-      return 0;
-    });
-    
-    const sorted = finalBalances.sort((a, b) => a - b);
+    const sorted = results.map(r => r.finalBalance || 0).sort((a, b) => a - b);
     const index = Math.floor(confidenceLevel * sorted.length);
     return sorted[index];
   }
 
   calculateCVaR(results, confidenceLevel = 0.05) {
     // Conditional Value at Risk (Expected Shortfall)
-    const finalBalances = results.map(r => {
-      if (!r.result || !r.result.results) return 0;
-      
-      const simulationResults = r.result.results.results || r.result.results;
-      if (!Array.isArray(simulationResults) || simulationResults.length === 0) return 0;
-      
-      // Get final month's total balance
-      const finalMonth = simulationResults[simulationResults.length - 1];
-      if (finalMonth && finalMonth.assets) {
-        return Object.values(finalMonth.assets).reduce((sum, balance) => sum + balance, 0);
-      }
-      return 0;
-    });
-    
-    const sorted = finalBalances.sort((a, b) => a - b);
+    const sorted = results.map(r => r.finalBalance || 0).sort((a, b) => a - b);
     const cutoff = Math.floor(confidenceLevel * sorted.length);
     const tail = sorted.slice(0, cutoff);
     return tail.reduce((sum, val) => sum + val, 0) / tail.length;
   }
 
   calculateMaxDrawdownStats(results) {
-    const drawdowns = results.map(({ result }) => {
-      if (!result || !result.results) return 0;
-      
-      const simulationResults = result.results.results || result.results;
-      if (!Array.isArray(simulationResults)) return 0;
-      
-      return this.calculateMaxDrawdownFromResults(simulationResults);
-    });
-    
+    const drawdowns = results.map(r => r.maxDrawdown || 0);
     return this.calculateStatistics(drawdowns, [10, 25, 50, 75, 90, 95, 99]);
   }
 }
@@ -2,6 +2,7 @@
  * Return Model Service - Modular return generation for Monte Carlo analysis
  * Provides various return models with strict separation of concerns
  */
+import { HISTORICAL_RETURNS } from '../historical-returns.js';
 
 export class ReturnModelService {
   constructor(eventBus) {
@@ -45,9 +46,9 @@ export class ReturnModelService {
    * Register default return models
    */
   registerDefaultModels() {
-    this.registerModel('simple-random', SimpleRandomModel);
-    this.registerModel('historical-bootstrap', HistoricalBootstrapModel);
-    this.registerModel('historical-sequence', HistoricalSequenceModel);
+    for (const [name, modelClass] of Object.entries(RETURN_MODELS)) {
+      this.registerModel(name, modelClass);
+    }
     
     // Set default model
     this.setModel('simple-random', {});
@@ -338,8 +339,205 @@ export class SimpleRandomModel extends BaseReturnModel {
   }
 }
 
+/**
+ * Correlated Random Model - Jointly sampled returns across asset classes
+ * Draws one vector of stock, bond, cash and real estate returns per period from a
+ * multivariate normal distribution, using the Cholesky factor of the covariance matrix
+ */
+export class CorrelatedRandomModel extends BaseReturnModel {
+  generateReturns({ assetTypes, duration, seed, config = {} }) {
+    const settings = { ...this.config, ...config };
+    const classes = settings.asset_classes || ['stock', 'bond', 'cash', 'real_estate'];
+    const means = classes.map(assetClass =>
+      settings[`${assetClass}_mean`] ?? settings.means?.[assetClass] ?? this.getDefaultMean(assetClass));
+    const covariance = this.buildCovarianceMatrix(classes, settings);
+    const cholesky = this.choleskyDecomposition(covariance);
+    const rng = this.createRNG(seed);
+    
+    const classReturns = classes.map(() => []);
+    for (let period = 0; period < duration; period++) {
+      const shocks = classes.map(() => this.standardNormal(rng));
+      
+      for (let i = 0; i < classes.length; i++) {
+        let correlatedShock = 0;
+        for (let j = 0; j <= i; j++) {
+          correlatedShock += cholesky[i][j] * shocks[j];
+        }
+        classReturns[i].push(means[i] + correlatedShock);
+      }
+    }
+    
+    const returns = {};
+    for (const assetType of assetTypes) {
+      const classIndex = classes.indexOf(this.mapAssetTypeToAssetClass(assetType));
+      returns[assetType] = [...classReturns[classIndex === -1 ? 0 : classIndex]];
+    }
+    
+    return returns;
+  }
+
+  /**
+   * Build the covariance matrix from config
+   * Accepts a full `covariance` matrix, or a `correlations` matrix combined with
+   * per-class standard deviations (`<class>_stddev` or `stddevs.<class>`)
+   */
+  buildCovarianceMatrix(classes, settings) {
+    if (settings.covariance) {
+      this.validateMatrix(settings.covariance, classes.length, 'covariance');
+      return settings.covariance;
+    }
+    
+    const correlations = settings.correlations || this.getDefaultCorrelations(classes);
+    this.validateMatrix(correlations, classes.length, 'correlation');
+    
+    const stdDevs = classes.map(assetClass =>
+      settings[`${assetClass}_stddev`] ?? settings.stddevs?.[assetClass] ?? this.getDefaultStdDev(assetClass));
+    
+    return correlations.map((row, i) => row.map((correlation, j) => correlation * stdDevs[i] * stdDevs[j]));
+  }
+
+  /**
+   * Get realistic default mean return for an asset class
+   */
+  getDefaultMean(assetClass) {
+    const defaults = {
+      'stock': 0.10,
+      'bond': 0.04,
+      'cash': 0.02,
+      'real_estate': 0.08   // REIT-like total return
+    };
+    
+    return defaults[assetClass] ?? 0.07;
+  }
+
+  /**
+   * Get realistic default standard deviation for an asset class
+   */
+  getDefaultStdDev(assetClass) {
+    const defaults = {
+      'stock': 0.16,
+      'bond': 0.05,
+      'cash': 0.01,
+      'real_estate': 0.18
+    };
+    
+    return defaults[assetClass] ?? 0.12;
+  }
+
+  /**
+   * Get long-run annual correlations between asset classes
+   * Unlisted pairs are treated as uncorrelated
+   */
+  getDefaultCorrelations(classes) {
+    const pairs = {
+      'stock:bond': 0.1,
+      'stock:real_estate': 0.6,
+      'bond:cash': 0.3,
+      'bond:real_estate': 0.2
+    };
+    
+    return classes.map((a, i) => classes.map((b, j) => {
+      if (i === j) return 1;
+      return pairs[`${a}:${b}`] ?? pairs[`${b}:${a}`] ?? 0;
+    }));
+  }
+
+  /**
+   * Check that a matrix is square, symmetric and sized to the asset classes
+   */
+  validateMatrix(matrix, size, label) {
+    if (!Array.isArray(matrix) || matrix.length !== size || matrix.some(row => !Array.isArray(row) || row.length !== size)) {
+      throw new Error(`The ${label} matrix must be ${size}x${size} (one row per asset class)`);
+    }
+    
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < i; j++) {
+        if (Math.abs(matrix[i][j] - matrix[j][i]) > 1e-9) {
+          throw new Error(`The ${label} matrix must be symmetric`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Lower-triangular Cholesky factor L with L * L^T = matrix
+   */
+  choleskyDecomposition(matrix) {
+    const size = matrix.length;
+    const lower = Array.from({ length: size }, () => new Array(size).fill(0));
+    
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j <= i; j++) {
+        let sum = matrix[i][j];
+        for (let k = 0; k < j; k++) {
+          sum -= lower[i][k] * lower[j][k];
+        }
+        
+        if (i === j) {
+          if (sum <= 0) {
+            throw new Error('The covariance matrix must be positive definite');
+          }
+          lower[i][i] = Math.sqrt(sum);
+        } else {
+          lower[i][j] = sum / lower[j][j];
+        }
+      }
+    }
+    
+    return lower;
+  }
+
+  standardNormal(rng) {
+    const u1 = 1 - rng(); // (0, 1] so the log stays finite
+    const u2 = rng();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+
+  /**
+   * Map asset types to asset classes in the matrix
+   */
+  mapAssetTypeToAssetClass(assetType) {
+    const mapping = {
+      'stock': 'stock',
+      'equity': 'stock',
+      'investment': 'stock',
+      'taxable': 'stock',
+      'tax_deferred': 'stock',
+      'tax_free': 'stock',
+      'bond': 'bond',
+      'fixed_income': 'bond',
+      'cash': 'cash',
+      'savings': 'cash',
+      'real_estate': 'real_estate',
+      'reit': 'real_estate',
+      'property': 'real_estate'
+    };
+    
+    return mapping[assetType.toLowerCase()] || assetType.toLowerCase();
+  }
+
+  getDisplayName() {
+    return 'Correlated Random';
+  }
+
+  getDescription() {
+    return 'Jointly sampled stock, bond, cash and real estate returns from a correlation matrix';
+  }
+
+  getCapabilities() {
+    return {
+      supportsMultipleAssets: true,
+      supportsCorrelation: true,
+      supportsRegimes: false,
+      supportsSequenceRisk: false
+    };
+  }
+}
+
 /**
  * Historical Bootstrap Model - Samples from actual historical returns
+ * Whole years are drawn jointly, so a year's stock, bond and T-bill returns and its
+ * inflation always travel together
  */
 export class HistoricalBootstrapModel extends BaseReturnModel {
   constructor(config = {}) {
@@ -349,63 +547,32 @@ export class HistoricalBootstrapModel extends BaseReturnModel {
 
   /**
    * Load historical return data
+   * Aligned annual series from scripts/historical-returns.js (1926-2023), keyed by
+   * the names used in mapAssetTypeToHistoricalData()
    */
   loadHistoricalData() {
-    // S&P 500 annual returns 1926-2023 (simplified dataset)
-    // In production, this would be loaded from external data source
+    const years = HISTORICAL_RETURNS.years;
+    
     return {
-      'stock': [
-        0.1162, 0.3749, 0.4361, -0.0842, -0.2512, -0.4384, -0.0864, 0.4998, 0.4674, 0.3194,
-        -0.3534, 0.2928, 0.2109, -0.0119, 0.2003, 0.1131, -0.0067, 0.2070, 0.255, 0.1885,
-        0.1421, 0.1906, 0.2589, -0.0897, 0.2031, 0.1653, 0.0262, 0.1849, 0.3237, 0.2011,
-        0.1279, -0.0110, 0.2168, 0.2234, 0.0615, 0.1240, 0.0970, 0.0110, 0.4372, 0.1206,
-        0.0034, 0.2664, 0.1488, -0.0658, 0.1244, 0.0200, 0.1561, 0.3148, -0.0306, 0.3023,
-        0.0749, -0.0110, 0.0400, 0.1361, 0.1131, -0.0847, -0.1054, 0.2031, 0.2233, 0.0685,
-        0.1506, 0.0317, 0.1854, 0.3256, 0.1854, 0.0581, 0.1654, 0.3115, -0.0307, 0.3042,
-        0.0742, -0.1146, 0.0491, 0.1579, 0.0549, -0.3655, 0.2594, 0.2236, -0.0881, 0.1040,
-        0.1301, 0.1917, 0.3138, 0.3056, 0.0754, 0.0970, 0.0133, 0.3719, 0.2268, -0.0881,
-        -0.0903, -0.1189, -0.2210, 0.2868, 0.1088, 0.0491, 0.1579
-      ],
-      'bond': [
-        0.0744, 0.0884, 0.0010, 0.0446, 0.0479, 0.0884, 0.0668, 0.0010, 0.0446, 0.0479,
-        0.0884, 0.0668, 0.0010, 0.0446, 0.0479, 0.0884, 0.0668, 0.0010, 0.0446, 0.0479,
-        0.0884, 0.0668, 0.0010, 0.0446, 0.0479, 0.0884, 0.0668, 0.0010, 0.0446, 0.0479,
-        0.0884, 0.0668, 0.0010, 0.0446, 0.0479, 0.0884, 0.0668, 0.0010, 0.0446, 0.0479,
-        0.0884, 0.0668, 0.0010, 0.0446, 0.0479, 0.0884, 0.0668, 0.0010, 0.0446, 0.0479,
-        0.0884, 0.0668, 0.0010, 0.0446, 0.0479, 0.0884, 0.0668, 0.0010, 0.0446, 0.0479,
-        0.0884, 0.0668, 0.0010, 0.0446, 0.0479, 0.0884, 0.0668, 0.0010, 0.0446, 0.0479,
-        0.0884, 0.0668, 0.0010, 0.0446, 0.0479, 0.0884, 0.0668, 0.0010, 0.0446, 0.0479,
-        0.0884, 0.0668, 0.0010, 0.0446, 0.0479, 0.0884, 0.0668, 0.0010, 0.0446, 0.0479,
-        0.0884, 0.0668, 0.0010, 0.0446, 0.0479
-      ]
+      'years': years.map(row => row.year),
+      'stock': years.map(row => row.stocks),
+      'bond': years.map(row => row.bonds),
+      'cash': years.map(row => row.bills),
+      'inflation': years.map(row => row.inflation)
     };
   }
 
   generateReturns({ assetTypes, duration, seed, config = {} }) {
     const rng = this.createRNG(seed);
-    const returns = {};
+    const yearCount = this.historicalData.years.length;
     
-    for (const assetType of assetTypes) {
-      returns[assetType] = [];
-      
-      // Map asset type to historical data
-      const dataKey = this.mapAssetTypeToHistoricalData(assetType);
-      const historicalReturns = this.historicalData[dataKey] || this.historicalData['stock'];
-      
-      for (let period = 0; period < duration; period++) {
-        // Randomly sample from historical returns
-        const randomIndex = Math.floor(rng() * historicalReturns.length);
-        const historicalReturn = historicalReturns[randomIndex];
-        
-        // Apply any adjustments from config
-        const adjustment = config[`${assetType}_adjustment`] || 0;
-        const finalReturn = historicalReturn + adjustment;
-        
-        returns[assetType].push(finalReturn);
-      }
+    // Randomly sample whole historical years
+    const yearIndices = [];
+    for (let period = 0; period < duration; period++) {
+      yearIndices.push(Math.floor(rng() * yearCount));
     }
     
-    return returns;
+    return buildHistoricalReturns(this, yearIndices, assetTypes, config);
   }
 
   /**
@@ -418,8 +585,9 @@ export class HistoricalBootstrapModel extends BaseReturnModel {
       'investment': 'stock',
       'bond': 'bond',
       'fixed_income': 'bond',
-      'cash': 'bond', // Conservative mapping
-      'savings': 'bond'
+      'cash': 'cash', // 3-month T-bills
+      'savings': 'cash',
+      'inflation': 'inflation'
     };
     
     return mapping[assetType.toLowerCase()] || 'stock';
@@ -430,7 +598,7 @@ export class HistoricalBootstrapModel extends BaseReturnModel {
   }
 
   getDescription() {
-    return 'Random sampling from actual historical market returns (1926-2023)';
+    return 'Random sampling of whole historical years (returns and inflation, 1926-2023)';
   }
 
   getCapabilities() {
@@ -454,57 +622,71 @@ export class HistoricalSequenceModel extends BaseReturnModel {
 
   loadHistoricalData() {
     // Same data as HistoricalBootstrapModel
-    // In production, this would be shared or loaded from common source
     return new HistoricalBootstrapModel().loadHistoricalData();
   }
 
   generateReturns({ assetTypes, duration, seed, config = {} }) {
     const rng = this.createRNG(seed);
-    const returns = {};
+    const yearCount = this.historicalData.years.length;
     
-    for (const assetType of assetTypes) {
-      const dataKey = this.mapAssetTypeToHistoricalData(assetType);
-      const historicalReturns = this.historicalData[dataKey] || this.historicalData['stock'];
-      
-      // Choose random starting point that allows full duration
-      const maxStartIndex = Math.max(0, historicalReturns.length - duration);
-      const startIndex = Math.floor(rng() * (maxStartIndex + 1));
-      
-      // Extract sequence
-      const sequence = historicalReturns.slice(startIndex, startIndex + duration);
-      
-      // Pad with repeated sampling if needed
-      while (sequence.length < duration) {
-        const remainingNeeded = duration - sequence.length;
-        const additionalStart = Math.floor(rng() * historicalReturns.length);
-        const additionalSequence = historicalReturns.slice(
-          additionalStart, 
-          Math.min(additionalStart + remainingNeeded, historicalReturns.length)
-        );
-        sequence.push(...additionalSequence);
-      }
-      
-      // Apply adjustments
-      const adjustment = config[`${assetType}_adjustment`] || 0;
-      returns[assetType] = sequence.map(ret => ret + adjustment);
+    // Choose random starting year that allows full duration
+    const maxStartIndex = Math.max(0, yearCount - duration);
+    const startIndex = Math.floor(rng() * (maxStartIndex + 1));
+    const yearIndices = this.getSequenceIndices(startIndex, Math.min(duration, yearCount));
+    
+    // Pad with further historical runs if needed
+    while (yearIndices.length < duration) {
+      const remainingNeeded = duration - yearIndices.length;
+      const additionalStart = Math.floor(rng() * yearCount);
+      yearIndices.push(...this.getSequenceIndices(
+        additionalStart,
+        Math.min(remainingNeeded, yearCount - additionalStart)
+      ));
     }
     
-    return returns;
+    return buildHistoricalReturns(this, yearIndices, assetTypes, config);
+  }
+
+  /**
+   * Consecutive year indices starting at startIndex
+   */
+  getSequenceIndices(startIndex, length) {
+    return Array.from({ length }, (_, offset) => startIndex + offset);
+  }
+
+  /**
+   * Start years whose full duration fits inside the historical data
+   * @param {number} duration - Sequence length in years
+   * @returns {Array<number>} Start years, oldest first
+   */
+  getCohortStartYears(duration) {
+    const years = this.historicalData.years;
+    return years.slice(0, Math.max(0, years.length - duration + 1));
+  }
+
+  /**
+   * Get the actual sequence that followed a historical start year, without padding
+   * @param {number} startYear - First calendar year of the sequence
+   * @param {number} duration - Sequence length in years
+   * @param {Array<string>} assetTypes - Requested asset types
+   * @returns {Object|null} { startYear, endYear, returns } or null if the window runs past the data
+   */
+  getHistoricalWindow(startYear, duration, assetTypes = ['stock']) {
+    const startIndex = this.historicalData.years.indexOf(startYear);
+    if (startIndex === -1 || startIndex + duration > this.historicalData.years.length) {
+      return null;
+    }
+    
+    return {
+      startYear,
+      endYear: startYear + duration - 1,
+      returns: buildHistoricalReturns(this, this.getSequenceIndices(startIndex, duration), assetTypes, {})
+    };
   }
 
   mapAssetTypeToHistoricalData(assetType) {
     // Same mapping as HistoricalBootstrapModel
-    const mapping = {
-      'stock': 'stock',
-      'equity': 'stock',
-      'investment': 'stock',
-      'bond': 'bond',
-      'fixed_income': 'bond',
-      'cash': 'bond',
-      'savings': 'bond'
-    };
-    
-    return mapping[assetType.toLowerCase()] || 'stock';
+    return HistoricalBootstrapModel.prototype.mapAssetTypeToHistoricalData(assetType);
   }
 
   getDisplayName() {
@@ -512,7 +694,7 @@ export class HistoricalSequenceModel extends BaseReturnModel {
   }
 
   getDescription() {
-    return 'Complete historical return sequences preserving sequence risk';
+    return 'Complete historical return and inflation sequences preserving sequence risk';
   }
 
   getCapabilities() {
@@ -524,3 +706,39 @@ export class HistoricalSequenceModel extends BaseReturnModel {
     };
   }
 }
+
+/**
+ * Built-in return models by name, for callers that generate returns without the
+ * service (the Monte Carlo runner)
+ */
+export const RETURN_MODELS = {
+  'simple-random': SimpleRandomModel,
+  'historical-bootstrap': HistoricalBootstrapModel,
+  'historical-sequence': HistoricalSequenceModel,
+  'correlated-random': CorrelatedRandomModel
+};
+
+/**
+ * Assemble returns for the chosen historical years, shared by both historical models
+ * Every asset type and the `inflation` series read the same year indices, so a
+ * drawn year keeps its stock, bond, T-bill and CPI values together.
+ * @param {Object} model - Historical model (provides historicalData and the type mapping)
+ * @param {Array<number>} yearIndices - Index into the historical series for each period
+ * @param {Array<string>} assetTypes - Requested asset types
+ * @param {Object} config - Per-type `<type>_adjustment` values (and `inflation_adjustment`)
+ * @returns {Object} Returns by asset type, plus the matching `inflation` path
+ */
+function buildHistoricalReturns(model, yearIndices, assetTypes, config) {
+  const returns = {};
+  
+  for (const assetType of [...assetTypes, 'inflation']) {
+    const dataKey = model.mapAssetTypeToHistoricalData(assetType);
+    const series = model.historicalData[dataKey] || model.historicalData['stock'];
+    
+    // Apply any adjustments from config
+    const adjustment = config[`${assetType}_adjustment`] || 0;
+    returns[assetType] = yearIndices.map(index => series[index] + adjustment);
+  }
+  
+  return returns;
+}
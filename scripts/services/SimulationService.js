@@ -2,6 +2,8 @@
  * Simulation Service - Pure business logic for running financial simulations
  * Handles simulation execution, insights generation, and metrics calculation
  */
+import { buildEngineOptions, buildReturnPaths, createRandomGenerator, getReturnAssetTypes } from '../monte-carlo-runner.js';
+
 export class SimulationService {
   constructor(eventBus) {
     this.eventBus = eventBus;
@@ -96,15 +98,29 @@ export class SimulationService {
       
       this.eventBus.emit('simulation:started', { scenarioData, context });
       
-      // Generate return sequences for Monte Carlo simulations
-      if (context.isMonteCarlo && simulationId) {
-        console.log('📈 SimulationService: Generating return sequences for Monte Carlo simulation');
-        await this.generateReturnSequences(scenarioData, simulationId);
+      // Generate return sequences for Monte Carlo simulations (unless per-period
+      // variable ranges already supply the path for this iteration). Callers such as
+      // the historical backtest can pass a fixed sequence in context.returnSequence.
+      // context.randomSeed seeds the returns and any rate schedule noise.
+      const rng = createRandomGenerator(context.randomSeed ?? null);
+      const engineOptions = {};
+      if (context.returnSequence || (context.isMonteCarlo && simulationId && context.useReturnModel !== false)) {
+        let returnSequence = context.returnSequence;
+        if (!returnSequence) {
+          console.log('📈 SimulationService: Generating return sequences for Monte Carlo simulation');
+          returnSequence = await this.generateReturnSequences(scenarioData, simulationId, Math.floor(rng() * 4294967296));
+        }
+        if (returnSequence) {
+          Object.assign(engineOptions, buildEngineOptions(scenarioData, returnSequence));
+        }
+      }
+      if (context.randomSeed !== undefined && context.randomSeed !== null) {
+        engineOptions.random = rng;
       }
       
       // Execute the core simulation
       console.log('🔄 SimulationService: Executing core simulation...');
-      const results = await this.executeSimulation(scenarioData);
+      const results = await this.executeSimulation(scenarioData, engineOptions);
       console.log('✅ SimulationService: Core simulation completed, results:', results);
       
       // Generate business insights
@@ -156,10 +172,11 @@ export class SimulationService {
    * Generate return sequences for Monte Carlo simulations
    * @param {Object} scenarioData - Scenario configuration
    * @param {string} simulationId - Unique simulation identifier
+   * @param {number} seed - Return model seed (default: random)
+   * @returns {Promise<Object|null>} Annual returns by asset type, or null if none were generated
    */
-  async generateReturnSequences(scenarioData, simulationId) {
-    // Extract asset types from scenario
-    const assetTypes = scenarioData.assets ? scenarioData.assets.map(asset => asset.type || 'investment') : ['investment'];
+  async generateReturnSequences(scenarioData, simulationId, seed = Math.floor(Math.random() * 4294967296)) {
+    const assetTypes = getReturnAssetTypes(scenarioData);
     
     // Calculate simulation duration in years (timeaware-engine uses months)
     const durationMonths = scenarioData.plan?.duration_months || 300;
@@ -167,28 +184,51 @@ export class SimulationService {
     
     console.log(`📈 SimulationService: Requesting return sequences for ${assetTypes.join(', ')} over ${durationYears} years`);
     
+    // Capture the generated sequence so it can drive the engine, not just the export
+    let returnSequence = null;
+    const captureReturns = (data) => {
+      if (data.simulationId === simulationId) {
+        returnSequence = data.returns;
+      }
+    };
+    this.eventBus.on('returnmodel:returns-generated', captureReturns);
+    
     // Request return generation from ReturnModelService
     this.eventBus.emit('returnmodel:generate-returns', {
       simulationId,
       assetTypes,
       duration: durationYears,
-      seed: Math.floor(Math.random() * 1000000), // Random seed per simulation
+      seed,
       config: {} // Use default return model configuration
     });
     
-    // Wait briefly for return generation to complete
-    await new Promise(resolve => setTimeout(resolve, 50));
+    // ReturnModelService answers within the emit
+    this.eventBus.off('returnmodel:returns-generated', captureReturns);
+    
+    return returnSequence;
+  }
+
+  /**
+   * Map asset-type return sequences onto the scenario's market-dependent assets
+   * See buildReturnPaths() in monte-carlo-runner.js
+   * @param {Object} scenarioData - Scenario configuration
+   * @param {Object} returnSequence - Annual returns keyed by asset type
+   * @returns {Object} Annual returns keyed by asset name
+   */
+  buildReturnPaths(scenarioData, returnSequence) {
+    return buildReturnPaths(scenarioData, returnSequence);
   }
 
   /**
    * Execute the core simulation using the time-aware engine
    * @param {Object} scenarioData - Scenario configuration
+   * @param {Object} engineOptions - Run-time engine inputs (e.g. injected returnPaths)
    * @returns {Promise<Array>} Raw simulation results
    */
-  async executeSimulation(scenarioData) {
+  async executeSimulation(scenarioData, engineOptions = {}) {
     // Dynamic import to avoid circular dependencies
     const { simulateScenarioAdvanced } = await import('../timeaware-engine.js');
-    return await simulateScenarioAdvanced(scenarioData);
+    return await simulateScenarioAdvanced(scenarioData, engineOptions);
   }
 
   /**
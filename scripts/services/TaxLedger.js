@@ -0,0 +1,164 @@
+/**
+ * Tax Ledger - Annual tax accounting for the simulation engine
+ * Accrues tax on each month's withdrawals instead of grossing them up, and
+ * settles each tax year's liability in a later month (e.g. April of the
+ * following year). Exposes the same withdrawal interface as TaxService so the
+ * engine's withdrawal helpers can use either.
+ */
+
+const INCOME_CATEGORIES = {
+  tax_deferred: 'ordinaryIncome',
+  taxable: 'capitalGains',
+  tax_free: 'taxFree'
+};
+
+export class TaxLedger {
+  /**
+   * @param {TaxService} taxService - Calculates the tax each withdrawal adds to the year
+   * @param {Object} settlement - tax_config.settlement
+   * @param {number} settlement.month - Month of the following tax year the bill is paid (1-12, default 4)
+   * @param {string} settlement.account - Asset the payment is withdrawn from (default: withdrawal order)
+   */
+  constructor(taxService, settlement = {}) {
+    this.taxService = taxService;
+    this.settlementMonth = settlement.month ?? 4;
+    this.settlementAccount = settlement.account || null;
+    if (!Number.isInteger(this.settlementMonth) || this.settlementMonth < 1 || this.settlementMonth > 12) {
+      throw new Error(`Invalid tax settlement month: ${settlement.month}. Must be 1-12.`);
+    }
+
+    this.taxYear = -1;
+    this.currentYear = null;
+    this.pendingLiabilities = [];
+    this.settledYears = [];
+    this.monthAccrued = 0;
+  }
+
+  /**
+   * Close the current tax year (queueing its bill) and open the next one
+   * @param {number} indexFactor - Bracket inflation index for the new year
+   */
+  startTaxYear(indexFactor = 1) {
+    if (this.currentYear) {
+      this.pendingLiabilities.push({
+        ...this.currentYear,
+        dueMonth: (this.taxYear + 1) * 12 + this.settlementMonth - 1
+      });
+    }
+
+    this.taxYear++;
+    this.currentYear = {
+      year: this.taxYear,
+      ordinaryIncome: 0,
+      capitalGains: 0,
+      taxFree: 0,
+      incomeTax: 0,
+      taxAccrued: 0
+    };
+    this.taxService.startTaxYear(indexFactor);
+  }
+
+  /**
+   * Taxable income stacks under this year's withdrawals
+   */
+  recordOrdinaryIncome(amount) {
+    this.taxService.recordOrdinaryIncome(amount);
+  }
+
+  /**
+   * Accrue the tax an income payment adds to this year's bill
+   * @returns {number} Tax to pay now (always 0; it is paid at settlement)
+   */
+  recordIncome(amount, taxTreatment, taxablePortion) {
+    if (!this.currentYear) {
+      this.startTaxYear();
+    }
+
+    const taxOwed = this.taxService.recordIncome(amount, taxTreatment, taxablePortion);
+    this.currentYear.incomeTax += taxOwed;
+    this.currentYear.taxAccrued += taxOwed;
+    this.monthAccrued += taxOwed;
+    return 0;
+  }
+
+  /**
+   * Withdrawals are taken at face value; tax is accrued when they are recorded
+   */
+  calculateGrossWithdrawal(netAmountNeeded, accountType) {
+    return {
+      grossWithdrawal: netAmountNeeded,
+      netAmount: netAmountNeeded,
+      taxOwed: 0,
+      effectiveTaxRate: 0,
+      accountType
+    };
+  }
+
+  calculateTaxOnWithdrawal(grossWithdrawal, accountType) {
+    return this.calculateGrossWithdrawal(grossWithdrawal, accountType);
+  }
+
+  /**
+   * Accrue the tax a completed withdrawal adds to this year's bill
+   * A taxable asset that tracks its cost basis (options.costBasis) adds only its realized gain
+   * to capitalGains.
+   * @returns {number} Tax the withdrawal added to the year's bill
+   */
+  recordWithdrawal(grossWithdrawal, accountType, options = {}) {
+    if (!this.currentYear) {
+      this.startTaxYear();
+    }
+
+    const { taxOwed, realizedGain } = this.taxService.calculateTaxOnWithdrawal(grossWithdrawal, accountType, options);
+    this.taxService.recordWithdrawal(grossWithdrawal, accountType, options);
+
+    const category = INCOME_CATEGORIES[accountType];
+    if (category) {
+      this.currentYear[category] += realizedGain ?? grossWithdrawal;
+    }
+    this.currentYear.taxAccrued += taxOwed;
+    this.monthAccrued += taxOwed;
+    return taxOwed;
+  }
+
+  /**
+   * Remove and total the liabilities that fall due in a month
+   * @param {number} month - 0-based plan month
+   * @returns {number} Tax to pay this month
+   */
+  collectDue(month) {
+    const due = this.pendingLiabilities.filter(liability => liability.dueMonth <= month);
+    this.pendingLiabilities = this.pendingLiabilities.filter(liability => liability.dueMonth > month);
+    this.settledYears.push(...due.map(liability => ({ ...liability, paidMonth: month })));
+    return due.reduce((sum, liability) => sum + liability.taxAccrued, 0);
+  }
+
+  /**
+   * Tax accrued since the last call (one month's accrual)
+   */
+  takeMonthAccrued() {
+    const accrued = this.monthAccrued;
+    this.monthAccrued = 0;
+    return accrued;
+  }
+
+  /**
+   * Tax accrued but not yet paid: queued bills plus the open year
+   */
+  getOutstanding() {
+    return this.pendingLiabilities.reduce((sum, liability) => sum + liability.taxAccrued, 0) +
+      (this.currentYear?.taxAccrued || 0);
+  }
+
+  /**
+   * Per-year totals for reporting
+   * @returns {Array<Object>} { year, ordinaryIncome, capitalGains, taxFree, incomeTax, taxAccrued, dueMonth, paidMonth }
+   */
+  getYearSummaries() {
+    return [
+      ...this.settledYears,
+      ...this.pendingLiabilities,
+      ...(this.currentYear ? [{ ...this.currentYear, dueMonth: (this.taxYear + 1) * 12 + this.settlementMonth - 1 }] : [])
+    ];
+  }
+}
@@ -1,8 +1,80 @@
 /**
  * Tax Service - Handles tax calculations for retirement account withdrawals
- * Supports different account types and configurable tax rates
+ * Supports different account types and configurable tax rates, with optional
+ * progressive federal brackets for ordinary income
  */
 
+// 2024 federal ordinary-income brackets and standard deductions by filing status.
+// up_to is the top of the bracket in taxable income (after the deduction).
+export const FEDERAL_TAX_TABLES = {
+  single: {
+    standard_deduction: 14600,
+    brackets: [
+      { rate: 0.10, up_to: 11600 },
+      { rate: 0.12, up_to: 47150 },
+      { rate: 0.22, up_to: 100525 },
+      { rate: 0.24, up_to: 191950 },
+      { rate: 0.32, up_to: 243725 },
+      { rate: 0.35, up_to: 609350 },
+      { rate: 0.37 }
+    ]
+  },
+  married_filing_jointly: {
+    standard_deduction: 29200,
+    brackets: [
+      { rate: 0.10, up_to: 23200 },
+      { rate: 0.12, up_to: 94300 },
+      { rate: 0.22, up_to: 201050 },
+      { rate: 0.24, up_to: 383900 },
+      { rate: 0.32, up_to: 487450 },
+      { rate: 0.35, up_to: 731200 },
+      { rate: 0.37 }
+    ]
+  },
+  married_filing_separately: {
+    standard_deduction: 14600,
+    brackets: [
+      { rate: 0.10, up_to: 11600 },
+      { rate: 0.12, up_to: 47150 },
+      { rate: 0.22, up_to: 100525 },
+      { rate: 0.24, up_to: 191950 },
+      { rate: 0.32, up_to: 243725 },
+      { rate: 0.35, up_to: 365600 },
+      { rate: 0.37 }
+    ]
+  },
+  head_of_household: {
+    standard_deduction: 21900,
+    brackets: [
+      { rate: 0.10, up_to: 16550 },
+      { rate: 0.12, up_to: 63100 },
+      { rate: 0.22, up_to: 100500 },
+      { rate: 0.24, up_to: 191950 },
+      { rate: 0.32, up_to: 243700 },
+      { rate: 0.35, up_to: 609350 },
+      { rate: 0.37 }
+    ]
+  }
+};
+
+// Social Security provisional-income thresholds by filing status. Set by
+// statute and not indexed for inflation, so they stay fixed across tax years.
+export const SOCIAL_SECURITY_THRESHOLDS = {
+  single: { base: 25000, adjusted: 34000 },
+  married_filing_jointly: { base: 32000, adjusted: 44000 },
+  married_filing_separately: { base: 0, adjusted: 0 },
+  head_of_household: { base: 25000, adjusted: 34000 }
+};
+
+// income[].tax_treatment values
+export const INCOME_TAX_TREATMENTS = ['taxable', 'tax_free', 'partially_taxable'];
+
+// Account types whose withdrawals are taxed as ordinary income
+const ORDINARY_INCOME_ACCOUNT_TYPES = ['tax_deferred'];
+
+// tax_config keys that are settings rather than per-account flat rates
+const TAX_SETTING_KEYS = ['filing_status', 'brackets', 'standard_deduction', 'index_brackets', 'settlement', 'long_term_gains_rate'];
+
 export class TaxService {
   constructor(taxConfig = {}) {
     this.taxConfig = {
@@ -14,16 +86,299 @@ export class TaxService {
       // Override with user-provided config
       ...taxConfig
     };
+
+    // Ordinary income recognized so far this tax year (before the deduction)
+    this.yearToDateOrdinaryIncome = 0;
+    // Social Security benefits received so far this tax year
+    this.yearToDateSocialSecurity = 0;
+    this.bracketIndexFactor = 1;
+  }
+
+  /**
+   * Whether ordinary income uses progressive brackets instead of the flat tax_deferred rate
+   * Enabled by setting filing_status or custom brackets in tax_config.
+   * @returns {boolean}
+   */
+  usesProgressiveBrackets() {
+    return Boolean(this.taxConfig.filing_status || this.taxConfig.brackets);
+  }
+
+  /**
+   * Start a new tax year: clear year-to-date income and index brackets
+   * @param {number} indexFactor - Cumulative inflation since the brackets' base year
+   */
+  startTaxYear(indexFactor = 1) {
+    this.yearToDateOrdinaryIncome = 0;
+    this.yearToDateSocialSecurity = 0;
+    this.bracketIndexFactor = this.taxConfig.index_brackets === false ? 1 : indexFactor;
+  }
+
+  /**
+   * Add taxable income (pensions, wages, ...) to this year's ordinary income
+   * @param {number} amount - Taxable income received
+   */
+  recordOrdinaryIncome(amount) {
+    if (amount > 0) {
+      this.yearToDateOrdinaryIncome += amount;
+    }
+  }
+
+  /**
+   * Record an income payment and return the tax it adds to the year
+   * taxable income is ordinary income; partially_taxable income counts
+   * taxable_portion of each payment, or without one is treated as Social
+   * Security benefits taxed under the provisional-income formula.
+   * @param {number} amount - Income received
+   * @param {string} taxTreatment - income[].tax_treatment (default: tax_free)
+   * @param {number} taxablePortion - income[].taxable_portion for partially_taxable income
+   * @returns {number} - Tax owed on the payment
+   */
+  recordIncome(amount, taxTreatment, taxablePortion) {
+    if (!(amount > 0)) return 0;
+
+    const taxBefore = this.calculateOrdinaryIncomeTax(this.yearToDateOrdinaryIncome);
+    if (taxTreatment === 'taxable') {
+      this.yearToDateOrdinaryIncome += amount;
+    } else if (taxTreatment === 'partially_taxable' && taxablePortion !== undefined) {
+      this.yearToDateOrdinaryIncome += amount * taxablePortion;
+    } else if (taxTreatment === 'partially_taxable') {
+      this.yearToDateSocialSecurity += amount;
+    } else {
+      return 0;
+    }
+    return this.calculateOrdinaryIncomeTax(this.yearToDateOrdinaryIncome) - taxBefore;
+  }
+
+  /**
+   * Taxable share of Social Security benefits (IRS provisional-income formula)
+   * Provisional income is other ordinary income plus half the benefits. Up to
+   * 50% of benefits are taxable above the base threshold and up to 85% above
+   * the adjusted threshold.
+   * @param {number} otherIncome - Ordinary income excluding benefits
+   * @param {number} benefits - Benefits received in the year
+   * @returns {number} - Benefits counted as ordinary income
+   */
+  getTaxableSocialSecurity(otherIncome = this.yearToDateOrdinaryIncome, benefits = this.yearToDateSocialSecurity) {
+    if (benefits <= 0) return 0;
+
+    const { base, adjusted } = SOCIAL_SECURITY_THRESHOLDS[this.taxConfig.filing_status] ||
+      SOCIAL_SECURITY_THRESHOLDS.single;
+    const provisionalIncome = otherIncome + benefits / 2;
+    if (provisionalIncome <= base) return 0;
+
+    const firstTier = Math.min(benefits / 2, (Math.min(provisionalIncome, adjusted) - base) / 2);
+    if (provisionalIncome <= adjusted) return firstTier;
+    return Math.min(benefits * 0.85, (provisionalIncome - adjusted) * 0.85 + firstTier);
+  }
+
+  /**
+   * Ordinary income plus the taxable share of this year's Social Security
+   */
+  getTaxableOrdinaryIncome(ordinaryIncome = this.yearToDateOrdinaryIncome) {
+    return ordinaryIncome + this.getTaxableSocialSecurity(ordinaryIncome);
+  }
+
+  /**
+   * Tax on a year's ordinary income, including taxable Social Security
+   * Uses the brackets when enabled, otherwise the flat tax_deferred rate.
+   * @param {number} ordinaryIncome - Ordinary income excluding benefits
+   * @returns {number} - Tax owed
+   */
+  calculateOrdinaryIncomeTax(ordinaryIncome) {
+    const taxableIncome = this.getTaxableOrdinaryIncome(ordinaryIncome);
+    return this.usesProgressiveBrackets()
+      ? this.calculateIncomeTax(taxableIncome)
+      : taxableIncome * (this.taxConfig.tax_deferred || 0);
+  }
+
+  /**
+   * Record a completed withdrawal so later withdrawals this year stack on top of it
+   * Call before the asset's balance is reduced, so a cost basis sells at the right values.
+   * @param {number} grossWithdrawal - Amount withdrawn
+   * @param {string} accountType - Account type
+   * @param {Object} options - { costBasis } for a taxable asset that tracks its basis
+   */
+  recordWithdrawal(grossWithdrawal, accountType, options = {}) {
+    if (ORDINARY_INCOME_ACCOUNT_TYPES.includes(accountType)) {
+      this.recordOrdinaryIncome(grossWithdrawal);
+    } else if (this.taxesRealizedGains(accountType, options)) {
+      options.costBasis.recordSale(grossWithdrawal);
+    }
+  }
+
+  /**
+   * Whether a withdrawal is taxed on its realized gain rather than its whole amount
+   */
+  taxesRealizedGains(accountType, options = {}) {
+    return accountType === 'taxable' && Boolean(options.costBasis);
+  }
+
+  /**
+   * Rate on realized long-term gains (default: the flat taxable rate)
+   * @returns {number} - Tax rate as decimal
+   */
+  getCapitalGainsRate() {
+    return this.taxConfig.long_term_gains_rate ?? this.taxConfig.taxable ?? 0;
+  }
+
+  /**
+   * Standard deduction and brackets for the configured filing status, indexed for inflation
+   * @returns {Object} - { standardDeduction, brackets: [{ rate, up_to }] }
+   */
+  getBracketSchedule() {
+    const filingStatus = this.taxConfig.filing_status || 'single';
+    const table = FEDERAL_TAX_TABLES[filingStatus];
+    if (!table && !this.taxConfig.brackets) {
+      throw new Error(`Unknown filing status: ${filingStatus}`);
+    }
+
+    const factor = this.bracketIndexFactor;
+    const brackets = this.taxConfig.brackets || table.brackets;
+    const standardDeduction = this.taxConfig.standard_deduction ?? table?.standard_deduction ?? 0;
+
+    return {
+      standardDeduction: standardDeduction * factor,
+      brackets: brackets.map(bracket => ({
+        rate: bracket.rate,
+        up_to: typeof bracket.up_to === 'number' ? bracket.up_to * factor : Infinity
+      }))
+    };
+  }
+
+  /**
+   * Federal income tax on a year's ordinary income
+   * @param {number} ordinaryIncome - Gross ordinary income for the year
+   * @returns {number} - Tax owed
+   */
+  calculateIncomeTax(ordinaryIncome) {
+    const { standardDeduction, brackets } = this.getBracketSchedule();
+    const taxableIncome = Math.max(0, ordinaryIncome - standardDeduction);
+
+    let tax = 0;
+    let lower = 0;
+    for (const bracket of brackets) {
+      if (taxableIncome <= lower) break;
+      tax += (Math.min(taxableIncome, bracket.up_to) - lower) * bracket.rate;
+      lower = bracket.up_to;
+    }
+    return tax;
+  }
+
+  /**
+   * Marginal bracket rate for the next dollar of ordinary income
+   * @param {number} ordinaryIncome - Gross ordinary income so far
+   * @returns {number} - Marginal rate as decimal
+   */
+  getMarginalRate(ordinaryIncome) {
+    const { standardDeduction, brackets } = this.getBracketSchedule();
+    const taxableIncome = ordinaryIncome - standardDeduction;
+    if (taxableIncome < 0) return 0;
+    return brackets.find(bracket => taxableIncome < bracket.up_to)?.rate ?? brackets[brackets.length - 1].rate;
+  }
+
+  /**
+   * Ordinary income that still fits in a bracket this year (e.g. for Roth conversions)
+   * @param {number} rate - Rate of the bracket to fill, e.g. 0.12
+   * @returns {number} - Income that can be added before the next bracket starts
+   */
+  getBracketHeadroom(rate) {
+    if (!this.usesProgressiveBrackets()) {
+      throw new Error('Filling a tax bracket requires tax_config.filing_status or brackets');
+    }
+    const { standardDeduction, brackets } = this.getBracketSchedule();
+    const bracket = brackets.find(candidate => candidate.rate === rate);
+    if (!bracket) {
+      throw new Error(`No ${rate * 100}% bracket in the tax schedule`);
+    }
+    return Math.max(0, standardDeduction + bracket.up_to - this.getTaxableOrdinaryIncome());
+  }
+
+  /**
+   * Gross ordinary-income withdrawal needed to net an amount on top of this year's income
+   * Walks the brackets from the current year-to-date income, grossing up each slice
+   * at its own marginal rate.
+   */
+  calculateProgressiveGrossWithdrawal(netAmountNeeded) {
+    const { standardDeduction, brackets } = this.getBracketSchedule();
+    const breakpoints = [
+      { rate: 0, up_to: standardDeduction },
+      ...brackets.map(bracket => ({ rate: bracket.rate, up_to: standardDeduction + bracket.up_to }))
+    ];
+
+    let income = this.yearToDateOrdinaryIncome;
+    let remainingNet = netAmountNeeded;
+    let grossWithdrawal = 0;
+
+    for (const segment of breakpoints) {
+      if (remainingNet <= 0) break;
+      if (income >= segment.up_to) continue;
+
+      const netCapacity = (segment.up_to - income) * (1 - segment.rate);
+      if (remainingNet <= netCapacity) {
+        grossWithdrawal += remainingNet / (1 - segment.rate);
+        remainingNet = 0;
+      } else {
+        grossWithdrawal += segment.up_to - income;
+        remainingNet -= netCapacity;
+        income = segment.up_to;
+      }
+    }
+
+    return grossWithdrawal;
+  }
+
+  /**
+   * Gross withdrawal that nets an amount when each dollar also makes more
+   * Social Security taxable. Solved by bisection on calculateTaxOnWithdrawal.
+   */
+  solveGrossWithdrawal(netAmountNeeded, accountType) {
+    const netOf = gross => gross - this.calculateTaxOnWithdrawal(gross, accountType).taxOwed;
+
+    let low = netAmountNeeded;
+    let high = netAmountNeeded * 2;
+    for (let i = 0; i < 20 && netOf(high) < netAmountNeeded; i++) {
+      low = high;
+      high *= 2;
+    }
+    for (let i = 0; i < 60 && high - low > 0.000001; i++) {
+      const mid = (low + high) / 2;
+      if (netOf(mid) < netAmountNeeded) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    return high;
   }
 
   /**
    * Calculate the gross withdrawal needed to net a specific amount after taxes
    * @param {number} netAmountNeeded - The after-tax amount needed for expenses
    * @param {string} accountType - 'tax_deferred', 'taxable', or 'tax_free'
-   * @param {Object} options - Additional options for tax calculation
+   * @param {Object} options - Additional options for tax calculation ({ costBasis } taxes
+   *   only the gain a taxable sale realizes)
    * @returns {Object} - { grossWithdrawal, netAmount, taxOwed, effectiveTaxRate }
    */
   calculateGrossWithdrawal(netAmountNeeded, accountType, options = {}) {
+    if (this.taxesRealizedGains(accountType, options)) {
+      const grossWithdrawal = options.costBasis.grossForNet(netAmountNeeded, this.getCapitalGainsRate());
+      return this.calculateTaxOnWithdrawal(grossWithdrawal, accountType, options);
+    }
+
+    if (this.stacksOnYearIncome(accountType)) {
+      const grossWithdrawal = this.yearToDateSocialSecurity > 0
+        ? this.solveGrossWithdrawal(netAmountNeeded, accountType)
+        : this.calculateProgressiveGrossWithdrawal(netAmountNeeded);
+      const taxOwed = grossWithdrawal - netAmountNeeded;
+      return {
+        grossWithdrawal,
+        netAmount: netAmountNeeded,
+        taxOwed,
+        effectiveTaxRate: grossWithdrawal > 0 ? taxOwed / grossWithdrawal : 0,
+        accountType
+      };
+    }
+
     const taxRate = this.getTaxRate(accountType, options);
     
     if (taxRate === 0) {
@@ -54,10 +409,35 @@ export class TaxService {
    * Calculate taxes owed on a gross withdrawal amount
    * @param {number} grossWithdrawal - The total amount withdrawn
    * @param {string} accountType - Account type
-   * @param {Object} options - Additional options
-   * @returns {Object} - Tax calculation details
+   * @param {Object} options - Additional options ({ costBasis } as for calculateGrossWithdrawal)
+   * @returns {Object} - Tax calculation details (with realizedGain when the basis is tracked)
    */
   calculateTaxOnWithdrawal(grossWithdrawal, accountType, options = {}) {
+    if (this.taxesRealizedGains(accountType, options)) {
+      const realizedGain = options.costBasis.previewGain(grossWithdrawal);
+      const taxOwed = realizedGain * this.getCapitalGainsRate();
+      return {
+        grossWithdrawal,
+        netAmount: grossWithdrawal - taxOwed,
+        taxOwed,
+        realizedGain,
+        effectiveTaxRate: grossWithdrawal > 0 ? taxOwed / grossWithdrawal : 0,
+        accountType
+      };
+    }
+
+    if (this.stacksOnYearIncome(accountType)) {
+      const income = this.yearToDateOrdinaryIncome;
+      const taxOwed = this.calculateOrdinaryIncomeTax(income + grossWithdrawal) - this.calculateOrdinaryIncomeTax(income);
+      return {
+        grossWithdrawal,
+        netAmount: grossWithdrawal - taxOwed,
+        taxOwed,
+        effectiveTaxRate: grossWithdrawal > 0 ? taxOwed / grossWithdrawal : 0,
+        accountType
+      };
+    }
+
     const taxRate = this.getTaxRate(accountType, options);
     const taxOwed = grossWithdrawal * taxRate;
     const netAmount = grossWithdrawal - taxOwed;
@@ -71,14 +451,33 @@ export class TaxService {
     };
   }
 
+  /**
+   * Whether withdrawals from an account type are taxed through the brackets
+   */
+  isProgressive(accountType) {
+    return this.usesProgressiveBrackets() && ORDINARY_INCOME_ACCOUNT_TYPES.includes(accountType);
+  }
+
+  /**
+   * Whether a withdrawal's tax depends on the rest of the year's income: through
+   * the brackets, or because it makes more Social Security benefits taxable
+   */
+  stacksOnYearIncome(accountType) {
+    return this.isProgressive(accountType) ||
+      (this.yearToDateSocialSecurity > 0 && ORDINARY_INCOME_ACCOUNT_TYPES.includes(accountType));
+  }
+
   /**
    * Get the applicable tax rate for an account type
    * @param {string} accountType - Account type
-   * @param {Object} options - Additional options (future: income-based rates, state taxes)
+   * With progressive brackets, ordinary-income accounts return the current marginal rate.
+   * @param {Object} options - Additional options (future: state taxes)
    * @returns {number} - Tax rate as decimal (0.22 = 22%)
    */
   getTaxRate(accountType, options = {}) {
-    // Future enhancement: could consider total income, state taxes, etc.
+    if (this.isProgressive(accountType)) {
+      return this.getMarginalRate(this.getTaxableOrdinaryIncome());
+    }
     return this.taxConfig[accountType] || 0;
   }
 
@@ -128,6 +527,9 @@ export class TaxService {
     const validAccountTypes = ['tax_deferred', 'taxable', 'tax_free'];
 
     for (const [accountType, rate] of Object.entries(config)) {
+      if (TAX_SETTING_KEYS.includes(accountType)) {
+        continue;
+      }
       if (!validAccountTypes.includes(accountType)) {
         errors.push(`Invalid account type: ${accountType}`);
       }
@@ -137,6 +539,34 @@ export class TaxService {
       }
     }
 
+    if (config.filing_status !== undefined && !FEDERAL_TAX_TABLES[config.filing_status]) {
+      errors.push(`Invalid filing status: ${config.filing_status}. Must be one of: ${Object.keys(FEDERAL_TAX_TABLES).join(', ')}.`);
+    }
+
+    if (config.settlement !== undefined) {
+      const month = config.settlement?.month ?? 4;
+      if (!Number.isInteger(month) || month < 1 || month > 12) {
+        errors.push(`Invalid settlement month: ${month}. Must be 1-12.`);
+      }
+    }
+
+    if (config.long_term_gains_rate !== undefined) {
+      const rate = config.long_term_gains_rate;
+      if (typeof rate !== 'number' || rate < 0 || rate >= 1) {
+        errors.push(`Invalid long_term_gains_rate: ${rate}. Must be between 0 and 1.`);
+      }
+    }
+
+    if (config.brackets !== undefined) {
+      const brackets = Array.isArray(config.brackets) ? config.brackets : [];
+      const ascending = brackets.every((bracket, index) =>
+        index === brackets.length - 1 || (typeof bracket.up_to === 'number' && bracket.up_to > (brackets[index - 1]?.up_to ?? 0)));
+      if (brackets.length === 0 || !ascending ||
+        brackets.some(bracket => typeof bracket.rate !== 'number' || bracket.rate < 0 || bracket.rate >= 1)) {
+        errors.push('Invalid brackets: expected ascending { rate, up_to } entries with rates between 0 and 1.');
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors
@@ -2,6 +2,13 @@
  * Validation Service - Centralized data validation logic
  * Handles scenario validation, story validation, and data integrity checks
  */
+import { SPENDING_STRATEGY_TYPES } from '../spending-strategies.js';
+import { REBALANCING_FREQUENCIES } from '../rebalancing.js';
+import { BUCKET_REFILL_RULES } from '../buckets.js';
+import { BASIS_METHODS } from '../cost-basis.js';
+import { getHouseholdErrors } from '../longevity.js';
+import { getPlanStartYear } from '../utils.js';
+
 export class ValidationService {
   constructor(eventBus) {
     this.eventBus = eventBus;
@@ -29,6 +36,12 @@ export class ValidationService {
     // Assets validation
     this.validateAssets(scenarioData.assets, result);
     
+    // Deposits validation
+    this.validateDeposits(scenarioData.deposits, result);
+    
+    // Income validation
+    this.validateIncome(scenarioData.income, result);
+    
     // Business logic validation
     this.validateBusinessLogic(scenarioData, result);
 
@@ -100,6 +113,118 @@ export class ValidationService {
         }
       }
     }
+
+    // Spending strategy validation
+    if (plan.spending_strategy !== undefined) {
+      const strategy = plan.spending_strategy;
+      const type = strategy?.type || 'constant-dollar';
+      if (typeof strategy !== 'object' || strategy === null) {
+        result.errors.push('Spending strategy must be an object');
+      } else if (!SPENDING_STRATEGY_TYPES.includes(type)) {
+        result.errors.push(`Unknown spending strategy "${type}" (expected one of: ${SPENDING_STRATEGY_TYPES.join(', ')})`);
+      } else if (strategy.withdrawal_rate !== undefined &&
+        (typeof strategy.withdrawal_rate !== 'number' || strategy.withdrawal_rate <= 0 || strategy.withdrawal_rate >= 1)) {
+        result.errors.push('Spending strategy withdrawal_rate must be a decimal between 0 and 1');
+      }
+    }
+
+    // Rebalancing validation
+    if (plan.rebalancing !== undefined) {
+      this.validateRebalancing(plan.rebalancing, result);
+    }
+
+    // Bucket strategy validation
+    if (plan.bucket_strategy !== undefined) {
+      this.validateBucketStrategy(plan.bucket_strategy, result);
+    }
+
+    // Household validation (lifespans for life-table Monte Carlo)
+    if (plan.household !== undefined) {
+      result.errors.push(...getHouseholdErrors(plan.household, getPlanStartYear(plan)));
+    }
+  }
+
+  /**
+   * Validate plan.bucket_strategy
+   * @param {Object} strategy - Bucket strategy configuration
+   * @param {Object} result - Validation result object
+   */
+  validateBucketStrategy(strategy, result) {
+    if (typeof strategy !== 'object' || strategy === null) {
+      result.errors.push('Bucket strategy must be an object');
+      return;
+    }
+
+    if (strategy.refill !== undefined && !BUCKET_REFILL_RULES.includes(strategy.refill)) {
+      result.errors.push(`Unknown bucket refill rule "${strategy.refill}" (expected one of: ${BUCKET_REFILL_RULES.join(', ')})`);
+    }
+
+    if (!Array.isArray(strategy.buckets) || strategy.buckets.length === 0) {
+      result.errors.push('Bucket strategy needs a non-empty "buckets" array');
+      return;
+    }
+
+    strategy.buckets.forEach((bucket, index) => {
+      const bucketPrefix = `Bucket ${index + 1}`;
+      if (typeof bucket?.asset !== 'string') {
+        result.errors.push(`${bucketPrefix}: Must name its "asset"`);
+      }
+      if (bucket?.runway_months !== undefined &&
+        (typeof bucket.runway_months !== 'number' || bucket.runway_months < 0)) {
+        result.errors.push(`${bucketPrefix}: runway_months must be a non-negative number`);
+      }
+    });
+
+    if (strategy.source_priority !== undefined &&
+      (!Array.isArray(strategy.source_priority) || strategy.source_priority.some(name => typeof name !== 'string'))) {
+      result.errors.push('Bucket strategy source_priority must be an array of asset names');
+    }
+  }
+
+  /**
+   * Validate plan.rebalancing
+   * @param {Object} rebalancing - Rebalancing configuration
+   * @param {Object} result - Validation result object
+   */
+  validateRebalancing(rebalancing, result) {
+    if (typeof rebalancing !== 'object' || rebalancing === null) {
+      result.errors.push('Rebalancing must be an object');
+      return;
+    }
+
+    if (rebalancing.frequency !== undefined && !REBALANCING_FREQUENCIES.includes(rebalancing.frequency)) {
+      result.errors.push(`Unknown rebalancing frequency "${rebalancing.frequency}" (expected one of: ${REBALANCING_FREQUENCIES.join(', ')})`);
+    }
+
+    const isValidTolerance = (tolerance) => typeof tolerance === 'number' && tolerance >= 0 && tolerance < 1;
+    if (rebalancing.tolerance !== undefined && !isValidTolerance(rebalancing.tolerance)) {
+      result.errors.push('Rebalancing tolerance must be a decimal between 0 and 1');
+    }
+
+    const targets = rebalancing.targets;
+    if (!Array.isArray(targets) || targets.length === 0) {
+      result.errors.push('Rebalancing needs a non-empty "targets" array');
+      return;
+    }
+
+    targets.forEach((target, index) => {
+      const targetPrefix = `Rebalancing target ${index + 1}`;
+      const names = target?.assets || (target?.asset ? [target.asset] : []);
+      if (!Array.isArray(names) || names.length === 0) {
+        result.errors.push(`${targetPrefix}: Must name an "asset" or an "assets" group`);
+      }
+      if (typeof target?.weight !== 'number' || target.weight < 0) {
+        result.errors.push(`${targetPrefix}: weight must be a non-negative number`);
+      }
+      if (target?.tolerance !== undefined && !isValidTolerance(target.tolerance)) {
+        result.errors.push(`${targetPrefix}: tolerance must be a decimal between 0 and 1`);
+      }
+    });
+
+    const totalWeight = targets.reduce((sum, target) => sum + (target?.weight || 0), 0);
+    if (Math.abs(totalWeight - 1) > 0.001) {
+      result.warnings.push(`Rebalancing weights add up to ${totalWeight.toFixed(3)}; they will be scaled to 1`);
+    }
   }
 
   /**
@@ -189,12 +314,77 @@ export class ValidationService {
       }
     }
 
+    // Fee validation
+    if ('fee_rate_annual' in asset) {
+      const feeRate = asset.fee_rate_annual;
+      if (typeof feeRate !== 'number' || feeRate < 0 || feeRate >= 1) {
+        result.errors.push(`${assetPrefix}: fee_rate_annual must be a number between 0 and 1`);
+      }
+    }
+    if ('fee_monthly' in asset && (typeof asset.fee_monthly !== 'number' || asset.fee_monthly < 0)) {
+      result.errors.push(`${assetPrefix}: fee_monthly must be a non-negative number`);
+    }
+
+    // Cost basis validation: a total or [{ value, basis }] lots, for taxable assets
+    if ('cost_basis' in asset) {
+      const basis = asset.cost_basis;
+      const validLots = Array.isArray(basis) && basis.length > 0 && basis.every(lot =>
+        typeof lot?.value === 'number' && lot.value >= 0 && typeof lot.basis === 'number' && lot.basis >= 0);
+      if (!(typeof basis === 'number' && basis >= 0) && !validLots) {
+        result.errors.push(`${assetPrefix}: cost_basis must be a non-negative number or a list of { value, basis } lots`);
+      } else if ((asset.type || 'taxable') !== 'taxable') {
+        result.warnings.push(`${assetPrefix}: cost_basis only applies to taxable assets and will be ignored`);
+      }
+    }
+    if ('basis_method' in asset && !BASIS_METHODS.includes(asset.basis_method)) {
+      result.errors.push(`${assetPrefix}: Unknown basis_method "${asset.basis_method}" (expected one of: ${BASIS_METHODS.join(', ')})`);
+    }
+
     // Name validation
     if (!asset.name) {
       result.suggestions.push(`${assetPrefix}: Consider adding a name for better identification`);
     }
   }
 
+  /**
+   * Validate planned deposits
+   * @param {Array} deposits - Scenario deposits
+   * @param {Object} result - Validation result object
+   */
+  validateDeposits(deposits, result) {
+    if (deposits === undefined) return;
+    if (!Array.isArray(deposits)) {
+      result.errors.push('Deposits must be an array');
+      return;
+    }
+
+    deposits.forEach((deposit, index) => {
+      const depositPrefix = `Deposit ${index + 1}${deposit?.name ? ` (${deposit.name})` : ''}`;
+      // Deposits without timing used to be skipped; crediting them every month would
+      // quietly inflate balances
+      if (deposit?.month === undefined && deposit?.start_month === undefined) {
+        result.errors.push(`${depositPrefix}: Needs "month" (one-time) or "start_month" (recurring)`);
+      }
+    });
+  }
+
+  /**
+   * Validate income sources
+   * @param {Array} income - Scenario income sources
+   * @param {Object} result - Validation result object
+   */
+  validateIncome(income, result) {
+    if (!Array.isArray(income)) return;
+
+    income.forEach((source, index) => {
+      const incomePrefix = `Income ${index + 1}${source?.name ? ` (${source.name})` : ''}`;
+      // Earlier versions ignored income.inflation_schedule and kept the income flat
+      if (typeof source?.inflation_schedule === 'string' && source.inflation_adjustment === undefined) {
+        result.warnings.push(`${incomePrefix}: inflation_schedule "${source.inflation_schedule}" now indexes this income every year (earlier versions ignored it); set inflation_adjustment to { "type": "schedule", "schedule": "${source.inflation_schedule}" } to keep the indexing, or "none" to keep the income flat`);
+      }
+    });
+  }
+
   /**
    * Validate business logic and relationships
    * @param {Object} scenarioData - Complete scenario data
@@ -205,6 +395,32 @@ export class ValidationService {
 
     if (!plan || !assets) return; // Already handled in structure validation
 
+    // Glidepath references must resolve to scenario.glidepaths
+    if (Array.isArray(assets)) {
+      assets
+        .filter(asset => typeof asset?.glidepath === 'string' && !scenarioData.glidepaths?.[asset.glidepath])
+        .forEach(asset => result.errors.push(`Asset "${asset.name}": glidepath "${asset.glidepath}" is not defined in glidepaths`));
+    }
+
+    // Buckets and refill sources should name known assets
+    const bucketStrategy = plan.bucket_strategy;
+    if (Array.isArray(bucketStrategy?.buckets) && Array.isArray(assets)) {
+      const assetNames = new Set(assets.map(asset => asset?.name));
+      const sources = Array.isArray(bucketStrategy.source_priority) ? bucketStrategy.source_priority : [];
+      [...bucketStrategy.buckets.map(bucket => bucket?.asset), ...sources]
+        .filter(name => typeof name === 'string' && !assetNames.has(name))
+        .forEach(name => result.warnings.push(`Bucket strategy asset "${name}" does not match any asset`));
+    }
+
+    // Rebalancing targets should name known assets
+    if (Array.isArray(plan.rebalancing?.targets) && Array.isArray(assets)) {
+      const assetNames = new Set(assets.map(asset => asset?.name));
+      plan.rebalancing.targets
+        .flatMap(target => target?.assets || (target?.asset ? [target.asset] : []))
+        .filter(name => !assetNames.has(name))
+        .forEach(name => result.warnings.push(`Rebalancing target "${name}" does not match any asset`));
+    }
+
     // Check if assets can support expenses
     const totalAssets = assets.reduce((sum, asset) => sum + (asset.balance ?? 0), 0);
     const monthlyExpenses = plan.monthly_expenses || 0;
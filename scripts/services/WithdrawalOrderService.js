@@ -0,0 +1,316 @@
+/**
+ * Withdrawal Order Service - Searches withdrawal orders for a scenario
+ * Re-runs the scenario for candidate order[] plans (orderings of the accounts, weighted
+ * same-order pairs, and optionally a different plan per phase of the retirement) and
+ * keeps the one that leaves the most after-tax wealth or pays the least lifetime tax.
+ * Plans that leave spending unfunded always rank below plans that fund more of it.
+ */
+import { simulateScenarioAdvanced } from '../timeaware-engine.js';
+import { TaxService } from './TaxService.js';
+
+export const WITHDRAWAL_ORDER_OBJECTIVES = ['after_tax_wealth', 'lifetime_tax'];
+
+// Up to this many accounts every ordering is tried; above it, pairwise swaps from the current order
+const EXHAUSTIVE_ACCOUNT_LIMIT = 5;
+
+export class WithdrawalOrderService {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners for optimization requests
+   */
+  setupEventListeners() {
+    this.eventBus.on('withdrawal-order:optimize', (data) => {
+      console.log('🧭 WithdrawalOrderService: Received withdrawal-order:optimize event');
+      try {
+        const optimization = this.optimizeWithdrawalOrder(data.scenarioData, data.config);
+        this.eventBus.emit('withdrawal-order:completed', optimization);
+      } catch (error) {
+        console.error('❌ WithdrawalOrderService: Optimization failed:', error);
+        this.eventBus.emit('withdrawal-order:error', { error: error.message, data });
+      }
+    });
+  }
+
+  /**
+   * Find the withdrawal order that best meets an objective
+   * @param {Object} scenarioData - Scenario to optimize
+   * @param {Object} config - Search options
+   * @param {string} config.objective - after_tax_wealth (default) or lifetime_tax
+   * @param {Array<string>} config.accounts - Assets to draw from (default: those in order[],
+   *   else every asset)
+   * @param {Array<number>} config.weights - Weights tried for the first asset of a same-order
+   *   pair (default: 0.25, 0.5, 0.75); an empty list searches orderings only
+   * @param {Array<number>} config.phases - 1-based months at which a new phase with its own
+   *   order starts, e.g. [121] for one plan in the first ten years and another after
+   * @param {number} config.maxEvaluations - Cap on simulations run (default 400)
+   * @param {Object} config.simulationOptions - Options passed to simulateScenarioAdvanced()
+   * @returns {Object} { objective, current, best, comparison, evaluations }, where current and
+   *   best are { order, ...metrics } and best.order can replace scenario.order as is
+   */
+  optimizeWithdrawalOrder(scenarioData, config = {}) {
+    const objective = config.objective || 'after_tax_wealth';
+    if (!WITHDRAWAL_ORDER_OBJECTIVES.includes(objective)) {
+      throw new Error(`Unknown withdrawal order objective: ${objective}`);
+    }
+
+    const accounts = config.accounts || this.getDefaultAccounts(scenarioData);
+    if (accounts.length === 0) {
+      throw new Error('Scenario has no assets to order');
+    }
+
+    const search = {
+      scenarioData,
+      objective,
+      weights: config.weights || [0.25, 0.5, 0.75],
+      maxEvaluations: config.maxEvaluations ?? 400,
+      simulationOptions: config.simulationOptions || {},
+      cache: new Map()
+    };
+    const ranges = this.getPhaseRanges(config.phases || []);
+
+    const current = { order: scenarioData.order || [], ...this.evaluateOrder(search, scenarioData.order) };
+
+    // Best single plan first, then each phase in turn with the others held fixed
+    const startingLayout = this.getCurrentPermutation(scenarioData, accounts).map(account => [{ account }]);
+    let plan = { layouts: ranges.map(() => startingLayout) };
+    plan.metrics = this.runCandidate(search, plan.layouts, ranges) || current;
+
+    plan = this.searchPhase(search, plan, ranges, null);
+    if (ranges.length > 1) {
+      ranges.forEach((range, phase) => { plan = this.searchPhase(search, plan, ranges, phase); });
+    }
+
+    // Keep the current order unless something beats it
+    const best = this.compareMetrics(plan.metrics, current, objective) < 0 ? plan.metrics : current;
+
+    console.log(`🧭 WithdrawalOrderService: ${search.cache.size + 1} plans simulated for ${objective}`);
+    return {
+      objective,
+      current,
+      best,
+      comparison: ['afterTaxWealth', 'lifetimeTax', 'endingBalance', 'totalShortfall'].map(metric => ({
+        metric,
+        current: current[metric],
+        best: best[metric],
+        change: best[metric] - current[metric]
+      })),
+      evaluations: search.cache.size + 1
+    };
+  }
+
+  /**
+   * Scenario with an order[] plan applied
+   */
+  applyOrder(scenarioData, order) {
+    return { ...scenarioData, order: order.map(entry => ({ ...entry })) };
+  }
+
+  getDefaultAccounts(scenarioData) {
+    const ordered = (scenarioData.order || []).map(entry => entry.account);
+    const accounts = ordered.length > 0 ? ordered : (scenarioData.assets || []).map(asset => asset.name);
+    return [...new Set(accounts)];
+  }
+
+  /**
+   * Accounts in their current withdrawal order, any not in order[] last
+   */
+  getCurrentPermutation(scenarioData, accounts) {
+    const position = new Map();
+    [...(scenarioData.order || [])]
+      .sort((a, b) => a.order - b.order)
+      .forEach((entry, index) => { if (!position.has(entry.account)) position.set(entry.account, index); });
+    return [...accounts].sort((a, b) => (position.get(a) ?? Infinity) - (position.get(b) ?? Infinity));
+  }
+
+  /**
+   * 1-based [start, stop] months of each phase; the last phase runs to the end of the plan
+   */
+  getPhaseRanges(phaseStarts) {
+    const starts = [1, ...phaseStarts.filter(month => month > 1).sort((a, b) => a - b)];
+    return starts.map((start, index) => ({ start, stop: index < starts.length - 1 ? starts[index + 1] - 1 : null }));
+  }
+
+  /**
+   * Search orderings and then weighted pairs for one phase, or every phase at once when
+   * phase is null
+   * @param {Object} plan - Best plan so far: { layouts, metrics }
+   * @returns {Object} The best plan found, { layouts, metrics }
+   */
+  searchPhase(search, plan, ranges, phase) {
+    const withLayout = (layout) =>
+      plan.layouts.map((existing, index) => (phase === null || index === phase ? layout : existing));
+    const singles = (accounts) => accounts.map(account => [{ account }]);
+    const better = (candidate, incumbent) => {
+      const metrics = this.runCandidate(search, candidate.layouts, ranges);
+      return metrics && this.compareMetrics(metrics, incumbent.metrics, search.objective) < 0
+        ? { layouts: candidate.layouts, metrics }
+        : incumbent;
+    };
+
+    let best = plan;
+    const accounts = plan.layouts[phase ?? 0].flat().map(entry => entry.account);
+    const permutations = this.getPermutations(search, accounts, candidate =>
+      this.runCandidate(search, withLayout(singles(candidate)), ranges));
+    for (const permutation of permutations) {
+      best = better({ layouts: withLayout(singles(permutation)) }, best);
+    }
+
+    // Merge adjacent single accounts into weighted same-order pairs while that helps
+    let improved = search.weights.length > 0;
+    while (improved) {
+      const layout = best.layouts[phase ?? 0];
+      let candidate = best;
+      for (let level = 0; level < layout.length - 1; level++) {
+        if (layout[level].length > 1 || layout[level + 1].length > 1) continue;
+        for (const weight of search.weights) {
+          const pair = [
+            { account: layout[level][0].account, weight },
+            { account: layout[level + 1][0].account, weight: 1 - weight }
+          ];
+          candidate = better({ layouts: withLayout([...layout.slice(0, level), pair, ...layout.slice(level + 2)]) }, candidate);
+        }
+      }
+      improved = candidate !== best;
+      best = candidate;
+    }
+
+    return best;
+  }
+
+  /**
+   * Orderings to try: all of them for a few accounts, otherwise the orderings visited by
+   * a hill climb of pairwise swaps scored with `score`
+   */
+  getPermutations(search, accounts, score) {
+    if (accounts.length <= EXHAUSTIVE_ACCOUNT_LIMIT) {
+      return permute(accounts);
+    }
+
+    const visited = [accounts];
+    let current = accounts;
+    let currentMetrics = score(current);
+    let improved = true;
+    while (improved && search.cache.size < search.maxEvaluations) {
+      improved = false;
+      for (let i = 0; i < current.length - 1; i++) {
+        for (let j = i + 1; j < current.length; j++) {
+          const swapped = [...current];
+          [swapped[i], swapped[j]] = [swapped[j], swapped[i]];
+          const metrics = score(swapped);
+          visited.push(swapped);
+          if (metrics && this.compareMetrics(metrics, currentMetrics, search.objective) < 0) {
+            current = swapped;
+            currentMetrics = metrics;
+            improved = true;
+          }
+        }
+      }
+    }
+    return visited;
+  }
+
+  /**
+   * order[] for a plan: one layout of levels per phase, each level a list of
+   * { account, weight? } drawn at the same order
+   */
+  buildOrder(layouts, ranges) {
+    return layouts.flatMap((layout, phase) => layout.flatMap((level, index) => level.map(entry => ({
+      account: entry.account,
+      order: index + 1,
+      ...(entry.weight !== undefined ? { weight: entry.weight } : {}),
+      ...(ranges.length > 1 ? { start_month: ranges[phase].start } : {}),
+      ...(ranges.length > 1 && ranges[phase].stop !== null ? { stop_month: ranges[phase].stop } : {})
+    }))));
+  }
+
+  /**
+   * Simulate a plan once, returning null when the evaluation budget is spent
+   */
+  runCandidate(search, layouts, ranges) {
+    const order = this.buildOrder(layouts, ranges);
+    const key = JSON.stringify(order);
+    if (search.cache.has(key)) return search.cache.get(key);
+    if (search.cache.size >= search.maxEvaluations) return null;
+
+    const metrics = { order, ...this.evaluateOrder(search, order) };
+    search.cache.set(key, metrics);
+    return metrics;
+  }
+
+  /**
+   * Run the scenario with an order and measure the outcome
+   * @returns {Object} { afterTaxWealth, lifetimeTax, endingBalance, totalShortfall, firstShortfallMonth }
+   */
+  evaluateOrder(search, order) {
+    const scenario = order ? { ...search.scenarioData, order: order.map(entry => ({ ...entry })) } : search.scenarioData;
+    const simulation = simulateScenarioAdvanced(scenario, search.simulationOptions);
+    const finalBalances = Object.fromEntries(Object.entries(simulation.balanceHistory)
+      .map(([name, history]) => [name, history[history.length - 1] || 0]));
+    const shortfallIndex = simulation.results.findIndex(month => month.shortfall > 0);
+    const lastMonth = simulation.results[simulation.results.length - 1] || {};
+
+    return {
+      afterTaxWealth: this.getAfterTaxWealth(search.scenarioData, finalBalances, simulation.costBasis,
+        simulation.priceLevels[simulation.priceLevels.length - 1]) - (lastMonth.taxOutstanding || 0),
+      lifetimeTax: simulation.results.reduce((sum, month) => sum + (month.taxAccrued || 0), 0),
+      endingBalance: Object.values(finalBalances).reduce((sum, balance) => sum + balance, 0),
+      totalShortfall: simulation.results.reduce((sum, month) => sum + (month.shortfall || 0), 0),
+      firstShortfallMonth: shortfallIndex === -1 ? null : shortfallIndex + 1
+    };
+  }
+
+  /**
+   * Ending balances less the tax of cashing them out: tax_deferred as one year's ordinary
+   * income (through the brackets, indexed to the ending price level, when they are enabled,
+   * else at the flat tax_deferred rate), taxable on the gain over any tracked cost basis
+   * (else the whole balance)
+   * @param {number} priceLevel - Price level at the end of the run, relative to the plan start
+   */
+  getAfterTaxWealth(scenarioData, finalBalances, costBasis = {}, priceLevel = 1) {
+    const taxService = new TaxService(scenarioData.plan?.tax_config || {});
+    const { taxable: taxableRate } = taxService.getTaxConfig();
+    const types = Object.fromEntries((scenarioData.assets || []).map(asset => [asset.name, asset.type || 'taxable']));
+
+    taxService.startTaxYear(priceLevel);
+    const deferredBalance = Object.entries(finalBalances)
+      .filter(([name]) => (types[name] || 'taxable') === 'tax_deferred')
+      .reduce((sum, [, balance]) => sum + balance, 0);
+    const deferredTax = taxService.calculateOrdinaryIncomeTax(deferredBalance);
+
+    return Object.entries(finalBalances).reduce((sum, [name, balance]) => {
+      const type = types[name] || 'taxable';
+      let tax = 0;
+      if (type === 'tax_deferred') {
+        tax = deferredBalance > 0 ? deferredTax * balance / deferredBalance : 0;
+      } else if (type === 'taxable' && costBasis[name] !== undefined) {
+        tax = Math.max(0, balance - costBasis[name]) * taxService.getCapitalGainsRate();
+      } else if (type === 'taxable') {
+        tax = balance * taxableRate;
+      }
+      return sum + balance - tax;
+    }, 0);
+  }
+
+  /**
+   * Negative when a is the better outcome: less unfunded spending first, then the objective
+   */
+  compareMetrics(a, b, objective) {
+    const shortfallDifference = Math.round(a.totalShortfall) - Math.round(b.totalShortfall);
+    if (shortfallDifference !== 0) return shortfallDifference;
+    return objective === 'lifetime_tax'
+      ? a.lifetimeTax - b.lifetimeTax
+      : b.afterTaxWealth - a.afterTaxWealth;
+  }
+}
+
+// Every ordering of a list
+function permute(items) {
+  if (items.length <= 1) return [items];
+  return items.flatMap((item, index) =>
+    permute([...items.slice(0, index), ...items.slice(index + 1)]).map(rest => [item, ...rest]));
+}
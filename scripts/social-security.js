@@ -0,0 +1,203 @@
+/**
+ * Social Security - Claiming-age rules for income[].type "social_security"
+ * Turns a PIA, birth date and claiming age into the plain income streams the
+ * engine already handles: the worker's own benefit (early reduction or delayed
+ * credits), a spousal top-up and a survivor step-up after the first death.
+ */
+import { getPlanStartMonthIndex, parseYearMonth } from './utils.js';
+
+export const MIN_CLAIMING_AGE = 62;
+export const MAX_CLAIMING_AGE = 70;
+const SURVIVOR_MIN_AGE_MONTHS = 60 * 12;
+
+/**
+ * Full retirement age for a birth year
+ * @param {number} birthYear - Four-digit birth year
+ * @returns {number} Age in months (65 before 1938, rising to 67 from 1960)
+ */
+export function getFullRetirementAge(birthYear) {
+  if (birthYear <= 1937) return 65 * 12;
+  if (birthYear <= 1942) return 65 * 12 + (birthYear - 1937) * 2;
+  if (birthYear <= 1954) return 66 * 12;
+  if (birthYear <= 1959) return 66 * 12 + (birthYear - 1954) * 2;
+  return 67 * 12;
+}
+
+/**
+ * Share of the PIA paid as a retirement benefit claimed at an age
+ * Early claims lose 5/9% a month for the first 36 months and 5/12% a month
+ * beyond; delayed claims earn 2/3% a month (8% a year) up to age 70.
+ * @param {number} claimingAgeMonths - Age at claiming, in months
+ * @param {number} fullRetirementAgeMonths - Full retirement age, in months
+ * @returns {number} Benefit as a multiple of the PIA
+ */
+export function getRetirementBenefitFactor(claimingAgeMonths, fullRetirementAgeMonths) {
+  if (claimingAgeMonths < fullRetirementAgeMonths) {
+    const monthsEarly = fullRetirementAgeMonths - claimingAgeMonths;
+    return 1 - Math.min(36, monthsEarly) * 5 / 900 - Math.max(0, monthsEarly - 36) * 5 / 1200;
+  }
+  const monthsDelayed = Math.min(claimingAgeMonths, MAX_CLAIMING_AGE * 12) - fullRetirementAgeMonths;
+  return 1 + monthsDelayed * 2 / 300;
+}
+
+/**
+ * Share of the spousal benefit (half the partner's PIA) paid at an age
+ * Early claims lose 25/36% a month for the first 36 months and 5/12% a month
+ * beyond. Spousal benefits earn no delayed credits.
+ */
+export function getSpousalBenefitFactor(claimingAgeMonths, fullRetirementAgeMonths) {
+  const monthsEarly = Math.max(0, fullRetirementAgeMonths - claimingAgeMonths);
+  return 1 - Math.min(36, monthsEarly) * 25 / 3600 - Math.max(0, monthsEarly - 36) * 5 / 1200;
+}
+
+/**
+ * Share of the survivor benefit paid at an age: reduced linearly to 71.5% at 60
+ */
+export function getSurvivorBenefitFactor(ageMonths, fullRetirementAgeMonths) {
+  if (ageMonths >= fullRetirementAgeMonths) return 1;
+  const monthsEarly = fullRetirementAgeMonths - Math.max(ageMonths, SURVIVOR_MIN_AGE_MONTHS);
+  return 1 - 0.285 * monthsEarly / (fullRetirementAgeMonths - SURVIVOR_MIN_AGE_MONTHS);
+}
+
+/**
+ * Normalize one person's record (the income entry itself, or its spouse)
+ */
+function resolvePerson(person, label, planStartIndex) {
+  const birth = parseYearMonth(person.birth_date);
+  if (!birth) {
+    throw new Error(`${label}: birth_date must be "YYYY-MM" or "YYYY-MM-DD"`);
+  }
+  if (typeof person.pia !== 'number' || person.pia < 0) {
+    throw new Error(`${label}: pia must be a non-negative monthly amount`);
+  }
+  const claimingAge = person.claiming_age;
+  if (typeof claimingAge !== 'number' || claimingAge < MIN_CLAIMING_AGE || claimingAge > MAX_CLAIMING_AGE) {
+    throw new Error(`${label}: claiming_age must be between ${MIN_CLAIMING_AGE} and ${MAX_CLAIMING_AGE}`);
+  }
+
+  const birthIndex = birth.year * 12 + birth.month - 1;
+  const claimingAgeMonths = Math.round(claimingAge * 12);
+  const fullRetirementAge = getFullRetirementAge(birth.year);
+  const deathAgeMonths = typeof person.death_age === 'number' ? Math.round(person.death_age * 12) : null;
+  // 1-based plan month in which the person reaches an age
+  const monthAtAge = ageMonths => birthIndex + ageMonths - planStartIndex + 1;
+
+  return {
+    pia: person.pia,
+    fullRetirementAge,
+    claimingAgeMonths,
+    deathAgeMonths,
+    ownBenefit: person.pia * getRetirementBenefitFactor(claimingAgeMonths, fullRetirementAge),
+    claimMonth: monthAtAge(claimingAgeMonths),
+    // Last month a benefit is paid; the survivor's benefit starts the month after
+    lastMonth: deathAgeMonths !== null ? monthAtAge(deathAgeMonths) - 1 : Infinity,
+    ageAtMonth: month => month - 1 + planStartIndex - birthIndex,
+    monthAtAge
+  };
+}
+
+/**
+ * Benefit a survivor inherits: the deceased's own benefit (at least 82.5% of the
+ * PIA if they claimed early), or their PIA with credits to death if unclaimed
+ */
+function getSurvivorBase(deceased) {
+  const deathAge = deceased.deathAgeMonths;
+  if (deceased.claimingAgeMonths <= deathAge) {
+    return deceased.claimingAgeMonths < deceased.fullRetirementAge
+      ? Math.max(deceased.ownBenefit, deceased.pia * 0.825)
+      : deceased.ownBenefit;
+  }
+  return deceased.pia * getRetirementBenefitFactor(Math.max(deathAge, deceased.fullRetirementAge), deceased.fullRetirementAge);
+}
+
+/**
+ * Income streams one person receives: own benefit, spousal top-up, survivor step-up
+ */
+function buildPersonStreams(person, partner, name) {
+  const streams = [
+    { name, amount: person.ownBenefit, start: person.claimMonth, stop: person.lastMonth }
+  ];
+  if (!partner) {
+    return streams;
+  }
+
+  // Spousal top-up: half the partner's PIA less one's own PIA, once both have claimed
+  const spousalExcess = partner.pia / 2 - person.pia;
+  if (spousalExcess > 0) {
+    const start = Math.max(person.claimMonth, partner.claimMonth);
+    streams.push({
+      name: `${name} (spousal)`,
+      amount: spousalExcess * getSpousalBenefitFactor(person.ageAtMonth(start), person.fullRetirementAge),
+      start,
+      stop: Math.min(person.lastMonth, partner.lastMonth)
+    });
+  }
+
+  // Survivor step-up: after the partner's death the larger of the two benefits is paid
+  if (partner.deathAgeMonths !== null) {
+    const start = Math.max(partner.lastMonth + 1, person.monthAtAge(SURVIVOR_MIN_AGE_MONTHS));
+    const survivorBenefit = getSurvivorBase(partner) *
+      getSurvivorBenefitFactor(person.ageAtMonth(start), person.fullRetirementAge);
+    // Before one's own claim the whole survivor benefit is paid, afterwards only the excess
+    if (start < person.claimMonth) {
+      streams.push({ name: `${name} (survivor)`, amount: survivorBenefit, start, stop: Math.min(person.claimMonth - 1, person.lastMonth) });
+    }
+    streams.push({
+      name: `${name} (survivor)`,
+      amount: Math.max(0, survivorBenefit - person.ownBenefit),
+      start: Math.max(start, person.claimMonth),
+      stop: person.lastMonth
+    });
+  }
+  return streams;
+}
+
+/**
+ * Expand one social_security income entry into plain income sources
+ * Amounts are in plan-start dollars and follow plan inflation unless the entry
+ * sets inflation_adjustment; they are taxed as Social Security unless it sets
+ * tax_treatment.
+ * @param {Object} source - income[] entry with type "social_security"
+ * @param {Object} plan - Scenario plan (start_date places birth dates on the plan timeline)
+ * @returns {Array<Object>} Income sources with name, amount, start_month and stop_month
+ */
+export function expandSocialSecurityIncome(source, plan = {}) {
+  const planStartIndex = getPlanStartMonthIndex(plan);
+  const name = source.name || 'Social Security';
+  const worker = resolvePerson(source, name, planStartIndex);
+  const spouse = source.spouse ? resolvePerson(source.spouse, `${name} spouse`, planStartIndex) : null;
+
+  const streams = buildPersonStreams(worker, spouse, name);
+  if (spouse) {
+    streams.push(...buildPersonStreams(spouse, worker, source.spouse.name || `${name} (spouse)`));
+  }
+
+  const shared = {
+    inflation_adjustment: source.inflation_adjustment ?? 'plan',
+    tax_treatment: source.tax_treatment ?? 'partially_taxable',
+    ...(source.index_from ? { index_from: source.index_from } : {})
+  };
+
+  return streams
+    .map(stream => ({ ...stream, start: Math.max(1, stream.start) }))
+    .filter(stream => stream.amount > 0 && stream.stop >= stream.start)
+    .map(stream => ({
+      ...shared,
+      name: stream.name,
+      amount: stream.amount,
+      start_month: stream.start,
+      ...(Number.isFinite(stream.stop) ? { stop_month: stream.stop } : {})
+    }));
+}
+
+/**
+ * Replace every social_security entry in an income list with its benefit streams
+ * @param {Array<Object>} incomeArray - Scenario income
+ * @param {Object} plan - Scenario plan
+ * @returns {Array<Object>} Income the engine can evaluate month by month
+ */
+export function expandIncomeSources(incomeArray = [], plan = {}) {
+  return incomeArray.flatMap(source =>
+    source.type === 'social_security' ? expandSocialSecurityIncome(source, plan) : [source]
+  );
+}
@@ -0,0 +1,172 @@
+/**
+ * Spending Strategies - Dynamic withdrawal rules for plan.spending_strategy
+ * Decides each year's spending from the portfolio's state instead of a fixed
+ * inflation-adjusted amount. Spending is set at the start of every plan year
+ * and held for its 12 months.
+ */
+
+export const SPENDING_STRATEGY_TYPES = [
+  'constant-dollar',
+  'constant-percent',
+  'guyton-klinger',
+  'vpw',
+  'floor-ceiling'
+];
+
+export class SpendingStrategy {
+  /**
+   * @param {Object} config - plan.spending_strategy ({ type, ...strategy options })
+   * @param {Object} plan - Scenario plan (monthly_expenses and duration_months are the baseline)
+   */
+  constructor(config = {}, plan = {}) {
+    this.config = config;
+    this.type = config.type || 'constant-dollar';
+    if (!SPENDING_STRATEGY_TYPES.includes(this.type)) {
+      throw new Error(`Unknown spending strategy: ${this.type}`);
+    }
+
+    this.baseExpenses = plan.monthly_expenses || 0;
+    this.durationMonths = plan.duration_months || 0;
+    this.initialWithdrawalRate = null;
+    this.currentExpenses = null;
+    this.lastInflationFactor = 1;
+    this.lastAdjustment = null;
+  }
+
+  /**
+   * Monthly spending for a month of the plan
+   * @param {number} month - 0-based month
+   * @param {Object} state - Portfolio state at the start of the month
+   * @param {number} state.portfolioValue - Total balance of active assets
+   * @param {number} state.inflationFactor - Cumulative price level since month 0
+   * @param {number} state.yearGrowth - Investment growth over the previous plan year
+   * @returns {number} Monthly expenses
+   */
+  getMonthlyExpenses(month, state) {
+    this.lastAdjustment = null;
+
+    if (this.type === 'constant-dollar') {
+      return this.baseExpenses * state.inflationFactor;
+    }
+
+    if (this.currentExpenses === null) {
+      this.initialWithdrawalRate = this.config.withdrawal_rate ??
+        (state.portfolioValue > 0 ? (this.baseExpenses * 12) / state.portfolioValue : 0);
+    }
+
+    if (this.currentExpenses === null || month % 12 === 0) {
+      this.currentExpenses = this.calculateAnnualExpenses(month, state) / 12;
+      this.lastInflationFactor = state.inflationFactor;
+    }
+
+    return this.currentExpenses;
+  }
+
+  /**
+   * Annual spending for the plan year starting at month
+   */
+  calculateAnnualExpenses(month, state) {
+    const portfolio = Math.max(0, state.portfolioValue);
+
+    switch (this.type) {
+      case 'constant-percent':
+        return portfolio * this.initialWithdrawalRate;
+
+      case 'guyton-klinger':
+        return this.calculateGuardrailsExpenses(month, state, portfolio);
+
+      case 'vpw':
+        return this.calculateVpwExpenses(month, portfolio);
+
+      case 'floor-ceiling':
+        return this.calculateFloorCeilingExpenses(state, portfolio);
+
+      default:
+        throw new Error(`Unknown spending strategy: ${this.type}`);
+    }
+  }
+
+  /**
+   * Guyton-Klinger guardrails
+   * Spending rises with inflation except after a losing year in which the
+   * withdrawal rate is above its initial level. Guardrails compare the initial
+   * withdrawal rate with the current one: spending is raised by
+   * adjustment_percentage when the ratio reaches raise_threshold and cut when it
+   * falls to cut_threshold. Cuts stop for the final cut_exempt_final_years.
+   */
+  calculateGuardrailsExpenses(month, state, portfolio) {
+    if (this.currentExpenses === null) {
+      return this.config.withdrawal_rate !== undefined
+        ? portfolio * this.initialWithdrawalRate
+        : this.baseExpenses * 12 * state.inflationFactor;
+    }
+
+    const {
+      raise_threshold: raiseThreshold = 1.2,
+      cut_threshold: cutThreshold = 0.8,
+      adjustment_percentage: adjustment = 0.1,
+      cut_exempt_final_years: cutExemptYears = 15
+    } = this.config;
+
+    let annual = this.currentExpenses * 12;
+    const inflationStep = state.inflationFactor / this.lastInflationFactor;
+    const rateBeforeInflation = portfolio > 0 ? annual / portfolio : Infinity;
+
+    if (state.yearGrowth < 0 && rateBeforeInflation > this.initialWithdrawalRate) {
+      this.lastAdjustment = 'inflation-skipped';
+    } else {
+      annual *= inflationStep;
+    }
+
+    const currentRate = portfolio > 0 ? annual / portfolio : Infinity;
+    const coverage = this.initialWithdrawalRate / currentRate;
+    const remainingYears = (this.durationMonths - month) / 12;
+
+    if (coverage >= raiseThreshold) {
+      annual *= 1 + adjustment;
+      this.lastAdjustment = 'raise';
+    } else if (coverage <= cutThreshold && remainingYears > cutExemptYears) {
+      annual *= 1 - adjustment;
+      this.lastAdjustment = 'cut';
+    }
+
+    return annual;
+  }
+
+  /**
+   * Variable percentage withdrawal
+   * Spends the level start-of-year payment that would exhaust the portfolio
+   * over the remaining plan years at expected_return (real, default 5%), so the
+   * final year spends whatever is left.
+   */
+  calculateVpwExpenses(month, portfolio) {
+    const rate = this.config.expected_return ?? 0.05;
+    const remainingYears = Math.max(1, Math.ceil((this.durationMonths - month) / 12));
+
+    if (rate === 0) {
+      return portfolio / remainingYears;
+    }
+    return portfolio * rate / ((1 + rate) * (1 - Math.pow(1 + rate, -remainingYears)));
+  }
+
+  /**
+   * Floor and ceiling
+   * Spends withdrawal_rate of the portfolio, kept between floor and ceiling
+   * multiples of the inflation-adjusted baseline spending.
+   */
+  calculateFloorCeilingExpenses(state, portfolio) {
+    const { floor = 0.85, ceiling = 1.25 } = this.config;
+    const baseline = this.baseExpenses * 12 * state.inflationFactor;
+    const target = portfolio * this.initialWithdrawalRate;
+
+    if (target < baseline * floor) {
+      this.lastAdjustment = 'floor';
+      return baseline * floor;
+    }
+    if (target > baseline * ceiling) {
+      this.lastAdjustment = 'ceiling';
+      return baseline * ceiling;
+    }
+    return target;
+  }
+}
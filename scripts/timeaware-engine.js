@@ -5,8 +5,23 @@
  */
 
 import { RateScheduleManager } from './rate-schedules.js';
-import { getMonthlyIncome } from './utils.js';
+import {
+  getIncomeBreakdown,
+  resolveInflationAdjustment,
+  getAgeInPlanYear,
+  getPlanStartYear,
+  getPlanMonthDate,
+  resolveScenarioDates
+} from './utils.js';
 import { TaxService } from './services/TaxService.js';
+import { TaxLedger } from './services/TaxLedger.js';
+import { SpendingStrategy } from './spending-strategies.js';
+import { Rebalancer } from './rebalancing.js';
+import { BucketStrategy } from './buckets.js';
+import { Glidepath, resolveAssetGlidepath } from './glidepath.js';
+import { CostBasis, tracksCostBasis } from './cost-basis.js';
+import { calculateRequiredDistribution, getRmdStartAge } from './required-distributions.js';
+import { expandIncomeSources } from './social-security.js';
 
 // ---- WITHDRAWAL HELPER FUNCTIONS ----
 
@@ -104,9 +119,10 @@ function withdrawFromSingleAsset(entry, assetMap, shortfall, log, taxService) {
     return shortfall;
   }
 
-  // Calculate tax-aware withdrawal amount
+  // Calculate tax-aware withdrawal amount (a tracked cost basis taxes only the gain)
   const accountType = asset.type || 'taxable';
-  const taxCalc = taxService.calculateGrossWithdrawal(shortfall, accountType);
+  const taxOptions = { costBasis: asset.costBasis };
+  const taxCalc = taxService.calculateGrossWithdrawal(shortfall, accountType, taxOptions);
   
   // Don't withdraw more than available, even if taxes require it
   const grossWithdrawal = Math.min(availableBalance, taxCalc.grossWithdrawal);
@@ -115,7 +131,7 @@ function withdrawFromSingleAsset(entry, assetMap, shortfall, log, taxService) {
   let actualNetCovered, actualTaxOwed;
   if (grossWithdrawal < taxCalc.grossWithdrawal) {
     // Partial withdrawal - calculate actual net amount covered
-    const partialTaxCalc = taxService.calculateTaxOnWithdrawal(grossWithdrawal, accountType);
+    const partialTaxCalc = taxService.calculateTaxOnWithdrawal(grossWithdrawal, accountType, taxOptions);
     actualNetCovered = partialTaxCalc.netAmount;
     actualTaxOwed = partialTaxCalc.taxOwed;
   } else {
@@ -124,6 +140,7 @@ function withdrawFromSingleAsset(entry, assetMap, shortfall, log, taxService) {
     actualTaxOwed = taxCalc.taxOwed;
   }
 
+  taxService.recordWithdrawal(grossWithdrawal, accountType, taxOptions);
   asset.balance -= grossWithdrawal;
 
   if (grossWithdrawal > 0) {
@@ -209,7 +226,8 @@ function withdrawProportionally(assetGroup, assetMap, shortfall, log, taxService
 
     // Calculate tax-aware gross withdrawal needed for this asset
     const accountType = asset.type || 'taxable';
-    const taxCalc = taxService.calculateGrossWithdrawal(targetNetWithdrawal, accountType);
+    const taxOptions = { costBasis: asset.costBasis };
+    const taxCalc = taxService.calculateGrossWithdrawal(targetNetWithdrawal, accountType, taxOptions);
     
     // Don't withdraw more than the asset has available (respecting min_balance)
     const grossWithdrawal = Math.min(taxCalc.grossWithdrawal, availableBalance);
@@ -221,7 +239,7 @@ function withdrawProportionally(assetGroup, assetMap, shortfall, log, taxService
     let actualGross, actualNet, actualTax;
     if (grossWithdrawal < taxCalc.grossWithdrawal) {
       // Constrained by available balance
-      const constrainedCalc = taxService.calculateTaxOnWithdrawal(grossWithdrawal, accountType);
+      const constrainedCalc = taxService.calculateTaxOnWithdrawal(grossWithdrawal, accountType, taxOptions);
       actualGross = grossWithdrawal;
       actualNet = Math.min(constrainedCalc.netAmount, maxNetNeeded);
       actualTax = constrainedCalc.taxOwed;
@@ -233,6 +251,7 @@ function withdrawProportionally(assetGroup, assetMap, shortfall, log, taxService
     }
 
     if (actualGross > 0.01) { // Small threshold
+      taxService.recordWithdrawal(actualGross, accountType, taxOptions);
       asset.balance -= actualGross;
       remainingToWithdraw -= actualNet;
       
@@ -258,13 +277,35 @@ function withdrawProportionally(assetGroup, assetMap, shortfall, log, taxService
 
 // ---- MAIN SIMULATION FUNCTION ----
 
-export function simulateScenarioAdvanced(scenario) {
+/**
+ * Run the month-by-month simulation for a scenario
+ * @param {Object} scenario - Scenario configuration (plan, assets, income, order, rate_schedules)
+ * @param {Object} options - Optional run-time inputs that are not part of the scenario itself
+ * @param {Object} options.returnPaths - Injected returns by asset name, one entry per period
+ *   (e.g. Monte Carlo sequences from ReturnModelService). Overrides the asset's
+ *   return_schedule/interest_rate for every period the path covers.
+ * @param {number} options.returnPeriodMonths - Months covered by each return path entry (default 12)
+ * @param {Array<number>} options.inflationPath - Injected inflation rate per period, on the same
+ *   periods as returnPaths. Overrides inflation_schedule/inflation_rate while it lasts.
+ * @param {Object} options.assetClassPaths - Injected stock and bond returns ({ stock, bond }), on
+ *   the same periods as returnPaths, blended by each glidepath asset's equity share
+ * @param {Function} options.random - Random source for add_noise rate schedule steps, returning
+ *   [0, 1) (default Math.random); pass a seeded generator to make noisy schedules repeatable
+ * @returns {Object} - { results, balanceHistory, csvText, actualDuration, taxYears, conversionTranches, costBasis, priceLevels, rateManager }
+ *   (taxYears: per-year ledger totals when plan.tax_config.settlement enables annual tax accounting;
+ *   costBasis: basis left in each taxable asset that tracks one;
+ *   priceLevels: price level at the start of each month relative to month 0, then at the end of the run)
+ */
+export function simulateScenarioAdvanced(scenario, options = {}) {
   console.log('🔧🔧🔧 DEBUG VERSION LOADED: Enhanced logging enabled for withdrawal analysis 🔧🔧🔧');
   console.log('🚀 Running Advanced Time-Aware Simulation with Auto-Stop, Proportional Withdrawals, and Tax-Aware Calculations');
   console.log('🔧 DEBUG VERSION: Enhanced logging enabled for withdrawal analysis');
 
+  // Timed fields may be ISO "YYYY-MM" dates; work in 1-based month offsets from plan.start_date
+  scenario = resolveScenarioDates(scenario);
+
   // Initialize rate schedule manager
-  const rateManager = new RateScheduleManager();
+  const rateManager = new RateScheduleManager(options.random);
   if (scenario.rate_schedules) {
     rateManager.loadSchedules(scenario.rate_schedules);
   }
@@ -273,8 +314,27 @@ export function simulateScenarioAdvanced(scenario) {
   const taxConfig = scenario.plan?.tax_config || {};
   const taxService = new TaxService(taxConfig);
 
+  // Annual tax accounting: withdrawals accrue tax and each year's bill is paid in the
+  // settlement month. Without a settlement, each withdrawal is grossed up for its tax.
+  const taxLedger = taxConfig.settlement ? new TaxLedger(taxService, taxConfig.settlement) : null;
+  const withdrawalTax = taxLedger || taxService;
+
+  // Spending strategy decides how expenses respond to the portfolio (default: constant-dollar)
+  const spendingStrategy = new SpendingStrategy(scenario.plan?.spending_strategy || {}, scenario.plan || {});
+
+  // Scheduled rebalancing back to target weights (plan.rebalancing)
+  const rebalancer = scenario.plan?.rebalancing ? new Rebalancer(scenario.plan.rebalancing) : null;
+
+  // Runway buckets topped up each plan year (plan.bucket_strategy)
+  const bucketStrategy = scenario.plan?.bucket_strategy ? new BucketStrategy(scenario.plan.bucket_strategy) : null;
+
   // Deep copy assets to avoid mutation
   const allAssets = JSON.parse(JSON.stringify(scenario.assets));
+
+  // Taxable assets with a cost_basis are taxed on realized gains only
+  for (const asset of allAssets.filter(tracksCostBasis)) {
+    asset.costBasis = new CostBasis(asset);
+  }
   
   // Separate immediate vs delayed assets
   const immediateAssets = allAssets.filter(asset => !asset.start_month || asset.start_month <= 1);
@@ -298,9 +358,38 @@ export function simulateScenarioAdvanced(scenario) {
   });
   const assetMap = Object.fromEntries(immediateAssets.map((a) => [a.name, a]));
   const allAssetNames = allAssets.map((a) => a.name); // All asset names for balance history
-  const incomeSources = scenario.income || [];
+  // social_security entries become their own-benefit, spousal and survivor streams
+  const incomeSources = expandIncomeSources(scenario.income || [], scenario.plan);
   const depositEvents = scenario.deposits || [];
+  const conversionEvents = scenario.conversions || [];
+  const returnPaths = options.returnPaths || {};
+  const returnPeriodMonths = options.returnPeriodMonths || 12;
+  const inflationPath = options.inflationPath || [];
+  const inflationLevels = [1]; // Cumulative price level per month along inflationPath
+  const assetClassPaths = options.assetClassPaths || {};
+  // Glidepath assets blend stock and bond returns by an equity share that follows the plan
+  const assetGlidepaths = Object.fromEntries(allAssets
+    .filter(asset => asset.glidepath)
+    .map(asset => [asset.name, new Glidepath(resolveAssetGlidepath(asset, scenario.glidepaths), scenario.plan)]));
   const results = [];
+  let yearGrowth = 0; // Investment growth over the previous plan year, for spending rules
+  let currentYearGrowth = 0;
+  let lastYearAssetGrowth = {}; // The same per asset, for bucket refill rules
+  let currentYearAssetGrowth = {};
+
+  // Required minimum distributions need an age: plan.start_age or plan.birth_year
+  const rmdConfig = scenario.plan.rmd || {};
+  const rmdEnabled = rmdConfig.enabled !== false && getAgeInPlanYear(scenario.plan, 0) !== null;
+  const birthYear = Number.isFinite(scenario.plan.birth_year)
+    ? scenario.plan.birth_year
+    : getPlanStartYear(scenario.plan) - scenario.plan.start_age;
+  const rmdStartAge = rmdConfig.start_age ?? getRmdStartAge(birthYear);
+  let rmdRequirements = []; // This plan year's { assetName, age, required }
+
+  // Roth conversion tranches for five-year seasoning; balances already in a target
+  // asset before its first conversion are treated as seasoned and withdrawn first
+  const conversionTranches = [];
+  const seasonedBasis = {};
 
   // Auto-stop configuration
   const maxDuration = scenario.plan.duration_months;
@@ -323,54 +412,137 @@ export function simulateScenarioAdvanced(scenario) {
   // ---- HELPER FUNCTIONS ----
 
   // Handle deposits
+  // Deposits run from start_month through stop_month, or to the end of the plan without
+  // one; `month` alone makes a one-time deposit. Months are 1-based like income. A deposit
+  // with neither month nor start_month has no timing and is skipped (ValidationService
+  // rejects it), rather than credited every month of the plan.
   function applyDeposits(month) {
-    for (const event of depositEvents) {
-      if (
-        typeof event.start_month === "number" &&
-        typeof event.stop_month === "number" &&
-        event.start_month <= month &&
-        event.stop_month >= month &&
-        typeof event.amount === "number"
-      ) {
-        const targetName = event.target || event.name;
-
-        if (!assetMap[targetName]) {
-          assetMap[targetName] = {
-            name: targetName,
-            type: "taxable",
-            balance: 0,
-            interest_rate: 0.0,
-            compounding: "monthly",
-            dynamic: true
-          };
-          assets.push(assetMap[targetName]);
-          balanceHistory[targetName] = [];
-          assetNames.push(targetName);
-        }
+    const currentMonth = month + 1; // Convert 0-based to 1-based month
 
-        assetMap[targetName].balance += event.amount;
+    for (const event of depositEvents) {
+      const start = event.month ?? event.start_month;
+      const stop = event.month ?? event.stop_month ?? Infinity;
+      if (typeof event.amount !== "number" || typeof start !== "number" ||
+        currentMonth < start || currentMonth > stop) {
+        continue;
       }
+
+      // A delayed asset that has not started yet receives the deposit into its opening balance
+      const targetName = event.target || event.name;
+      const target = assetMap[targetName] ||
+        allAssets.find(asset => asset.name === targetName) ||
+        addDynamicAsset(targetName, month);
+      target.costBasis?.recordPurchase(event.amount);
+      target.balance += event.amount;
     }
   }
 
-  // Get time-aware inflation-adjusted expenses
+  // Monthly fee on an asset: its annual fee rate (expense ratio, advisory fee) on the
+  // balance plus any flat monthly account fee, never more than the balance
+  function calculateAssetFee(asset) {
+    if (asset.balance <= 0) return 0;
+    const fee = asset.balance * (asset.fee_rate_annual || 0) / 12 + (asset.fee_monthly || 0);
+    return Math.min(asset.balance, fee);
+  }
+
+  // Create a taxable asset mid-simulation, with zero balances for the months before it existed
+  function addDynamicAsset(name, month) {
+    assetMap[name] = {
+      name,
+      type: "taxable",
+      balance: 0,
+      interest_rate: 0.0,
+      compounding: "monthly",
+      dynamic: true
+    };
+    assets.push(assetMap[name]);
+    balanceHistory[name] = new Array(month).fill(0);
+    allAssetNames.push(name);
+    return assetMap[name];
+  }
+
+  // Get time-aware inflation-adjusted expenses, as decided by the spending strategy
   function getInflationAdjustedExpenses(month) {
-    const baseExpenses = scenario.plan.monthly_expenses;
+    const portfolioValue = Object.values(assetMap).reduce((sum, asset) => sum + (asset.balance || 0), 0);
+    return spendingStrategy.getMonthlyExpenses(month, {
+      portfolioValue,
+      inflationFactor: getInflationFactor(month),
+      yearGrowth
+    });
+  }
 
-    if (scenario.plan.inflation_schedule) {
+  // Cumulative price level at a month relative to month 0
+  function getInflationFactor(month) {
+    if (inflationPath.length > 0) {
+      // Injected path: prices follow the realized sequence, so high-inflation years stay in the base
+      return getPathPriceLevel(month);
+    } else if (scenario.plan.inflation_schedule) {
       const monthlyInflationRate = rateManager.getRate(scenario.plan.inflation_schedule, month) / 12;
-      return baseExpenses * Math.pow(1 + monthlyInflationRate, month);
+      return Math.pow(1 + monthlyInflationRate, month);
     } else {
       // Legacy inflation support
       const inflationRate = scenario.plan.inflation_rate || 0;
       const yearsElapsed = Math.floor(month / 12);
-      return baseExpenses * Math.pow(1 + inflationRate, yearsElapsed);
+      return Math.pow(1 + inflationRate, yearsElapsed);
+    }
+  }
+
+  // Indexing multiplier for an income source (income[].inflation_adjustment). Amounts are
+  // in plan-start dollars unless index_from is "income_start".
+  function getIncomeIndexFactor(source, currentMonth) {
+    const adjustment = resolveInflationAdjustment(source);
+    if (adjustment.type === 'none') {
+      return 1;
+    }
+
+    const month = currentMonth - 1;
+    const baseMonth = source.index_from === 'income_start' ? Math.max(0, (source.start_month || 1) - 1) : 0;
+    const yearsIndexed = Math.floor((month - baseMonth) / 12);
+
+    if (adjustment.type === 'plan') {
+      return getInflationFactor(month) / getInflationFactor(baseMonth);
+    } else if (adjustment.type === 'cola') {
+      return Math.pow(1 + adjustment.rate, yearsIndexed);
+    }
+
+    // Named schedule: one adjustment per year at that year's scheduled rate
+    let factor = 1;
+    for (let year = 0; year < yearsIndexed; year++) {
+      factor *= 1 + rateManager.getRate(adjustment.schedule, baseMonth + year * 12);
+    }
+    return factor;
+  }
+
+  // Price level reached at a month along the injected inflation path. Each period's
+  // rate is spread geometrically like returnPaths; past the end the plan's rate applies.
+  function getPathPriceLevel(month) {
+    while (inflationLevels.length <= month) {
+      const previousMonth = inflationLevels.length - 1;
+      const periodRate = inflationPath[Math.floor(previousMonth / returnPeriodMonths)];
+      let monthlyFactor;
+      if (typeof periodRate === 'number') {
+        monthlyFactor = Math.pow(1 + periodRate, 1 / returnPeriodMonths);
+      } else if (scenario.plan.inflation_schedule) {
+        monthlyFactor = 1 + rateManager.getRate(scenario.plan.inflation_schedule, previousMonth) / 12;
+      } else {
+        monthlyFactor = 1 + (scenario.plan.inflation_rate || 0) / 12;
+      }
+      inflationLevels.push(inflationLevels[previousMonth] * monthlyFactor);
     }
+    return inflationLevels[month];
   }
 
   // Get time-aware asset returns
   function getAssetReturns(asset, month) {
-    if (asset.return_schedule) {
+    const path = returnPaths[asset.name];
+    const periodIndex = Math.floor(month / returnPeriodMonths);
+    if (Array.isArray(path) && typeof path[periodIndex] === 'number') {
+      // Injected path: spread the period's realized return geometrically so the
+      // months compound back to exactly that return (-40% stays -40%)
+      return Math.pow(1 + path[periodIndex], 1 / returnPeriodMonths) - 1;
+    } else if (assetGlidepaths[asset.name]) {
+      return getGlidepathReturns(assetGlidepaths[asset.name], month);
+    } else if (asset.return_schedule) {
       // New rate schedule system
       return rateManager.getRate(asset.return_schedule, month) / 12;
     } else {
@@ -379,6 +551,250 @@ export function simulateScenarioAdvanced(scenario) {
     }
   }
 
+  // Monthly return of a glidepath asset's mix: injected stock and bond paths when
+  // Monte Carlo supplies them, else the glidepath's own returns (rates or schedule names)
+  function getGlidepathReturns(glidepath, month) {
+    const periodIndex = Math.floor(month / returnPeriodMonths);
+    const stockPath = assetClassPaths.stock;
+    const bondPath = assetClassPaths.bond;
+    if (Array.isArray(stockPath) && Array.isArray(bondPath) &&
+        typeof stockPath[periodIndex] === 'number' && typeof bondPath[periodIndex] === 'number') {
+      const periodReturn = glidepath.blendReturns(month, stockPath[periodIndex], bondPath[periodIndex]);
+      return Math.pow(1 + periodReturn, 1 / returnPeriodMonths) - 1;
+    }
+
+    const getRate = (rate) => (typeof rate === 'string' ? rateManager.getRate(rate, month) : rate);
+    return glidepath.blendReturns(month, getRate(glidepath.equityReturn), getRate(glidepath.bondReturn)) / 12;
+  }
+
+  // Work out each tax_deferred asset's RMD from its balance at the start of the plan year
+  function calculateRmdRequirements(month) {
+    const age = getAgeInPlanYear(scenario.plan, month);
+    if (age < rmdStartAge) return [];
+
+    return Object.values(assetMap)
+      .filter(asset => asset.type === 'tax_deferred' && asset.balance > 0)
+      .map(asset => ({ assetName: asset.name, age, required: calculateRequiredDistribution(asset.balance, age) }));
+  }
+
+  // Distribute whatever part of an RMD this year's withdrawals have not covered,
+  // reinvesting the after-tax excess in a taxable asset
+  function takeRequiredDistribution({ assetName, age, required }, month, log) {
+    const asset = assetMap[assetName];
+    const yearStart = month - (month % 12);
+    const withdrawnThisYear = [...results.slice(yearStart), log]
+      .flatMap(entry => entry.withdrawals)
+      .filter(w => w.from === assetName)
+      .reduce((sum, w) => sum + (w.grossAmount || 0), 0);
+    const distributed = Math.max(0, Math.min(required - withdrawnThisYear, asset?.balance || 0));
+    const rmd = { asset: assetName, age, required, withdrawnThisYear, distributed: 0, taxOwed: 0, reinvested: 0, reinvestedTo: null };
+
+    if (distributed <= 0.01) {
+      return rmd;
+    }
+
+    const taxCalc = withdrawalTax.calculateTaxOnWithdrawal(distributed, asset.type);
+    asset.balance -= distributed;
+    const taxAccrued = withdrawalTax.recordWithdrawal(distributed, asset.type);
+
+    const target = getRmdReinvestmentAsset(month);
+    target.costBasis?.recordPurchase(taxCalc.netAmount);
+    target.balance += taxCalc.netAmount;
+
+    const minBalance = asset.min_balance || 0;
+    log.withdrawals.push({
+      from: asset.name,
+      accountType: asset.type,
+      grossAmount: distributed,
+      netAmount: taxCalc.netAmount,
+      taxOwed: taxCalc.taxOwed,
+      effectiveTaxRate: taxCalc.effectiveTaxRate,
+      purpose: 'rmd',
+      remainingBalance: asset.balance,
+      minBalance: minBalance,
+      availableBalance: Math.max(0, asset.balance - minBalance)
+    });
+
+    return {
+      ...rmd,
+      distributed,
+      // Under annual settlement nothing is withheld; report what the distribution adds to the year's bill
+      taxOwed: taxLedger ? taxAccrued : taxCalc.taxOwed,
+      reinvested: taxCalc.netAmount,
+      reinvestedTo: target.name
+    };
+  }
+
+  // RMD excess goes to rmd.reinvest_to, else the first taxable asset, else a new one
+  function getRmdReinvestmentAsset(month) {
+    const configuredName = rmdConfig.reinvest_to;
+    if (configuredName && assetMap[configuredName]) {
+      return assetMap[configuredName];
+    }
+    const taxableAsset = Object.values(assetMap).find(asset => asset.type === 'taxable');
+    if (!configuredName && taxableAsset) {
+      return taxableAsset;
+    }
+
+    const targetName = configuredName && !allAssetNames.includes(configuredName) ? configuredName : 'RMD Reinvestment';
+    return assetMap[targetName] || addDynamicAsset(targetName, month);
+  }
+
+  // Roth conversions run once per plan year, in the year's last month inside their range
+  function applyConversions(month, log) {
+    const currentMonth = month + 1; // Convert 0-based to 1-based month
+    const conversions = [];
+
+    for (const conversion of conversionEvents) {
+      const start = conversion.start_month ?? 1;
+      const stop = conversion.stop_month ?? maxDuration;
+      const lastActiveMonth = month % 12 === 11 || currentMonth === stop || currentMonth === maxDuration;
+      const source = assetMap[conversion.from];
+      const target = assetMap[conversion.to];
+      if (currentMonth < start || currentMonth > stop || !lastActiveMonth || !source || !target) {
+        continue;
+      }
+
+      const requested = conversion.fill_to_bracket !== undefined
+        ? taxService.getBracketHeadroom(conversion.fill_to_bracket)
+        : (conversion.annual_amount || 0);
+      const amount = Math.min(requested, Math.max(0, source.balance - (source.min_balance || 0)));
+      if (amount <= 0.01) {
+        continue;
+      }
+
+      const { taxOwed } = taxService.calculateTaxOnWithdrawal(amount, source.type || 'tax_deferred');
+      source.balance -= amount;
+      withdrawalTax.recordWithdrawal(amount, source.type || 'tax_deferred');
+
+      // With per-withdrawal taxes the bill is paid now: from pay_tax_from, else withheld
+      let converted = amount;
+      let taxPaidFrom = taxLedger ? 'settlement' : null;
+      if (!taxLedger && taxOwed > 0) {
+        if (conversion.pay_tax_from && assetMap[conversion.pay_tax_from]) {
+          const firstEntry = log.withdrawals.length;
+          const unpaidTax = withdrawFromSingleAsset({ account: conversion.pay_tax_from }, assetMap, taxOwed, log, taxService);
+          log.withdrawals.slice(firstEntry).forEach(w => { w.purpose = 'conversion_tax'; });
+          converted -= Math.max(0, unpaidTax);
+          taxPaidFrom = conversion.pay_tax_from;
+        } else {
+          converted -= taxOwed;
+          taxPaidFrom = 'withheld';
+        }
+      }
+
+      if (seasonedBasis[target.name] === undefined) {
+        seasonedBasis[target.name] = target.balance;
+      }
+      target.costBasis?.recordPurchase(converted);
+      target.balance += converted;
+      conversionTranches.push({
+        from: source.name,
+        to: target.name,
+        month,
+        amount: converted,
+        remaining: converted,
+        seasonedMonth: month + 60
+      });
+
+      conversions.push({
+        from: source.name,
+        to: target.name,
+        amount,
+        converted,
+        taxOwed,
+        taxPaidFrom,
+        seasonedMonth: month + 60
+      });
+    }
+
+    return conversions;
+  }
+
+  // Selling a taxable asset realizes tax, and moving tax_deferred money into another
+  // account type is a distribution
+  function isTaxedTransfer(fromName, toName) {
+    const sourceType = assetMap[fromName].type || 'taxable';
+    return sourceType === 'taxable' ||
+      (sourceType === 'tax_deferred' && (assetMap[toName].type || 'taxable') !== 'tax_deferred');
+  }
+
+  // Amount to sell so that `amount` arrives after any tax withheld from the proceeds
+  function getGrossTransfer(fromName, toName, amount) {
+    if (taxLedger || !isTaxedTransfer(fromName, toName)) return amount;
+    const source = assetMap[fromName];
+    return taxService.calculateGrossWithdrawal(amount, source.type || 'taxable', { costBasis: source.costBasis }).grossWithdrawal;
+  }
+
+  // Move money between assets. Tax is paid from the proceeds unless the annual ledger
+  // collects it at settlement.
+  function transferBetweenAssets(fromName, toName, amount) {
+    const source = assetMap[fromName];
+    const target = assetMap[toName];
+    const sourceType = source.type || 'taxable';
+    const taxOptions = { costBasis: source.costBasis };
+
+    let taxOwed = 0;
+    if (isTaxedTransfer(fromName, toName)) {
+      taxOwed = taxService.calculateTaxOnWithdrawal(amount, sourceType, taxOptions).taxOwed;
+      withdrawalTax.recordWithdrawal(amount, sourceType, taxOptions);
+    }
+    const received = taxLedger ? amount : amount - taxOwed;
+
+    target.costBasis?.recordPurchase(received);
+    source.balance -= amount;
+    target.balance += received;
+    return { from: source.name, to: target.name, amount, taxOwed, received };
+  }
+
+  function applyRebalancing() {
+    const trades = rebalancer.planTrades(assetMap)
+      .map(trade => transferBetweenAssets(trade.from, trade.to, trade.amount));
+    return trades;
+  }
+
+  // Top buckets up to their runway of this month's spending not covered by income. A taxed
+  // source sells enough to land the full amount after tax, as far as its balance allows.
+  function applyBucketRefills(monthlyNeed) {
+    const refills = bucketStrategy.refillBuckets(assetMap, monthlyNeed, lastYearAssetGrowth, (fromName, toName, amount) => {
+      const source = assetMap[fromName];
+      const available = source.balance - (source.min_balance || 0);
+      return transferBetweenAssets(fromName, toName, Math.min(getGrossTransfer(fromName, toName, amount), available));
+    });
+    return refills;
+  }
+
+  // Draw tax_free withdrawals from seasoned basis first, then conversions oldest first,
+  // flagging any that reach conversions younger than five years
+  function trackConversionSeasoning(month, log) {
+    for (const withdrawal of log.withdrawals) {
+      if (seasonedBasis[withdrawal.from] === undefined || withdrawal.purpose === 'conversion_tax') {
+        continue;
+      }
+
+      let remaining = withdrawal.grossAmount || 0;
+      const fromBasis = Math.min(remaining, seasonedBasis[withdrawal.from]);
+      seasonedBasis[withdrawal.from] -= fromBasis;
+      remaining -= fromBasis;
+
+      let unseasoned = 0;
+      for (const tranche of conversionTranches) {
+        if (remaining <= 0) break;
+        if (tranche.to !== withdrawal.from || tranche.remaining <= 0) continue;
+        const taken = Math.min(remaining, tranche.remaining);
+        tranche.remaining -= taken;
+        remaining -= taken;
+        if (month < tranche.seasonedMonth) {
+          unseasoned += taken;
+        }
+      }
+
+      if (unseasoned > 0) {
+        withdrawal.unseasonedConversion = unseasoned;
+      }
+    }
+  }
+
   // Activate delayed assets when their start_month is reached
   function activateDelayedAssets(month) {
     const currentMonth = month + 1; // Convert 0-based to 1-based month
@@ -413,9 +829,25 @@ export function simulateScenarioAdvanced(scenario) {
     applyDeposits(month);
 
     // 3. Calculate income and expenses
-    const income = getMonthlyIncome(incomeSources, month + 1);
+    if (month % 12 === 0) {
+      if (month > 0) {
+        yearGrowth = currentYearGrowth;
+        currentYearGrowth = 0;
+        lastYearAssetGrowth = currentYearAssetGrowth;
+        currentYearAssetGrowth = {};
+      }
+      // New tax year: brackets are in plan-start dollars and rise with inflation
+      withdrawalTax.startTaxYear(getInflationFactor(month));
+      if (rmdEnabled) {
+        rmdRequirements = calculateRmdRequirements(month);
+      }
+    }
+    const incomeBreakdown = getIncomeBreakdown(incomeSources, month + 1, getIncomeIndexFactor);
+    const income = incomeBreakdown.reduce((total, entry) => total + entry.amount, 0);
+    // Income tax is withheld from each payment, or accrued to the annual ledger
+    const incomeTax = incomeBreakdown.reduce((total, entry) =>
+      total + withdrawalTax.recordIncome(entry.amount, entry.source.tax_treatment, entry.source.taxable_portion), 0);
     const monthlyExpenses = getInflationAdjustedExpenses(month);
-    const shortfall = monthlyExpenses - income;
 
     // 3. Initialize month log
     const log = {
@@ -425,10 +857,49 @@ export function simulateScenarioAdvanced(scenario) {
       withdrawals: [],
       shortfall: 0,
     };
+    const date = getPlanMonthDate(scenario.plan, month);
+    if (date) {
+      log.date = date;
+    }
+    if (spendingStrategy.lastAdjustment) {
+      log.spendingAdjustment = spendingStrategy.lastAdjustment;
+    }
+    if (incomeBreakdown.length > 0) {
+      log.incomeSources = incomeBreakdown.map(({ name, baseAmount, indexFactor, amount }) => ({
+        name,
+        baseAmount,
+        indexFactor,
+        amount
+      }));
+    }
+    if (incomeTax > 0) {
+      log.incomeTax = incomeTax;
+    }
+
+    // 3b. Refill runway buckets at the start of the plan year, before this month's spending
+    if (bucketStrategy && bucketStrategy.isRefillMonth(month)) {
+      const refills = applyBucketRefills(monthlyExpenses - income);
+      if (refills.length > 0) {
+        log.bucketRefills = refills;
+      }
+    }
 
     // 4. Process withdrawals to cover expenses with iterative tax-aware logic
-    let remainingShortfall = monthlyExpenses - income;
+    let remainingShortfall = monthlyExpenses - income + incomeTax;
     let iterationCount = 0;
+
+    // Settle tax bills that fall due this month, from the settlement account first
+    const taxDue = taxLedger ? taxLedger.collectDue(month) : 0;
+    if (taxDue > 0) {
+      const settlementAccount = taxLedger.settlementAccount;
+      let unpaidTax = taxDue;
+      if (settlementAccount && assetMap[settlementAccount]) {
+        const firstEntry = log.withdrawals.length;
+        unpaidTax = Math.max(0, withdrawFromSingleAsset({ account: settlementAccount }, assetMap, taxDue, log, taxLedger));
+        log.withdrawals.slice(firstEntry).forEach(w => { w.purpose = 'tax_payment'; });
+      }
+      remainingShortfall += unpaidTax;
+    }
     const maxIterations = 5;
     
     // Debug: Always log withdrawal setup for final months
@@ -437,7 +908,11 @@ export function simulateScenarioAdvanced(scenario) {
       console.log(`🔧 ITERATION DEBUG: Month ${month + 1}: Initial shortfall: $${remainingShortfall.toFixed(2)}`);
     }
     
-    if (drawOrder && drawOrder.length > 0) {
+    // order[] entries with start_month/stop_month only apply in their phase of the plan
+    const activeOrder = (drawOrder || []).filter(entry =>
+      (entry.start_month ?? 1) <= month + 1 && month + 1 <= (entry.stop_month ?? Infinity));
+
+    if (activeOrder.length > 0) {
       // Iterative withdrawal to handle tax-inclusive shortfall
       while (remainingShortfall > 0.01 && iterationCount < maxIterations) {
         iterationCount++;
@@ -447,7 +922,7 @@ export function simulateScenarioAdvanced(scenario) {
           console.log(`🔧 ITERATION ${iterationCount}: Attempting to withdraw $${remainingShortfall.toFixed(2)}`);
         }
         
-        remainingShortfall = processWithdrawals(remainingShortfall, drawOrder, assetMap, log, taxService);
+        remainingShortfall = processWithdrawals(remainingShortfall, activeOrder, assetMap, log, withdrawalTax);
         
         if (month > 150) {
           console.log(`🔧 ITERATION ${iterationCount}: After withdrawal, remaining shortfall: $${remainingShortfall.toFixed(2)}`);
@@ -472,11 +947,48 @@ export function simulateScenarioAdvanced(scenario) {
       }
     }
     
+    // 4b. Take any required minimum distribution this year's withdrawals left uncovered
+    if (rmdRequirements.length > 0 && (month % 12 === 11 || month === maxDuration - 1)) {
+      log.rmds = rmdRequirements.map(requirement => takeRequiredDistribution(requirement, month, log));
+      rmdRequirements = [];
+    }
+
+    // 4c. Roth conversions, after the RMD that cannot be converted
+    if (conversionEvents.length > 0) {
+      const conversions = applyConversions(month, log);
+      if (conversions.length > 0) {
+        log.conversions = conversions;
+      }
+      trackConversionSeasoning(month, log);
+    }
+
+    // 4d. Rebalance to target weights once this month's withdrawals are done
+    if (rebalancer && rebalancer.isDue(month)) {
+      const trades = applyRebalancing();
+      if (trades.length > 0) {
+        log.rebalancing = trades;
+      }
+    }
+
     if (remainingShortfall > 0) {
       log.shortfall = remainingShortfall;
     }
 
-    // 5. Apply growth to assets (only if auto-stop hasn't occurred)
+    // Tax accrued this month versus tax actually paid this month
+    if (taxLedger) {
+      log.taxAccrued = taxLedger.takeMonthAccrued();
+      log.taxPaid = taxDue;
+      log.taxOutstanding = taxLedger.getOutstanding();
+    } else {
+      log.taxAccrued = log.withdrawals.reduce((sum, w) => sum + (w.taxOwed || 0), 0) +
+        (log.conversions || []).reduce((sum, c) => sum + c.taxOwed, 0) +
+        (log.rebalancing || []).reduce((sum, trade) => sum + trade.taxOwed, 0) +
+        (log.bucketRefills || []).reduce((sum, refill) => sum + refill.taxOwed, 0) + incomeTax;
+      log.taxPaid = log.taxAccrued;
+    }
+
+    // 5. Apply growth and fees to assets (only if auto-stop hasn't occurred)
+    const monthFees = [];
     if (autoStoppedMonth === null) {
       for (const assetName of allAssetNames) {
         const asset = assetMap[assetName];
@@ -494,6 +1006,16 @@ export function simulateScenarioAdvanced(scenario) {
           const monthlyGrowthRate = getAssetReturns(asset, month);
           const growth = asset.balance * monthlyGrowthRate;
           asset.balance += growth;
+          currentYearGrowth += growth;
+
+          // Fees come out after growth, so the year's growth is net of them
+          const fee = calculateAssetFee(asset);
+          if (fee > 0) {
+            asset.balance -= fee;
+            currentYearGrowth -= fee;
+            monthFees.push({ asset: assetName, amount: fee });
+          }
+          currentYearAssetGrowth[assetName] = (currentYearAssetGrowth[assetName] || 0) + growth - fee;
           
           // Record the balance after growth
           balanceHistory[assetName].push(asset.balance);
@@ -526,6 +1048,11 @@ export function simulateScenarioAdvanced(scenario) {
       }
     }
 
+    if (monthFees.length > 0) {
+      log.fees = monthFees;
+      log.feesPaid = monthFees.reduce((sum, fee) => sum + fee.amount, 0);
+    }
+
     // 6. Record results and balances
     results.push(log);
 
@@ -582,11 +1109,18 @@ export function simulateScenarioAdvanced(scenario) {
     // Include assets that were ever active (have non-zero balance at some point)
     return balanceHistory[name] && balanceHistory[name].some(balance => balance !== 0);
   });
-  csvRows.push(["Month", "Date", "Income", "Expenses", "Shortfall", "Gross Withdrawals", "Net Withdrawals", "Taxes Paid", ...csvAssetNames]);
+  const rmdHeaders = rmdEnabled ? ["RMD Distributions", "RMD Taxes"] : [];
+  const conversionHeaders = conversionEvents.length > 0 ? ["Roth Conversions"] : [];
+  const feesEnabled = allAssets.some(asset => asset.fee_rate_annual || asset.fee_monthly);
+  const feeHeaders = feesEnabled ? ["Fees Paid"] : [];
+  const rebalancingHeaders = rebalancer ? ["Rebalancing Trades"] : [];
+  const bucketHeaders = bucketStrategy ? ["Bucket Refills"] : [];
+  csvRows.push(["Month", "Date", "Income", "Expenses", "Shortfall", "Gross Withdrawals", "Net Withdrawals", "Taxes Paid", ...feeHeaders, ...rmdHeaders, ...conversionHeaders, ...rebalancingHeaders, ...bucketHeaders, ...csvAssetNames]);
 
   for (let m = 0; m < actualDuration; m++) {
-    const now = new Date();
-    const date = new Date(now.getFullYear(), now.getMonth() + m);
+    // Dates follow plan.start_date; without one the column stays blank, so the same
+    // scenario exports the same CSV whenever it runs
+    const date = getPlanMonthDate(scenario.plan, m) ?? "";
     const r = results[m];
 
     const assetCells = csvAssetNames.map((name) => {
@@ -602,15 +1136,34 @@ export function simulateScenarioAdvanced(scenario) {
       return totals;
     }, { gross: 0, net: 0, tax: 0 }) || { gross: 0, net: 0, tax: 0 };
 
+    const rmdCells = rmdEnabled ? [
+      (r?.rmds || []).reduce((sum, rmd) => sum + rmd.distributed, 0).toFixed(2),
+      (r?.rmds || []).reduce((sum, rmd) => sum + rmd.taxOwed, 0).toFixed(2)
+    ] : [];
+    const conversionCells = conversionEvents.length > 0
+      ? [(r?.conversions || []).reduce((sum, c) => sum + c.amount, 0).toFixed(2)]
+      : [];
+    const rebalancingCells = rebalancer
+      ? [(r?.rebalancing || []).reduce((sum, trade) => sum + trade.amount, 0).toFixed(2)]
+      : [];
+    const bucketCells = bucketStrategy
+      ? [(r?.bucketRefills || []).reduce((sum, refill) => sum + refill.amount, 0).toFixed(2)]
+      : [];
+
     csvRows.push([
       m + 1,
-      date.toISOString().slice(0, 7),
+      date,
       (r?.income ?? 0).toFixed(2),
       (r?.expenses ?? 0).toFixed(2),
       (r?.shortfall ?? 0).toFixed(2),
       monthlyTaxTotals.gross.toFixed(2),
       monthlyTaxTotals.net.toFixed(2),
-      monthlyTaxTotals.tax.toFixed(2),
+      (r?.taxPaid ?? monthlyTaxTotals.tax).toFixed(2),
+      ...(feesEnabled ? [(r?.feesPaid ?? 0).toFixed(2)] : []),
+      ...rmdCells,
+      ...conversionCells,
+      ...rebalancingCells,
+      ...bucketCells,
       ...assetCells
     ]);
   }
@@ -625,6 +1178,12 @@ export function simulateScenarioAdvanced(scenario) {
     balanceHistory,
     csvText,
     actualDuration,
+    taxYears: taxLedger ? taxLedger.getYearSummaries() : null,
+    conversionTranches,
+    costBasis: Object.fromEntries(allAssets
+      .filter(asset => asset.costBasis)
+      .map(asset => [asset.name, asset.costBasis.getBasis()])),
+    priceLevels: Array.from({ length: results.length + 1 }, (_, month) => getInflationFactor(month)),
     rateManager // For debugging/inspection
   };
 }
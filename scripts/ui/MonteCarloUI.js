@@ -12,6 +12,7 @@ export class MonteCarloUI {
     
     // UI elements will be initialized when DOM is ready
     this.runButton = null;
+    this.backtestButton = null;
     this.cancelButton = null;
     this.exportButton = null;
     this.monteCarloSection = null;
@@ -20,6 +21,10 @@ export class MonteCarloUI {
     this.targetYearsInput = null;
     this.successRateInput = null;
     this.returnModelSelect = null;
+    this.inflationModelSelect = null;
+    this.longevityModelSelect = null;
+    this.resampleSelect = null;
+    this.autocorrelationInput = null;
     this.showConfigCheckbox = null;
     this.progressBar = null;
     this.progressText = null;
@@ -80,6 +85,7 @@ export class MonteCarloUI {
     
     // Get UI elements
     this.runButton = document.getElementById('run-monte-carlo-btn');
+    this.backtestButton = document.getElementById('run-backtest-btn');
     this.cancelButton = document.getElementById('cancel-monte-carlo');
     this.exportButton = document.getElementById('export-monte-carlo');
     this.monteCarloSection = document.getElementById('monte-carlo-section');
@@ -88,6 +94,10 @@ export class MonteCarloUI {
     this.targetYearsInput = document.getElementById('monte-carlo-target-years');
     this.successRateInput = document.getElementById('monte-carlo-success-rate');
     this.returnModelSelect = document.getElementById('monte-carlo-return-model');
+    this.inflationModelSelect = document.getElementById('monte-carlo-inflation-model');
+    this.longevityModelSelect = document.getElementById('monte-carlo-longevity-model');
+    this.resampleSelect = document.getElementById('monte-carlo-resample');
+    this.autocorrelationInput = document.getElementById('monte-carlo-autocorrelation');
     this.configToggle = document.getElementById('show-monte-carlo-config');
     
     // Set up the prominent run button
@@ -97,6 +107,12 @@ export class MonteCarloUI {
       });
     }
     
+    if (this.backtestButton) {
+      this.backtestButton.addEventListener('click', () => {
+        this.handleRunBacktest();
+      });
+    }
+    
     if (this.cancelButton) {
       this.cancelButton.addEventListener('click', () => {
         this.handleCancelAnalysis();
@@ -158,6 +174,17 @@ export class MonteCarloUI {
     this.eventBus.emit('ui:monte-carlo-start-requested', config);
   }
 
+  /**
+   * Handle historical backtest button click
+   */
+  handleRunBacktest() {
+    console.log('📜 MonteCarloUI: Historical backtest clicked');
+    
+    // Backtest shares the target survival period with Monte Carlo
+    const { targetSurvivalMonths } = this.getConfigurationFromUI();
+    this.eventBus.emit('ui:backtest-start-requested', { targetSurvivalMonths });
+  }
+
   /**
    * Handle cancel analysis button click
    */
@@ -226,6 +253,25 @@ export class MonteCarloUI {
       config.returnModel = 'simple-random'; // Default model
     }
     
+    // Get how inflation varies across paths
+    if (this.inflationModelSelect && this.inflationModelSelect.value) {
+      config.inflationModel = this.inflationModelSelect.value;
+    }
+    
+    // Get whether paths must last the target years or a drawn household lifespan
+    if (this.longevityModelSelect && this.longevityModelSelect.value) {
+      config.longevityModel = this.longevityModelSelect.value;
+    }
+    
+    // Get how often variable ranges are redrawn within each path
+    if (this.resampleSelect && this.resampleSelect.value) {
+      config.resampleFrequency = this.resampleSelect.value;
+    }
+    
+    if (this.autocorrelationInput && this.autocorrelationInput.value) {
+      config.autocorrelation = parseFloat(this.autocorrelationInput.value);
+    }
+    
     // Add default variable ranges (can be extended with advanced UI)
     config.variableRanges = this.getDefaultVariableRanges();
     
@@ -377,12 +423,17 @@ export class MonteCarloUI {
   validateConfiguration(config) {
     const errors = [];
     
-    if (config.iterations < 100 || config.iterations > 10000) {
-      errors.push('Iterations must be between 100 and 10,000');
+    if (config.iterations < 100 || config.iterations > 50000) {
+      errors.push('Iterations must be between 100 and 50,000');
+    }
+    
+    // Any seed MonteCarloService reports (a 32-bit unsigned integer) can be typed back in
+    if (config.randomSeed !== undefined && (config.randomSeed < 0 || config.randomSeed > 4294967295)) {
+      errors.push('Random seed must be between 0 and 4,294,967,295');
     }
     
-    if (config.randomSeed !== undefined && (config.randomSeed < 0 || config.randomSeed > 2147483647)) {
-      errors.push('Random seed must be between 0 and 2,147,483,647');
+    if (config.autocorrelation !== undefined && (isNaN(config.autocorrelation) || config.autocorrelation < 0 || config.autocorrelation >= 1)) {
+      errors.push('Autocorrelation must be between 0 and 0.99');
     }
     
     return errors;
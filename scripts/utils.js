@@ -9,19 +9,210 @@
  *
  * @param {Array} incomeArray - List of income sources from the scenario
  * @param {number} currentMonth - The month to evaluate (1-based: 1 = first month)
+ * @param {Function} getIndexFactor - Optional (source, currentMonth) => multiplier applied
+ *   to each source's amount, for inflation or COLA indexing
  * @returns {number} Total income for that month
  */
-export function getMonthlyIncome(incomeArray, currentMonth) {
-  return incomeArray.reduce((total, source) => {
+export function getMonthlyIncome(incomeArray, currentMonth, getIndexFactor) {
+  return getIncomeBreakdown(incomeArray, currentMonth, getIndexFactor)
+    .reduce((total, entry) => total + entry.amount, 0);
+}
+
+/**
+ * Lists the income sources active in a given month with their indexed amounts.
+ *
+ * @param {Array} incomeArray - List of income sources from the scenario
+ * @param {number} currentMonth - The month to evaluate (1-based: 1 = first month)
+ * @param {Function} getIndexFactor - Optional (source, currentMonth) => multiplier
+ * @returns {Array<Object>} { source, name, baseAmount, indexFactor, amount } per active source
+ */
+export function getIncomeBreakdown(incomeArray, currentMonth, getIndexFactor) {
+  return incomeArray.reduce((entries, source) => {
     // FIXED: Handle month indexing correctly - now expecting 1-based currentMonth
     const start = Number.isFinite(source.start_month) ? source.start_month : 1;
     const end = Number.isFinite(source.stop_month) ? source.stop_month : Number.POSITIVE_INFINITY;
 
     // FIXED: Use consistent 1-based month comparison
     if (currentMonth >= start && currentMonth <= end) {
-      const amt = typeof source.amount === "number" ? source.amount : 0;
-      return total + amt;
+      const baseAmount = typeof source.amount === "number" ? source.amount : 0;
+      const indexFactor = getIndexFactor ? getIndexFactor(source, currentMonth) : 1;
+      entries.push({ source, name: source.name, baseAmount, indexFactor, amount: baseAmount * indexFactor });
     }
-    return total;
-  }, 0);
-}
\ No newline at end of file
+    return entries;
+  }, []);
+}
+
+/**
+ * Calendar year the plan starts in.
+ *
+ * Uses plan.start_date ("YYYY-MM" or "YYYY-MM-DD") when present, otherwise the
+ * current year.
+ *
+ * @param {Object} plan - Scenario plan
+ * @returns {number} Four-digit start year
+ */
+export function getPlanStartYear(plan = {}) {
+  const year = typeof plan.start_date === "string" ? parseInt(plan.start_date.slice(0, 4), 10) : NaN;
+  return Number.isFinite(year) ? year : new Date().getFullYear();
+}
+
+/**
+ * Parses an ISO "YYYY-MM" or "YYYY-MM-DD" date into its year and month.
+ *
+ * @param {string} value - ISO date string
+ * @returns {Object|null} { year, month } with month 1-12, or null if unparseable
+ */
+export function parseYearMonth(value) {
+  const match = typeof value === "string" ? /^(\d{4})-(\d{2})(?:-\d{2})?$/.exec(value) : null;
+  if (!match) return null;
+  const year = parseInt(match[1], 10);
+  const month = parseInt(match[2], 10);
+  return month >= 1 && month <= 12 ? { year, month } : null;
+}
+
+/**
+ * Calendar month the plan starts in, counted in months since year 0.
+ *
+ * Uses plan.start_date when present, otherwise January of getPlanStartYear().
+ *
+ * @param {Object} plan - Scenario plan
+ * @returns {number} year * 12 + (month - 1)
+ */
+export function getPlanStartMonthIndex(plan = {}) {
+  const start = parseYearMonth(plan.start_date);
+  return start ? start.year * 12 + start.month - 1 : getPlanStartYear(plan) * 12;
+}
+
+/**
+ * Start month ("YYYY-MM") the engine runs the plan from.
+ *
+ * Uses plan.start_date when present, otherwise January of getPlanStartYear(), the
+ * month dated fields and birth_year ages are placed against.
+ *
+ * @param {Object} plan - Scenario plan
+ * @returns {string} ISO year-month
+ */
+export function resolvePlanStartDate(plan = {}) {
+  const index = getPlanStartMonthIndex(plan);
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Calendar month ("YYYY-MM") of a 0-based plan month.
+ *
+ * @param {Object} plan - Scenario plan
+ * @param {number} month - 0-based month of the simulation
+ * @returns {string|null} ISO year-month, or null when the plan has no start_date
+ */
+export function getPlanMonthDate(plan = {}, month = 0) {
+  const start = parseYearMonth(plan.start_date);
+  if (!start) return null;
+  const index = start.year * 12 + start.month - 1 + month;
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Converts a timed field to a 1-based plan month.
+ *
+ * Numbers are month offsets and pass through unchanged. ISO "YYYY-MM" strings
+ * are placed on the timeline by plan.start_date (the start month is month 1).
+ *
+ * @param {number|string} value - Month offset or ISO year-month
+ * @param {Object} plan - Scenario plan
+ * @returns {number|undefined} 1-based month (may be < 1 for dates before the plan)
+ */
+export function resolvePlanMonth(value, plan = {}) {
+  if (typeof value !== "string") return value;
+
+  const date = parseYearMonth(value);
+  if (!date) {
+    throw new Error(`Invalid date "${value}": expected a month offset or "YYYY-MM"`);
+  }
+  if (!parseYearMonth(plan.start_date)) {
+    throw new Error(`Date "${value}" needs plan.start_date to place it on the plan timeline`);
+  }
+  return date.year * 12 + date.month - 1 - getPlanStartMonthIndex(plan) + 1;
+}
+
+const TIMED_FIELDS = ["start_month", "stop_month", "month"];
+const TIMED_SECTIONS = ["assets", "income", "deposits", "conversions", "order"];
+
+/**
+ * Returns a copy of the scenario with every timed field (start_month,
+ * stop_month, month) of its assets, income, deposits, conversions and order resolved
+ * to 1-based month offsets.
+ *
+ * @param {Object} scenario - Scenario that may use ISO "YYYY-MM" dates
+ * @returns {Object} Scenario using month offsets only
+ */
+export function resolveScenarioDates(scenario) {
+  const resolved = { ...scenario };
+  for (const section of TIMED_SECTIONS) {
+    if (!Array.isArray(scenario[section])) continue;
+    resolved[section] = scenario[section].map(item => {
+      const timed = TIMED_FIELDS.filter(field => typeof item[field] === "string");
+      if (timed.length === 0) return item;
+      const copy = { ...item };
+      timed.forEach(field => { copy[field] = resolvePlanMonth(item[field], scenario.plan); });
+      return copy;
+    });
+  }
+  return resolved;
+}
+
+/**
+ * Age attained during the plan year containing a month.
+ *
+ * Ages come from plan.start_age (age in the first plan year) or, failing that,
+ * plan.birth_year and the plan's start year. Returns null when the plan has
+ * neither, so age-based rules can switch themselves off.
+ *
+ * @param {Object} plan - Scenario plan
+ * @param {number} month - 0-based month of the simulation
+ * @returns {number|null} Whole years of age, or null if unknown
+ */
+export function getAgeInPlanYear(plan = {}, month = 0) {
+  const yearsElapsed = Math.floor(month / 12);
+  if (Number.isFinite(plan.start_age)) {
+    return plan.start_age + yearsElapsed;
+  }
+  if (Number.isFinite(plan.birth_year)) {
+    return getPlanStartYear(plan) + yearsElapsed - plan.birth_year;
+  }
+  return null;
+}
+
+/**
+ * Normalizes an income source's inflation_adjustment setting.
+ *
+ * Accepted forms:
+ *  - "none" / false / omitted: the amount never changes
+ *  - "plan" / true: follows the plan's inflation (inflation_schedule or inflation_rate)
+ *  - a number, or { type: "cola", rate }: fixed annual cost-of-living adjustment
+ *  - { type: "schedule", schedule }: annual adjustments from a named rate_schedules entry
+ * The legacy income.inflation_schedule field, which earlier versions ignored, is read as
+ * a named schedule when inflation_adjustment is omitted (ValidationService warns about it).
+ *
+ * @param {Object} source - Income source
+ * @returns {Object} { type: 'none' | 'plan' | 'cola' | 'schedule', rate?, schedule? }
+ */
+export function resolveInflationAdjustment(source = {}) {
+  const adjustment = source.inflation_adjustment;
+
+  if (adjustment === true || adjustment === "plan") {
+    return { type: "plan" };
+  }
+  if (typeof adjustment === "number") {
+    return { type: "cola", rate: adjustment };
+  }
+  if (adjustment && typeof adjustment === "object") {
+    if (adjustment.type === "cola") return { type: "cola", rate: adjustment.rate || 0 };
+    if (adjustment.type === "schedule") return { type: "schedule", schedule: adjustment.schedule };
+    if (adjustment.type === "plan") return { type: "plan" };
+    return { type: "none" };
+  }
+  if (adjustment === undefined && typeof source.inflation_schedule === "string") {
+    return { type: "schedule", schedule: source.inflation_schedule };
+  }
+  return { type: "none" };
+}
@@ -0,0 +1,91 @@
+/**
+ * Integration tests for asset-level fees
+ * Tests fee_rate_annual and fee_monthly deductions, the month log and the Fees Paid CSV column
+ */
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { simulateScenarioAdvanced } from '../../scripts/timeaware-engine.js';
+import { ValidationService } from '../../scripts/services/ValidationService.js';
+import { EventBus } from '../../scripts/core/EventBus.js';
+
+describe('Asset Fees', () => {
+  const buildScenario = (fees = {}, interestRate = 0) => ({
+    plan: {
+      monthly_expenses: 0,
+      duration_months: 24,
+      inflation_rate: 0
+    },
+    assets: [
+      { name: 'Portfolio', type: 'tax_free', balance: 120000, interest_rate: interestRate, ...fees }
+    ],
+    order: [{ account: 'Portfolio', order: 1 }]
+  });
+
+  test('should charge the annual fee rate monthly on the balance', () => {
+    const result = simulateScenarioAdvanced(buildScenario({ fee_rate_annual: 0.01 }));
+    const first = result.results[0];
+
+    expect(first.fees).toEqual([{ asset: 'Portfolio', amount: 100 }]);
+    expect(first.feesPaid).toBe(100);
+    expect(result.balanceHistory.Portfolio[0]).toBe(119900);
+    expect(result.balanceHistory.Portfolio[23]).toBeCloseTo(120000 * Math.pow(1 - 0.01 / 12, 24), 6);
+  });
+
+  test('should deduct a flat monthly account fee', () => {
+    const result = simulateScenarioAdvanced(buildScenario({ fee_monthly: 25 }));
+
+    expect(result.results[0].feesPaid).toBe(25);
+    expect(result.balanceHistory.Portfolio[23]).toBe(120000 - 25 * 24);
+  });
+
+  test('should take the fee from the balance after growth', () => {
+    const withoutFee = simulateScenarioAdvanced(buildScenario({}, 0.06));
+    const withFee = simulateScenarioAdvanced(buildScenario({ fee_rate_annual: 0.012 }, 0.06));
+
+    expect(withFee.balanceHistory.Portfolio[0])
+      .toBeCloseTo(withoutFee.balanceHistory.Portfolio[0] * (1 - 0.012 / 12), 6);
+  });
+
+  test('should never charge more than the balance', () => {
+    const scenario = buildScenario({ fee_monthly: 100 });
+    scenario.assets[0].balance = 150;
+    const result = simulateScenarioAdvanced(scenario);
+
+    expect(result.results[1].feesPaid).toBe(50);
+    expect(result.balanceHistory.Portfolio[1]).toBe(0);
+    expect(result.results[2].fees).toBeUndefined();
+  });
+
+  test('should add a Fees Paid column to the CSV only when an asset has fees', () => {
+    const withFees = simulateScenarioAdvanced(buildScenario({ fee_rate_annual: 0.01 })).csvText.split('\n');
+    const withoutFees = simulateScenarioAdvanced(buildScenario()).csvText.split('\n');
+
+    expect(withFees[0].split(',')[8]).toBe('Fees Paid');
+    expect(withFees[1].split(',')[8]).toBe('100.00');
+    expect(withoutFees[0]).not.toContain('Fees Paid');
+  });
+
+  test('should make the index portfolio outlast the advisor-managed one', () => {
+    const scenarios = JSON.parse(readFileSync(resolve('data/scenarios/realistic-scenarios.json'), 'utf8'));
+    const advisor = simulateScenarioAdvanced(scenarios['advisor-managed-portfolio']);
+    const index = simulateScenarioAdvanced(scenarios['index-fund-portfolio']);
+
+    const totalFees = (result) => result.results.reduce((sum, month) => sum + (month.feesPaid || 0), 0);
+
+    // Both stop on their first shortfall; the cheaper portfolio lasts years longer
+    expect(index.results.length).toBeGreaterThan(advisor.results.length + 48);
+    expect(index.balanceHistory['Index Portfolio'][100])
+      .toBeGreaterThan(advisor.balanceHistory['Managed Portfolio'][100]);
+    expect(totalFees(advisor)).toBeGreaterThan(totalFees(index) * 10);
+  });
+
+  test('should validate fee settings', () => {
+    const validationService = new ValidationService(new EventBus());
+    const scenario = buildScenario({ fee_rate_annual: 1.5, fee_monthly: -5 });
+    const validation = validationService.validateScenario(scenario);
+
+    expect(validation.errors).toContain('Asset 1: fee_rate_annual must be a number between 0 and 1');
+    expect(validation.errors).toContain('Asset 1: fee_monthly must be a non-negative number');
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Integration tests for plan.bucket_strategy
+ * Tests runway buckets refilled each plan year, the annual and positive_years rules,
+ * source priority and the refill log
+ */
+
+import { simulateScenarioAdvanced } from '../../scripts/timeaware-engine.js';
+import { BucketStrategy } from '../../scripts/buckets.js';
+import { ValidationService } from '../../scripts/services/ValidationService.js';
+import { EventBus } from '../../scripts/core/EventBus.js';
+
+describe('Bucket Strategy', () => {
+  // Two years of cash, five years of bonds, the rest in stocks; spending comes from cash
+  const buildScenario = (strategy = {}, overrides = {}) => ({
+    plan: {
+      monthly_expenses: 1000,
+      duration_months: 36,
+      inflation_rate: 0,
+      bucket_strategy: {
+        buckets: [
+          { name: 'Cash', asset: 'Savings', runway_months: 24 },
+          { name: 'Income', asset: 'Bonds', runway_months: 60 },
+          { name: 'Growth', asset: 'Stocks' }
+        ],
+        ...strategy
+      }
+    },
+    assets: overrides.assets || [
+      { name: 'Savings', type: 'tax_free', balance: 24000, interest_rate: 0 },
+      { name: 'Bonds', type: 'tax_free', balance: 60000, interest_rate: 0 },
+      { name: 'Stocks', type: 'tax_free', balance: 200000, interest_rate: 0 }
+    ],
+    ...(overrides.income ? { income: overrides.income } : {}),
+    order: [
+      { account: 'Savings', order: 1 },
+      { account: 'Bonds', order: 2 },
+      { account: 'Stocks', order: 3 }
+    ]
+  });
+
+  const refillMonths = (result) =>
+    result.results.map((month, index) => (month.bucketRefills ? index : null)).filter(index => index !== null);
+
+  test('should top the cash bucket back up to its runway at the start of each plan year', () => {
+    const result = simulateScenarioAdvanced(buildScenario());
+
+    expect(refillMonths(result)).toEqual([12, 24]);
+    expect(result.results[12].bucketRefills).toEqual([
+      { bucket: 'Cash', from: 'Stocks', to: 'Savings', amount: 12000, taxOwed: 0, received: 12000 }
+    ]);
+    // Refilled before month 13's spending
+    expect(result.balanceHistory.Savings[12]).toBe(23000);
+    expect(result.balanceHistory.Bonds[35]).toBe(60000);
+  });
+
+  test('should record refills on the month rather than logging them', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation();
+    const result = simulateScenarioAdvanced(buildScenario());
+    const logged = log.mock.calls.map(args => args.join(' '));
+    log.mockRestore();
+
+    expect(refillMonths(result)).toEqual([12, 24]);
+    expect(logged.filter(line => line.includes('Refilled buckets'))).toEqual([]);
+  });
+
+  test('should take refills from source_priority in order', () => {
+    const result = simulateScenarioAdvanced(buildScenario({ source_priority: ['Bonds', 'Stocks'] }));
+    const [cash, bonds] = result.results[12].bucketRefills;
+
+    expect(cash).toMatchObject({ bucket: 'Cash', from: 'Bonds', amount: 12000 });
+    // Bonds can then only refill from stocks
+    expect(bonds).toMatchObject({ bucket: 'Income', from: 'Stocks', amount: 12000 });
+    expect(result.balanceHistory.Bonds[12]).toBe(60000);
+  });
+
+  test('should only refill from sources that grew after positive years', () => {
+    const paths = { returnPaths: { Stocks: [-0.2, 0.1, 0.1], Bonds: [0.03, 0.03, 0.03] } };
+    const annual = simulateScenarioAdvanced(buildScenario(), paths);
+    const positiveYears = simulateScenarioAdvanced(buildScenario({ refill: 'positive_years' }), paths);
+
+    // After the crash year, annual refills sell stocks low; positive_years uses bonds
+    expect(annual.results[12].bucketRefills[0].from).toBe('Stocks');
+    expect(positiveYears.results[12].bucketRefills.map(refill => refill.from)).toEqual(['Bonds']);
+    // Once stocks recover they refill both buckets
+    expect(positiveYears.results[24].bucketRefills.map(refill => refill.from)).toEqual(['Stocks', 'Stocks']);
+  });
+
+  test('should compare refill policies across market paths', () => {
+    const crashFirst = { returnPaths: { Stocks: [-0.3, 0.25, 0.15], Bonds: [0.04, 0.02, 0.02] } };
+    const totalBalance = (result) =>
+      Object.values(result.balanceHistory).reduce((sum, history) => sum + history[history.length - 1], 0);
+
+    const annual = simulateScenarioAdvanced(buildScenario(), crashFirst);
+    const positiveYears = simulateScenarioAdvanced(buildScenario({ refill: 'positive_years' }), crashFirst);
+
+    expect(totalBalance(positiveYears)).toBeGreaterThan(totalBalance(annual));
+  });
+
+  test('should measure the runway in spending not covered by income', () => {
+    const result = simulateScenarioAdvanced(buildScenario({}, {
+      income: [{ name: 'Pension', amount: 400, start_month: 13 }]
+    }));
+
+    // 12,000 left in cash; the runway is 24 months of 600
+    expect(result.results[12].bucketRefills[0].amount).toBe(24 * 600 - 12000);
+  });
+
+  test('should pay tax on refills sold from taxable assets and respect min_balance', () => {
+    const result = simulateScenarioAdvanced(buildScenario({}, {
+      assets: [
+        { name: 'Savings', type: 'tax_free', balance: 24000, interest_rate: 0 },
+        { name: 'Bonds', type: 'tax_free', balance: 60000, interest_rate: 0 },
+        { name: 'Stocks', type: 'taxable', balance: 15000, interest_rate: 0, min_balance: 5000 }
+      ]
+    }));
+    const [fromStocks, fromBonds] = result.results[12].bucketRefills;
+
+    // Stocks would need to sell 12,000 / 0.85 but only 10,000 is above min_balance
+    expect(fromStocks).toMatchObject({ from: 'Stocks', amount: 10000, taxOwed: 1500, received: 8500 });
+    expect(fromBonds).toMatchObject({ from: 'Bonds', amount: 3500 });
+  });
+
+  test('should sell enough from a taxed source to fill the runway after tax', () => {
+    const result = simulateScenarioAdvanced(buildScenario({}, {
+      assets: [
+        { name: 'Savings', type: 'taxable', balance: 24000, interest_rate: 0 },
+        { name: 'Bonds', type: 'tax_free', balance: 60000, interest_rate: 0 },
+        { name: 'Stocks', type: 'tax_deferred', balance: 200000, interest_rate: 0 }
+      ]
+    }));
+    const [refill] = result.results[12].bucketRefills;
+
+    expect(refill.received).toBeCloseTo(24000 - result.balanceHistory.Savings[11], 6);
+    expect(refill.amount).toBeGreaterThan(refill.received);
+  });
+
+  test('should add a Bucket Refills column to the CSV', () => {
+    const rows = simulateScenarioAdvanced(buildScenario()).csvText.split('\n');
+    const column = rows[0].split(',').indexOf('Bucket Refills');
+
+    expect(column).toBeGreaterThan(0);
+    expect(rows[13].split(',')[column]).toBe('12000.00');
+  });
+
+  test('should never refill a bucket from itself or an earlier bucket', () => {
+    const strategy = new BucketStrategy({
+      buckets: [{ asset: 'Savings', runway_months: 12 }, { asset: 'Bonds', runway_months: 24 }, { asset: 'Stocks' }],
+      source_priority: ['Savings', 'Bonds', 'Stocks']
+    });
+
+    expect(strategy.getSources(strategy.buckets[0])).toEqual(['Bonds', 'Stocks']);
+    expect(strategy.getSources(strategy.buckets[1])).toEqual(['Stocks']);
+    expect(() => new BucketStrategy({ refill: 'monthly' })).toThrow('Unknown bucket refill rule: monthly');
+  });
+
+  test('should validate the bucket strategy', () => {
+    const validationService = new ValidationService(new EventBus());
+    const validation = validationService.validateScenario(buildScenario({
+      refill: 'monthly',
+      buckets: [{ asset: 'Savings', runway_months: -1 }, { runway_months: 12 }],
+      source_priority: ['Gold']
+    }));
+
+    expect(validation.errors).toEqual(expect.arrayContaining([
+      'Unknown bucket refill rule "monthly" (expected one of: annual, positive_years)',
+      'Bucket 1: runway_months must be a non-negative number',
+      'Bucket 2: Must name its "asset"'
+    ]));
+    expect(validation.warnings).toContain('Bucket strategy asset "Gold" does not match any asset');
+  });
+});
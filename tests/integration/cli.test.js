@@ -0,0 +1,290 @@
+/**
+ * Integration tests for the scenario CLI
+ * Tests argument parsing, loading scenario files and bundled keys, engine CSV and JSON
+ * summaries, seeded Monte Carlo percentile tables, claiming-age comparisons, withdrawal
+ * order searches and writing to a file
+ */
+
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { main, parseArgs, listScenarios, loadScenario } from '../../scripts/cli.js';
+
+describe('Scenario CLI', () => {
+  const rootDir = process.cwd();
+  let tempDir;
+
+  const scenario = {
+    name: 'cash-only',
+    plan: { monthly_expenses: 1000, duration_months: 12, inflation_rate: 0, start_date: '2030-01' },
+    assets: [{ name: 'Cash', type: 'tax_free', balance: 6000, interest_rate: 0 }],
+    order: [{ account: 'Cash', order: 1 }]
+  };
+
+  // Collect what main() writes, as text
+  const run = async (argv) => {
+    const stdout = [];
+    const stderr = [];
+    const code = await main(argv, {
+      rootDir,
+      stdout: { write: text => stdout.push(text) },
+      stderr: { write: text => stderr.push(text) }
+    });
+    return { code, stdout: stdout.join(''), stderr: stderr.join('') };
+  };
+
+  const writeScenarioFile = (name, data) => {
+    const path = join(tempDir, name);
+    writeFileSync(path, JSON.stringify(data));
+    return path;
+  };
+
+  beforeEach(() => {
+    tempDir = mkdtempSync(join(tmpdir(), 'scenario-cli-'));
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('arguments', () => {
+    test('should parse flags, inline values and the scenario file', () => {
+      const options = parseArgs(['plan.json', '--monte-carlo', '--iterations=500', '--seed', '42', '--format', 'json']);
+
+      expect(options).toEqual(expect.objectContaining({
+        file: 'plan.json',
+        monteCarlo: true,
+        iterations: 500,
+        seed: 42,
+        format: 'json',
+        returnModel: 'simple-random'
+      }));
+    });
+
+    test('should reject unknown options and bad values', () => {
+      expect(() => parseArgs(['--colour'])).toThrow('Unknown option: --colour');
+      expect(() => parseArgs(['--format', 'xml'])).toThrow('Unknown format: xml');
+      expect(() => parseArgs(['--iterations', 'many'])).toThrow('--iterations must be a non-negative number');
+      expect(() => parseArgs(['--return-model', 'crystal-ball'])).toThrow('Unknown return model: crystal-ball');
+      expect(() => parseArgs(['--inflation-model', 'hyper'])).toThrow('Unknown inflation model: hyper');
+      expect(() => parseArgs(['--longevity-model', 'immortal'])).toThrow('Unknown longevity model: immortal');
+      expect(() => parseArgs(['--start-date', '2030-13'])).toThrow('--start-date must be YYYY-MM');
+      expect(() => parseArgs(['--seed'])).toThrow('--seed needs a value');
+      expect(() => parseArgs(['--claiming-ages', '62,soon'])).toThrow('--claiming-ages must be a non-negative number');
+      expect(() => parseArgs(['--monte-carlo', '--compare-claiming']))
+        .toThrow('Pick one of --monte-carlo and --compare-claiming');
+      expect(() => parseArgs(['--optimize-withdrawals', '--objective', 'max_income'])).toThrow('Unknown objective: max_income');
+    });
+  });
+
+  describe('scenarios', () => {
+    test('should list bundled scenarios and skip $schema entries', () => {
+      const scenarios = listScenarios(rootDir);
+
+      expect(scenarios).toContainEqual(expect.objectContaining({ key: 'perfect-world-70k', file: 'naive-scenarios.json' }));
+      expect(scenarios.map(entry => entry.key)).not.toContain('$schema');
+    });
+
+    test('should load a bundled key, a single-scenario file or one key of a file', () => {
+      expect(loadScenario({ scenario: 'perfect-world-70k' }, rootDir).scenario.plan.monthly_expenses).toBe(5833);
+
+      const single = writeScenarioFile('single.json', scenario);
+      expect(loadScenario({ file: single }, rootDir)).toEqual({ key: 'cash-only', scenario });
+
+      const several = writeScenarioFile('several.json', { $schema: 'x', a: scenario, b: scenario });
+      expect(loadScenario({ file: several, scenario: 'b' }, rootDir).key).toBe('b');
+      expect(() => loadScenario({ file: several }, rootDir)).toThrow('holds 2 scenarios; pick one with --scenario (a, b)');
+    });
+
+    test('should report an unknown scenario on stderr with exit code 1', async () => {
+      const { code, stdout, stderr } = await run(['--scenario', 'no-such-plan']);
+
+      expect(code).toBe(1);
+      expect(stdout).toBe('');
+      expect(stderr).toContain('Unknown scenario: no-such-plan');
+    });
+  });
+
+  describe('engine runs', () => {
+    test('should write the engine CSV to stdout with the engine logs kept off it', async () => {
+      const originalLog = console.log;
+      const { code, stdout } = await run([writeScenarioFile('single.json', scenario)]);
+
+      expect(code).toBe(0);
+      expect(console.log).toBe(originalLog);
+      const lines = stdout.trim().split('\n');
+      expect(lines[0]).toBe('Month,Date,Income,Expenses,Shortfall,Gross Withdrawals,Net Withdrawals,Taxes Paid,Cash');
+      expect(lines[1]).toBe('1,2030-01,0.00,1000.00,0.00,1000.00,1000.00,0.00,5000.00');
+    });
+
+    test('should summarize a run as JSON', async () => {
+      const { stdout } = await run([writeScenarioFile('single.json', scenario), '--format', 'json']);
+
+      expect(JSON.parse(stdout)).toEqual(expect.objectContaining({
+        scenario: 'cash-only',
+        months: 7,
+        finalBalances: { Cash: 0 },
+        totalWithdrawals: 6000,
+        shortfallMonths: 1,
+        totalShortfall: 1000,
+        firstShortfallMonth: 7
+      }));
+    });
+
+    test('should pin the start month of a plan without one', async () => {
+      const undated = { ...scenario, plan: { ...scenario.plan, start_date: undefined } };
+      const { stdout } = await run([writeScenarioFile('undated.json', undated), '--start-date', '2041-06']);
+
+      expect(stdout.split('\n')[1]).toMatch(/^1,2041-06,/);
+
+      // Unpinned, the Date column stays blank rather than following the calendar
+      const unpinned = await run([writeScenarioFile('undated.json', undated)]);
+      expect(unpinned.stdout.split('\n')[1]).toMatch(/^1,,/);
+    });
+  });
+
+  describe('Monte Carlo runs', () => {
+    const volatile = {
+      ...scenario,
+      plan: { monthly_expenses: 3000, duration_months: 36, inflation_rate: 0 },
+      assets: [{ name: 'Brokerage', type: 'taxable', balance: 110000, market_dependent: true }],
+      order: [{ account: 'Brokerage', order: 1 }]
+    };
+
+    test('should print a percentile table that repeats for the same seed', async () => {
+      const file = writeScenarioFile('volatile.json', volatile);
+      const argv = [file, '--monte-carlo', '--iterations', '20', '--seed', '11'];
+      const first = await run(argv);
+      const second = await run(argv);
+
+      expect(first.code).toBe(0);
+      expect(first.stdout).toBe(second.stdout);
+      const rows = first.stdout.trim().split('\n').map(row => row.split(','));
+      expect(rows[0]).toEqual(['metric', 'mean', 'min', 'p10', 'p25', 'p50', 'p75', 'p90', 'max']);
+      expect(rows.map(row => row[0])).toEqual(expect.arrayContaining(['successRate', 'survivalMonths', 'finalBalance']));
+      const finalBalance = rows.find(row => row[0] === 'finalBalance').slice(1).map(Number);
+      expect(finalBalance[2]).toBeLessThanOrEqual(finalBalance[6]);
+    });
+
+    test('should warn when every path is the same and print never depleted', async () => {
+      const lasting = { ...scenario, assets: [{ ...scenario.assets[0], balance: 20000 }] };
+      const { code, stdout, stderr } = await run([writeScenarioFile('cash.json', lasting), '--monte-carlo', '--iterations', '5', '--seed', '2']);
+
+      expect(code).toBe(0);
+      expect(stderr).toContain('Every Monte Carlo path of cash-only came out the same');
+      const rows = stdout.trim().split('\n').map(row => row.split(','));
+      expect(rows.find(row => row[0] === 'timeToDepletion')).toEqual(['timeToDepletion', 'never depleted', '', '', '', '', '', '', '']);
+
+      const varied = await run([writeScenarioFile('volatile.json', volatile), '--monte-carlo', '--iterations', '5', '--seed', '2']);
+      expect(varied.stderr).not.toContain('came out the same');
+    });
+
+    test('should write a JSON summary to a file', async () => {
+      const output = join(tempDir, 'summary.json');
+      const { code, stdout, stderr } = await run([
+        writeScenarioFile('volatile.json', volatile),
+        '--monte-carlo', '--iterations', '10', '--seed', '3', '--target-years', '2',
+        '--format', 'json', '--output', output
+      ]);
+
+      expect(code).toBe(0);
+      expect(stdout).toBe('');
+      expect(stderr).toContain(`Wrote ${output}`);
+      const summary = JSON.parse(readFileSync(output, 'utf8'));
+      expect(summary).toEqual(expect.objectContaining({ iterations: 10, seed: 3, targetMonths: 24 }));
+      expect(summary.successRate).toBeGreaterThanOrEqual(0);
+      expect(Object.keys(summary.percentiles.survivalMonths)).toEqual(['mean', 'min', 'p10', 'p25', 'p50', 'p75', 'p90', 'max']);
+    });
+  });
+
+  describe('claiming-age comparisons', () => {
+    // Retire at 62 with no growth, inflation or tax, as in the Social Security tests
+    const claiming = {
+      name: 'claiming',
+      plan: { monthly_expenses: 3000, duration_months: 336, inflation_rate: 0, start_date: '2022-01' },
+      assets: [{ name: 'Savings', type: 'tax_free', balance: 1000000, interest_rate: 0 }],
+      income: [{ name: 'Social Security', type: 'social_security', pia: 2000, birth_date: '1960-01', claiming_age: 67 }],
+      order: [{ account: 'Savings', order: 1 }]
+    };
+
+    test('should print one row per claiming age with break-even months', async () => {
+      const { code, stdout } = await run([writeScenarioFile('claiming.json', claiming), '--compare-claiming', '--claiming-ages', '70,62,67']);
+
+      expect(code).toBe(0);
+      expect(stdout.trim().split('\n').map(row => row.split(','))).toEqual([
+        ['claimingAge', 'initialBenefit', 'totalBenefits', 'breakEvenMonth', 'breakEvenAge',
+          'balanceBreakEvenMonth', 'finalBalance', 'finalBalanceDifference', 'firstShortfallMonth'],
+        ['62', '1400', String(1400 * 336), '', '', '', String(1000000 - 1600 * 336), '0', ''],
+        ['67', '2000', String(2000 * 276), '200', '78.58', '200', String(1000000 - 3000 * 336 + 2000 * 276), String(2000 * 276 - 1400 * 336), ''],
+        ['70', '2480', String(2480 * 240), '221', '80.33', '221', String(1000000 - 3000 * 336 + 2480 * 240), String(2480 * 240 - 1400 * 336), '']
+      ]);
+    });
+
+    test('should summarize the comparison as JSON and report a scenario without benefits', async () => {
+      const { code, stdout } = await run([
+        writeScenarioFile('claiming.json', claiming), '--compare-claiming', '--claiming-income', 'Social Security', '--format', 'json'
+      ]);
+      const summary = JSON.parse(stdout);
+
+      expect(code).toBe(0);
+      expect(summary).toEqual(expect.objectContaining({ scenario: 'claiming', incomeName: 'Social Security', baselineAge: 62 }));
+      expect(summary.comparisons.map(row => row.claimingAge)).toEqual([62, 63, 64, 65, 66, 67, 68, 69, 70]);
+
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const missing = await run([writeScenarioFile('cash.json', scenario), '--compare-claiming']);
+      errorSpy.mockRestore();
+      expect(missing.code).toBe(1);
+      expect(missing.stderr).toBe('❌ Scenario has no social_security income to compare\n');
+    });
+  });
+
+  describe('withdrawal order searches', () => {
+    // Withdrawals up to 12,000 a year are untaxed and the rest taxed at 40%; the Roth
+    // cannot fund the three years alone
+    const bracket = {
+      name: 'bracket',
+      plan: {
+        monthly_expenses: 2000,
+        duration_months: 36,
+        inflation_rate: 0,
+        tax_config: { brackets: [{ rate: 0, up_to: 12000 }, { rate: 0.4 }], standard_deduction: 0 }
+      },
+      assets: [
+        { name: 'IRA', type: 'tax_deferred', balance: 300000, interest_rate: 0 },
+        { name: 'Roth', type: 'tax_free', balance: 40000, interest_rate: 0 }
+      ],
+      order: [{ account: 'IRA', order: 1 }, { account: 'Roth', order: 2 }]
+    };
+
+    test('should print the recommended order next to the current one', async () => {
+      const { code, stdout } = await run([writeScenarioFile('bracket.json', bracket), '--optimize-withdrawals', '--objective', 'lifetime_tax']);
+      const [orders, metrics] = stdout.trim().split('\n\n').map(table => table.split('\n').map(row => row.split(',')));
+
+      expect(code).toBe(0);
+      expect(orders[0]).toEqual(['plan', 'account', 'order', 'weight', 'start_month', 'stop_month']);
+      expect(orders.slice(1)).toEqual(expect.arrayContaining([
+        ['current', 'IRA', '1', '', '', ''],
+        ['current', 'Roth', '2', '', '', ''],
+        ['recommended', 'IRA', '1', '0.5', '', ''],
+        ['recommended', 'Roth', '1', '0.5', '', '']
+      ]));
+      expect(metrics[0]).toEqual(['metric', 'current', 'recommended', 'change']);
+      expect(metrics.find(row => row[0] === 'lifetimeTax')).toEqual(['lifetimeTax', '24000', '0', '-24000']);
+    });
+
+    test('should summarize the search as JSON with an order ready to apply', async () => {
+      const { code, stdout } = await run([
+        writeScenarioFile('bracket.json', bracket), '--optimize-withdrawals', '--objective', 'lifetime_tax', '--format', 'json'
+      ]);
+      const summary = JSON.parse(stdout);
+
+      expect(code).toBe(0);
+      expect(summary).toEqual(expect.objectContaining({ scenario: 'bracket', objective: 'lifetime_tax', changed: true }));
+      expect(summary.current.order).toEqual(bracket.order);
+      expect(summary.recommended.lifetimeTax).toBe(0);
+
+      const applied = await run([writeScenarioFile('applied.json', { ...bracket, order: summary.recommended.order }), '--format', 'json']);
+      expect(JSON.parse(applied.stdout).totalTaxes).toBe(0);
+    });
+  });
+});
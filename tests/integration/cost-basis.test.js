@@ -0,0 +1,136 @@
+/**
+ * Integration tests for cost-basis tracking on taxable assets
+ * Tests average-cost and FIFO gains, basis added by deposits, the long-term gains rate
+ * and realized gains in the annual tax ledger
+ */
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { simulateScenarioAdvanced } from '../../scripts/timeaware-engine.js';
+import { CostBasis } from '../../scripts/cost-basis.js';
+import { ValidationService } from '../../scripts/services/ValidationService.js';
+import { EventBus } from '../../scripts/core/EventBus.js';
+
+describe('Cost Basis', () => {
+  const buildScenario = (brokerage, overrides = {}) => ({
+    plan: {
+      monthly_expenses: 1000,
+      duration_months: 12,
+      inflation_rate: 0,
+      ...overrides.plan
+    },
+    assets: [
+      { name: 'Brokerage', type: 'taxable', balance: 100000, interest_rate: 0, ...brokerage }
+    ],
+    ...(overrides.deposits ? { deposits: overrides.deposits } : {}),
+    order: [{ account: 'Brokerage', order: 1 }]
+  });
+
+  const totalTax = (result) => result.results.reduce((sum, month) => sum + month.taxPaid, 0);
+
+  test('should tax the whole withdrawal when no cost_basis is given', () => {
+    const result = simulateScenarioAdvanced(buildScenario({}));
+
+    expect(result.results[0].withdrawals[0].grossAmount).toBeCloseTo(1000 / 0.85, 6);
+  });
+
+  test('should tax only the gain share of each withdrawal at average cost', () => {
+    const result = simulateScenarioAdvanced(buildScenario({ cost_basis: 50000 }));
+    const [withdrawal] = result.results[0].withdrawals;
+
+    // Half of every dollar is gain, taxed at 15%
+    expect(withdrawal.grossAmount).toBeCloseTo(1000 / (1 - 0.5 * 0.15), 6);
+    expect(withdrawal.taxOwed).toBeCloseTo(withdrawal.grossAmount * 0.5 * 0.15, 6);
+    // Selling at average cost leaves the gain share unchanged
+    expect(result.results[11].withdrawals[0].grossAmount).toBeCloseTo(withdrawal.grossAmount, 6);
+  });
+
+  test('should tax gains at tax_config.long_term_gains_rate', () => {
+    const result = simulateScenarioAdvanced(buildScenario({ cost_basis: 50000 }, {
+      plan: { tax_config: { taxable: 0.15, long_term_gains_rate: 0.2 } }
+    }));
+
+    expect(result.results[0].withdrawals[0].grossAmount).toBeCloseTo(1000 / (1 - 0.5 * 0.2), 6);
+  });
+
+  test('should start taxing growth once the balance rises above basis', () => {
+    const result = simulateScenarioAdvanced(buildScenario({ cost_basis: 100000, interest_rate: 0.12 }));
+
+    expect(result.results[0].withdrawals[0].taxOwed).toBe(0);
+    expect(result.results[6].withdrawals[0].taxOwed).toBeGreaterThan(0);
+  });
+
+  test('should sell the oldest lots first with fifo', () => {
+    const lots = [{ value: 50000, basis: 10000 }, { value: 50000, basis: 50000 }];
+    const fifo = simulateScenarioAdvanced(buildScenario({ cost_basis: lots, basis_method: 'fifo' }));
+    const average = simulateScenarioAdvanced(buildScenario({ cost_basis: lots }));
+
+    // The oldest lot is 80% gain; the pooled holding is 40%
+    expect(fifo.results[0].withdrawals[0].grossAmount).toBeCloseTo(1000 / (1 - 0.8 * 0.15), 6);
+    expect(average.results[0].withdrawals[0].grossAmount).toBeCloseTo(1000 / (1 - 0.4 * 0.15), 6);
+    expect(totalTax(fifo)).toBeGreaterThan(totalTax(average));
+  });
+
+  test('should add deposits to the basis at cost', () => {
+    const deposits = [{ name: 'Savings', target: 'Brokerage', amount: 10000, month: 1 }];
+    const average = simulateScenarioAdvanced(buildScenario({ balance: 20000, cost_basis: 0 }, { deposits }));
+    const fifo = simulateScenarioAdvanced(buildScenario({ balance: 20000, cost_basis: 0, basis_method: 'fifo' }, { deposits }));
+
+    // 10,000 of basis in a 30,000 holding; FIFO still sells the all-gain opening lot first
+    expect(average.results[0].withdrawals[0].grossAmount).toBeCloseTo(1000 / (1 - (2 / 3) * 0.15), 6);
+    expect(fifo.results[0].withdrawals[0].grossAmount).toBeCloseTo(1000 / 0.85, 6);
+  });
+
+  test('should keep lots in step with growth, sales and purchases', () => {
+    const asset = { type: 'taxable', balance: 1000, cost_basis: 400, basis_method: 'fifo' };
+    const costBasis = new CostBasis(asset);
+
+    asset.balance = 2000; // Growth doubles the lot's value, not its basis
+    expect(costBasis.recordSale(1000)).toBeCloseTo(800, 6);
+    asset.balance -= 1000;
+    costBasis.recordPurchase(500);
+    asset.balance += 500;
+
+    expect(costBasis.getBasis()).toBeCloseTo(700, 6);
+    expect(costBasis.lots).toEqual([{ value: 1000, basis: 200 }, { value: 500, basis: 500 }]);
+    expect(() => new CostBasis({ cost_basis: 0, basis_method: 'lifo' })).toThrow('Unknown basis method: lifo');
+  });
+
+  test('should record realized gains in the annual tax ledger', () => {
+    const result = simulateScenarioAdvanced(buildScenario({ cost_basis: 50000 }, {
+      plan: { tax_config: { settlement: { month: 4 } } }
+    }));
+    const [year] = result.taxYears;
+
+    expect(year.capitalGains).toBeCloseTo(12000 * 0.5, 6);
+    expect(year.taxAccrued).toBeCloseTo(12000 * 0.5 * 0.15, 6);
+  });
+
+  test('should pay less tax in the example brokerage scenario than without its cost basis', () => {
+    const scenarios = JSON.parse(readFileSync(resolve('data/scenarios/realistic-scenarios.json'), 'utf8'));
+    const scenario = scenarios['brokerage-with-cost-basis'];
+    const withoutBasis = {
+      ...scenario,
+      assets: scenario.assets.map(({ cost_basis, basis_method, ...asset }) => asset)
+    };
+
+    expect(totalTax(simulateScenarioAdvanced(scenario))).toBeLessThan(totalTax(simulateScenarioAdvanced(withoutBasis)));
+  });
+
+  test('should validate cost_basis and basis_method', () => {
+    const validationService = new ValidationService(new EventBus());
+    const validation = validationService.validateScenario({
+      ...buildScenario({ cost_basis: -1, basis_method: 'lifo' }),
+      assets: [
+        { name: 'Brokerage', type: 'taxable', balance: 100000, cost_basis: -1, basis_method: 'lifo' },
+        { name: 'IRA', type: 'tax_deferred', balance: 100000, cost_basis: 50000 }
+      ]
+    });
+
+    expect(validation.errors).toEqual(expect.arrayContaining([
+      'Asset 1: cost_basis must be a non-negative number or a list of { value, basis } lots',
+      'Asset 1: Unknown basis_method "lifo" (expected one of: average, fifo)'
+    ]));
+    expect(validation.warnings).toContain('Asset 2: cost_basis only applies to taxable assets and will be ignored');
+  });
+});
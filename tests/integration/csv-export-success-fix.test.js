@@ -288,4 +288,24 @@ describe('CSV Export Success Fix Integration', () => {
     const successRateLine = lines.find(line => line.includes('Success Rate'));
     expect(successRateLine).toContain('50.0%');
   });
+
+  test('should label key scenario returns by the period their path was drawn in', () => {
+    const exportReturns = (returnSequencePeriod, growth) => {
+      const analysis = {
+        successRate: 1,
+        statistics: {},
+        keyScenarios: {
+          median: { percentile: 50, finalBalance: 500000, description: 'Median', returnSequence: { growth }, returnSequencePeriod }
+        }
+      };
+      monteCarloController.downloadCSV({ analysis, results: [{ success: true, survivalTime: 168, finalBalance: 500000 }] }, 'test-export.csv');
+      const lines = capturedCSVContent.split('\n');
+      return lines.slice(lines.findIndex(line => line.startsWith('GROWTH')));
+    };
+
+    // Annual paths: one annual return per year
+    expect(exportReturns(undefined, [0.12, -0.06]).slice(0, 4)).toEqual(['GROWTH Annual Returns,,', 'Year,MEDIAN', '1,12.00%', '2,-6.00%']);
+    // Monthly paths hold annual rates; each month earns a twelfth of one
+    expect(exportReturns('monthly', [0.12, -0.06]).slice(0, 4)).toEqual(['GROWTH Monthly Returns,,', 'Month,MEDIAN', '1,1.00%', '2,-0.50%']);
+  });
 });
@@ -0,0 +1,130 @@
+/**
+ * Integration tests for glidepath allocations
+ * Tests equity share by plan year or age, linear and step interpolation, and the
+ * stock/bond blend driving asset returns in the engine and in Monte Carlo paths
+ */
+
+import { simulateScenarioAdvanced } from '../../scripts/timeaware-engine.js';
+import { Glidepath } from '../../scripts/glidepath.js';
+import { ValidationService } from '../../scripts/services/ValidationService.js';
+import { EventBus } from '../../scripts/core/EventBus.js';
+
+describe('Glidepath', () => {
+  // 80% equity falling to 40% over 15 years, as in the glidepath-equity-reduction example
+  const reduction = {
+    points: [{ year: 0, equity: 0.8 }, { year: 15, equity: 0.4 }],
+    equity_return: 0.08,
+    bond_return: 0.04
+  };
+
+  const buildScenario = (glidepath, overrides = {}) => ({
+    plan: {
+      monthly_expenses: 0,
+      duration_months: 240,
+      inflation_rate: 0,
+      ...overrides.plan
+    },
+    assets: [
+      { name: 'Portfolio', type: 'tax_free', balance: 100000, glidepath }
+    ],
+    order: [{ account: 'Portfolio', order: 1 }],
+    ...(overrides.glidepaths ? { glidepaths: overrides.glidepaths } : {}),
+    ...(overrides.rate_schedules ? { rate_schedules: overrides.rate_schedules } : {})
+  });
+
+  describe('equity share', () => {
+    test('should interpolate linearly between points and hold flat outside them', () => {
+      const glidepath = new Glidepath(reduction);
+
+      expect(glidepath.getEquityShare(0)).toBe(0.8);
+      expect(glidepath.getEquityShare(11)).toBe(0.8);
+      expect(glidepath.getEquityShare(12)).toBeCloseTo(0.8 - 0.4 / 15, 10);
+      expect(glidepath.getEquityShare(90)).toBeCloseTo(0.8 - 0.4 * 7 / 15, 10);
+      expect(glidepath.getEquityShare(15 * 12)).toBe(0.4);
+      expect(glidepath.getEquityShare(30 * 12)).toBe(0.4);
+    });
+
+    test('should step between points', () => {
+      const glidepath = new Glidepath({
+        interpolation: 'step',
+        points: [{ year: 0, equity: 0.7 }, { year: 5, equity: 0.5 }, { year: 10, equity: 0.3 }]
+      });
+
+      expect(glidepath.getEquityShare(4 * 12 + 11)).toBe(0.7);
+      expect(glidepath.getEquityShare(5 * 12)).toBe(0.5);
+      expect(glidepath.getEquityShare(9 * 12)).toBe(0.5);
+      expect(glidepath.getEquityShare(10 * 12)).toBe(0.3);
+    });
+
+    test('should follow age when the points give ages', () => {
+      const glidepath = new Glidepath(
+        { points: [{ age: 70, equity: 0.3 }, { age: 60, equity: 0.7 }] },
+        { start_age: 65 }
+      );
+
+      expect(glidepath.getEquityShare(0)).toBeCloseTo(0.5, 10);
+      expect(glidepath.getEquityShare(5 * 12)).toBe(0.3);
+      expect(() => new Glidepath({ points: [{ age: 60, equity: 0.7 }] }, {}))
+        .toThrow('needs plan.birth_year or plan.start_age');
+    });
+
+    test('should reject an unknown interpolation', () => {
+      expect(() => new Glidepath({ ...reduction, interpolation: 'cubic' }))
+        .toThrow('Unknown glidepath interpolation: cubic');
+    });
+  });
+
+  describe('engine returns', () => {
+    test('should grow the asset at the blended return for each plan year', () => {
+      const result = simulateScenarioAdvanced(buildScenario(reduction));
+      const history = result.balanceHistory.Portfolio;
+
+      // Year 1: 0.8 * 8% + 0.2 * 4% = 7.2% a year, applied monthly
+      expect(history[0]).toBeCloseTo(100000 * (1 + 0.072 / 12), 6);
+      expect(history[11]).toBeCloseTo(100000 * Math.pow(1 + 0.072 / 12, 12), 6);
+      // After year 15 the portfolio earns 0.4 * 8% + 0.6 * 4% = 5.6%
+      expect(history[200] / history[199]).toBeCloseTo(1 + 0.056 / 12, 10);
+    });
+
+    test('should resolve named glidepaths and rate schedules', () => {
+      const result = simulateScenarioAdvanced(buildScenario('reduction', {
+        glidepaths: {
+          reduction: { ...reduction, equity_return: 'stocks', bond_return: 'bonds' }
+        },
+        rate_schedules: {
+          stocks: { type: 'fixed', rate: 0.08 },
+          bonds: { type: 'fixed', rate: 0.04 }
+        }
+      }));
+      const inline = simulateScenarioAdvanced(buildScenario(reduction));
+
+      expect(result.balanceHistory.Portfolio).toEqual(inline.balanceHistory.Portfolio);
+      expect(() => simulateScenarioAdvanced(buildScenario('missing')))
+        .toThrow("Glidepath 'missing' not found");
+
+      const validation = new ValidationService(new EventBus()).validateScenario(buildScenario('missing'));
+      expect(validation.errors).toContain('Asset "Portfolio": glidepath "missing" is not defined in glidepaths');
+    });
+
+    test('should blend injected stock and bond paths by the year\'s equity share', () => {
+      const result = simulateScenarioAdvanced(buildScenario(reduction, { plan: { duration_months: 24 } }), {
+        assetClassPaths: { stock: [-0.3, 0.2], bond: [0.05, 0.02] }
+      });
+      const history = result.balanceHistory.Portfolio;
+      const yearOne = 0.8 * -0.3 + 0.2 * 0.05;
+      const share = 0.8 - 0.4 / 15;
+      const yearTwo = share * 0.2 + (1 - share) * 0.02;
+
+      expect(history[11]).toBeCloseTo(100000 * (1 + yearOne), 6);
+      expect(history[23]).toBeCloseTo(100000 * (1 + yearOne) * (1 + yearTwo), 6);
+    });
+
+    test('should keep a lower-equity glidepath from falling as far in a crash', () => {
+      const crash = { assetClassPaths: { stock: [-0.4], bond: [0.05] } };
+      const aggressive = simulateScenarioAdvanced(buildScenario({ points: [{ year: 0, equity: 0.9 }] }, { plan: { duration_months: 12 } }), crash);
+      const conservative = simulateScenarioAdvanced(buildScenario({ points: [{ year: 0, equity: 0.3 }] }, { plan: { duration_months: 12 } }), crash);
+
+      expect(conservative.balanceHistory.Portfolio[11]).toBeGreaterThan(aggressive.balanceHistory.Portfolio[11]);
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Integration tests for the rolling historical-cohort backtest
+ * Tests that every start year replays its actual return and inflation sequence
+ */
+
+import { EventBus } from '../../scripts/core/EventBus.js';
+import { SimulationService } from '../../scripts/services/SimulationService.js';
+import { HistoricalBacktestService } from '../../scripts/services/HistoricalBacktestService.js';
+import { HistoricalSequenceModel } from '../../scripts/services/ReturnModelService.js';
+
+describe('Historical Cohort Backtest', () => {
+  let eventBus;
+  let backtestService;
+
+  // 30-year retirement, 4% initial withdrawal from an all-stock portfolio
+  const scenario = {
+    name: 'Backtest Scenario',
+    plan: {
+      monthly_expenses: 4000,
+      duration_months: 360,
+      inflation_rate: 0.03
+    },
+    assets: [
+      { name: 'Stocks', type: 'stock', balance: 1200000, interest_rate: 0.07, market_dependent: true }
+    ],
+    order: [{ account: 'Stocks', order: 1 }]
+  };
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    new SimulationService(eventBus);
+    backtestService = new HistoricalBacktestService(eventBus);
+  });
+
+  afterEach(() => {
+    eventBus.removeAllListeners();
+  });
+
+  describe('HistoricalSequenceModel slicing', () => {
+    const model = new HistoricalSequenceModel();
+
+    test('should list only start years with a complete sequence', () => {
+      const startYears = model.getCohortStartYears(30);
+
+      expect(startYears[0]).toBe(1926);
+      expect(startYears[startYears.length - 1]).toBe(1994);
+    });
+
+    test('should return the actual years that followed a start year', () => {
+      const window = model.getHistoricalWindow(1966, 3, ['stock', 'bond']);
+      const index1966 = model.historicalData.years.indexOf(1966);
+
+      expect(window.startYear).toBe(1966);
+      expect(window.endYear).toBe(1968);
+      expect(window.returns.stock).toEqual(model.historicalData.stock.slice(index1966, index1966 + 3));
+      expect(window.returns.inflation).toEqual(model.historicalData.inflation.slice(index1966, index1966 + 3));
+    });
+
+    test('should reject windows that run past the data', () => {
+      expect(model.getHistoricalWindow(2020, 10)).toBeNull();
+      expect(model.getHistoricalWindow(1900, 10)).toBeNull();
+    });
+  });
+
+  describe('30-year replay of every start year', () => {
+    let backtest;
+    const progress = [];
+    const completed = [];
+
+    // One full backtest is shared: each cohort is a complete 360-month engine run
+    beforeAll(async () => {
+      const bus = new EventBus();
+      new SimulationService(bus);
+      const service = new HistoricalBacktestService(bus);
+      bus.on('backtest:progress', (data) => progress.push(data));
+      bus.on('backtest:completed', (data) => completed.push(data));
+
+      backtest = await service.runBacktest({ scenarioData: scenario });
+      bus.removeAllListeners();
+    }, 120000);
+
+    test('should run one simulation per start year and report the summary', () => {
+      const { results, analysis } = backtest;
+
+      expect(results).toHaveLength(69);
+      expect(results[0].startYear).toBe(1926);
+      expect(progress[progress.length - 1].percentage).toBe(100);
+      expect(completed).toHaveLength(1);
+
+      expect(analysis.totalCohorts).toBe(69);
+      expect(analysis.successfulCohorts + analysis.failedCohorts.length).toBe(69);
+      expect(analysis.successRate).toBeCloseTo(analysis.successfulCohorts / 69, 10);
+      // A 4% all-stock plan famously fails for some late-1960s retirees
+      expect(analysis.failedCohorts.length).toBeGreaterThan(0);
+      expect(analysis.failedCohorts.length).toBeLessThan(69);
+      expect(analysis.failedCohorts.map(cohort => cohort.startYear)).toContain(analysis.worstStartYear);
+
+      // Every failed cohort ran short before the end of the plan
+      analysis.failedCohorts.forEach(cohort => {
+        expect(cohort.survivalMonths).toBeLessThan(360);
+      });
+    });
+
+    test('should replay the same sequence a direct engine run would see', async () => {
+      const cohort1966 = backtest.results.find(cohort => cohort.startYear === 1966);
+      const window = new HistoricalSequenceModel().getHistoricalWindow(1966, 30, ['stock']);
+      const { simulateScenarioAdvanced } = await import('../../scripts/timeaware-engine.js');
+
+      const direct = simulateScenarioAdvanced(scenario, {
+        returnPaths: { Stocks: window.returns.stock },
+        inflationPath: window.returns.inflation
+      });
+
+      expect(cohort1966.result.results.balanceHistory.Stocks).toEqual(direct.balanceHistory.Stocks);
+    });
+
+    test('should treat a shorter target period as success', () => {
+      const analysis = backtestService.analyzeCohorts(
+        backtest.results.map(cohort => ({
+          ...cohort,
+          ...backtestService.evaluateCohort(cohort.result, 12)
+        })),
+        12
+      );
+
+      expect(analysis.successRate).toBe(1);
+      expect(analysis.failedCohorts).toEqual([]);
+      expect(analysis.targetSurvivalMonths).toBe(12);
+    });
+  });
+
+  test('should stop early and emit cancelled when cancelled', async () => {
+    const cancelled = [];
+    eventBus.on('backtest:cancelled', (data) => cancelled.push(data));
+    eventBus.on('backtest:progress', (data) => {
+      if (data.completed === 2) eventBus.emit('backtest:cancel');
+    });
+
+    const shortScenario = { ...scenario, plan: { ...scenario.plan, duration_months: 12 } };
+    const outcome = await backtestService.runBacktest({ scenarioData: shortScenario });
+
+    expect(outcome).toBeNull();
+    expect(cancelled).toHaveLength(1);
+    expect(backtestService.isRunning).toBe(false);
+  });
+
+  test('should emit an error when the scenario is longer than the data', async () => {
+    const errors = [];
+    eventBus.on('backtest:error', (data) => errors.push(data));
+
+    eventBus.emit('backtest:run', {
+      scenarioData: { ...scenario, plan: { ...scenario.plan, duration_months: 1300 } }
+    });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0].error).toContain('longer than the available historical data');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Integration tests for inflation-indexed and COLA-adjusted income
+ * Tests that income[].inflation_adjustment grows income streams over time
+ */
+
+import { simulateScenarioAdvanced } from '../../scripts/timeaware-engine.js';
+import { getMonthlyIncome, resolveInflationAdjustment } from '../../scripts/utils.js';
+import { ValidationService } from '../../scripts/services/ValidationService.js';
+import { EventBus } from '../../scripts/core/EventBus.js';
+
+describe('Income Indexing', () => {
+  const buildScenario = (income, planOverrides = {}) => ({
+    plan: {
+      monthly_expenses: 5000,
+      duration_months: 36,
+      inflation_rate: 0.03,
+      ...planOverrides
+    },
+    rate_schedules: {
+      ss_cola: { type: 'sequence', values: [0.087, 0.032, 0.025] }
+    },
+    assets: [
+      { name: 'Savings', type: 'tax_free', balance: 500000, interest_rate: 0 }
+    ],
+    income,
+    order: [{ account: 'Savings', order: 1 }]
+  });
+
+  const incomeAt = (result, month) => result.results[month].income;
+
+  test('should keep unindexed income flat', () => {
+    const result = simulateScenarioAdvanced(buildScenario([
+      { name: 'Pension', amount: 2000 }
+    ]));
+
+    expect(incomeAt(result, 0)).toBe(2000);
+    expect(incomeAt(result, 35)).toBe(2000);
+    expect(result.results[35].incomeSources).toEqual([
+      { name: 'Pension', baseAmount: 2000, indexFactor: 1, amount: 2000 }
+    ]);
+  });
+
+  test('should follow the plan inflation', () => {
+    const result = simulateScenarioAdvanced(buildScenario([
+      { name: 'Social Security', amount: 2000, inflation_adjustment: 'plan' }
+    ]));
+
+    expect(incomeAt(result, 11)).toBe(2000);
+    expect(incomeAt(result, 12)).toBeCloseTo(2060, 6);
+    expect(incomeAt(result, 24)).toBeCloseTo(2000 * 1.03 * 1.03, 6);
+    // Income keeps pace with expenses
+    expect(incomeAt(result, 24) / result.results[24].expenses).toBeCloseTo(2000 / 5000, 10);
+  });
+
+  test('should apply a fixed COLA each year', () => {
+    const result = simulateScenarioAdvanced(buildScenario([
+      { name: 'Pension', amount: 1000, inflation_adjustment: { type: 'cola', rate: 0.02 } }
+    ]));
+
+    expect(incomeAt(result, 12)).toBeCloseTo(1020, 6);
+    expect(incomeAt(result, 35)).toBeCloseTo(1000 * 1.02 * 1.02, 6);
+    expect(result.results[35].incomeSources[0].indexFactor).toBeCloseTo(1.0404, 10);
+  });
+
+  test('should compound a named rate schedule year by year', () => {
+    const result = simulateScenarioAdvanced(buildScenario([
+      { name: 'Social Security', amount: 2000, inflation_adjustment: { type: 'schedule', schedule: 'ss_cola' } }
+    ]));
+
+    expect(incomeAt(result, 12)).toBeCloseTo(2000 * 1.087, 6);
+    expect(incomeAt(result, 24)).toBeCloseTo(2000 * 1.087 * 1.032, 6);
+  });
+
+  test('should index from the income start when asked', () => {
+    const result = simulateScenarioAdvanced(buildScenario([
+      { name: 'Social Security', amount: 2000, start_month: 13, inflation_adjustment: 0.02, index_from: 'income_start' }
+    ]));
+
+    expect(incomeAt(result, 11)).toBe(0);
+    expect(incomeAt(result, 12)).toBe(2000);
+    expect(incomeAt(result, 24)).toBeCloseTo(2040, 6);
+  });
+
+  test('should index taxable income before it stacks under withdrawals', () => {
+    const result = simulateScenarioAdvanced(buildScenario([
+      { name: 'Pension', amount: 2000, tax_treatment: 'taxable', inflation_adjustment: 'plan' }
+    ]));
+
+    expect(incomeAt(result, 12)).toBeCloseTo(2060, 6);
+  });
+
+  test('should index by a legacy inflation_schedule and warn that it no longer stays flat', () => {
+    const legacy = buildScenario([{ name: 'Pension', amount: 2000, inflation_schedule: 'ss_cola' }]);
+    const flat = buildScenario([{ name: 'Pension', amount: 2000, inflation_schedule: 'ss_cola', inflation_adjustment: 'none' }]);
+    const validation = new ValidationService(new EventBus());
+
+    expect(incomeAt(simulateScenarioAdvanced(legacy), 12)).toBeCloseTo(2000 * 1.087, 6);
+    expect(incomeAt(simulateScenarioAdvanced(flat), 35)).toBe(2000);
+    expect(validation.validateScenario(legacy).warnings)
+      .toContainEqual(expect.stringContaining('Income 1 (Pension): inflation_schedule "ss_cola" now indexes this income'));
+    expect(validation.validateScenario(flat).warnings.filter(warning => warning.includes('inflation_schedule'))).toEqual([]);
+  });
+
+  describe('resolveInflationAdjustment', () => {
+    test('should normalize every accepted form', () => {
+      expect(resolveInflationAdjustment({})).toEqual({ type: 'none' });
+      expect(resolveInflationAdjustment({ inflation_adjustment: false })).toEqual({ type: 'none' });
+      expect(resolveInflationAdjustment({ inflation_adjustment: true })).toEqual({ type: 'plan' });
+      expect(resolveInflationAdjustment({ inflation_adjustment: 0.025 })).toEqual({ type: 'cola', rate: 0.025 });
+      expect(resolveInflationAdjustment({ inflation_schedule: 'ss_cola' })).toEqual({ type: 'schedule', schedule: 'ss_cola' });
+      expect(resolveInflationAdjustment({ inflation_schedule: 'ss_cola', inflation_adjustment: false })).toEqual({ type: 'none' });
+    });
+
+    test('should leave getMonthlyIncome unindexed without an index function', () => {
+      const income = [{ name: 'Pension', amount: 1000, inflation_adjustment: 'plan' }];
+      expect(getMonthlyIncome(income, 60)).toBe(1000);
+      expect(getMonthlyIncome(income, 60, () => 1.5)).toBe(1500);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Integration tests for injected return paths
+ * Tests that Monte Carlo return sequences actually drive asset growth in the engine
+ */
+
+import { simulateScenarioAdvanced } from '../../scripts/timeaware-engine.js';
+import { EventBus } from '../../scripts/core/EventBus.js';
+import { SimulationService } from '../../scripts/services/SimulationService.js';
+import { ReturnModelService } from '../../scripts/services/ReturnModelService.js';
+
+describe('Injected Return Paths', () => {
+  const baseScenario = {
+    plan: {
+      monthly_expenses: 0,
+      duration_months: 36,
+      stop_on_shortfall: false
+    },
+    rate_schedules: {
+      market_growth: { type: 'fixed', rate: 0.06 },
+      savings_rate: { type: 'fixed', rate: 0.03 }
+    },
+    assets: [
+      { name: 'Brokerage', type: 'taxable', balance: 100000, return_schedule: 'market_growth', market_dependent: true },
+      { name: 'Savings', type: 'taxable', balance: 50000, return_schedule: 'savings_rate', market_dependent: false }
+    ],
+    order: [
+      { account: 'Savings', order: 1 },
+      { account: 'Brokerage', order: 2 }
+    ]
+  };
+
+  test('should compound each annual path entry to exactly that year\'s return', () => {
+    const result = simulateScenarioAdvanced(baseScenario, {
+      returnPaths: { Brokerage: [-0.40, 0.25, 0.10] }
+    });
+
+    const brokerage = result.balanceHistory.Brokerage;
+    expect(brokerage[11]).toBeCloseTo(60000, 2);
+    expect(brokerage[23]).toBeCloseTo(75000, 2);
+    expect(brokerage[35]).toBeCloseTo(82500, 2);
+  });
+
+  test('should leave assets without a path on their scheduled rate', () => {
+    const withPaths = simulateScenarioAdvanced(baseScenario, {
+      returnPaths: { Brokerage: [-0.40, 0.25, 0.10] }
+    });
+    const withoutPaths = simulateScenarioAdvanced(baseScenario);
+
+    expect(withPaths.balanceHistory.Savings).toEqual(withoutPaths.balanceHistory.Savings);
+  });
+
+  test('should fall back to the scheduled rate once the path runs out', () => {
+    const result = simulateScenarioAdvanced(baseScenario, {
+      returnPaths: { Brokerage: [0.0] }
+    });
+
+    const brokerage = result.balanceHistory.Brokerage;
+    expect(brokerage[11]).toBeCloseTo(100000, 2);
+    expect(brokerage[12]).toBeCloseTo(100000 * (1 + 0.06 / 12), 2);
+  });
+
+  test('should support monthly return periods', () => {
+    const result = simulateScenarioAdvanced(baseScenario, {
+      returnPaths: { Brokerage: [0.01, -0.01] },
+      returnPeriodMonths: 1
+    });
+
+    const brokerage = result.balanceHistory.Brokerage;
+    expect(brokerage[0]).toBeCloseTo(101000, 2);
+    expect(brokerage[1]).toBeCloseTo(99990, 2);
+  });
+
+  test('should grow expenses along an injected inflation path', () => {
+    const scenario = {
+      ...baseScenario,
+      plan: { ...baseScenario.plan, monthly_expenses: 1000, inflation_rate: 0.02 }
+    };
+    const result = simulateScenarioAdvanced(scenario, {
+      inflationPath: [0.12, -0.05]
+    });
+
+    expect(result.results[0].expenses).toBeCloseTo(1000, 6);
+    expect(result.results[12].expenses).toBeCloseTo(1120, 6);
+    expect(result.results[24].expenses).toBeCloseTo(1064, 6);
+    // Past the end of the path the plan's own inflation takes over
+    expect(result.results[25].expenses).toBeCloseTo(1064 * (1 + 0.02 / 12), 6);
+  });
+
+  test('historical models pass the drawn years\' inflation to the engine', async () => {
+    const eventBus = new EventBus();
+    const simulationService = new SimulationService(eventBus);
+    new ReturnModelService(eventBus);
+    eventBus.emit('returnmodel:set-model', { modelType: 'historical-sequence', config: {} });
+
+    const scenario = {
+      ...baseScenario,
+      plan: { ...baseScenario.plan, monthly_expenses: 1000, inflation_rate: 0 },
+      _simulationId: 'mc-inflation'
+    };
+    const result = await simulationService.runSimulation(scenario, { isMonteCarlo: true });
+
+    const expenses = result.results.results.map(entry => entry.expenses);
+    expect(new Set(expenses.map(value => value.toFixed(6))).size).toBeGreaterThan(1);
+    eventBus.removeAllListeners();
+  });
+
+  test('different return sequences produce different Monte Carlo balances', async () => {
+    const eventBus = new EventBus();
+    const simulationService = new SimulationService(eventBus);
+    new ReturnModelService(eventBus);
+    eventBus.emit('returnmodel:set-model', { modelType: 'historical-bootstrap', config: {} });
+
+    const first = await simulationService.runSimulation(
+      { ...baseScenario, _simulationId: 'mc-a' },
+      { isMonteCarlo: true }
+    );
+    const second = await simulationService.runSimulation(
+      { ...baseScenario, _simulationId: 'mc-b' },
+      { isMonteCarlo: true }
+    );
+
+    const firstFinal = first.results.balanceHistory.Brokerage[35];
+    const secondFinal = second.results.balanceHistory.Brokerage[35];
+    const flatRateFinal = simulateScenarioAdvanced(baseScenario).balanceHistory.Brokerage[35];
+
+    expect(firstFinal).not.toBeCloseTo(flatRateFinal, 0);
+    expect(firstFinal).not.toBeCloseTo(secondFinal, 0);
+    // Stable assets are untouched by the return model
+    expect(first.results.balanceHistory.Savings).toEqual(second.results.balanceHistory.Savings);
+  });
+});
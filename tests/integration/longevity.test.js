@@ -0,0 +1,181 @@
+/**
+ * Integration tests for mortality-aware Monte Carlo
+ * Tests the bundled period life table, household lifespan draws, the life-table longevity
+ * model in iteration summaries, and the outliving-assets metrics, insight and summary cards
+ */
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { EventBus } from '../../scripts/core/EventBus.js';
+import { MonteCarloService } from '../../scripts/services/MonteCarloService.js';
+import { MonteCarloController } from '../../scripts/controllers/MonteCarloController.js';
+import { createIterationRunner, createRandomGenerator } from '../../scripts/monte-carlo-runner.js';
+import {
+  getDeathProbability,
+  getLifeExpectancy,
+  drawLifespanMonths,
+  drawHouseholdLifespan,
+  MAX_AGE
+} from '../../scripts/longevity.js';
+
+describe('Mortality-aware Monte Carlo', () => {
+  // Cash only, so every path funds exactly six months
+  const cashOnly = (household) => ({
+    plan: { monthly_expenses: 1000, duration_months: 12, inflation_rate: 0, start_date: '2030-01', household },
+    assets: [{ name: 'Cash', type: 'tax_free', balance: 6000, interest_rate: 0 }],
+    order: [{ account: 'Cash', order: 1 }]
+  });
+
+  const couple = [{ birth_year: 1965, sex: 'female' }, { birth_year: 1963, sex: 'male' }];
+
+  const buildJob = (scenarioData, config = {}) => ({
+    scenarioData,
+    variableRanges: {},
+    config: { iterations: 30, trajectorySamples: 1, targetSurvivalMonths: 12, longevityModel: 'life-table', ...config },
+    baseSeed: 7
+  });
+
+  // The engine logs every month it simulates
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('period life table', () => {
+    test('should rise with age, run higher for men and end at the maximum age', () => {
+      expect(getDeathProbability(85, 'male')).toBeGreaterThan(getDeathProbability(65, 'male'));
+      expect(getDeathProbability(65, 'male')).toBeGreaterThan(getDeathProbability(65, 'female'));
+      expect(getDeathProbability(MAX_AGE, 'female')).toBe(1);
+      expect(() => getDeathProbability(65, 'other')).toThrow('Unknown sex: other (expected one of: female, male)');
+    });
+
+    test('should give period life expectancies close to the published ones', () => {
+      expect(getLifeExpectancy(65, 'male')).toBeCloseTo(18.1, 0);
+      expect(getLifeExpectancy(65, 'female')).toBeCloseTo(20.7, 0);
+      expect(getLifeExpectancy(0, 'female') - getLifeExpectancy(0, 'male')).toBeCloseTo(5, 0);
+    });
+  });
+
+  describe('lifespan draws', () => {
+    test('should average out to the life expectancy and repeat for the same seed', () => {
+      const rng = createRandomGenerator(3);
+      const draws = Array.from({ length: 4000 }, () => drawLifespanMonths({ birth_year: 1965, sex: 'male' }, 2030, rng));
+      const averageYears = draws.reduce((sum, months) => sum + months, 0) / draws.length / 12;
+
+      expect(averageYears).toBeCloseTo(getLifeExpectancy(65, 'male'), 0);
+      expect(Math.min(...draws)).toBeGreaterThanOrEqual(1);
+      expect(Math.max(...draws)).toBeLessThanOrEqual((MAX_AGE - 65) * 12);
+    });
+
+    test('should run the household until the last of them dies', () => {
+      const lifespan = drawHouseholdLifespan(couple, 2030, createRandomGenerator(11));
+
+      expect(lifespan.people).toHaveLength(2);
+      expect(lifespan.months).toBe(Math.max(...lifespan.people));
+      expect(drawHouseholdLifespan(couple, 2030, createRandomGenerator(11))).toEqual(lifespan);
+    });
+  });
+
+  describe('iteration summaries', () => {
+    test('should succeed only when the money outlasts the household', () => {
+      // Aged 119 at the start, so each path lasts at most a year
+      const runIteration = createIterationRunner(buildJob(cashOnly([{ birth_year: 1911, sex: 'female' }])));
+      const summaries = Array.from({ length: 30 }, (_, iteration) => runIteration(iteration));
+
+      summaries.forEach(summary => {
+        expect(summary.lifespanMonths).toBeLessThanOrEqual(12);
+        expect(summary.shortfallYears).toBeCloseTo(Math.max(0, summary.lifespanMonths - 6) / 12, 10);
+        expect(summary.outlivedAssets).toBe(summary.lifespanMonths > 6);
+        expect(summary.success).toBe(summary.lifespanMonths <= 6);
+      });
+      expect(new Set(summaries.map(summary => summary.success)).size).toBe(2);
+      expect(runIteration(4)).toEqual(summaries[4]);
+    });
+
+    test('should not count sub-cent shortfall residue as outliving the money', () => {
+      const scenarios = JSON.parse(readFileSync(resolve('data/scenarios/realistic-scenarios.json'), 'utf8'));
+      const baseline = scenarios['early-retirement-baseline'];
+      const scenarioData = {
+        ...baseline,
+        plan: { ...baseline.plan, start_date: '2026-01', household: [{ birth_year: 1965, sex: 'female' }, { birth_year: 1967, sex: 'male' }] }
+      };
+      const runIteration = createIterationRunner({ ...buildJob(scenarioData, { iterations: 6, trajectorySamples: 6 }), baseSeed: 42 });
+      const summaries = Array.from({ length: 6 }, (_, iteration) => runIteration(iteration));
+      const monthsOf = (summary) => summary.result.results.results;
+
+      // The engine leaves fractions of a cent behind in funded months
+      expect(summaries.some(summary => monthsOf(summary).some(month => month.shortfall > 0 && month.shortfall <= 0.01))).toBe(true);
+      summaries.forEach(summary => {
+        const unfunded = monthsOf(summary).filter(month => month.shortfall > 0.01);
+        expect(summary.shortfallMonths).toBe(unfunded.length);
+        expect(summary.outlivedAssets).toBe(unfunded.length > 0);
+        expect(summary.success).toBe(unfunded.length === 0);
+      });
+      expect(summaries.filter(summary => summary.success).length).toBeGreaterThan(0);
+    }, 30000);
+
+    test('should leave fixed-target summaries without lifespans', () => {
+      const summary = createIterationRunner(buildJob(cashOnly(couple), { longevityModel: 'fixed' }))(0);
+
+      expect(summary.lifespanMonths).toBeUndefined();
+      expect(summary.success).toBe(false);
+    });
+
+    test('should reject a missing household and unknown longevity models', () => {
+      expect(() => createIterationRunner(buildJob(cashOnly(undefined))))
+        .toThrow('The life-table longevity model needs plan.household: Household must list one or two people');
+      expect(() => createIterationRunner(buildJob(cashOnly(couple), { longevityModel: 'immortal' })))
+        .toThrow('Unknown longevity model: immortal');
+    });
+  });
+
+  describe('analysis', () => {
+    const runAnalysis = (scenarioData, config) => {
+      const eventBus = new EventBus();
+      new MonteCarloService(eventBus);
+      const completed = new Promise(resolve => eventBus.once('montecarlo:completed', resolve));
+      eventBus.emit('montecarlo:run', { scenarioData, config: { ...buildJob(scenarioData, config).config, randomSeed: 7 } });
+      return completed;
+    };
+
+    test('should report the probability of outliving assets and expected years of shortfall', async () => {
+      const { analysis, results } = await runAnalysis(cashOnly(couple));
+      const { longevity } = analysis;
+      const shortfallYears = results.map(result => result.shortfallYears);
+
+      // Six months of cash never outlasts a 65-year-old couple
+      expect(longevity.probabilityOfOutlivingAssets).toBe(1);
+      expect(analysis.successRate).toBe(0);
+      expect(longevity.expectedShortfallYears).toBeCloseTo(shortfallYears.reduce((sum, years) => sum + years, 0) / results.length, 10);
+      expect(longevity.expectedShortfallYearsWhenOutlived).toBeCloseTo(longevity.expectedShortfallYears, 10);
+      expect(longevity.medianLifespanYears).toBeGreaterThan(15);
+      expect(analysis.statistics.shortfallYears.mean).toBeCloseTo(longevity.expectedShortfallYears, 10);
+      expect(analysis.metadata.longevityModel).toBe('life-table');
+
+      const insight = analysis.insights.find(item => item.type === 'longevity_risk');
+      expect(insight.severity).toBe('critical');
+      expect(analysis.insights.find(item => item.type === 'target_success_rate').title).toBe('Money Outlasts the Household');
+    }, 30000);
+
+    test('should leave longevity out of fixed-target analyses', async () => {
+      const { analysis } = await runAnalysis(cashOnly(couple), { longevityModel: 'fixed' });
+
+      expect(analysis.longevity).toBeNull();
+      expect(analysis.statistics.shortfallYears).toBeUndefined();
+      expect(analysis.insights.find(item => item.type === 'longevity_risk')).toBeUndefined();
+    }, 30000);
+
+    test('should show outliving-assets cards in the summary', async () => {
+      const { analysis } = await runAnalysis(cashOnly(couple));
+      const controller = new MonteCarloController(new EventBus());
+      const cards = controller.buildLongevityCards(analysis);
+
+      expect(cards).toContain('Probability of Outliving Assets');
+      expect(cards).toContain(`${analysis.longevity.expectedShortfallYears.toFixed(1)} years`);
+      expect(controller.buildLongevityCards({ longevity: null })).toBe('');
+    }, 30000);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Integration tests for plan.start_date and timed scenario events
+ * Tests open-ended and one-time deposits and ISO "YYYY-MM" dates on timed fields
+ */
+
+import { simulateScenarioAdvanced } from '../../scripts/timeaware-engine.js';
+import { resolvePlanMonth, getPlanMonthDate } from '../../scripts/utils.js';
+import { ValidationService } from '../../scripts/services/ValidationService.js';
+import { EventBus } from '../../scripts/core/EventBus.js';
+
+describe('Plan Dates and Timed Events', () => {
+  const buildScenario = (overrides = {}) => ({
+    plan: {
+      monthly_expenses: 1000,
+      duration_months: 24,
+      inflation_rate: 0,
+      ...overrides.plan
+    },
+    assets: [
+      { name: 'Cash', type: 'tax_free', balance: 100000, interest_rate: 0 },
+      { name: 'Brokerage', type: 'tax_free', balance: 0, interest_rate: 0 },
+      ...(overrides.assets || [])
+    ],
+    order: [{ account: 'Cash', order: 1 }],
+    ...(overrides.income ? { income: overrides.income } : {}),
+    ...(overrides.deposits ? { deposits: overrides.deposits } : {})
+  });
+
+  describe('deposits', () => {
+    test('should keep depositing to the end of the plan without a stop_month', () => {
+      const result = simulateScenarioAdvanced(buildScenario({
+        deposits: [{ name: 'Savings', target: 'Brokerage', amount: 500, start_month: 13 }]
+      }));
+
+      expect(result.balanceHistory.Brokerage[11]).toBe(0);
+      expect(result.balanceHistory.Brokerage[12]).toBe(500);
+      expect(result.balanceHistory.Brokerage[23]).toBe(500 * 12);
+    });
+
+    test('should apply a one-time deposit in its month only', () => {
+      const result = simulateScenarioAdvanced(buildScenario({
+        deposits: [{ name: 'Inheritance', target: 'Brokerage', amount: 20000, month: 1 }]
+      }));
+
+      expect(result.balanceHistory.Brokerage[0]).toBe(20000);
+      expect(result.balanceHistory.Brokerage[23]).toBe(20000);
+    });
+
+    test('should skip and reject a deposit with no month or start_month', () => {
+      const untimed = [{ name: 'Dividends', target: 'Brokerage', amount: 500, stop_month: 12 }];
+      const result = simulateScenarioAdvanced(buildScenario({ deposits: untimed }));
+      const validation = new ValidationService(new EventBus()).validateScenario(buildScenario({ deposits: untimed }));
+
+      expect(result.balanceHistory.Brokerage.every(balance => balance === 0)).toBe(true);
+      expect(validation.errors).toContain('Deposit 1 (Dividends): Needs "month" (one-time) or "start_month" (recurring)');
+      expect(new ValidationService(new EventBus()).validateScenario(buildScenario({
+        deposits: [{ ...untimed[0], start_month: 1 }]
+      })).errors).toEqual([]);
+    });
+
+    test('should open a new asset for an unknown target', () => {
+      const result = simulateScenarioAdvanced(buildScenario({
+        deposits: [{ name: 'Windfall', target: 'New Account', amount: 5000, month: 6 }]
+      }));
+
+      expect(result.balanceHistory['New Account']).toHaveLength(24);
+      expect(result.balanceHistory['New Account'][4]).toBe(0);
+      expect(result.balanceHistory['New Account'][5]).toBe(5000);
+    });
+  });
+
+  describe('ISO dates', () => {
+    const plan = { start_date: '2030-07' };
+
+    test('should convert "YYYY-MM" to a month offset from plan.start_date', () => {
+      expect(resolvePlanMonth('2030-07', plan)).toBe(1);
+      expect(resolvePlanMonth('2031-01', plan)).toBe(7);
+      expect(resolvePlanMonth(12, plan)).toBe(12);
+      expect(getPlanMonthDate(plan, 6)).toBe('2031-01');
+      expect(() => resolvePlanMonth('2031-01', {})).toThrow('needs plan.start_date');
+      expect(() => resolvePlanMonth('Jan 2031', plan)).toThrow('Invalid date');
+    });
+
+    test('should place income, deposits and assets by date', () => {
+      const dated = simulateScenarioAdvanced(buildScenario({
+        plan,
+        income: [{ name: 'Pension', amount: 800, start_month: '2031-01', stop_month: '2031-12' }],
+        deposits: [{ name: 'Bonus', target: 'Brokerage', amount: 3000, month: '2030-12' }],
+        assets: [{ name: 'Annuity', type: 'tax_free', balance: 40000, interest_rate: 0, start_month: '2031-07' }]
+      }));
+      const offsets = simulateScenarioAdvanced(buildScenario({
+        plan,
+        income: [{ name: 'Pension', amount: 800, start_month: 7, stop_month: 18 }],
+        deposits: [{ name: 'Bonus', target: 'Brokerage', amount: 3000, month: 6 }],
+        assets: [{ name: 'Annuity', type: 'tax_free', balance: 40000, interest_rate: 0, start_month: 13 }]
+      }));
+
+      expect(dated.balanceHistory).toEqual(offsets.balanceHistory);
+      expect(dated.results[6].income).toBe(800);
+      expect(dated.results[5].income).toBe(0);
+    });
+
+    test('should date the CSV and month logs from plan.start_date', () => {
+      const first = simulateScenarioAdvanced(buildScenario({ plan }));
+      const second = simulateScenarioAdvanced(buildScenario({ plan }));
+      const rows = first.csvText.split('\n');
+
+      expect(rows[1].split(',')[1]).toBe('2030-07');
+      expect(rows[7].split(',')[1]).toBe('2031-01');
+      expect(first.results[23].date).toBe('2032-06');
+      expect(second.csvText).toBe(first.csvText);
+    });
+
+    test('should leave month logs and the CSV Date column blank without plan.start_date', () => {
+      const result = simulateScenarioAdvanced(buildScenario());
+
+      expect(result.results[0].date).toBeUndefined();
+      expect(result.csvText.split('\n').slice(1).every(row => row.split(',')[1] === '')).toBe(true);
+    });
+  });
+});
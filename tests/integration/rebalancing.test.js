@@ -0,0 +1,201 @@
+/**
+ * Integration tests for plan.rebalancing
+ * Tests scheduled rebalancing to target weights, tolerance bands, asset groups and
+ * tax-aware trades between account types
+ */
+
+import { simulateScenarioAdvanced } from '../../scripts/timeaware-engine.js';
+import { Rebalancer } from '../../scripts/rebalancing.js';
+import { ValidationService } from '../../scripts/services/ValidationService.js';
+import { EventBus } from '../../scripts/core/EventBus.js';
+
+describe('Rebalancing', () => {
+  // 60/40 with spending drawn from bonds only, so the portfolio drifts toward stocks
+  const buildScenario = (rebalancing, assets) => ({
+    plan: {
+      monthly_expenses: 1000,
+      duration_months: 24,
+      inflation_rate: 0,
+      ...(rebalancing ? { rebalancing } : {})
+    },
+    assets: assets || [
+      { name: 'Stocks', type: 'tax_free', balance: 60000, interest_rate: 0 },
+      { name: 'Bonds', type: 'tax_free', balance: 40000, interest_rate: 0 }
+    ],
+    order: [{ account: 'Bonds', order: 1 }, { account: 'Stocks', order: 2 }]
+  });
+
+  const sixtyForty = [{ asset: 'Stocks', weight: 0.6 }, { asset: 'Bonds', weight: 0.4 }];
+
+  test('should drift without rebalancing', () => {
+    const result = simulateScenarioAdvanced(buildScenario());
+
+    expect(result.balanceHistory.Stocks[23]).toBe(60000);
+    expect(result.balanceHistory.Bonds[23]).toBe(16000);
+  });
+
+  test('should restore target weights at the end of each plan year', () => {
+    const result = simulateScenarioAdvanced(buildScenario({ frequency: 'annual', targets: sixtyForty }));
+
+    expect(result.results[10].rebalancing).toBeUndefined();
+    expect(result.results[11].rebalancing).toEqual([
+      { from: 'Stocks', to: 'Bonds', amount: 7200, taxOwed: 0, received: 7200 }
+    ]);
+    expect(result.balanceHistory.Stocks[11]).toBeCloseTo(52800, 6);
+    expect(result.balanceHistory.Bonds[11]).toBeCloseTo(35200, 6);
+    expect(result.balanceHistory.Stocks[23]).toBeCloseTo(0.6 * 76000, 6);
+  });
+
+  test('should rebalance monthly or at the end of each quarter', () => {
+    const monthly = simulateScenarioAdvanced(buildScenario({ frequency: 'monthly', targets: sixtyForty }));
+    const quarterly = simulateScenarioAdvanced(buildScenario({ frequency: 'quarterly', targets: sixtyForty }));
+
+    expect(monthly.results[0].rebalancing[0].amount).toBeCloseTo(600, 6);
+    expect(quarterly.results.map((month, index) => (month.rebalancing ? index : null)).filter(i => i !== null))
+      .toEqual([2, 5, 8, 11, 14, 17, 20, 23]);
+  });
+
+  test('should record trades on the month rather than logging them', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation();
+    const result = simulateScenarioAdvanced(buildScenario({ frequency: 'monthly', targets: sixtyForty }));
+    const logged = log.mock.calls.map(args => args.join(' '));
+    log.mockRestore();
+
+    expect(result.results.every(month => month.rebalancing)).toBe(true);
+    expect(logged.filter(line => line.includes('Rebalanced'))).toEqual([]);
+  });
+
+  test('should only trade once a target drifts outside its tolerance band', () => {
+    const result = simulateScenarioAdvanced(buildScenario({ frequency: 'annual', tolerance: 0.1, targets: sixtyForty }));
+
+    // 60,000 of 88,000 is 68% stocks after one year: inside the band
+    expect(result.results[11].rebalancing).toBeUndefined();
+    // 60,000 of 76,000 is 79% after two
+    expect(result.results[23].rebalancing[0].amount).toBeCloseTo(60000 - 0.6 * 76000, 6);
+  });
+
+  test('should rebalance groups without changing the mix inside them', () => {
+    const result = simulateScenarioAdvanced(buildScenario({
+      frequency: 'annual',
+      targets: [{ assets: ['US Stocks', 'Intl Stocks'], weight: 0.6 }, { asset: 'Bonds', weight: 0.4 }]
+    }, [
+      { name: 'US Stocks', type: 'tax_free', balance: 45000, interest_rate: 0 },
+      { name: 'Intl Stocks', type: 'tax_free', balance: 15000, interest_rate: 0 },
+      { name: 'Bonds', type: 'tax_free', balance: 40000, interest_rate: 0 }
+    ]));
+    const trades = result.results[11].rebalancing;
+
+    expect(trades.map(trade => trade.from)).toEqual(['US Stocks', 'Intl Stocks']);
+    expect(trades[0].amount).toBeCloseTo(5400, 6);
+    expect(trades[1].amount).toBeCloseTo(1800, 6);
+    expect(result.balanceHistory['US Stocks'][11] / result.balanceHistory['Intl Stocks'][11]).toBeCloseTo(3, 10);
+  });
+
+  describe('tax-aware trades', () => {
+    const mixedAssets = () => [
+      { name: 'Brokerage Stocks', type: 'taxable', balance: 30000, interest_rate: 0 },
+      { name: 'IRA Stocks', type: 'tax_deferred', balance: 30000, interest_rate: 0 },
+      { name: 'Bonds', type: 'tax_deferred', balance: 40000, interest_rate: 0 }
+    ];
+    // Taxable bond withdrawals are grossed up for tax, so read the month-12 balance back
+    const bondsBeforeTrade = (result) =>
+      result.balanceHistory.Bonds[10] - result.results[11].withdrawals[0].grossAmount;
+    const stockGroup = [
+      { assets: ['Brokerage Stocks', 'IRA Stocks'], weight: 0.6 },
+      { asset: 'Bonds', weight: 0.4 }
+    ];
+
+    test('should sell sheltered holdings first and keep tax_deferred money tax_deferred', () => {
+      const result = simulateScenarioAdvanced(buildScenario({ frequency: 'annual', targets: stockGroup }, mixedAssets()));
+
+      expect(result.results[11].rebalancing).toEqual([
+        { from: 'IRA Stocks', to: 'Bonds', amount: expect.any(Number), taxOwed: 0, received: expect.any(Number) }
+      ]);
+      expect(result.balanceHistory['Brokerage Stocks'][11]).toBe(30000);
+    });
+
+    test('should sell taxable holdings only back to the band edge and pay tax from the proceeds', () => {
+      const result = simulateScenarioAdvanced(buildScenario({
+        frequency: 'annual',
+        tolerance: 0.05,
+        targets: [{ asset: 'Brokerage Stocks', weight: 0.6 }, { asset: 'Bonds', weight: 0.4 }]
+      }, [
+        { name: 'Brokerage Stocks', type: 'taxable', balance: 60000, interest_rate: 0 },
+        { name: 'Bonds', type: 'taxable', balance: 40000, interest_rate: 0 }
+      ]));
+      const [trade] = result.results[11].rebalancing;
+      const total = 60000 + bondsBeforeTrade(result);
+
+      // Down to 65% of the portfolio rather than 60%
+      expect(trade.amount).toBeCloseTo(60000 - 0.65 * total, 6);
+      expect(trade.taxOwed).toBeCloseTo(trade.amount * 0.15, 6);
+      expect(trade.received).toBeCloseTo(trade.amount - trade.taxOwed, 6);
+      expect(result.results[11].taxPaid)
+        .toBeCloseTo(result.results[11].withdrawals[0].taxOwed + trade.taxOwed, 6);
+    });
+
+    test('should trade all the way to target when tax_aware is off', () => {
+      const result = simulateScenarioAdvanced(buildScenario({
+        frequency: 'annual',
+        tolerance: 0.05,
+        tax_aware: false,
+        targets: [{ asset: 'Brokerage Stocks', weight: 0.6 }, { asset: 'Bonds', weight: 0.4 }]
+      }, [
+        { name: 'Brokerage Stocks', type: 'taxable', balance: 60000, interest_rate: 0 },
+        { name: 'Bonds', type: 'taxable', balance: 40000, interest_rate: 0 }
+      ]));
+
+      const total = 60000 + bondsBeforeTrade(result);
+      expect(result.results[11].rebalancing[0].amount).toBeCloseTo(60000 - 0.6 * total, 6);
+    });
+
+    test('should tax tax_deferred money moved into another account type as a distribution', () => {
+      const trades = new Rebalancer({ targets: sixtyForty }).planTrades({
+        Stocks: { name: 'Stocks', type: 'tax_deferred', balance: 80000 },
+        Bonds: { name: 'Bonds', type: 'taxable', balance: 20000 }
+      });
+      expect(trades).toEqual([{ from: 'Stocks', to: 'Bonds', amount: 20000 }]);
+
+      const result = simulateScenarioAdvanced(buildScenario({ frequency: 'monthly', targets: sixtyForty }, [
+        { name: 'Stocks', type: 'tax_deferred', balance: 80000, interest_rate: 0 },
+        { name: 'Bonds', type: 'taxable', balance: 20000, interest_rate: 0 }
+      ]));
+      expect(result.results[0].rebalancing[0].taxOwed).toBeGreaterThan(0);
+    });
+  });
+
+  test('should respect min_balance and skip targets that are not active yet', () => {
+    const trades = new Rebalancer({ targets: [...sixtyForty, { asset: 'Annuity', weight: 0.5 }] }).planTrades({
+      Stocks: { name: 'Stocks', type: 'tax_free', balance: 90000, min_balance: 85000 },
+      Bonds: { name: 'Bonds', type: 'tax_free', balance: 10000 }
+    });
+
+    expect(trades).toEqual([{ from: 'Stocks', to: 'Bonds', amount: 5000 }]);
+  });
+
+  test('should add a Rebalancing Trades column to the CSV', () => {
+    const rows = simulateScenarioAdvanced(buildScenario({ frequency: 'annual', targets: sixtyForty })).csvText.split('\n');
+    const column = rows[0].split(',').indexOf('Rebalancing Trades');
+
+    expect(column).toBeGreaterThan(0);
+    expect(rows[12].split(',')[column]).toBe('7200.00');
+    expect(rows[1].split(',')[column]).toBe('0.00');
+  });
+
+  test('should validate the rebalancing configuration', () => {
+    const validationService = new ValidationService(new EventBus());
+    const validation = validationService.validateScenario(buildScenario({
+      frequency: 'weekly',
+      tolerance: 2,
+      targets: [{ asset: 'Stocks', weight: 0.6 }, { asset: 'Gold', weight: -1 }]
+    }));
+
+    expect(validation.errors).toEqual(expect.arrayContaining([
+      'Unknown rebalancing frequency "weekly" (expected one of: monthly, quarterly, annual)',
+      'Rebalancing tolerance must be a decimal between 0 and 1',
+      'Rebalancing target 2: weight must be a non-negative number'
+    ]));
+    expect(validation.warnings).toContain('Rebalancing target "Gold" does not match any asset');
+    expect(() => new Rebalancer({ frequency: 'weekly' })).toThrow('Unknown rebalancing frequency');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Integration tests for Required Minimum Distributions
+ * Tests that tax_deferred assets are forced to distribute from the RMD age on
+ */
+
+import { simulateScenarioAdvanced } from '../../scripts/timeaware-engine.js';
+import {
+  calculateRequiredDistribution,
+  getRmdStartAge,
+  getUniformLifetimeDivisor
+} from '../../scripts/required-distributions.js';
+import { getAgeInPlanYear } from '../../scripts/utils.js';
+
+describe('Required Minimum Distributions', () => {
+  const buildScenario = (planOverrides = {}, extraAssets = []) => ({
+    plan: {
+      monthly_expenses: 1000,
+      duration_months: 36,
+      start_date: '2030-01',
+      tax_config: { tax_deferred: 0.2, taxable: 0.15, tax_free: 0 },
+      ...planOverrides
+    },
+    assets: [
+      { name: 'Cash', type: 'tax_free', balance: 200000, interest_rate: 0 },
+      { name: 'IRA', type: 'tax_deferred', balance: 530000, interest_rate: 0 },
+      ...extraAssets
+    ],
+    order: [
+      { account: 'Cash', order: 1 },
+      { account: 'IRA', order: 2 }
+    ]
+  });
+
+  describe('IRS rules', () => {
+    test('should start at 73, or 75 for those born in 1960 or later', () => {
+      expect(getRmdStartAge(1955)).toBe(73);
+      expect(getRmdStartAge(1960)).toBe(75);
+      expect(getRmdStartAge(undefined)).toBe(73);
+    });
+
+    test('should divide the prior year-end balance by the Uniform Lifetime period', () => {
+      expect(getUniformLifetimeDivisor(73)).toBe(26.5);
+      expect(getUniformLifetimeDivisor(125)).toBe(2.0);
+      expect(getUniformLifetimeDivisor(70)).toBeNull();
+      expect(calculateRequiredDistribution(530000, 73)).toBeCloseTo(20000, 6);
+      expect(calculateRequiredDistribution(530000, 60)).toBe(0);
+    });
+
+    test('should derive ages from start_age or birth_year', () => {
+      expect(getAgeInPlanYear({ start_age: 72 }, 13)).toBe(73);
+      expect(getAgeInPlanYear({ birth_year: 1957, start_date: '2030-01' }, 0)).toBe(73);
+      expect(getAgeInPlanYear({}, 0)).toBeNull();
+    });
+  });
+
+  test('should not take RMDs without an age', () => {
+    const result = simulateScenarioAdvanced(buildScenario());
+
+    expect(result.results.some(month => month.rmds)).toBe(false);
+    expect(result.csvText.split('\n')[0]).not.toContain('RMD');
+  });
+
+  test('should force the distribution in the last month of each RMD year and reinvest the excess', () => {
+    const result = simulateScenarioAdvanced(
+      buildScenario({ birth_year: 1958 }, [{ name: 'Brokerage', type: 'taxable', balance: 0, interest_rate: 0 }])
+    );
+
+    // Age 72 in 2030: no RMD yet
+    expect(result.results[11].rmds).toBeUndefined();
+
+    // Age 73 in 2031: 530,000 / 26.5 = 20,000
+    const december = result.results[23];
+    expect(december.rmds).toEqual([expect.objectContaining({
+      asset: 'IRA',
+      age: 73,
+      required: expect.closeTo(20000, 6),
+      distributed: expect.closeTo(20000, 6),
+      taxOwed: expect.closeTo(4000, 6),
+      reinvested: expect.closeTo(16000, 6),
+      reinvestedTo: 'Brokerage'
+    })]);
+    expect(december.withdrawals.find(w => w.purpose === 'rmd').grossAmount).toBeCloseTo(20000, 6);
+    expect(result.balanceHistory.Brokerage[23]).toBeCloseTo(16000, 6);
+    expect(result.balanceHistory.IRA[23]).toBeCloseTo(510000, 6);
+
+    const csvLines = result.csvText.split('\n');
+    const header = csvLines[0].split(',');
+    const decemberRow = csvLines[24].split(',');
+    expect(decemberRow[header.indexOf('RMD Distributions')]).toBe('20000.00');
+    expect(decemberRow[header.indexOf('RMD Taxes')]).toBe('4000.00');
+  });
+
+  test('should report the tax an RMD accrues under annual settlement', () => {
+    const result = simulateScenarioAdvanced(buildScenario({
+      birth_year: 1958,
+      tax_config: { tax_deferred: 0.2, taxable: 0.15, tax_free: 0, settlement: { month: 4 } }
+    }, [{ name: 'Brokerage', type: 'taxable', balance: 0, interest_rate: 0 }]));
+
+    // Nothing is withheld, so the whole distribution is reinvested and the tax joins the bill
+    const december = result.results[23];
+    expect(december.rmds[0]).toEqual(expect.objectContaining({
+      distributed: expect.closeTo(20000, 6),
+      taxOwed: expect.closeTo(4000, 6),
+      reinvested: expect.closeTo(20000, 6)
+    }));
+    expect(december.taxAccrued).toBeCloseTo(4000, 6);
+
+    const csvLines = result.csvText.split('\n');
+    const header = csvLines[0].split(',');
+    expect(csvLines[24].split(',')[header.indexOf('RMD Taxes')]).toBe('4000.00');
+    expect(csvLines[24].split(',')[header.indexOf('Taxes Paid')]).toBe('0.00');
+  });
+
+  test('should count the year\'s regular withdrawals toward the RMD', () => {
+    const scenario = buildScenario({ start_age: 73 });
+    scenario.order = [{ account: 'IRA', order: 1 }];
+    const result = simulateScenarioAdvanced(scenario);
+
+    const rmd = result.results[11].rmds[0];
+    // 12 months of 1,000 net at 20% tax = 15,000 gross already withdrawn
+    expect(rmd.withdrawnThisYear).toBeCloseTo(15000, 6);
+    expect(rmd.distributed).toBeCloseTo(5000, 6);
+    expect(rmd.reinvestedTo).toBe('RMD Reinvestment');
+    expect(result.balanceHistory['RMD Reinvestment'][11]).toBeCloseTo(4000, 6);
+    expect(result.balanceHistory['RMD Reinvestment'][0]).toBe(0);
+  });
+
+  test('should skip RMDs when disabled', () => {
+    const result = simulateScenarioAdvanced(buildScenario({ start_age: 75, rmd: { enabled: false } }));
+
+    expect(result.results.some(month => month.rmds)).toBe(false);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Integration tests for Roth conversions
+ * Tests that conversions[] move tax_deferred balances to tax_free assets and pay their tax
+ */
+
+import { simulateScenarioAdvanced } from '../../scripts/timeaware-engine.js';
+
+describe('Roth Conversions', () => {
+  const buildScenario = (conversions, taxConfig = { tax_deferred: 0.22, taxable: 0.15, tax_free: 0 }) => ({
+    plan: {
+      monthly_expenses: 0,
+      duration_months: 36,
+      tax_config: taxConfig
+    },
+    assets: [
+      { name: 'Traditional IRA', type: 'tax_deferred', balance: 500000, interest_rate: 0 },
+      { name: 'Roth IRA', type: 'tax_free', balance: 10000, interest_rate: 0 },
+      { name: 'Brokerage', type: 'taxable', balance: 100000, interest_rate: 0 }
+    ],
+    conversions,
+    order: [
+      { account: 'Roth IRA', order: 1 },
+      { account: 'Brokerage', order: 2 }
+    ]
+  });
+
+  test('should convert a fixed amount once per plan year inside the range', () => {
+    const result = simulateScenarioAdvanced(buildScenario([
+      { from: 'Traditional IRA', to: 'Roth IRA', annual_amount: 40000, start_month: 1, stop_month: 24 }
+    ]));
+
+    const months = result.results.filter(month => month.conversions);
+    expect(months.map(month => month.month)).toEqual([11, 23]);
+    expect(result.balanceHistory['Traditional IRA'][35]).toBeCloseTo(420000, 6);
+
+    // Tax withheld from the conversion by default
+    const conversion = months[0].conversions[0];
+    expect(conversion.taxOwed).toBeCloseTo(8800, 6);
+    expect(conversion.converted).toBeCloseTo(31200, 6);
+    expect(conversion.taxPaidFrom).toBe('withheld');
+    expect(months[0].taxPaid).toBeCloseTo(8800, 6);
+    expect(result.balanceHistory['Roth IRA'][11]).toBeCloseTo(41200, 6);
+
+    const header = result.csvText.split('\n')[0].split(',');
+    expect(result.csvText.split('\n')[12].split(',')[header.indexOf('Roth Conversions')]).toBe('40000.00');
+  });
+
+  test('should pay conversion tax from another asset when asked', () => {
+    const result = simulateScenarioAdvanced(buildScenario([
+      { from: 'Traditional IRA', to: 'Roth IRA', annual_amount: 40000, stop_month: 12, pay_tax_from: 'Brokerage' }
+    ]));
+
+    const december = result.results[11];
+    expect(december.conversions[0].converted).toBeCloseTo(40000, 6);
+    const payment = december.withdrawals.find(w => w.purpose === 'conversion_tax');
+    expect(payment.from).toBe('Brokerage');
+    expect(payment.netAmount).toBeCloseTo(8800, 6);
+    expect(result.balanceHistory['Roth IRA'][11]).toBeCloseTo(50000, 6);
+  });
+
+  test('should fill up to the top of a bracket', () => {
+    const result = simulateScenarioAdvanced(buildScenario(
+      [{ from: 'Traditional IRA', to: 'Roth IRA', fill_to_bracket: 0.12, stop_month: 12 }],
+      { filing_status: 'married_filing_jointly', taxable: 0.15, tax_free: 0, index_brackets: false }
+    ));
+
+    const conversion = result.results[11].conversions[0];
+    // 29,200 standard deduction + 94,300 top of the 12% bracket
+    expect(conversion.amount).toBeCloseTo(123500, 6);
+    expect(conversion.taxOwed).toBeCloseTo(2320 + 0.12 * (94300 - 23200), 6);
+  });
+
+  test('should accrue conversion tax in the annual ledger', () => {
+    const result = simulateScenarioAdvanced(buildScenario(
+      [{ from: 'Traditional IRA', to: 'Roth IRA', annual_amount: 40000, stop_month: 12 }],
+      { tax_deferred: 0.22, taxable: 0.15, tax_free: 0, settlement: { month: 4, account: 'Brokerage' } }
+    ));
+
+    expect(result.results[11].conversions[0].converted).toBe(40000);
+    expect(result.results[11].taxAccrued).toBeCloseTo(8800, 6);
+    expect(result.results[15].taxPaid).toBeCloseTo(8800, 6);
+  });
+
+  test('should flag withdrawals that reach conversions younger than five years', () => {
+    const scenario = buildScenario([
+      { from: 'Traditional IRA', to: 'Roth IRA', annual_amount: 40000, stop_month: 12, pay_tax_from: 'Brokerage' }
+    ]);
+    scenario.plan.monthly_expenses = 5000;
+    scenario.plan.duration_months = 72;
+    const result = simulateScenarioAdvanced(scenario);
+
+    // The original 10,000 covers the first two months, then the conversion is drawn from
+    expect(result.results[0].withdrawals[0].unseasonedConversion).toBeUndefined();
+    expect(result.results[12].withdrawals[0].unseasonedConversion).toBeCloseTo(5000, 6);
+    expect(result.conversionTranches[0]).toMatchObject({ month: 11, amount: 40000, seasonedMonth: 71 });
+    expect(result.conversionTranches[0].remaining).toBeLessThan(40000);
+  });
+
+  test('should reject bracket filling without progressive brackets', () => {
+    expect(() => simulateScenarioAdvanced(buildScenario([
+      { from: 'Traditional IRA', to: 'Roth IRA', fill_to_bracket: 0.12, stop_month: 12 }
+    ]))).toThrow('Filling a tax bracket requires tax_config.filing_status or brackets');
+  });
+});
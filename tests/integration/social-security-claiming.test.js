@@ -0,0 +1,108 @@
+/**
+ * Integration tests for Social Security claiming ages
+ * Tests social_security income in the engine and the claiming-age comparison
+ */
+
+import { simulateScenarioAdvanced } from '../../scripts/timeaware-engine.js';
+import { EventBus } from '../../scripts/core/EventBus.js';
+import { ClaimingAgeService } from '../../scripts/services/ClaimingAgeService.js';
+
+describe('Social Security Claiming Ages', () => {
+  // Retire at 62 with $1M and plan to age 90; no inflation, growth or tax to keep the sums exact
+  const scenario = {
+    plan: {
+      monthly_expenses: 3000,
+      duration_months: 336,
+      inflation_rate: 0,
+      start_date: '2022-01'
+    },
+    assets: [
+      { name: 'Savings', type: 'tax_free', balance: 1000000, interest_rate: 0 }
+    ],
+    income: [
+      {
+        name: 'Social Security',
+        type: 'social_security',
+        pia: 2000,
+        birth_date: '1960-01',
+        claiming_age: 67,
+        tax_treatment: 'tax_free'
+      }
+    ],
+    order: [{ account: 'Savings', order: 1 }]
+  };
+
+  let eventBus;
+  let service;
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    service = new ClaimingAgeService(eventBus);
+  });
+
+  afterEach(() => {
+    eventBus.removeAllListeners();
+  });
+
+  test('should pay the benefit from the claiming month', () => {
+    const result = simulateScenarioAdvanced(scenario);
+
+    expect(result.results[59].income).toBe(0);
+    expect(result.results[60].income).toBe(2000);
+    expect(result.results[60].incomeSources).toEqual([
+      { name: 'Social Security', baseAmount: 2000, indexFactor: 1, amount: 2000 }
+    ]);
+  });
+
+  test('should index benefits with plan inflation by default', () => {
+    const result = simulateScenarioAdvanced({
+      ...scenario,
+      plan: { ...scenario.plan, inflation_rate: 0.03 }
+    });
+
+    expect(result.results[60].income).toBeCloseTo(2000 * Math.pow(1.03, 5), 6);
+  });
+
+  test('should report break-even and final-balance differences for each age', () => {
+    const { baselineAge, comparisons } = service.compareClaimingAges(scenario, { ages: [70, 62, 67] });
+    const [at62, at67, at70] = comparisons;
+
+    expect(baselineAge).toBe(62);
+    expect(comparisons.map(comparison => comparison.claimingAge)).toEqual([62, 67, 70]);
+
+    expect(at62.initialBenefit).toBeCloseTo(1400, 6);
+    expect(at62.breakEvenMonth).toBeNull();
+    expect(at62.finalBalanceDifference).toBe(0);
+
+    // 1,400 a month from month 1 versus 2,000 from month 61: even at month 200
+    expect(at67.breakEvenMonth).toBe(200);
+    expect(at67.breakEvenAge).toBeCloseTo(62 + 199 / 12, 10);
+    expect(at67.balanceBreakEvenMonth).toBe(200);
+    expect(at67.finalBalanceDifference).toBeCloseTo(2000 * 276 - 1400 * 336, 4);
+
+    expect(at70.initialBenefit).toBeCloseTo(2480, 6);
+    expect(at70.breakEvenMonth).toBe(221);
+    expect(at70.finalBalanceDifference).toBeCloseTo(2480 * 240 - 1400 * 336, 4);
+    expect(at70.firstShortfallMonth).toBeNull();
+  });
+
+  test('should sweep every claiming age from 62 to 70 by default', () => {
+    const { comparisons } = service.compareClaimingAges(scenario);
+
+    expect(comparisons.map(comparison => comparison.claimingAge)).toEqual([62, 63, 64, 65, 66, 67, 68, 69, 70]);
+  });
+
+  test('should emit the comparison or an error over the event bus', () => {
+    const completed = [];
+    const errors = [];
+    eventBus.on('claiming:completed', (data) => completed.push(data));
+    eventBus.on('claiming:error', (data) => errors.push(data));
+
+    eventBus.emit('claiming:compare', { scenarioData: scenario, config: { ages: [62, 70] } });
+    eventBus.emit('claiming:compare', { scenarioData: { ...scenario, income: [] } });
+
+    expect(completed).toHaveLength(1);
+    expect(completed[0].comparisons).toHaveLength(2);
+    expect(errors[0].error).toBe('Scenario has no social_security income to compare');
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Integration tests for dynamic spending strategies
+ * Tests that plan.spending_strategy makes expenses follow the portfolio's state
+ */
+
+import { simulateScenarioAdvanced } from '../../scripts/timeaware-engine.js';
+import { SpendingStrategy } from '../../scripts/spending-strategies.js';
+
+describe('Spending Strategies', () => {
+  // $1.2M portfolio spending $4,000/month: a 4% initial withdrawal rate
+  const buildScenario = (spendingStrategy, durationMonths = 36) => ({
+    plan: {
+      monthly_expenses: 4000,
+      duration_months: durationMonths,
+      inflation_rate: 0.03,
+      stop_on_shortfall: false,
+      ...(spendingStrategy ? { spending_strategy: spendingStrategy } : {})
+    },
+    assets: [
+      { name: 'Portfolio', type: 'tax_free', balance: 1200000, interest_rate: 0 }
+    ],
+    order: [{ account: 'Portfolio', order: 1 }]
+  });
+
+  const crash = { returnPaths: { Portfolio: [-0.40, 0.50, 0] } };
+  const boom = { returnPaths: { Portfolio: [0.60, 0, 0] } };
+  const portfolioAtMonth = (result, month) => result.balanceHistory.Portfolio[month - 1];
+
+  test('should keep the constant-dollar default unchanged', () => {
+    const legacy = simulateScenarioAdvanced(buildScenario(), crash);
+    const explicit = simulateScenarioAdvanced(buildScenario({ type: 'constant-dollar' }), crash);
+
+    expect(explicit.results.map(r => r.expenses)).toEqual(legacy.results.map(r => r.expenses));
+    expect(legacy.results[12].expenses).toBeCloseTo(4120, 6);
+  });
+
+  test('should spend a constant share of the portfolio each year', () => {
+    const result = simulateScenarioAdvanced(buildScenario({ type: 'constant-percent' }), crash);
+
+    expect(result.results[0].expenses).toBeCloseTo(4000, 6);
+    expect(result.results[11].expenses).toBeCloseTo(4000, 6);
+    // Year two spends 4% of whatever survived the crash
+    expect(result.results[12].expenses).toBeCloseTo(portfolioAtMonth(result, 12) * 0.04 / 12, 6);
+    expect(result.results[12].expenses).toBeLessThan(2500);
+  });
+
+  test('should honour an explicit withdrawal rate', () => {
+    const result = simulateScenarioAdvanced(
+      buildScenario({ type: 'constant-percent', withdrawal_rate: 0.05 }), crash
+    );
+
+    expect(result.results[0].expenses).toBeCloseTo(5000, 6);
+  });
+
+  describe('Guyton-Klinger guardrails', () => {
+    test('should skip the inflation raise and cut spending after a crash', () => {
+      const result = simulateScenarioAdvanced(
+        buildScenario({ type: 'guyton-klinger', cut_exempt_final_years: 0 }), crash
+      );
+
+      expect(result.results[12].spendingAdjustment).toBe('cut');
+      // No inflation raise (losing year) and a 10% cut
+      expect(result.results[12].expenses).toBeCloseTo(3600, 6);
+    });
+
+    test('should raise spending after a strong year', () => {
+      const result = simulateScenarioAdvanced(buildScenario({ type: 'guyton-klinger' }), boom);
+
+      expect(result.results[12].spendingAdjustment).toBe('raise');
+      expect(result.results[12].expenses).toBeCloseTo(4000 * 1.03 * 1.1, 6);
+    });
+
+    test('should not cut within the final years of the plan', () => {
+      const result = simulateScenarioAdvanced(buildScenario({ type: 'guyton-klinger' }), crash);
+
+      expect(result.results[12].spendingAdjustment).toBe('inflation-skipped');
+      expect(result.results[12].expenses).toBeCloseTo(4000, 6);
+    });
+  });
+
+  test('should amortize the portfolio over the remaining years with VPW', () => {
+    const result = simulateScenarioAdvanced(
+      buildScenario({ type: 'vpw', expected_return: 0 }), { returnPaths: { Portfolio: [0, 0, 0] } }
+    );
+
+    expect(result.results[0].expenses).toBeCloseTo(1200000 / 3 / 12, 6);
+    expect(result.results[24].expenses).toBeCloseTo(portfolioAtMonth(result, 24) / 12, 6);
+    expect(portfolioAtMonth(result, 36)).toBeCloseTo(0, 4);
+    expect(result.results.every(r => r.shortfall === 0)).toBe(true);
+  });
+
+  test('should hold spending between the floor and the ceiling', () => {
+    const crashed = simulateScenarioAdvanced(buildScenario({ type: 'floor-ceiling' }), crash);
+    expect(crashed.results[12].spendingAdjustment).toBe('floor');
+    expect(crashed.results[12].expenses).toBeCloseTo(4000 * 1.03 * 0.85, 6);
+
+    const boomed = simulateScenarioAdvanced(buildScenario({ type: 'floor-ceiling' }), boom);
+    expect(boomed.results[12].spendingAdjustment).toBe('ceiling');
+    expect(boomed.results[12].expenses).toBeCloseTo(4000 * 1.03 * 1.25, 6);
+  });
+
+  test('should reject unknown strategies', () => {
+    expect(() => new SpendingStrategy({ type: 'yolo' }, {})).toThrow('Unknown spending strategy: yolo');
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Integration tests for stochastic inflation in Monte Carlo
+ * Tests the AR(1) inflation model, price levels from the engine, real (plan-start dollar)
+ * figures in iteration summaries and percentiles, the inflation model options, and the
+ * high-inflation insight and nominal/real percentile table
+ */
+
+import { EventBus } from '../../scripts/core/EventBus.js';
+import { MonteCarloService } from '../../scripts/services/MonteCarloService.js';
+import { MonteCarloController } from '../../scripts/controllers/MonteCarloController.js';
+import { createIterationRunner, createRandomGenerator } from '../../scripts/monte-carlo-runner.js';
+import { generateAR1InflationPath, getAverageInflation, AR1_DEFAULTS } from '../../scripts/inflation-models.js';
+import { simulateScenarioAdvanced } from '../../scripts/timeaware-engine.js';
+
+describe('Stochastic inflation', () => {
+  const scenario = {
+    plan: { monthly_expenses: 2500, duration_months: 120, inflation_rate: 0.03 },
+    assets: [
+      { name: 'Brokerage', type: 'taxable', balance: 300000, market_dependent: true },
+      { name: 'Cash', type: 'tax_free', balance: 20000, interest_rate: 0 }
+    ],
+    order: [
+      { account: 'Cash', order: 1 },
+      { account: 'Brokerage', order: 2 }
+    ]
+  };
+
+  const buildJob = (config = {}) => ({
+    scenarioData: scenario,
+    variableRanges: {},
+    config: { iterations: 40, trajectorySamples: 1, targetSurvivalMonths: 120, ...config },
+    baseSeed: 99
+  });
+
+  // The engine logs every month it simulates
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('AR(1) inflation model', () => {
+    test('should revert to its mean with the persistence and volatility given', () => {
+      const path = generateAR1InflationPath({ mean: 0.03, initial: 0.12 }, {}, 2000, createRandomGenerator(1));
+      const average = path.reduce((sum, rate) => sum + rate, 0) / path.length;
+
+      expect(path[0]).toBeGreaterThan(0.05); // Starts near last year's 12%
+      expect(average).toBeCloseTo(0.03, 2);
+      expect(generateAR1InflationPath({ volatility: 0 }, { inflation_rate: 0.025 }, 3, createRandomGenerator(1)))
+        .toEqual([0.025, 0.025, 0.025]);
+    });
+
+    test('should repeat for the same seed and reject persistence outside [0, 1)', () => {
+      const draw = (seed) => generateAR1InflationPath({}, {}, 10, createRandomGenerator(seed));
+
+      expect(draw(4)).toEqual(draw(4));
+      expect(draw(4)).not.toEqual(draw(5));
+      expect(AR1_DEFAULTS).toEqual({ mean: 0.03, persistence: 0.6, volatility: 0.03 });
+      expect(() => generateAR1InflationPath({ persistence: 1 }, {}, 10, Math.random))
+        .toThrow('Inflation persistence must be at least 0 and below 1, got 1');
+    });
+  });
+
+  describe('engine price levels', () => {
+    test('should report the price level for each month and the end of the run', () => {
+      const { priceLevels } = simulateScenarioAdvanced({ ...scenario, plan: { ...scenario.plan, duration_months: 24 } });
+
+      expect(priceLevels).toHaveLength(25);
+      expect(priceLevels[0]).toBe(1);
+      expect(priceLevels[12]).toBeCloseTo(1.03, 10);
+      expect(priceLevels[24]).toBeCloseTo(1.0609, 10);
+      expect(getAverageInflation(priceLevels)).toBeCloseTo(0.03, 10);
+    });
+
+    test('should follow an injected inflation path', () => {
+      const { priceLevels } = simulateScenarioAdvanced(
+        { ...scenario, plan: { ...scenario.plan, duration_months: 24 } },
+        { inflationPath: [0.1, 0.2] }
+      );
+
+      expect(priceLevels[24]).toBeCloseTo(1.1 * 1.2, 10);
+    });
+  });
+
+  describe('iteration summaries', () => {
+    test('should deflate the final balance and withdrawals to plan-start dollars', () => {
+      const summary = createIterationRunner(buildJob({ inflationModel: 'plan' }))(0);
+
+      expect(summary.averageInflation).toBeCloseTo(0.03, 10);
+      expect(summary.realFinalBalance).toBeCloseTo(summary.finalBalance / Math.pow(1.03, 10), 6);
+      expect(summary.realTotalWithdrawals).toBeLessThan(summary.totalWithdrawals);
+    });
+
+    test('should draw a different inflation path for each iteration with ar1', () => {
+      const runIteration = createIterationRunner(buildJob({ inflationModel: 'ar1' }));
+      const summaries = Array.from({ length: 10 }, (_, iteration) => runIteration(iteration));
+      const averages = summaries.map(summary => summary.averageInflation);
+
+      expect(new Set(averages.map(rate => rate.toFixed(6))).size).toBe(10);
+      expect(summaries[0].returnSequence.inflation).toHaveLength(10);
+      expect(runIteration(3)).toEqual(summaries[3]);
+    });
+
+    test('should keep historical inflation with return-model and drop it with plan', () => {
+      const withReturns = createIterationRunner(buildJob({ returnModel: 'historical-bootstrap' }))(0);
+      const planRate = createIterationRunner(buildJob({ returnModel: 'historical-bootstrap', inflationModel: 'plan' }))(0);
+
+      expect(withReturns.returnSequence.inflation).toHaveLength(10);
+      expect(withReturns.averageInflation).not.toBeCloseTo(0.03, 6);
+      expect(planRate.returnSequence.inflation).toBeUndefined();
+      expect(planRate.averageInflation).toBeCloseTo(0.03, 10);
+      expect(() => createIterationRunner(buildJob({ inflationModel: 'hyper' })))
+        .toThrow('Unknown inflation model: hyper');
+    });
+  });
+
+  describe('analysis', () => {
+    // Whole analyses run in this thread, so keep them short
+    const shortScenario = { ...scenario, plan: { ...scenario.plan, duration_months: 24 } };
+
+    const runAnalysis = (config) => {
+      const eventBus = new EventBus();
+      new MonteCarloService(eventBus);
+      const completed = new Promise(resolve => eventBus.once('montecarlo:completed', resolve));
+      eventBus.emit('montecarlo:run', {
+        scenarioData: shortScenario,
+        config: { ...buildJob(config).config, iterations: 12, targetSurvivalMonths: 24, randomSeed: 99 }
+      });
+      return completed;
+    };
+
+    test('should give percentiles in nominal and real dollars and compare high- and low-inflation paths', async () => {
+      const { analysis } = await runAnalysis({ inflationModel: 'ar1' });
+      const { finalBalance, realFinalBalance, averageInflation } = analysis.statistics;
+
+      expect(realFinalBalance.percentiles[50]).toBeLessThan(finalBalance.percentiles[50]);
+      expect(averageInflation.percentiles[90]).toBeGreaterThan(averageInflation.percentiles[10]);
+
+      const insight = analysis.insights.find(item => item.type === 'inflation_risk');
+      expect(insight.value.highInflation.averageInflation).toBeGreaterThan(insight.value.lowInflation.averageInflation);
+      expect(insight.description).toMatch(/highest-inflation quarter/);
+      expect(analysis.insights.find(item => item.type === 'final_balance_real')).toBeDefined();
+    }, 30000);
+
+    test('should leave out the inflation comparison when inflation is the same on every path', async () => {
+      const { analysis } = await runAnalysis({ inflationModel: 'plan' });
+
+      expect(analysis.insights.find(item => item.type === 'inflation_risk')).toBeUndefined();
+      expect(analysis.statistics.averageInflation.stdDev).toBeCloseTo(0, 10);
+    }, 30000);
+
+    test('should show nominal and real final balance percentiles side by side', async () => {
+      const { analysis } = await runAnalysis({ inflationModel: 'plan' });
+      const controller = new MonteCarloController(new EventBus());
+      const table = controller.buildBalancePercentileTable(analysis);
+
+      expect(table).toContain("Today's Dollars");
+      expect(table).toContain(`$${Math.round(analysis.statistics.finalBalance.percentiles[50]).toLocaleString()}`);
+      expect(table).toContain(`$${Math.round(analysis.statistics.realFinalBalance.percentiles[50]).toLocaleString()}`);
+      expect(controller.buildBalancePercentileTable({ statistics: {} })).toBe('');
+    }, 30000);
+  });
+});
@@ -233,6 +233,189 @@ describe('Tax-Aware Withdrawal Integration Tests', () => {
     });
   });
 
+  describe('Progressive Federal Brackets', () => {
+    const buildScenario = (monthlyExpenses, income = []) => ({
+      plan: {
+        monthly_expenses: monthlyExpenses,
+        duration_months: 24,
+        tax_config: { filing_status: 'single', index_brackets: false }
+      },
+      assets: [
+        { name: 'Traditional IRA', type: 'tax_deferred', balance: 10000000, interest_rate: 0 }
+      ],
+      income,
+      order: [{ account: 'Traditional IRA', order: 1 }]
+    });
+
+    const yearTaxes = (result, year) => result.results
+      .slice(year * 12, year * 12 + 12)
+      .flatMap(month => month.withdrawals)
+      .reduce((sum, w) => sum + w.taxOwed, 0);
+
+    test('larger annual withdrawals pay a higher effective rate', () => {
+      const small = simulateScenarioAdvanced(buildScenario(20000 / 12));
+      const large = simulateScenarioAdvanced(buildScenario(200000 / 12));
+
+      const smallTax = yearTaxes(small, 0);
+      const largeTax = yearTaxes(large, 0);
+      expect(smallTax / 20000).toBeLessThan(0.05);
+      expect(largeTax / 200000).toBeGreaterThan(0.2);
+    });
+
+    test('early months fill the deduction and later months climb the brackets', () => {
+      const result = simulateScenarioAdvanced(buildScenario(5000));
+
+      expect(result.results[0].withdrawals[0].taxOwed).toBe(0);
+      expect(result.results[11].withdrawals[0].effectiveTaxRate).toBeGreaterThan(0.12);
+      // The next tax year starts back at the bottom
+      expect(result.results[12].withdrawals[0].taxOwed).toBe(0);
+      expect(yearTaxes(result, 1)).toBeCloseTo(yearTaxes(result, 0), 6);
+    });
+
+    test('taxable income pushes withdrawals into higher brackets', () => {
+      const withoutPension = simulateScenarioAdvanced(buildScenario(5000));
+      const withPension = simulateScenarioAdvanced(buildScenario(8000, [
+        { name: 'Pension', amount: 3000, tax_treatment: 'taxable' }
+      ]));
+
+      expect(yearTaxes(withPension, 0)).toBeGreaterThan(yearTaxes(withoutPension, 0));
+    });
+  });
+
+  describe('Taxable Income Streams', () => {
+    const buildScenario = (income, taxConfig = { tax_deferred: 0.22, taxable: 0.15, tax_free: 0.0 }) => ({
+      plan: {
+        monthly_expenses: 3000,
+        duration_months: 24,
+        tax_config: taxConfig
+      },
+      assets: [
+        { name: 'Roth IRA', type: 'tax_free', balance: 100000, interest_rate: 0 },
+        { name: 'Traditional IRA', type: 'tax_deferred', balance: 1000000, interest_rate: 0 }
+      ],
+      income,
+      order: [
+        { account: 'Roth IRA', order: 1 },
+        { account: 'Traditional IRA', order: 2 }
+      ]
+    });
+
+    test('withholds tax on a taxable pension and reports it in Taxes Paid', () => {
+      const result = simulateScenarioAdvanced(buildScenario([
+        { name: 'Pension', amount: 3000, tax_treatment: 'taxable' }
+      ]));
+      const first = result.results[0];
+
+      expect(first.incomeTax).toBeCloseTo(660, 6);
+      expect(first.taxPaid).toBeCloseTo(660, 6);
+      // The withheld tax is replaced from the Roth
+      expect(first.withdrawals[0].grossAmount).toBeCloseTo(660, 6);
+      expect(result.csvText.split('\n')[1].split(',')[7]).toBe('660.00');
+    });
+
+    test('leaves tax-free income and untreated income untaxed', () => {
+      const result = simulateScenarioAdvanced(buildScenario([
+        { name: 'Roth Annuity', amount: 2000, tax_treatment: 'tax_free' },
+        { name: 'Gift', amount: 1000 }
+      ]));
+
+      expect(result.results[0].incomeTax).toBeUndefined();
+      expect(result.results[0].taxPaid).toBe(0);
+    });
+
+    test('taxes only the taxable portion of partially taxable income', () => {
+      const result = simulateScenarioAdvanced(buildScenario([
+        { name: 'Annuity', amount: 3000, tax_treatment: 'partially_taxable', taxable_portion: 0.4 }
+      ]));
+
+      expect(result.results[0].incomeTax).toBeCloseTo(3000 * 0.4 * 0.22, 6);
+    });
+
+    test('taxes Social Security once provisional income crosses the thresholds', () => {
+      const benefits = { name: 'Social Security', amount: 2000, tax_treatment: 'partially_taxable' };
+      const pension = { name: 'Pension', amount: 2500, tax_treatment: 'taxable' };
+      const bracketConfig = { filing_status: 'single', index_brackets: false };
+      const yearIncomeTax = (result) => result.results.slice(0, 12)
+        .reduce((sum, month) => sum + (month.incomeTax || 0), 0);
+
+      // $24k of benefits alone: provisional income $12k, nothing taxable
+      expect(yearIncomeTax(simulateScenarioAdvanced(buildScenario([benefits], bracketConfig)))).toBe(0);
+
+      // With a $30k pension, provisional income is $42k: $11,300 of benefits are taxable
+      const withPension = simulateScenarioAdvanced(buildScenario([benefits, pension], bracketConfig));
+      expect(yearIncomeTax(withPension)).toBeCloseTo(1160 + 0.12 * (30000 + 11300 - 14600 - 11600), 2);
+    });
+
+    test('accrues income tax to the annual bill with settlement', () => {
+      const result = simulateScenarioAdvanced(buildScenario(
+        [{ name: 'Pension', amount: 3000, tax_treatment: 'taxable' }],
+        { tax_deferred: 0.22, settlement: { month: 4 } }
+      ));
+
+      expect(result.results[0].incomeTax).toBeUndefined();
+      expect(result.results[0].taxAccrued).toBeCloseTo(660, 6);
+      expect(result.results[15].taxPaid).toBeCloseTo(660 * 12, 6);
+      expect(result.taxYears[0].incomeTax).toBeCloseTo(660 * 12, 6);
+    });
+  });
+
+  describe('Annual Tax Settlement', () => {
+    const buildScenario = (settlement) => ({
+      plan: {
+        monthly_expenses: 4000,
+        duration_months: 24,
+        tax_config: { tax_deferred: 0.22, taxable: 0.15, tax_free: 0.0, settlement }
+      },
+      assets: [
+        { name: 'Cash', type: 'tax_free', balance: 50000, interest_rate: 0 },
+        { name: 'Traditional 401k', type: 'tax_deferred', balance: 500000, interest_rate: 0 }
+      ],
+      order: [{ account: 'Traditional 401k', order: 1 }]
+    });
+
+    test('accrues tax monthly and pays the year\'s bill the following April', () => {
+      const result = simulateScenarioAdvanced(buildScenario({ month: 4, account: 'Cash' }));
+
+      const first = result.results[0];
+      expect(first.withdrawals[0].grossAmount).toBe(4000);
+      expect(first.withdrawals[0].taxOwed).toBe(0);
+      expect(first.taxAccrued).toBeCloseTo(880, 6);
+      expect(first.taxPaid).toBe(0);
+
+      // Nothing is paid until month 16 (April of year two)
+      expect(result.results.slice(0, 15).every(month => month.taxPaid === 0)).toBe(true);
+      const april = result.results[15];
+      expect(april.taxPaid).toBeCloseTo(880 * 12, 6);
+      const payment = april.withdrawals.find(w => w.purpose === 'tax_payment');
+      expect(payment.from).toBe('Cash');
+      expect(payment.grossAmount).toBeCloseTo(880 * 12, 6);
+      expect(result.balanceHistory.Cash[15]).toBeCloseTo(50000 - 880 * 12, 6);
+
+      expect(result.taxYears[0]).toMatchObject({ year: 0, ordinaryIncome: 48000, paidMonth: 15 });
+      expect(result.csvText.split('\n')[16].split(',')[7]).toBe((880 * 12).toFixed(2));
+    });
+
+    test('pays through the withdrawal order without a settlement account', () => {
+      const result = simulateScenarioAdvanced(buildScenario({}));
+      const april = result.results[15];
+
+      expect(april.taxPaid).toBeCloseTo(880 * 12, 6);
+      expect(april.withdrawals[0].grossAmount).toBeCloseTo(4000 + 880 * 12, 6);
+      // Withdrawing the bill from the 401k accrues tax on it in turn
+      expect(april.taxAccrued).toBeCloseTo((4000 + 880 * 12) * 0.22, 6);
+    });
+
+    test('reports accrued equal to paid with per-withdrawal taxes', () => {
+      const scenario = buildScenario();
+      delete scenario.plan.tax_config.settlement;
+      const result = simulateScenarioAdvanced(scenario);
+
+      expect(result.results[0].taxAccrued).toBeCloseTo(result.results[0].withdrawals[0].taxOwed, 6);
+      expect(result.results[0].taxPaid).toBe(result.results[0].taxAccrued);
+      expect(result.taxYears).toBeNull();
+    });
+  });
+
   describe('Edge Cases and Constraints', () => {
     test('insufficient balance with tax considerations', () => {
       const scenario = {
@@ -363,10 +363,13 @@ describe('TimeAware Engine - REAL Integration Tests', () => {
         const checkingMonth2 = checkingHistory[1];
         const checkingMonth3 = checkingHistory[2];
         
-        if (checkingMonth3 > checkingMonth2) {
-          // Bonus was applied correctly
-          expect(checkingMonth3 - checkingMonth2).toBeCloseTo(5000, -2); // Within $100
-        }
+        // Month 3 expenses are also withdrawn from Checking
+        const checkingWithdrawals = result.results[2].withdrawals
+          .filter(w => w.from === 'Checking')
+          .reduce((sum, w) => sum + w.grossAmount, 0);
+
+        // Bonus was applied in month 3
+        expect(checkingMonth3 - checkingMonth2).toBeCloseTo(5000 - checkingWithdrawals, -2); // Within $100
       }
     });
   });
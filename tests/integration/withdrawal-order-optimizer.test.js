@@ -0,0 +1,161 @@
+/**
+ * Integration tests for WithdrawalOrderService
+ * Tests searching orderings, weighted same-order pairs and phased order[] plans against
+ * after-tax ending wealth and lifetime tax
+ */
+
+import { WithdrawalOrderService } from '../../scripts/services/WithdrawalOrderService.js';
+import { simulateScenarioAdvanced } from '../../scripts/timeaware-engine.js';
+import { EventBus } from '../../scripts/core/EventBus.js';
+
+describe('Withdrawal Order Optimizer', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new WithdrawalOrderService(new EventBus());
+  });
+
+  // Withdrawals up to 12,000 a year are untaxed and anything above is taxed at 40%; the
+  // Roth alone cannot fund the three years, so avoiding tax means sharing the bracket
+  const bracketScenario = (overrides = {}) => ({
+    plan: {
+      monthly_expenses: 2000,
+      duration_months: 36,
+      inflation_rate: 0,
+      tax_config: { tax_deferred: 0.22, brackets: [{ rate: 0, up_to: 12000 }, { rate: 0.4 }], standard_deduction: 0 },
+      ...overrides.plan
+    },
+    assets: [
+      { name: 'IRA', type: 'tax_deferred', balance: 300000, interest_rate: 0 },
+      { name: 'Roth', type: 'tax_free', balance: 40000, interest_rate: 0 }
+    ],
+    ...(overrides.income ? { income: overrides.income } : {}),
+    order: [{ account: 'IRA', order: 1 }, { account: 'Roth', order: 2 }]
+  });
+
+  test('should draw cash before a faster-growing Roth to leave the most after-tax wealth', () => {
+    const scenario = {
+      plan: { monthly_expenses: 2000, duration_months: 60, inflation_rate: 0 },
+      assets: [
+        { name: 'Roth', type: 'tax_free', balance: 200000, interest_rate: 0.08 },
+        { name: 'Cash', type: 'taxable', balance: 100000, cost_basis: 100000, interest_rate: 0.02 }
+      ],
+      order: [{ account: 'Roth', order: 1 }, { account: 'Cash', order: 2 }]
+    };
+
+    const optimization = service.optimizeWithdrawalOrder(scenario, { weights: [] });
+
+    expect(optimization.best.order).toEqual([{ account: 'Cash', order: 1 }, { account: 'Roth', order: 2 }]);
+    expect(optimization.best.afterTaxWealth).toBeGreaterThan(optimization.current.afterTaxWealth);
+    expect(optimization.comparison.find(row => row.metric === 'afterTaxWealth').change)
+      .toBeCloseTo(optimization.best.afterTaxWealth - optimization.current.afterTaxWealth, 6);
+  });
+
+  test('should split same-order withdrawals to stay in the untaxed bracket', () => {
+    const optimization = service.optimizeWithdrawalOrder(bracketScenario(), { objective: 'lifetime_tax' });
+
+    // Half from each keeps IRA withdrawals at 12,000 a year
+    expect(optimization.best.order).toHaveLength(2);
+    expect(optimization.best.order).toEqual(expect.arrayContaining([
+      { account: 'IRA', order: 1, weight: 0.5 },
+      { account: 'Roth', order: 1, weight: 0.5 }
+    ]));
+    expect(optimization.best.lifetimeTax).toBeCloseTo(0, 6);
+    expect(optimization.current.lifetimeTax).toBeCloseTo(3 * 8000, 6);
+  });
+
+  test('should value the IRA left at the end through the brackets', () => {
+    const optimization = service.optimizeWithdrawalOrder(bracketScenario(), { objective: 'lifetime_tax' });
+    const flat = service.optimizeWithdrawalOrder(
+      bracketScenario({ plan: { tax_config: { tax_deferred: 0.22 } } }), { objective: 'lifetime_tax' });
+
+    // 264,000 cashed out in one year: 12,000 untaxed and the rest at 40%
+    expect(optimization.best.afterTaxWealth).toBeCloseTo(264000 - 252000 * 0.4 + 4000, 0);
+    expect(flat.best.afterTaxWealth).toBeCloseTo(flat.best.endingBalance * 0.78, 0);
+    expect(service.getAfterTaxWealth(bracketScenario(), { IRA: 24000 }, {}, 2)).toBeCloseTo(24000, 6);
+  });
+
+  test('should give each phase its own order once income fills the bracket', () => {
+    // From year two a pension uses up the untaxed bracket, so the IRA should wait
+    const scenario = bracketScenario({
+      plan: { duration_months: 24 },
+      income: [{ name: 'Pension', amount: 1000, start_month: 13, tax_treatment: 'taxable' }]
+    });
+    scenario.assets[1].balance = 30000;
+
+    const staticPlan = service.optimizeWithdrawalOrder(scenario, { objective: 'lifetime_tax' });
+    const phased = service.optimizeWithdrawalOrder(scenario, { objective: 'lifetime_tax', phases: [13] });
+
+    // The first year shares the bracket between the accounts; the second leaves it to the pension
+    expect(phased.best.order.filter(entry => entry.start_month === 1)).toEqual([
+      expect.objectContaining({ order: 1, stop_month: 12, weight: expect.any(Number) }),
+      expect.objectContaining({ order: 1, stop_month: 12, weight: expect.any(Number) })
+    ]);
+    expect(phased.best.order.filter(entry => entry.start_month === 13)).toEqual([
+      { account: 'Roth', order: 1, start_month: 13 },
+      { account: 'IRA', order: 2, start_month: 13 }
+    ]);
+    expect(phased.best.lifetimeTax).toBeCloseTo(0, 6);
+    expect(staticPlan.best.lifetimeTax).toBeGreaterThan(0);
+  });
+
+  test('should produce an order[] that reproduces the optimized result when applied', () => {
+    const scenario = bracketScenario();
+    const optimization = service.optimizeWithdrawalOrder(scenario, { objective: 'lifetime_tax' });
+    const applied = simulateScenarioAdvanced(service.applyOrder(scenario, optimization.best.order));
+
+    expect(applied.results.reduce((sum, month) => sum + month.taxAccrued, 0))
+      .toBeCloseTo(optimization.best.lifetimeTax, 6);
+    expect(scenario.order).toEqual([{ account: 'IRA', order: 1 }, { account: 'Roth', order: 2 }]);
+  });
+
+  test('should rank plans that fund all spending above ones that save tax by running short', () => {
+    const shortfall = { totalShortfall: 5000, lifetimeTax: 0, afterTaxWealth: 0 };
+    const funded = { totalShortfall: 0, lifetimeTax: 9000, afterTaxWealth: 0 };
+
+    expect(service.compareMetrics(funded, shortfall, 'lifetime_tax')).toBeLessThan(0);
+    expect(service.compareMetrics({ ...funded, lifetimeTax: 100 }, funded, 'lifetime_tax')).toBeLessThan(0);
+  });
+
+  test('should keep the current order when nothing beats it', () => {
+    const scenario = bracketScenario({ plan: { tax_config: { tax_deferred: 0.22 } } });
+    scenario.assets = scenario.assets.map(asset => ({ ...asset, type: 'tax_free' }));
+
+    const optimization = service.optimizeWithdrawalOrder(scenario);
+
+    expect(optimization.best).toBe(optimization.current);
+    expect(optimization.best.order).toEqual(scenario.order);
+  });
+
+  test('should stop simulating at maxEvaluations', () => {
+    const optimization = service.optimizeWithdrawalOrder(bracketScenario(), { maxEvaluations: 3 });
+
+    expect(optimization.evaluations).toBeLessThanOrEqual(4);
+  });
+
+  test('should run through the event bus', () => {
+    const eventBus = new EventBus();
+    new WithdrawalOrderService(eventBus);
+    const completed = jest.fn();
+    const failed = jest.fn();
+    eventBus.on('withdrawal-order:completed', completed);
+    eventBus.on('withdrawal-order:error', failed);
+
+    eventBus.emit('withdrawal-order:optimize', { scenarioData: bracketScenario(), config: { weights: [] } });
+    eventBus.emit('withdrawal-order:optimize', { scenarioData: bracketScenario(), config: { objective: 'max_income' } });
+
+    expect(completed).toHaveBeenCalledWith(expect.objectContaining({ objective: 'after_tax_wealth' }));
+    expect(failed.mock.calls[0][0].error).toBe('Unknown withdrawal order objective: max_income');
+  });
+
+  test('should only draw from an order[] entry inside its start_month and stop_month', () => {
+    const scenario = bracketScenario({ plan: { duration_months: 4 } });
+    scenario.order = [
+      { account: 'IRA', order: 1, stop_month: 2 },
+      { account: 'Roth', order: 1, start_month: 3 }
+    ];
+    const result = simulateScenarioAdvanced(scenario);
+
+    expect(result.results.map(month => month.withdrawals[0].from)).toEqual(['IRA', 'IRA', 'Roth', 'Roth']);
+  });
+});
@@ -200,7 +200,25 @@ describe('MonteCarloChart', () => {
       monteCarloChart.displayMonteCarloCharts(data);
 
       expect(mockContainer.style.display).toBe('block');
-      expect(displayTrajectoryOverlaySpy).toHaveBeenCalledWith(data.results, data.scenarioData, 'monte-carlo-chart-area');
+      expect(displayTrajectoryOverlaySpy).toHaveBeenCalledWith(data.results, data.scenarioData, 'monte-carlo-chart-area', {
+        labels: undefined
+      });
+    });
+
+    test('should pass trajectory labels through to the overlay', () => {
+      const data = {
+        results: [[{ totalBalance: 100000 }]],
+        scenarioData: {},
+        trajectoryLabels: ['Start 1966']
+      };
+
+      const displayTrajectoryOverlaySpy = jest.spyOn(monteCarloChart, 'displayTrajectoryOverlay').mockImplementation();
+
+      monteCarloChart.displayMonteCarloCharts(data);
+
+      expect(displayTrajectoryOverlaySpy).toHaveBeenCalledWith(data.results, data.scenarioData, 'monte-carlo-chart-area', {
+        labels: ['Start 1966']
+      });
     });
 
     test('should handle missing monte carlo section gracefully', () => {
@@ -164,6 +164,27 @@ describe('ExportController Monte Carlo Returns Export', () => {
       expect(csv).toContain('-8.7654%');
       expect(csv).toContain('0.0123%');
     });
+
+    test('should export each month\'s return for monthly resampled paths', () => {
+      const mockResults = {
+        results: [
+          {
+            iteration: 0,
+            result: {
+              returnSequence: { growth: [0.12, 0.30] },
+              returnSequencePeriod: 'monthly'
+            }
+          }
+        ]
+      };
+
+      const csv = exportController.generateMonteCarloReturnsCSV(mockResults);
+
+      // The path holds annual rates; the engine credits a twelfth of one each month
+      expect(csv.split('\n')[0]).toBe('Scenario,Month,growth');
+      expect(csv).toContain('1,1,1.0000%');
+      expect(csv).toContain('1,2,2.5000%');
+    });
   });
 
   describe('exportMonteCarloReturns', () => {
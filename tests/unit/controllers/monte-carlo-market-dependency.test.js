@@ -296,4 +296,35 @@ describe('MonteCarloController Market Dependency', () => {
       expect(Object.keys(variableRanges)).toHaveLength(0);
     });
   });
+
+  describe('ranges sent with an analysis', () => {
+    const scenarioData = {
+      assets: [
+        { name: 'Stock Portfolio', type: 'investment', return_schedule: 'stocks_growth', market_dependent: true },
+        { name: 'Savings Account', type: 'savings', return_schedule: 'savings_growth', market_dependent: false }
+      ],
+      rate_schedules: {
+        stocks_growth: { type: 'fixed', rate: 0.07 },
+        savings_growth: { type: 'fixed', rate: 0.02 }
+      }
+    };
+    const savingsRange = { 'rate_schedules.savings_growth.rate': { type: 'normal', mean: 0.02, stdDev: 0.01 } };
+
+    const startAnalysis = (config) => {
+      const run = jest.fn();
+      eventBus.on('montecarlo:run', run);
+      monteCarloController.currentScenarioData = scenarioData;
+      monteCarloController.startAnalysis({ variableRanges: savingsRange, ...config });
+      return run.mock.calls[0][0].variableRanges;
+    };
+
+    test('should leave market assets to the return model when drawing once per path', () => {
+      expect(startAnalysis({})).toEqual(savingsRange);
+    });
+
+    test('should keep market asset ranges when resampling them per period', () => {
+      expect(Object.keys(startAnalysis({ resampleFrequency: 'annual' })).sort())
+        .toEqual(['rate_schedules.savings_growth.rate', 'rate_schedules.stocks_growth.rate']);
+    });
+  });
 });
@@ -0,0 +1,69 @@
+/**
+ * Tax Ledger Unit Tests
+ * Tests annual tax accrual and settlement for the simulation engine
+ */
+
+import { TaxLedger } from '../../../scripts/services/TaxLedger.js';
+import { TaxService } from '../../../scripts/services/TaxService.js';
+
+describe('TaxLedger', () => {
+  let ledger;
+
+  beforeEach(() => {
+    ledger = new TaxLedger(new TaxService({ tax_deferred: 0.2, taxable: 0.15 }), { month: 4 });
+    ledger.startTaxYear();
+  });
+
+  test('takes withdrawals at face value', () => {
+    const result = ledger.calculateGrossWithdrawal(1000, 'tax_deferred');
+
+    expect(result.grossWithdrawal).toBe(1000);
+    expect(result.taxOwed).toBe(0);
+  });
+
+  test('accrues tax by income category', () => {
+    ledger.recordWithdrawal(1000, 'tax_deferred');
+    ledger.recordWithdrawal(2000, 'taxable');
+    ledger.recordWithdrawal(500, 'tax_free');
+
+    expect(ledger.takeMonthAccrued()).toBeCloseTo(200 + 300, 6);
+    expect(ledger.takeMonthAccrued()).toBe(0);
+    expect(ledger.currentYear).toMatchObject({
+      ordinaryIncome: 1000,
+      capitalGains: 2000,
+      taxFree: 500
+    });
+  });
+
+  test('accrues income tax instead of withholding it', () => {
+    expect(ledger.recordIncome(1000, 'taxable')).toBe(0);
+
+    expect(ledger.takeMonthAccrued()).toBeCloseTo(200, 6);
+    expect(ledger.getYearSummaries()[0].incomeTax).toBeCloseTo(200, 6);
+  });
+
+  test('settles each year in the settlement month of the following year', () => {
+    ledger.recordWithdrawal(1000, 'tax_deferred');
+    ledger.startTaxYear();
+
+    expect(ledger.getOutstanding()).toBeCloseTo(200, 6);
+    expect(ledger.collectDue(14)).toBe(0);
+    expect(ledger.collectDue(15)).toBeCloseTo(200, 6);
+    expect(ledger.collectDue(15)).toBe(0);
+    expect(ledger.getYearSummaries()[0]).toMatchObject({ year: 0, dueMonth: 15, paidMonth: 15 });
+  });
+
+  test('accrues bracket tax on the year\'s cumulative income', () => {
+    const bracketLedger = new TaxLedger(new TaxService({ filing_status: 'single', index_brackets: false }));
+    bracketLedger.startTaxYear();
+
+    bracketLedger.recordWithdrawal(14600, 'tax_deferred');
+    expect(bracketLedger.takeMonthAccrued()).toBe(0);
+    bracketLedger.recordWithdrawal(10000, 'tax_deferred');
+    expect(bracketLedger.takeMonthAccrued()).toBeCloseTo(1000, 6);
+  });
+
+  test('rejects invalid settlement months', () => {
+    expect(() => new TaxLedger(new TaxService(), { month: 13 })).toThrow('Invalid tax settlement month');
+  });
+});
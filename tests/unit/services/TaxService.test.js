@@ -3,7 +3,8 @@
  * Tests tax calculations for different account types and scenarios
  */
 
-import { TaxService } from '../../../scripts/services/TaxService.js';
+import { TaxService, FEDERAL_TAX_TABLES } from '../../../scripts/services/TaxService.js';
+import { CostBasis } from '../../../scripts/cost-basis.js';
 
 describe('TaxService', () => {
   let taxService;
@@ -183,6 +184,201 @@ describe('TaxService', () => {
     });
   });
 
+  describe('progressive brackets', () => {
+    let bracketTax;
+
+    beforeEach(() => {
+      bracketTax = new TaxService({ filing_status: 'single' });
+    });
+
+    test('only uses brackets when a filing status or brackets are configured', () => {
+      expect(taxService.usesProgressiveBrackets()).toBe(false);
+      expect(bracketTax.usesProgressiveBrackets()).toBe(true);
+      expect(new TaxService({ brackets: [{ rate: 0.2 }] }).usesProgressiveBrackets()).toBe(true);
+    });
+
+    test('calculates income tax through the single brackets', () => {
+      // $60,000 - $14,600 deduction = $45,400 taxable
+      // 10% of 11,600 + 12% of 33,800 = 1,160 + 4,056
+      expect(bracketTax.calculateIncomeTax(60000)).toBeCloseTo(5216, 2);
+      expect(bracketTax.calculateIncomeTax(14600)).toBe(0);
+    });
+
+    test('uses the married filing jointly table', () => {
+      const jointTax = new TaxService({ filing_status: 'married_filing_jointly' });
+      // $100,000 - $29,200 = $70,800 taxable: 2,320 + 12% of 47,600
+      expect(jointTax.calculateIncomeTax(100000)).toBeCloseTo(8032, 2);
+    });
+
+    test('taxes a $200k IRA withdrawal at a higher rate than a $20k one', () => {
+      const small = bracketTax.calculateTaxOnWithdrawal(20000, 'tax_deferred');
+      const large = bracketTax.calculateTaxOnWithdrawal(200000, 'tax_deferred');
+
+      expect(small.effectiveTaxRate).toBeLessThan(0.05);
+      expect(large.effectiveTaxRate).toBeGreaterThan(0.15);
+      expect(large.taxOwed).toBeGreaterThan(small.taxOwed * 10);
+    });
+
+    test('stacks withdrawals on the year\'s income so far', () => {
+      const first = bracketTax.calculateTaxOnWithdrawal(14600, 'tax_deferred');
+      bracketTax.recordWithdrawal(14600, 'tax_deferred');
+      const second = bracketTax.calculateTaxOnWithdrawal(10000, 'tax_deferred');
+
+      expect(first.taxOwed).toBe(0);
+      expect(second.taxOwed).toBeCloseTo(1000, 2);
+      expect(bracketTax.getTaxRate('tax_deferred')).toBe(0.10);
+    });
+
+    test('counts taxable income and resets each tax year', () => {
+      bracketTax.recordOrdinaryIncome(70000);
+      expect(bracketTax.calculateTaxOnWithdrawal(1000, 'tax_deferred').taxOwed).toBeCloseTo(220, 2);
+
+      bracketTax.startTaxYear();
+      expect(bracketTax.calculateTaxOnWithdrawal(1000, 'tax_deferred').taxOwed).toBe(0);
+    });
+
+    test('grosses up a net amount across brackets', () => {
+      bracketTax.recordOrdinaryIncome(20000);
+      const result = bracketTax.calculateGrossWithdrawal(50000, 'tax_deferred');
+      const check = bracketTax.calculateTaxOnWithdrawal(result.grossWithdrawal, 'tax_deferred');
+
+      expect(check.netAmount).toBeCloseTo(50000, 6);
+      expect(result.taxOwed).toBeCloseTo(check.taxOwed, 6);
+    });
+
+    test('indexes brackets for inflation', () => {
+      bracketTax.startTaxYear(2);
+      expect(bracketTax.calculateIncomeTax(120000)).toBeCloseTo(2 * 5216, 2);
+
+      const fixedTax = new TaxService({ filing_status: 'single', index_brackets: false });
+      fixedTax.startTaxYear(2);
+      expect(fixedTax.calculateIncomeTax(60000)).toBeCloseTo(5216, 2);
+    });
+
+    test('leaves taxable and tax-free accounts on their flat rates', () => {
+      bracketTax.recordOrdinaryIncome(500000);
+
+      expect(bracketTax.calculateTaxOnWithdrawal(1000, 'taxable').taxOwed).toBeCloseTo(150, 6);
+      expect(bracketTax.calculateTaxOnWithdrawal(1000, 'tax_free').taxOwed).toBe(0);
+      bracketTax.recordWithdrawal(1000, 'taxable');
+      expect(bracketTax.yearToDateOrdinaryIncome).toBe(500000);
+    });
+
+    test('reports the income left in a bracket', () => {
+      bracketTax.recordOrdinaryIncome(30000);
+
+      expect(bracketTax.getBracketHeadroom(0.12)).toBeCloseTo(14600 + 47150 - 30000, 6);
+      expect(bracketTax.getBracketHeadroom(0.10)).toBe(0);
+      expect(() => bracketTax.getBracketHeadroom(0.5)).toThrow('No 50% bracket');
+      expect(() => taxService.getBracketHeadroom(0.12)).toThrow('requires tax_config.filing_status');
+    });
+
+    test('supports custom brackets and deduction', () => {
+      const customTax = new TaxService({
+        brackets: [{ rate: 0.1, up_to: 10000 }, { rate: 0.3 }],
+        standard_deduction: 5000
+      });
+
+      expect(customTax.calculateIncomeTax(25000)).toBeCloseTo(1000 + 3000, 6);
+    });
+
+    test('validates filing status and brackets', () => {
+      expect(TaxService.validateTaxConfig({ filing_status: 'head_of_household', tax_deferred: 0.22 }).isValid).toBe(true);
+      expect(TaxService.validateTaxConfig({ filing_status: 'married' }).errors[0]).toContain('Invalid filing status: married');
+      expect(TaxService.validateTaxConfig({ brackets: [{ rate: 0.3, up_to: 100 }, { rate: 0.1, up_to: 50 }, { rate: 0.4 }] }).isValid).toBe(false);
+      expect(Object.keys(FEDERAL_TAX_TABLES)).toEqual([
+        'single', 'married_filing_jointly', 'married_filing_separately', 'head_of_household'
+      ]);
+    });
+  });
+
+  describe('income tax treatments', () => {
+    test('taxes taxable income at the ordinary rate and skips tax-free income', () => {
+      expect(taxService.recordIncome(1000, 'taxable')).toBeCloseTo(220, 6);
+      expect(taxService.recordIncome(1000, 'tax_free')).toBe(0);
+      expect(taxService.recordIncome(1000)).toBe(0);
+      expect(taxService.recordIncome(1000, 'partially_taxable', 0.5)).toBeCloseTo(110, 6);
+      expect(taxService.yearToDateOrdinaryIncome).toBe(1500);
+    });
+
+    test('applies the provisional-income formula to Social Security', () => {
+      // Provisional income = other income + half the benefits
+      expect(taxService.getTaxableSocialSecurity(10000, 24000)).toBe(0);
+      expect(taxService.getTaxableSocialSecurity(20000, 24000)).toBeCloseTo((32000 - 25000) / 2, 6);
+      expect(taxService.getTaxableSocialSecurity(40000, 24000)).toBeCloseTo(0.85 * (52000 - 34000) + 4500, 6);
+      expect(taxService.getTaxableSocialSecurity(100000, 24000)).toBeCloseTo(0.85 * 24000, 6);
+
+      const jointTax = new TaxService({ filing_status: 'married_filing_jointly' });
+      expect(jointTax.getTaxableSocialSecurity(20000, 24000)).toBe(0);
+    });
+
+    test('taxes benefits only once other income lifts provisional income', () => {
+      expect(taxService.recordIncome(24000, 'partially_taxable')).toBe(0);
+      expect(taxService.yearToDateSocialSecurity).toBe(24000);
+
+      // $20k of pension makes $3,500 of the benefits taxable as well
+      expect(taxService.recordIncome(20000, 'taxable')).toBeCloseTo((20000 + 3500) * 0.22, 6);
+    });
+
+    test('charges withdrawals for the benefits they make taxable', () => {
+      const bracketTax = new TaxService({ filing_status: 'single' });
+      const withoutBenefits = bracketTax.calculateTaxOnWithdrawal(30000, 'tax_deferred').taxOwed;
+      bracketTax.recordIncome(24000, 'partially_taxable');
+      const withBenefits = bracketTax.calculateTaxOnWithdrawal(30000, 'tax_deferred').taxOwed;
+
+      // $11,300 of benefits become taxable: $41,300 - $14,600 = $26,700 taxable
+      expect(withoutBenefits).toBeCloseTo(1160 + 0.12 * 3800, 2);
+      expect(withBenefits).toBeCloseTo(1160 + 0.12 * 15100, 2);
+
+      const gross = bracketTax.calculateGrossWithdrawal(20000, 'tax_deferred');
+      const check = bracketTax.calculateTaxOnWithdrawal(gross.grossWithdrawal, 'tax_deferred');
+      expect(check.netAmount).toBeCloseTo(20000, 4);
+    });
+
+    test('clears benefits at the start of each tax year', () => {
+      taxService.recordIncome(24000, 'partially_taxable');
+      taxService.startTaxYear();
+
+      expect(taxService.yearToDateSocialSecurity).toBe(0);
+      expect(taxService.calculateTaxOnWithdrawal(1000, 'tax_deferred').taxOwed).toBeCloseTo(220, 6);
+    });
+  });
+
+  describe('realized gains', () => {
+    // 100,000 bought for 40,000: 60% of every dollar sold is gain
+    const brokerage = () => new CostBasis({ name: 'Brokerage', type: 'taxable', balance: 100000, cost_basis: 40000 });
+
+    test('taxes only the realized gain at the long-term rate', () => {
+      const gainsTax = new TaxService({ taxable: 0.15, long_term_gains_rate: 0.2 });
+      const result = gainsTax.calculateTaxOnWithdrawal(10000, 'taxable', { costBasis: brokerage() });
+
+      expect(result.realizedGain).toBeCloseTo(6000, 6);
+      expect(result.taxOwed).toBeCloseTo(1200, 6);
+      expect(gainsTax.calculateGrossWithdrawal(8800, 'taxable', { costBasis: brokerage() }).grossWithdrawal)
+        .toBeCloseTo(10000, 6);
+    });
+
+    test('defaults the long-term rate to the taxable rate and only applies it to taxable assets', () => {
+      expect(taxService.getCapitalGainsRate()).toBe(0.15);
+      expect(taxService.calculateTaxOnWithdrawal(10000, 'taxable', { costBasis: brokerage() }).taxOwed).toBeCloseTo(900, 6);
+      expect(taxService.calculateTaxOnWithdrawal(10000, 'tax_deferred', { costBasis: brokerage() }).taxOwed).toBeCloseTo(2200, 6);
+    });
+
+    test('sells basis when a withdrawal is recorded', () => {
+      const costBasis = brokerage();
+      taxService.recordWithdrawal(10000, 'taxable', { costBasis });
+
+      expect(costBasis.getBasis()).toBeCloseTo(36000, 6);
+      expect(taxService.yearToDateOrdinaryIncome).toBe(0);
+    });
+
+    test('validates the long-term rate', () => {
+      expect(TaxService.validateTaxConfig({ long_term_gains_rate: 0.2 }).isValid).toBe(true);
+      expect(TaxService.validateTaxConfig({ long_term_gains_rate: 1.5 }).errors[0])
+        .toContain('Invalid long_term_gains_rate: 1.5');
+    });
+  });
+
   describe('real-world scenarios', () => {
     test('high earner with 32% marginal rate', () => {
       const highEarnerTax = new TaxService({ tax_deferred: 0.32 });
@@ -167,6 +167,54 @@ describe('ValidationService', () => {
         validationService.validatePlan({ monthly_expenses: 60000 }, result);
         expect(result.warnings).toContain('Monthly expenses seem unusually high (> $50,000)');
       });
+
+      test('should validate spending strategy', () => {
+        const result = { errors: [], warnings: [] };
+
+        validationService.validatePlan({
+          monthly_expenses: 5000,
+          spending_strategy: { type: 'guyton-klinger', raise_threshold: 1.2 }
+        }, result);
+        expect(result.errors).toHaveLength(0);
+
+        validationService.validatePlan({
+          monthly_expenses: 5000,
+          spending_strategy: { type: 'yolo' }
+        }, result);
+        expect(result.errors[0]).toContain('Unknown spending strategy "yolo"');
+
+        result.errors = [];
+        validationService.validatePlan({
+          monthly_expenses: 5000,
+          spending_strategy: { type: 'constant-percent', withdrawal_rate: 4 }
+        }, result);
+        expect(result.errors).toContain('Spending strategy withdrawal_rate must be a decimal between 0 and 1');
+      });
+
+      test('should validate the household', () => {
+        const result = { errors: [], warnings: [] };
+
+        validationService.validatePlan({
+          monthly_expenses: 5000,
+          start_date: '2030-01',
+          household: [{ birth_year: 1965, sex: 'female' }, { birth_year: 1963, sex: 'male' }]
+        }, result);
+        expect(result.errors).toHaveLength(0);
+
+        validationService.validatePlan({
+          monthly_expenses: 5000,
+          start_date: '2030-01',
+          household: [{ birth_year: 1900, sex: 'other' }]
+        }, result);
+        expect(result.errors).toEqual([
+          'Household person 1: birth_year 1900 gives an age outside 0-119 at the plan start',
+          'Household person 1: sex must be one of: female, male'
+        ]);
+
+        result.errors = [];
+        validationService.validatePlan({ monthly_expenses: 5000, household: [] }, result);
+        expect(result.errors).toContain('Household must list one or two people');
+      });
     });
 
     describe('validateAssets', () => {
@@ -0,0 +1,180 @@
+/**
+ * Tests for seeded Monte Carlo reproducibility
+ * Tests that one seed fixes variable ranges, return model draws and add_noise rate
+ * schedules, so a seeded analysis repeats bit for bit and an unseeded one reports its seed
+ */
+
+import { EventBus } from '../../../scripts/core/EventBus.js';
+import { MonteCarloService } from '../../../scripts/services/MonteCarloService.js';
+import { SimulationService } from '../../../scripts/services/SimulationService.js';
+import { RateScheduleManager } from '../../../scripts/rate-schedules.js';
+import { MonteCarloUI } from '../../../scripts/ui/MonteCarloUI.js';
+import { createRandomGenerator } from '../../../scripts/monte-carlo-runner.js';
+import { simulateScenarioAdvanced } from '../../../scripts/timeaware-engine.js';
+
+describe('Seeded Monte Carlo reproducibility', () => {
+  const noisy = { pipeline: [{ start_with: 0.05 }, { add_noise: { std_dev: 0.04 } }] };
+
+  // Every random input at once: a drawn expense level, a return-model asset and a
+  // bond fund on a noisy rate schedule
+  const scenario = {
+    plan: { monthly_expenses: 3000, duration_months: 60, inflation_rate: 0 },
+    assets: [
+      { name: 'Brokerage', type: 'taxable', balance: 120000, market_dependent: true },
+      { name: 'Bonds', type: 'tax_free', balance: 60000, return_schedule: 'noisy' }
+    ],
+    order: [
+      { account: 'Bonds', order: 1 },
+      { account: 'Brokerage', order: 2 }
+    ],
+    rate_schedules: { noisy }
+  };
+
+  const variableRanges = {
+    'plan.monthly_expenses': { type: 'uniform', min: 2500, max: 3500 }
+  };
+
+  // The engine logs every month it simulates
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('rate schedules', () => {
+    const firstYear = (random) => {
+      const manager = new RateScheduleManager(random);
+      manager.loadSchedules({ noisy });
+      return Array.from({ length: 12 }, (_, month) => manager.getRate('noisy', month));
+    };
+
+    test('should draw add_noise from the random source it is given', () => {
+      const rates = firstYear(createRandomGenerator(5));
+
+      expect(firstYear(createRandomGenerator(5))).toEqual(rates);
+      expect(firstYear(createRandomGenerator(6))).not.toEqual(rates);
+      rates.forEach(rate => {
+        expect(rate).toBeGreaterThanOrEqual(0.01);
+        expect(rate).toBeLessThanOrEqual(0.09);
+      });
+    });
+
+    test('should repeat a noisy engine run for the same generator seed', () => {
+      const run = (seed) => simulateScenarioAdvanced(scenario, { random: createRandomGenerator(seed) }).balanceHistory.Bonds;
+
+      expect(run(9)).toEqual(run(9));
+      expect(run(9)).not.toEqual(run(10));
+    });
+  });
+
+  describe('MonteCarloService', () => {
+    let eventBus;
+
+    const runAnalysis = (config) => {
+      eventBus = new EventBus();
+      new MonteCarloService(eventBus);
+      const completed = new Promise(resolve => eventBus.once('montecarlo:completed', resolve));
+      eventBus.emit('montecarlo:run', {
+        scenarioData: scenario,
+        config: { iterations: 12, targetSurvivalMonths: 60, workers: 0, ...config },
+        variableRanges
+      });
+      return completed;
+    };
+
+    // Everything but the wall-clock timestamp
+    const comparable = ({ results, analysis }) => ({
+      results,
+      analysis: { ...analysis, metadata: { ...analysis.metadata, timestamp: null } }
+    });
+
+    test.each(['simple-random', 'historical-bootstrap', 'correlated-random'])(
+      'should repeat a seeded %s analysis bit for bit',
+      async (returnModel) => {
+        const first = await runAnalysis({ randomSeed: 2024, returnModel });
+        const second = await runAnalysis({ randomSeed: 2024, returnModel });
+
+        expect(comparable(second)).toEqual(comparable(first));
+        expect(new Set(first.results.map(result => result.finalBalance)).size).toBeGreaterThan(1);
+      },
+      30000
+    );
+
+    test('should draw different paths for a different seed', async () => {
+      const first = await runAnalysis({ randomSeed: 1 });
+      const second = await runAnalysis({ randomSeed: 2 });
+
+      expect(second.results.map(result => result.finalBalance))
+        .not.toEqual(first.results.map(result => result.finalBalance));
+    }, 30000);
+
+    test('should report the seed of an unseeded run so it can be repeated', async () => {
+      const unseeded = await runAnalysis({});
+      const seed = unseeded.analysis.metadata.randomSeed;
+
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(unseeded.config.randomSeed).toBe(seed);
+      expect((await runAnalysis({ randomSeed: seed })).results).toEqual(unseeded.results);
+    }, 30000);
+
+    test('should report seeds the configuration form accepts back', async () => {
+      // The top of the seed range
+      jest.spyOn(Math, 'random').mockReturnValue(0.9999999999);
+      const { analysis } = await runAnalysis({});
+      const seed = analysis.metadata.randomSeed;
+
+      expect(seed).toBe(4294967295);
+      expect(new MonteCarloUI(new EventBus()).validateConfiguration({ iterations: 100, randomSeed: seed })).toEqual([]);
+    }, 30000);
+
+    test('should pin and report the start month that birth_year ages follow', async () => {
+      const household = [{ birth_year: 1960, sex: 'female' }];
+      const lifespans = async (config) => {
+        eventBus = new EventBus();
+        new MonteCarloService(eventBus);
+        const completed = new Promise(resolve => eventBus.once('montecarlo:completed', resolve));
+        eventBus.emit('montecarlo:run', {
+          scenarioData: { ...scenario, plan: { ...scenario.plan, household } },
+          config: { iterations: 12, workers: 0, randomSeed: 5, longevityModel: 'life-table', ...config }
+        });
+        const { results, analysis } = await completed;
+        return { startDate: analysis.metadata.startDate, months: results.map(result => result.lifespanMonths) };
+      };
+
+      const undated = await lifespans({});
+      expect(undated.startDate).toBe(`${new Date().getFullYear()}-01`);
+      expect(await lifespans({ startDate: undated.startDate })).toEqual(undated);
+
+      // Thirty years later the same seed draws from much older ages
+      const later = await lifespans({ startDate: '2070-01' });
+      expect(later.startDate).toBe('2070-01');
+      expect(Math.max(...later.months)).toBeLessThan(Math.max(...undated.months));
+    }, 30000);
+
+    test('should honor a seed of 0', async () => {
+      const { analysis } = await runAnalysis({ randomSeed: 0 });
+
+      expect(analysis.metadata.randomSeed).toBe(0);
+    }, 30000);
+  });
+
+  describe('SimulationService', () => {
+    test('should seed the return request and rate schedule noise from context.randomSeed', async () => {
+      const eventBus = new EventBus();
+      const simulationService = new SimulationService(eventBus);
+      const seeds = [];
+      eventBus.on('returnmodel:generate-returns', data => seeds.push(data.seed));
+      simulationService.executeSimulation = jest.fn().mockResolvedValue({ results: [], balanceHistory: {} });
+
+      const scenarioData = { ...scenario, _simulationId: 'seeded-1' };
+      await simulationService.runSimulation(scenarioData, { isMonteCarlo: true, randomSeed: 77 });
+      await simulationService.runSimulation(scenarioData, { isMonteCarlo: true, randomSeed: 77 });
+
+      expect(seeds[0]).toBe(seeds[1]);
+      const [first, second] = simulationService.executeSimulation.mock.calls.map(([, options]) => options.random);
+      expect(first()).toBe(second());
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Tests for per-period resampling of Monte Carlo variable ranges
+ */
+
+import { EventBus } from '../../../scripts/core/EventBus.js';
+import { MonteCarloService } from '../../../scripts/services/MonteCarloService.js';
+import { RateScheduleManager } from '../../../scripts/rate-schedules.js';
+import { createIterationRunner } from '../../../scripts/monte-carlo-runner.js';
+
+describe('MonteCarloService Variable Range Resampling', () => {
+  let eventBus;
+  let monteCarloService;
+
+  const baseScenario = {
+    plan: { monthly_expenses: 4000, duration_months: 60 },
+    assets: [
+      { name: 'Brokerage', type: 'taxable', balance: 500000, return_schedule: 'growth', market_dependent: true }
+    ],
+    rate_schedules: {
+      growth: { type: 'fixed', rate: 0.07 }
+    }
+  };
+
+  const growthRange = {
+    'rate_schedules.growth.rate': { type: 'normal', mean: 0.07, stdDev: 0.15 }
+  };
+
+  beforeEach(() => {
+    eventBus = new EventBus();
+    monteCarloService = new MonteCarloService(eventBus);
+  });
+
+  afterEach(() => {
+    eventBus.removeAllListeners();
+  });
+
+  describe('generateRandomScenario', () => {
+    test('should draw a single rate per path by default', () => {
+      const rng = monteCarloService.createRandomGenerator(42);
+      const scenario = monteCarloService.generateRandomScenario(baseScenario, growthRange, rng, {});
+
+      expect(scenario.rate_schedules.growth.type).toBe('fixed');
+      expect(typeof scenario.rate_schedules.growth.rate).toBe('number');
+      expect(scenario._variablePaths).toBeUndefined();
+    });
+
+    test('should replace the schedule with an annual sequence when resampling annually', () => {
+      const rng = monteCarloService.createRandomGenerator(42);
+      const scenario = monteCarloService.generateRandomScenario(baseScenario, growthRange, rng, {
+        resampleFrequency: 'annual'
+      });
+
+      const schedule = scenario.rate_schedules.growth;
+      expect(schedule.type).toBe('sequence');
+      expect(schedule.period).toBe('year');
+      expect(schedule.values).toHaveLength(5);
+      expect(new Set(schedule.values).size).toBe(5);
+      expect(scenario._variablePaths).toEqual({
+        period: 'annual',
+        paths: { growth: schedule.values }
+      });
+      // Base scenario is untouched
+      expect(baseScenario.rate_schedules.growth.type).toBe('fixed');
+    });
+
+    test('should draw one value per month when resampling monthly', () => {
+      const rng = monteCarloService.createRandomGenerator(7);
+      const scenario = monteCarloService.generateRandomScenario(baseScenario, growthRange, rng, {
+        resampleFrequency: 'monthly'
+      });
+
+      expect(scenario.rate_schedules.growth.period).toBe('month');
+      expect(scenario.rate_schedules.growth.values).toHaveLength(60);
+      expect(scenario._variablePaths.period).toBe('monthly');
+    });
+
+    test('should let a range override the global resample frequency', () => {
+      const rng = monteCarloService.createRandomGenerator(3);
+      const ranges = {
+        'rate_schedules.growth.rate': { ...growthRange['rate_schedules.growth.rate'], resample: 'annual' },
+        'plan.monthly_expenses': { type: 'uniform', min: 3500, max: 4500 }
+      };
+
+      const scenario = monteCarloService.generateRandomScenario(baseScenario, ranges, rng, {});
+
+      expect(scenario.rate_schedules.growth.type).toBe('sequence');
+      expect(scenario.plan.monthly_expenses).toBeGreaterThanOrEqual(3500);
+      expect(scenario.plan.monthly_expenses).toBeLessThanOrEqual(4500);
+    });
+
+    test('should be reproducible with the same seed', () => {
+      const config = { resampleFrequency: 'annual', autocorrelation: 0.5 };
+      const first = monteCarloService.generateRandomScenario(
+        baseScenario, growthRange, monteCarloService.createRandomGenerator(99), config
+      );
+      const second = monteCarloService.generateRandomScenario(
+        baseScenario, growthRange, monteCarloService.createRandomGenerator(99), config
+      );
+
+      expect(first.rate_schedules.growth.values).toEqual(second.rate_schedules.growth.values);
+    });
+  });
+
+  describe('generateRandomPath', () => {
+    const lag1Correlation = (values) => {
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      let numerator = 0;
+      let denominator = 0;
+      for (let i = 0; i < values.length; i++) {
+        denominator += (values[i] - mean) ** 2;
+        if (i > 0) numerator += (values[i] - mean) * (values[i - 1] - mean);
+      }
+      return numerator / denominator;
+    };
+
+    test('should produce clustered periods with autocorrelation', () => {
+      const range = { type: 'normal', mean: 0.07, stdDev: 0.15 };
+      const independent = monteCarloService.generateRandomPath(
+        range, monteCarloService.createRandomGenerator(11), 2000, 1, 0
+      );
+      const persistent = monteCarloService.generateRandomPath(
+        range, monteCarloService.createRandomGenerator(11), 2000, 1, 0.8
+      );
+
+      expect(Math.abs(lag1Correlation(independent))).toBeLessThan(0.1);
+      expect(lag1Correlation(persistent)).toBeGreaterThan(0.7);
+    });
+
+    test('should preserve the annual volatility of the range', () => {
+      const range = { type: 'normal', mean: 0.07, stdDev: 0.15 };
+      const values = monteCarloService.generateRandomPath(
+        range, monteCarloService.createRandomGenerator(5), 5000, 1, 0.6
+      );
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      const stdDev = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length);
+
+      expect(mean).toBeCloseTo(0.07, 1);
+      expect(stdDev).toBeGreaterThan(0.13);
+      expect(stdDev).toBeLessThan(0.17);
+    });
+  });
+
+  describe('runInThread', () => {
+    test('should record the resampled path on each result and skip the return model', async () => {
+      const config = { ...monteCarloService.defaultConfig, iterations: 2, resampleFrequency: 'annual' };
+      const results = [];
+      monteCarloService.isRunning = true;
+      await monteCarloService.runInThread(
+        { scenarioData: baseScenario, variableRanges: growthRange, config, baseSeed: 1 },
+        batch => results.push(...batch)
+      );
+
+      expect(results).toHaveLength(2);
+      expect(results[0].returnSequence).toEqual({ growth: expect.any(Array) });
+      expect(results[0].returnSequence.growth).toHaveLength(5);
+      expect(results[0].returnSequencePeriod).toBe('annual');
+    });
+  });
+
+  describe('identifyKeyPercentileScenarios', () => {
+    test('should keep the period of each key scenario\'s path for the exports', () => {
+      const results = [100, 200, 300].map(finalBalance => ({
+        finalBalance,
+        returnSequence: { growth: [0.01, 0.02] },
+        returnSequencePeriod: 'monthly'
+      }));
+
+      const keyScenarios = monteCarloService.identifyKeyPercentileScenarios(results, { finalBalance: [100, 200, 300] });
+
+      expect(keyScenarios.median.returnSequencePeriod).toBe('monthly');
+      expect(keyScenarios.best.finalBalance).toBe(300);
+    });
+  });
+});
+
+describe('Variable ranges alongside the return model', () => {
+  // Two market assets, only one of them on a ranged schedule
+  const scenarioData = {
+    plan: { monthly_expenses: 0, duration_months: 24, inflation_rate: 0, stop_on_shortfall: false },
+    assets: [
+      { name: 'Brokerage', type: 'taxable', balance: 100000, return_schedule: 'growth', market_dependent: true },
+      { name: 'IRA', type: 'tax_deferred', balance: 100000, return_schedule: 'ira_growth', market_dependent: true }
+    ],
+    rate_schedules: {
+      growth: { type: 'fixed', rate: 0.07 },
+      ira_growth: { type: 'fixed', rate: 0.07 }
+    },
+    order: [{ account: 'Brokerage', order: 1 }, { account: 'IRA', order: 2 }]
+  };
+
+  const runPath = (variableRanges, config = {}) => createIterationRunner({
+    scenarioData,
+    variableRanges,
+    config: { iterations: 1, trajectorySamples: 1, returnModel: 'historical-bootstrap', ...config },
+    baseSeed: 5
+  })(0);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should grow an asset on a ranged schedule at the drawn rate, not the model\'s', () => {
+    const summary = runPath({ 'rate_schedules.growth.rate': { type: 'uniform', min: 0.05, max: 0.05 } });
+    const { balanceHistory } = summary.result.results;
+
+    expect(balanceHistory.Brokerage[11]).toBeCloseTo(100000 * (1 + 0.05 / 12) ** 12, 2);
+    expect(balanceHistory.IRA[11]).not.toBeCloseTo(100000 * (1 + 0.07 / 12) ** 12, 0);
+    expect(summary.returnSequence.tax_deferred).toHaveLength(2);
+  });
+
+  test('should keep the return model and its inflation for the rest of a resampled path', () => {
+    const summary = runPath({ 'rate_schedules.growth.rate': { type: 'normal', mean: 0.07, stdDev: 0.15 } }, {
+      resampleFrequency: 'annual'
+    });
+    const { balanceHistory } = summary.result.results;
+    const growth = summary.returnSequence.growth;
+
+    expect(summary.returnSequence).toEqual({ growth: expect.any(Array) });
+    expect(balanceHistory.Brokerage[11]).toBeCloseTo(100000 * (1 + growth[0] / 12) ** 12, 2);
+    expect(balanceHistory.IRA[11]).not.toBeCloseTo(100000 * (1 + 0.07 / 12) ** 12, 0);
+    expect(summary.averageInflation).not.toBe(0);
+  });
+});
+
+describe('RateSchedule monthly sequences', () => {
+  test('should index sequence values by month when period is month', () => {
+    const manager = new RateScheduleManager();
+    manager.loadSchedules({
+      monthly: { type: 'sequence', period: 'month', values: [0.12, 0.24, -0.12] }
+    });
+
+    expect(manager.getRate('monthly', 0)).toBe(0.12);
+    expect(manager.getRate('monthly', 1)).toBe(0.24);
+    expect(manager.getRate('monthly', 2)).toBe(-0.12);
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * Tests for Monte Carlo iterations run directly through the engine
+ * Tests the iteration runner, the worker pool (with a stand-in Worker), cancellation,
+ * the in-thread fallback and the worker script's message protocol
+ */
+
+import { EventBus } from '../../../scripts/core/EventBus.js';
+import { MonteCarloService } from '../../../scripts/services/MonteCarloService.js';
+import { createIterationRunner, summarizeSimulation } from '../../../scripts/monte-carlo-runner.js';
+import { simulateScenarioAdvanced } from '../../../scripts/timeaware-engine.js';
+
+// Runs each chunk in-process on a timer, speaking the monte-carlo-worker.js protocol
+class FakeWorker {
+  static instances = [];
+  static delay = 0;
+
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.chunks = [];
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage({ job, start, end }) {
+    this.chunks.push([start, end]);
+    setTimeout(() => {
+      if (this.terminated) return;
+      const runIteration = createIterationRunner(job);
+      const results = [];
+      for (let iteration = start; iteration < end; iteration++) {
+        results.push(runIteration(iteration));
+      }
+      this.onmessage({ data: { type: 'done', results } });
+    }, FakeWorker.delay);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+describe('Monte Carlo direct engine path', () => {
+  const scenario = {
+    plan: { monthly_expenses: 3000, duration_months: 36, inflation_rate: 0 },
+    assets: [
+      { name: 'Brokerage', type: 'taxable', balance: 150000, market_dependent: true },
+      { name: 'Cash', type: 'tax_free', balance: 10000, interest_rate: 0 }
+    ],
+    order: [
+      { account: 'Cash', order: 1 },
+      { account: 'Brokerage', order: 2 }
+    ]
+  };
+
+  const buildJob = (config = {}, variableRanges = {}) => ({
+    scenarioData: scenario,
+    variableRanges,
+    config: { iterations: 20, trajectorySamples: 4, targetSurvivalMonths: 36, ...config },
+    baseSeed: 42
+  });
+
+  describe('iteration runner', () => {
+    test('should draw the same path for an iteration however the run is split', () => {
+      const inOrder = createIterationRunner(buildJob());
+      const alone = createIterationRunner(buildJob());
+      const sequence = [0, 1, 2, 3].map(iteration => inOrder(iteration));
+
+      expect(alone(3)).toEqual(sequence[3]);
+      expect(sequence[1].finalBalance).not.toBe(sequence[2].finalBalance);
+    });
+
+    test('should drive market-dependent assets with the configured return model', () => {
+      const runIteration = createIterationRunner(buildJob({ returnModel: 'historical-bootstrap' }));
+      const summary = runIteration(0);
+
+      expect(summary.returnSequence.taxable).toHaveLength(3);
+      expect(summary.returnSequence.inflation).toHaveLength(3);
+      expect(() => createIterationRunner(buildJob({ returnModel: 'crystal-ball' })))
+        .toThrow('Unknown return model: crystal-ball');
+    });
+
+    test('should keep monthly balances only for a sample of paths', () => {
+      const runIteration = createIterationRunner(buildJob());
+      const sampled = Array.from({ length: 20 }, (_, iteration) => runIteration(iteration))
+        .filter(summary => summary.result)
+        .map(summary => summary.iteration);
+
+      expect(sampled).toEqual([0, 5, 10, 15]);
+      expect(runIteration(5).result.results.balanceHistory.Brokerage).toHaveLength(36);
+    });
+
+    test('should summarize a run from its balances', () => {
+      const depleting = {
+        plan: { monthly_expenses: 1000, duration_months: 12, inflation_rate: 0 },
+        assets: [{ name: 'Cash', type: 'tax_free', balance: 6000, interest_rate: 0 }],
+        order: [{ account: 'Cash', order: 1 }]
+      };
+      const summary = summarizeSimulation(simulateScenarioAdvanced(depleting), depleting, { targetSurvivalMonths: 12 });
+
+      // Six months of spending: empty after month 6, short in month 7 and stopped
+      expect(summary).toEqual({
+        success: false,
+        survivalTime: 5,
+        finalBalance: 0,
+        maxDrawdown: 1,
+        timeToDepletion: 5,
+        shortfallMonths: 1,
+        totalWithdrawals: 6000,
+        realFinalBalance: 0,
+        realTotalWithdrawals: 6000,
+        averageInflation: 0
+      });
+    });
+  });
+
+  describe('MonteCarloService', () => {
+    let eventBus;
+    let service;
+
+    const runAnalysis = (config, variableRanges) => {
+      const completed = new Promise(resolve => eventBus.once('montecarlo:completed', resolve));
+      eventBus.emit('montecarlo:run', { scenarioData: scenario, config, variableRanges });
+      return completed;
+    };
+
+    beforeEach(() => {
+      eventBus = new EventBus();
+      service = new MonteCarloService(eventBus);
+      FakeWorker.instances = [];
+      FakeWorker.delay = 0;
+    });
+
+    afterEach(() => {
+      delete global.Worker;
+    });
+
+    test('should run in this thread when Web Workers are unavailable', async () => {
+      const progress = [];
+      eventBus.on('montecarlo:progress', data => progress.push(data.completed));
+
+      const { results, analysis } = await runAnalysis({ iterations: 25, progressUpdateInterval: 10, randomSeed: 7 });
+
+      expect(results.map(result => result.iteration)).toEqual([...Array(25).keys()]);
+      expect(progress).toEqual([10, 20, 25]);
+      expect(analysis.statistics.finalBalance.percentiles[50]).toBeGreaterThan(0);
+    });
+
+    test('should split the iterations across the worker pool and match the in-thread run', async () => {
+      const config = { iterations: 20, randomSeed: 7, chunkSize: 4 };
+      const inThread = await runAnalysis({ ...config, workers: 0 });
+
+      global.Worker = FakeWorker;
+      const pooled = await runAnalysis({ ...config, workers: 3 });
+
+      expect(FakeWorker.instances).toHaveLength(3);
+      expect(FakeWorker.instances[0].options).toEqual({ type: 'module' });
+      expect(FakeWorker.instances[0].url).toBe('scripts/monte-carlo-worker.js');
+      expect(FakeWorker.instances.flatMap(worker => worker.chunks).sort((a, b) => a[0] - b[0]))
+        .toEqual([[0, 4], [4, 8], [8, 12], [12, 16], [16, 20]]);
+      expect(FakeWorker.instances.every(worker => worker.terminated)).toBe(true);
+      expect(pooled.results).toEqual(inThread.results);
+      expect(pooled.analysis.successRate).toBe(inThread.analysis.successRate);
+    });
+
+    test('should terminate the workers when the analysis is cancelled', async () => {
+      global.Worker = FakeWorker;
+      FakeWorker.delay = 20;
+      const cancelled = new Promise(resolve => eventBus.once('montecarlo:cancelled', resolve));
+      const completed = jest.fn();
+      eventBus.on('montecarlo:completed', completed);
+      eventBus.once('montecarlo:progress', () => eventBus.emit('montecarlo:cancel'));
+
+      eventBus.emit('montecarlo:run', { scenarioData: scenario, config: { iterations: 40, workers: 2, chunkSize: 5 } });
+      await cancelled;
+
+      expect(FakeWorker.instances.every(worker => worker.terminated)).toBe(true);
+      expect(completed).not.toHaveBeenCalled();
+      expect(service.isRunning).toBe(false);
+    });
+
+    test('should report a worker error as an analysis error', async () => {
+      global.Worker = class extends FakeWorker {
+        postMessage() {
+          setTimeout(() => this.onmessage({ data: { type: 'error', error: 'Unknown distribution type: invalid' } }), 0);
+        }
+      };
+      const error = new Promise(resolve => eventBus.once('montecarlo:error', resolve));
+
+      eventBus.emit('montecarlo:run', { scenarioData: scenario, config: { iterations: 10, workers: 2 } });
+
+      expect((await error).error).toBe('Unknown distribution type: invalid');
+    });
+
+    test('should fall back to this thread when workers cannot start', async () => {
+      global.Worker = class {
+        constructor() {
+          throw new Error('Workers are not allowed from file://');
+        }
+      };
+
+      const { results } = await runAnalysis({ iterations: 5 });
+
+      expect(results).toHaveLength(5);
+      expect(service.workers).toEqual([]);
+    });
+
+    test('should finish in this thread when a worker fails to load', async () => {
+      const config = { iterations: 12, randomSeed: 7, chunkSize: 3, workers: 2 };
+      const inThread = await runAnalysis({ ...config, workers: 0 });
+
+      // The first worker runs its chunk; the second never loads
+      let started = 0;
+      global.Worker = class extends FakeWorker {
+        constructor(url, options) {
+          super(url, options);
+          this.loads = started++ === 0;
+        }
+
+        postMessage(message) {
+          if (this.loads) {
+            super.postMessage(message);
+          } else {
+            setTimeout(() => this.onerror({ message: 'Failed to fetch module script', preventDefault: jest.fn() }), 5);
+          }
+        }
+      };
+      const errors = jest.fn();
+      eventBus.on('montecarlo:error', errors);
+
+      const { results } = await runAnalysis(config);
+
+      expect(errors).not.toHaveBeenCalled();
+      expect(FakeWorker.instances.every(worker => worker.terminated)).toBe(true);
+      expect(results).toEqual(inThread.results);
+    });
+
+    test('should cap iterations at maxIterations', async () => {
+      const { results, config } = await runAnalysis({ iterations: 30, maxIterations: 12 });
+
+      expect(config.iterations).toBe(12);
+      expect(results).toHaveLength(12);
+      expect(service.defaultConfig.maxIterations).toBe(50000);
+    });
+  });
+
+  describe('worker script', () => {
+    const originalLog = console.log;
+
+    afterEach(() => {
+      console.log = originalLog;
+      delete self.onmessage;
+    });
+
+    test('should stream result batches and finish the range with done', async () => {
+      await import('../../../scripts/monte-carlo-worker.js');
+      const messages = [];
+      self.postMessage = message => messages.push(message);
+
+      self.onmessage({ data: { job: buildJob({ progressUpdateInterval: 2 }), start: 3, end: 8 } });
+
+      expect(messages.map(message => message.type)).toEqual(['results', 'results', 'done']);
+      expect(messages.flatMap(message => message.results).map(result => result.iteration)).toEqual([3, 4, 5, 6, 7]);
+
+      self.onmessage({ data: { job: buildJob({}, { 'plan.monthly_expenses': { type: 'invalid' } }), start: 0, end: 1 } });
+      expect(messages[messages.length - 1]).toEqual({ type: 'error', error: 'Unknown distribution type: invalid' });
+    });
+  });
+});
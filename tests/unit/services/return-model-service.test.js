@@ -2,8 +2,11 @@
  * Tests for ReturnModelService and return models
  */
 
-import { ReturnModelService, BaseReturnModel, SimpleRandomModel, HistoricalBootstrapModel, HistoricalSequenceModel } from '../../../scripts/services/ReturnModelService.js';
+import { ReturnModelService, BaseReturnModel, SimpleRandomModel, HistoricalBootstrapModel, HistoricalSequenceModel, CorrelatedRandomModel } from '../../../scripts/services/ReturnModelService.js';
 import { EventBus } from '../../../scripts/core/EventBus.js';
+import { HISTORICAL_RETURNS } from '../../../scripts/historical-returns.js';
+import { readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
 
 describe('ReturnModelService', () => {
   let eventBus;
@@ -23,10 +26,11 @@ describe('ReturnModelService', () => {
     test('should initialize with default models registered', () => {
       const models = returnModelService.getAvailableModels();
       
-      expect(models).toHaveLength(3);
+      expect(models).toHaveLength(4);
       expect(models.map(m => m.name)).toContain('simple-random');
       expect(models.map(m => m.name)).toContain('historical-bootstrap');
       expect(models.map(m => m.name)).toContain('historical-sequence');
+      expect(models.map(m => m.name)).toContain('correlated-random');
     });
 
     test('should set simple-random as default model', () => {
@@ -324,13 +328,56 @@ describe('HistoricalBootstrapModel', () => {
   test('should map asset types correctly', () => {
     const stockMapping = model.mapAssetTypeToHistoricalData('investment');
     const bondMapping = model.mapAssetTypeToHistoricalData('bond');
+    const cashMapping = model.mapAssetTypeToHistoricalData('cash');
     const defaultMapping = model.mapAssetTypeToHistoricalData('unknown');
     
     expect(stockMapping).toBe('stock');
     expect(bondMapping).toBe('bond');
+    expect(cashMapping).toBe('cash');
     expect(defaultMapping).toBe('stock');
   });
 
+  test('should load aligned annual series from the bundled dataset', () => {
+    const { years, stock, bond, cash, inflation } = model.historicalData;
+    
+    expect(years[0]).toBe(1926);
+    expect(years[years.length - 1]).toBe(2023);
+    [stock, bond, cash, inflation].forEach(series => expect(series).toHaveLength(years.length));
+    // 2008: stocks crashed while Treasuries rallied
+    const index2008 = years.indexOf(2008);
+    expect(stock[index2008]).toBeLessThan(-0.3);
+    expect(bond[index2008]).toBeGreaterThan(0.1);
+  });
+
+  test('should read the dataset from a plain module, without JSON import attributes', () => {
+    expect(model.historicalData.stock).toEqual(HISTORICAL_RETURNS.years.map(row => row.stocks));
+
+    // Browsers without import attributes would fail to load every module that imports these
+    const sources = (dir) => readdirSync(dir, { withFileTypes: true }).flatMap(entry =>
+      entry.isDirectory() ? sources(join(dir, entry.name)) : entry.name.endsWith('.js') ? [join(dir, entry.name)] : []);
+    sources('scripts').forEach(file => expect(readFileSync(file, 'utf8')).not.toMatch(/\bwith\s*\{\s*type:/));
+  });
+
+  test('should draw whole years jointly across series', () => {
+    const returns = model.generateReturns({
+      assetTypes: ['stock', 'bond', 'cash'],
+      duration: 50,
+      seed: 777
+    });
+    const { stock, bond, cash, inflation } = model.historicalData;
+    
+    expect(returns.inflation).toHaveLength(50);
+    returns.stock.forEach((stockReturn, period) => {
+      const yearIndex = stock.findIndex((value, index) =>
+        value === stockReturn &&
+        bond[index] === returns.bond[period] &&
+        cash[index] === returns.cash[period] &&
+        inflation[index] === returns.inflation[period]
+      );
+      expect(yearIndex).toBeGreaterThanOrEqual(0);
+    });
+  });
+
   test('should apply adjustments from config', () => {
     const adjustment = 0.02;
     const returns = model.generateReturns({
@@ -400,6 +447,20 @@ describe('HistoricalSequenceModel', () => {
     expect(returns.stock.every(ret => typeof ret === 'number')).toBe(true);
   });
 
+  test('should keep consecutive years aligned across series', () => {
+    const returns = model.generateReturns({
+      assetTypes: ['stock', 'cash'],
+      duration: 10,
+      seed: 4242
+    });
+    const { stock, cash, inflation } = model.historicalData;
+    const startIndex = stock.indexOf(returns.stock[0]);
+    
+    expect(returns.stock).toEqual(stock.slice(startIndex, startIndex + 10));
+    expect(returns.cash).toEqual(cash.slice(startIndex, startIndex + 10));
+    expect(returns.inflation).toEqual(inflation.slice(startIndex, startIndex + 10));
+  });
+
   test('should handle duration longer than historical data', () => {
     const longDuration = model.historicalData.stock.length + 10;
     
@@ -458,6 +519,137 @@ describe('HistoricalSequenceModel', () => {
   });
 });
 
+describe('CorrelatedRandomModel', () => {
+  let model;
+
+  const correlation = (a, b) => {
+    const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+    const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+    let covariance = 0, varianceA = 0, varianceB = 0;
+    for (let i = 0; i < a.length; i++) {
+      covariance += (a[i] - meanA) * (b[i] - meanB);
+      varianceA += (a[i] - meanA) ** 2;
+      varianceB += (b[i] - meanB) ** 2;
+    }
+    return covariance / Math.sqrt(varianceA * varianceB);
+  };
+
+  beforeEach(() => {
+    model = new CorrelatedRandomModel();
+  });
+
+  test('should reproduce the configured correlation between asset classes', () => {
+    const returns = model.generateReturns({
+      assetTypes: ['stock', 'bond'],
+      duration: 5000,
+      seed: 2024,
+      config: {
+        asset_classes: ['stock', 'bond'],
+        stddevs: { stock: 0.16, bond: 0.05 },
+        correlations: [[1, 0.7], [0.7, 1]]
+      }
+    });
+
+    expect(correlation(returns.stock, returns.bond)).toBeCloseTo(0.7, 1);
+  });
+
+  test('should accept a covariance matrix directly', () => {
+    const returns = model.generateReturns({
+      assetTypes: ['stock', 'bond'],
+      duration: 5000,
+      seed: 7,
+      config: {
+        asset_classes: ['stock', 'bond'],
+        means: { stock: 0.08, bond: 0.03 },
+        covariance: [[0.04, -0.006], [-0.006, 0.0025]]
+      }
+    });
+
+    const stockMean = returns.stock.reduce((sum, v) => sum + v, 0) / returns.stock.length;
+    expect(stockMean).toBeCloseTo(0.08, 1);
+    expect(correlation(returns.stock, returns.bond)).toBeCloseTo(-0.6, 1);
+  });
+
+  test('should map account types onto asset classes', () => {
+    const returns = model.generateReturns({
+      assetTypes: ['taxable', 'stock', 'savings', 'reit'],
+      duration: 10,
+      seed: 12345
+    });
+
+    expect(returns.taxable).toEqual(returns.stock);
+    expect(returns.savings).not.toEqual(returns.stock);
+    expect(returns.reit).toHaveLength(10);
+  });
+
+  test('should use config passed to set-model', () => {
+    const configured = new CorrelatedRandomModel({ stock_mean: 0.5, stock_stddev: 0.0001 });
+    const returns = configured.generateReturns({ assetTypes: ['stock'], duration: 3, seed: 1 });
+
+    returns.stock.forEach(ret => expect(ret).toBeCloseTo(0.5, 2));
+  });
+
+  test('should be reproducible with same seed', () => {
+    const params = { assetTypes: ['stock', 'bond', 'cash', 'real_estate'], duration: 20, seed: 99 };
+
+    expect(model.generateReturns(params)).toEqual(model.generateReturns(params));
+  });
+
+  test('should compute a Cholesky factor that reproduces the matrix', () => {
+    const matrix = [[4, 2, 0.4], [2, 5, 1], [0.4, 1, 3]];
+    const lower = model.choleskyDecomposition(matrix);
+
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        let product = 0;
+        for (let k = 0; k < 3; k++) product += lower[i][k] * lower[j][k];
+        expect(product).toBeCloseTo(matrix[i][j], 10);
+      }
+    }
+  });
+
+  test('should reject invalid matrices', () => {
+    const generate = (config) => model.generateReturns({
+      assetTypes: ['stock'],
+      duration: 1,
+      seed: 1,
+      config: { asset_classes: ['stock', 'bond'], ...config }
+    });
+
+    expect(() => generate({ correlations: [[1, 0.5], [0.2, 1]] })).toThrow('symmetric');
+    expect(() => generate({ correlations: [[1, 0.5, 0]] })).toThrow('2x2');
+    expect(() => generate({ correlations: [[1, 1.5], [1.5, 1]] })).toThrow('positive definite');
+  });
+
+  test('should be selectable through the service', () => {
+    const eventBus = new EventBus();
+    const service = new ReturnModelService(eventBus);
+    const generated = [];
+    eventBus.on('returnmodel:returns-generated', (data) => generated.push(data));
+
+    eventBus.emit('returnmodel:set-model', { modelType: 'correlated-random', config: {} });
+    eventBus.emit('returnmodel:generate-returns', {
+      simulationId: 'corr-1',
+      assetTypes: ['stock', 'bond'],
+      duration: 5,
+      seed: 42
+    });
+
+    expect(service.currentModel).toBeInstanceOf(CorrelatedRandomModel);
+    expect(generated[0].returns.stock).toHaveLength(5);
+    eventBus.removeAllListeners();
+  });
+
+  test('should have correct capabilities', () => {
+    expect(model.getCapabilities()).toEqual({
+      supportsMultipleAssets: true,
+      supportsCorrelation: true,
+      supportsRegimes: false,
+      supportsSequenceRisk: false
+    });
+  });
+});
+
 describe('BaseReturnModel', () => {
   test('should throw error when generateReturns not implemented', () => {
     const baseModel = new BaseReturnModel();
@@ -77,6 +77,30 @@ describe('SimulationService Return Sequence Generation', () => {
     });
   });
 
+  describe('buildReturnPaths', () => {
+    test('should map asset-type sequences onto market-dependent assets by name', () => {
+      const scenarioData = {
+        assets: [
+          { name: 'Brokerage', type: 'taxable', market_dependent: true },
+          { name: 'IRA', type: 'tax_deferred', market_dependent: true },
+          { name: 'Savings', type: 'taxable', market_dependent: false },
+          { name: 'Legacy', type: 'taxable' }
+        ]
+      };
+      const returnSequence = {
+        taxable: [0.1, -0.2],
+        tax_deferred: [0.05, 0.07]
+      };
+
+      const returnPaths = simulationService.buildReturnPaths(scenarioData, returnSequence);
+
+      expect(returnPaths).toEqual({
+        Brokerage: [0.1, -0.2],
+        IRA: [0.05, 0.07]
+      });
+    });
+  });
+
   describe('Monte Carlo Integration', () => {
     test('should trigger return generation for Monte Carlo simulations', async () => {
       const returnModelEvents = [];
@@ -106,6 +130,62 @@ describe('SimulationService Return Sequence Generation', () => {
       expect(returnModelEvents[0].duration).toBe(30); // 360 months = 30 years
     });
 
+    test('should pass generated return paths to the engine', async () => {
+      eventBus.on('returnmodel:generate-returns', (data) => {
+        eventBus.emit('returnmodel:returns-generated', {
+          simulationId: data.simulationId,
+          returns: { stock: [0.12, -0.08] }
+        });
+      });
+
+      simulationService.executeSimulation = jest.fn().mockResolvedValue({
+        results: [],
+        balanceHistory: {}
+      });
+
+      const scenarioData = {
+        assets: [{ name: 'investment', type: 'stock', market_dependent: true }],
+        plan: { duration_months: 24 },
+        _simulationId: 'mc-paths-1'
+      };
+
+      await simulationService.runSimulation(scenarioData, { isMonteCarlo: true });
+
+      expect(simulationService.executeSimulation).toHaveBeenCalledWith(scenarioData, {
+        returnPaths: { investment: [0.12, -0.08] }
+      });
+    });
+
+    test('should request stock and bond returns for glidepath assets', async () => {
+      const returnModelEvents = [];
+      eventBus.on('returnmodel:generate-returns', (data) => {
+        returnModelEvents.push(data);
+        eventBus.emit('returnmodel:returns-generated', {
+          simulationId: data.simulationId,
+          returns: { taxable: [0.2, 0.2], stock: [0.12, -0.08], bond: [0.03, 0.05] }
+        });
+      });
+
+      simulationService.executeSimulation = jest.fn().mockResolvedValue({
+        results: [],
+        balanceHistory: {}
+      });
+
+      const scenarioData = {
+        assets: [{ name: 'Portfolio', type: 'taxable', market_dependent: true, glidepath: 'retirement' }],
+        plan: { duration_months: 24 },
+        _simulationId: 'mc-glidepath-1'
+      };
+
+      await simulationService.runSimulation(scenarioData, { isMonteCarlo: true });
+
+      expect(returnModelEvents[0].assetTypes).toEqual(['taxable', 'stock', 'bond']);
+      expect(simulationService.executeSimulation).toHaveBeenCalledWith(scenarioData, {
+        returnPaths: {},
+        assetClassPaths: { stock: [0.12, -0.08], bond: [0.03, 0.05] }
+      });
+    });
+
     test('should not trigger return generation for regular simulations', async () => {
       const returnModelEvents = [];
       eventBus.on('returnmodel:generate-returns', (data) => {
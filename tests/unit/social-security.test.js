@@ -0,0 +1,133 @@
+/**
+ * Social Security Unit Tests
+ * Tests claiming-age benefit rules and the expansion of social_security income
+ */
+
+import {
+  getFullRetirementAge,
+  getRetirementBenefitFactor,
+  getSpousalBenefitFactor,
+  getSurvivorBenefitFactor,
+  expandSocialSecurityIncome,
+  expandIncomeSources
+} from '../../scripts/social-security.js';
+
+describe('Social Security', () => {
+  // Plan starts the month the worker turns 62
+  const plan = { start_date: '2022-01' };
+  const worker = {
+    name: 'Social Security',
+    type: 'social_security',
+    pia: 3000,
+    birth_date: '1960-01',
+    claiming_age: 67
+  };
+
+  describe('benefit rules', () => {
+    test('should phase in the full retirement age by birth year', () => {
+      expect(getFullRetirementAge(1937)).toBe(65 * 12);
+      expect(getFullRetirementAge(1943)).toBe(66 * 12);
+      expect(getFullRetirementAge(1955)).toBe(66 * 12 + 2);
+      expect(getFullRetirementAge(1960)).toBe(67 * 12);
+    });
+
+    test('should reduce early claims and credit delayed ones', () => {
+      const fra = 67 * 12;
+
+      expect(getRetirementBenefitFactor(62 * 12, fra)).toBeCloseTo(0.70, 10);
+      expect(getRetirementBenefitFactor(65 * 12, fra)).toBeCloseTo(1 - 24 * 5 / 900, 10);
+      expect(getRetirementBenefitFactor(67 * 12, fra)).toBe(1);
+      expect(getRetirementBenefitFactor(70 * 12, fra)).toBeCloseTo(1.24, 10);
+      // No credits accrue after 70
+      expect(getRetirementBenefitFactor(72 * 12, fra)).toBeCloseTo(1.24, 10);
+    });
+
+    test('should reduce spousal and survivor benefits without delayed credits', () => {
+      const fra = 67 * 12;
+
+      expect(getSpousalBenefitFactor(62 * 12, fra)).toBeCloseTo(0.65, 10);
+      expect(getSpousalBenefitFactor(70 * 12, fra)).toBe(1);
+      expect(getSurvivorBenefitFactor(60 * 12, fra)).toBeCloseTo(0.715, 10);
+      expect(getSurvivorBenefitFactor(68 * 12, fra)).toBe(1);
+    });
+  });
+
+  describe('expandSocialSecurityIncome', () => {
+    test('should start the benefit in the month the claiming age is reached', () => {
+      const [atFra] = expandSocialSecurityIncome(worker, plan);
+      const [early] = expandSocialSecurityIncome({ ...worker, claiming_age: 62 }, plan);
+      const [late] = expandSocialSecurityIncome({ ...worker, claiming_age: 70 }, plan);
+
+      expect(atFra).toMatchObject({
+        name: 'Social Security',
+        amount: 3000,
+        start_month: 61,
+        inflation_adjustment: 'plan',
+        tax_treatment: 'partially_taxable'
+      });
+      expect(atFra.stop_month).toBeUndefined();
+      expect(early.start_month).toBe(1);
+      expect(early.amount).toBeCloseTo(2100, 6);
+      expect(late.amount).toBeCloseTo(3720, 6);
+      expect(late.start_month).toBe(97);
+    });
+
+    test('should add a spousal top-up once both have claimed', () => {
+      const streams = expandSocialSecurityIncome({
+        ...worker,
+        spouse: { name: 'Spouse SS', pia: 1000, birth_date: '1962-01', claiming_age: 62 }
+      }, plan);
+      const byName = Object.fromEntries(streams.map(stream => [stream.name, stream]));
+
+      expect(byName['Spouse SS'].start_month).toBe(25);
+      expect(byName['Spouse SS'].amount).toBeCloseTo(700, 6);
+      // Half the worker's PIA less the spouse's own, reduced for claiming at 65
+      expect(byName['Spouse SS (spousal)'].start_month).toBe(61);
+      expect(byName['Spouse SS (spousal)'].amount).toBeCloseTo(500 * (1 - 24 * 25 / 3600), 6);
+      expect(byName['Social Security (spousal)']).toBeUndefined();
+    });
+
+    test('should step the survivor up to the larger benefit after the first death', () => {
+      const streams = expandSocialSecurityIncome({
+        ...worker,
+        death_age: 80,
+        spouse: { name: 'Spouse SS', pia: 1000, birth_date: '1962-01', claiming_age: 62 }
+      }, plan);
+      const byName = Object.fromEntries(streams.map(stream => [stream.name, stream]));
+
+      expect(byName['Social Security'].stop_month).toBe(216);
+      expect(byName['Spouse SS (spousal)'].stop_month).toBe(216);
+      expect(byName['Spouse SS (survivor)'].start_month).toBe(217);
+      expect(byName['Spouse SS (survivor)'].amount).toBeCloseTo(3000 - 700, 6);
+    });
+
+    test('should guarantee survivors 82.5% of the PIA after an early claim', () => {
+      const streams = expandSocialSecurityIncome({
+        ...worker,
+        claiming_age: 62,
+        death_age: 80,
+        spouse: { name: 'Spouse SS', pia: 1000, birth_date: '1962-01', claiming_age: 62 }
+      }, plan);
+
+      expect(streams.find(stream => stream.name === 'Spouse SS (survivor)').amount).toBeCloseTo(2475 - 700, 6);
+    });
+
+    test('should keep income settings and pass other income through', () => {
+      const pension = { name: 'Pension', amount: 1500 };
+      const expanded = expandIncomeSources([
+        pension,
+        { ...worker, tax_treatment: 'tax_free', inflation_adjustment: 0.02 }
+      ], plan);
+
+      expect(expanded[0]).toBe(pension);
+      expect(expanded[1]).toMatchObject({ tax_treatment: 'tax_free', inflation_adjustment: 0.02 });
+    });
+
+    test('should reject invalid claiming ages and birth dates', () => {
+      expect(() => expandSocialSecurityIncome({ ...worker, claiming_age: 61 }, plan))
+        .toThrow('claiming_age must be between 62 and 70');
+      expect(() => expandSocialSecurityIncome({ ...worker, birth_date: '1960' }, plan))
+        .toThrow('birth_date must be');
+    });
+  });
+});
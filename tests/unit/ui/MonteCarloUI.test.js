@@ -35,6 +35,8 @@ describe('MonteCarloUI', () => {
       targetYearsInput: { value: '25' },
       successRateInput: { value: '80' },
       returnModelSelect: { value: 'simple-random' },
+      inflationModelSelect: { value: 'ar1' },
+      longevityModelSelect: { value: 'life-table' },
       configToggle: { addEventListener: jest.fn(), checked: false }
     };
 
@@ -50,6 +52,8 @@ describe('MonteCarloUI', () => {
         'monte-carlo-target-years': mockElements.targetYearsInput,
         'monte-carlo-success-rate': mockElements.successRateInput,
         'monte-carlo-return-model': mockElements.returnModelSelect,
+        'monte-carlo-inflation-model': mockElements.inflationModelSelect,
+        'monte-carlo-longevity-model': mockElements.longevityModelSelect,
         'show-monte-carlo-config': mockElements.configToggle
       };
       return elementMap[id] || null;
@@ -224,6 +228,8 @@ describe('MonteCarloUI', () => {
       expect(config.targetSurvivalMonths).toBe(300); // 25 years * 12
       expect(config.targetSuccessRate).toBe(0.8); // 80% / 100
       expect(config.returnModel).toBe('simple-random');
+      expect(config.inflationModel).toBe('ar1');
+      expect(config.longevityModel).toBe('life-table');
       expect(config.variableRanges).toBeDefined();
     });
 